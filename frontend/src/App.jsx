@@ -5,6 +5,7 @@ import './styles/esl-player.css';
 import { useState } from 'react';
 
 import { AuthProvider } from './contexts/AuthContext';
+import { ShortcutProvider } from './contexts/ShortcutContext';
 import { ProtectedRoute } from './components/ProtectedRoute';
 import { Navbar } from './components/Navbar';
 
@@ -14,6 +15,10 @@ import { RegisterPage } from './pages/RegisterPage';
 import { DashboardPage } from './pages/DashboardPage';
 import { UploadPage } from './pages/UploadPage';
 import { PlayerPage } from './pages/PlayerPage';
+import { VocabularyPage } from './pages/VocabularyPage';
+import { ReviewPage } from './pages/ReviewPage';
+import { SettingsPage } from './pages/SettingsPage';
+import { StatsPage } from './pages/StatsPage';
 import { TestPlayerPage } from './pages/TestPlayerPage';
 import { BasicVideoTest } from './components/BasicVideoTest';
 
@@ -23,40 +28,46 @@ function App() {
   return (
     <AuthProvider>
       <Router>
-        <div className="h-screen bg-gray-50 flex flex-col">
-          <Navbar playerPageInfo={playerPageInfo} />
+        <ShortcutProvider>
+          <div className="h-screen bg-gray-50 flex flex-col">
+            <Navbar playerPageInfo={playerPageInfo} />
 
-          <main className="flex-1 w-full overflow-hidden" style={{ height: 'calc(100vh - 64px)' }}>
-            <Routes>
-              {/* Public routes */}
-              <Route path="/login" element={<LoginPage />} />
-              <Route path="/register" element={<RegisterPage />} />
+            <main className="flex-1 w-full overflow-hidden" style={{ height: 'calc(100vh - 64px)' }}>
+              <Routes>
+                {/* Public routes */}
+                <Route path="/login" element={<LoginPage />} />
+                <Route path="/register" element={<RegisterPage />} />
 
-              {/* Temporarily unprotected routes for testing */}
-              <Route path="/dashboard" element={<DashboardPage />} />
-              <Route path="/upload" element={<UploadPage />} />
-              <Route path="/player/:fileId" element={<PlayerPage onPlayerPageInfoChange={setPlayerPageInfo} />} />
-              <Route path="/test-player" element={<TestPlayerPage />} />
-              <Route path="/basic-video-test" element={<BasicVideoTest />} />
+                {/* Temporarily unprotected routes for testing */}
+                <Route path="/dashboard" element={<DashboardPage />} />
+                <Route path="/upload" element={<UploadPage />} />
+                <Route path="/player/:fileId" element={<PlayerPage onPlayerPageInfoChange={setPlayerPageInfo} />} />
+                <Route path="/vocabulary" element={<VocabularyPage />} />
+                <Route path="/review" element={<ReviewPage />} />
+                <Route path="/stats" element={<StatsPage />} />
+                <Route path="/settings" element={<SettingsPage />} />
+                <Route path="/test-player" element={<TestPlayerPage />} />
+                <Route path="/basic-video-test" element={<BasicVideoTest />} />
 
-              {/* Default redirect */}
-              <Route path="/" element={<Navigate to="/dashboard" replace />} />
-            </Routes>
-          </main>
+                {/* Default redirect */}
+                <Route path="/" element={<Navigate to="/dashboard" replace />} />
+              </Routes>
+            </main>
 
-          <ToastContainer
-            position="top-right"
-            autoClose={5000}
-            hideProgressBar={false}
-            newestOnTop={false}
-            closeOnClick
-            rtl={false}
-            pauseOnFocusLoss
-            draggable
-            pauseOnHover
-            theme="light"
-          />
-        </div>
+            <ToastContainer
+              position="top-right"
+              autoClose={5000}
+              hideProgressBar={false}
+              newestOnTop={false}
+              closeOnClick
+              rtl={false}
+              pauseOnFocusLoss
+              draggable
+              pauseOnHover
+              theme="light"
+            />
+          </div>
+        </ShortcutProvider>
       </Router>
     </AuthProvider>
   );
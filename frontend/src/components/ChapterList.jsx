@@ -0,0 +1,157 @@
+import { useState } from 'react';
+import { formatTimestamp } from '../utils/formatters';
+import { getChapterTitle } from '../utils/chapters';
+
+const SOURCE_LABELS = {
+  start: 'Start of the file',
+  silence: 'Detected from a long pause',
+  speaker: 'Detected from a speaker change',
+  manual: 'Added by hand',
+};
+
+// Collapsible chapter list with renaming, deleting and adding breaks by hand
+export const ChapterList = ({
+  chapters,
+  currentChapterIndex,
+  activeSegment,
+  isEdited,
+  onSelect,
+  onChange,
+  onReset
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [renamingIndex, setRenamingIndex] = useState(null);
+  const [title, setTitle] = useState('');
+
+  const canAddBreak = !!activeSegment && !chapters.some(chapter => chapter.start === activeSegment.start);
+
+  const startRenaming = (index) => {
+    setRenamingIndex(index);
+    setTitle(chapters[index].title);
+  };
+
+  const finishRenaming = () => {
+    const index = renamingIndex;
+    setRenamingIndex(null);
+    if (index === null || title.trim() === chapters[index].title) return;
+
+    onChange(chapters.map((chapter, i) => (i === index ? { ...chapter, title: title.trim() } : chapter)));
+  };
+
+  const deleteChapter = (index) => {
+    onChange(chapters.filter((_, i) => i !== index));
+  };
+
+  const addBreak = () => {
+    if (!canAddBreak) return;
+    onChange([
+      ...chapters,
+      { start: activeSegment.start, title: getChapterTitle(activeSegment), source: 'manual' }
+    ]);
+  };
+
+  return (
+    <div className="mb-3 border border-gray-200 rounded-lg">
+      <div className="flex items-center justify-between px-3 py-2">
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          className="flex items-center gap-2 text-sm font-medium text-gray-700 hover:text-gray-900"
+          aria-expanded={isOpen}
+        >
+          <span className="text-xs text-gray-400">{isOpen ? '▾' : '▸'}</span>
+          Chapters ({chapters.length})
+        </button>
+        {isOpen && (
+          <div className="flex items-center gap-1">
+            <button
+              onClick={addBreak}
+              disabled={!canAddBreak}
+              className="px-2 py-1 text-xs bg-blue-100 text-blue-700 rounded hover:bg-blue-200 transition-colors disabled:opacity-50"
+              title="Start a new chapter at the current phrase"
+            >
+              + Break here
+            </button>
+            {isEdited && (
+              <button
+                onClick={onReset}
+                className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors"
+                title="Discard your edits and detect chapters again"
+              >
+                Re-detect
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {isOpen && (
+        <ul className="max-h-60 overflow-y-auto border-t border-gray-100 py-1">
+          {chapters.map((chapter, index) => (
+            <li
+              key={chapter.start}
+              className={`group flex items-center gap-2 px-3 py-1.5 text-sm ${
+                index === currentChapterIndex ? 'bg-blue-50' : 'hover:bg-gray-50'
+              }`}
+            >
+              <span className="w-12 flex-shrink-0 text-xs text-gray-500" title={SOURCE_LABELS[chapter.source]}>
+                {formatTimestamp(chapter.start)}
+              </span>
+
+              {renamingIndex === index ? (
+                <input
+                  type="text"
+                  value={title}
+                  onChange={(e) => setTitle(e.target.value)}
+                  onBlur={finishRenaming}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') {
+                      e.preventDefault();
+                      finishRenaming();
+                    } else if (e.key === 'Escape') {
+                      e.preventDefault();
+                      e.stopPropagation();
+                      setRenamingIndex(null);
+                    }
+                  }}
+                  maxLength={200}
+                  className="flex-1 min-w-0 px-1 py-0.5 border border-blue-300 rounded text-sm"
+                  autoFocus
+                />
+              ) : (
+                <button
+                  onClick={() => onSelect(chapter)}
+                  onDoubleClick={() => startRenaming(index)}
+                  className={`flex-1 min-w-0 text-left truncate ${
+                    index === currentChapterIndex ? 'text-blue-700 font-medium' : 'text-gray-800'
+                  }`}
+                  title="Go to this chapter (double-click to rename)"
+                >
+                  {chapter.title || `Chapter ${index + 1}`}
+                </button>
+              )}
+
+              <div className="flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                <button
+                  onClick={() => startRenaming(index)}
+                  className="text-xs text-gray-400 hover:text-blue-600"
+                  title="Rename chapter"
+                >
+                  ✎
+                </button>
+                {index > 0 && (
+                  <button
+                    onClick={() => deleteChapter(index)}
+                    className="text-xs text-gray-400 hover:text-red-600"
+                    title="Remove this chapter break"
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,273 @@
+import { useState, useMemo } from 'react';
+import { formatTimestamp } from '../utils/formatters';
+import {
+  groupWordsBySegment,
+  selectClozeWords,
+  splitWordPunctuation,
+  isClozeAnswerCorrect
+} from '../utils/cloze';
+
+// Pad word playback a little so the word is not clipped
+const WORD_PADDING_BEFORE = 0.05;
+const WORD_PADDING_AFTER = 0.1;
+
+const STRATEGY_LABELS = {
+  nth: 'Every Nth word',
+  length: 'Words longer than N letters',
+  vocabulary: 'My saved vocabulary',
+};
+
+export const ClozePanel = ({
+  segments,
+  words,
+  isLoadingWords = false,
+  activeSegmentIndex,
+  onSegmentClick,
+  onPlayRange,
+  vocabularyWords = []
+}) => {
+  const [strategy, setStrategy] = useState('nth');
+  const [threshold, setThreshold] = useState(5);
+  const [answers, setAnswers] = useState({}); // "segmentIndex:wordIndex" -> typed answer
+  const [checkedSegments, setCheckedSegments] = useState({}); // segmentIndex -> true once checked
+
+  const wordsBySegment = useMemo(() => groupWordsBySegment(segments, words), [segments, words]);
+
+  const gaps = useMemo(
+    () => selectClozeWords(wordsBySegment, { strategy, n: threshold, vocabulary: vocabularyWords }),
+    [wordsBySegment, strategy, threshold, vocabularyWords]
+  );
+
+  // Changing the word selection starts a fresh exercise
+  const resetExercise = () => {
+    setAnswers({});
+    setCheckedSegments({});
+  };
+
+  const changeStrategy = (value) => {
+    setStrategy(value);
+    resetExercise();
+  };
+
+  const changeThreshold = (value) => {
+    setThreshold(Math.max(1, Math.min(20, value || 1)));
+    resetExercise();
+  };
+
+  const getGapKeys = (segmentIndex) =>
+    wordsBySegment[segmentIndex]
+      .map((_, wordIndex) => `${segmentIndex}:${wordIndex}`)
+      .filter(key => gaps.has(key));
+
+  const getExpectedWord = (key) => {
+    const [segmentIndex, wordIndex] = key.split(':').map(Number);
+    return splitWordPunctuation(wordsBySegment[segmentIndex][wordIndex].word).core;
+  };
+
+  const isGapCorrect = (key) => isClozeAnswerCorrect(getExpectedWord(key), answers[key] || '');
+
+  const checkSegment = (segmentIndex) => {
+    setCheckedSegments(prev => ({ ...prev, [segmentIndex]: true }));
+  };
+
+  const retrySegment = (segmentIndex) => {
+    setCheckedSegments(prev => {
+      const next = { ...prev };
+      delete next[segmentIndex];
+      return next;
+    });
+  };
+
+  const checkAll = () => {
+    const checked = {};
+    wordsBySegment.forEach((_, segmentIndex) => {
+      if (getGapKeys(segmentIndex).length > 0) {
+        checked[segmentIndex] = true;
+      }
+    });
+    setCheckedSegments(checked);
+  };
+
+  const playWord = (word) => {
+    if (onPlayRange) {
+      onPlayRange(Math.max(0, word.start - WORD_PADDING_BEFORE), word.end + WORD_PADDING_AFTER);
+    }
+  };
+
+  // Score over the segments that have been checked
+  const score = Object.keys(checkedSegments).reduce((totals, segmentIndex) => {
+    getGapKeys(Number(segmentIndex)).forEach(key => {
+      totals.total++;
+      if (isGapCorrect(key)) {
+        totals.correct++;
+      }
+    });
+    return totals;
+  }, { correct: 0, total: 0 });
+
+  return (
+    <div className="flex flex-col h-full">
+      {/* Exercise settings */}
+      <div className="flex flex-wrap items-center gap-2 mb-4 text-xs">
+        <select
+          value={strategy}
+          onChange={(e) => changeStrategy(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded-md text-xs"
+        >
+          {Object.entries(STRATEGY_LABELS).map(([value, label]) => (
+            <option
+              key={value}
+              value={value}
+              disabled={value === 'vocabulary' && vocabularyWords.length === 0}
+            >
+              {label}{value === 'vocabulary' && vocabularyWords.length === 0 ? ' (no saved words)' : ''}
+            </option>
+          ))}
+        </select>
+        {strategy !== 'vocabulary' && (
+          <label className="flex items-center gap-1 text-gray-600">
+            N =
+            <input
+              type="number"
+              min={1}
+              max={20}
+              value={threshold}
+              onChange={(e) => changeThreshold(parseInt(e.target.value, 10))}
+              className="w-14 px-2 py-1 border border-gray-300 rounded-md text-xs"
+            />
+          </label>
+        )}
+        <span className="text-gray-500">{gaps.size} gaps</span>
+        <div className="flex items-center gap-2 ml-auto">
+          {score.total > 0 && (
+            <span className="font-medium text-gray-700">
+              {score.correct}/{score.total} correct
+            </span>
+          )}
+          <button
+            onClick={checkAll}
+            disabled={gaps.size === 0}
+            className="px-3 py-1 font-medium rounded-md bg-green-100 text-green-700 hover:bg-green-200 disabled:opacity-50"
+          >
+            Check all
+          </button>
+          <button
+            onClick={resetExercise}
+            className="px-3 py-1 font-medium rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200"
+          >
+            Reset
+          </button>
+        </div>
+      </div>
+
+      {isLoadingWords && (
+        <div className="text-xs text-gray-500 mb-2">Loading word timings…</div>
+      )}
+
+      <div className="transcript-panel flex-1">
+        {segments.map((segment, segmentIndex) => {
+          const segmentWords = wordsBySegment[segmentIndex];
+          const gapKeys = getGapKeys(segmentIndex);
+          const isChecked = !!checkedSegments[segmentIndex];
+          const correctCount = isChecked ? gapKeys.filter(isGapCorrect).length : 0;
+
+          return (
+            <div
+              key={segmentIndex}
+              className={`transcript-segment ${segmentIndex === activeSegmentIndex ? 'active' : ''}`}
+            >
+              <div className={`flex items-start space-x-4 p-4 rounded-2xl ${
+                segmentIndex === activeSegmentIndex
+                  ? 'bg-gradient-to-r from-blue-50 to-indigo-50 border-l-4 border-blue-500'
+                  : ''
+              }`}>
+                <button
+                  onClick={() => onSegmentClick(segment)}
+                  className="text-xs font-mono px-3 py-2 rounded-lg text-gray-500 bg-gray-100 hover:bg-gray-200 flex-shrink-0"
+                  title="Play this phrase"
+                >
+                  {formatTimestamp(segment.start)}
+                </button>
+
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm text-gray-900 leading-loose break-words">
+                    {segmentWords.length === 0 || gapKeys.length === 0 ? (
+                      segment.text
+                    ) : (
+                      segmentWords.map((word, wordIndex) => {
+                        const key = `${segmentIndex}:${wordIndex}`;
+                        if (!gaps.has(key)) {
+                          return <span key={key}>{word.word} </span>;
+                        }
+
+                        const { before, core, after } = splitWordPunctuation(word.word);
+                        const isCorrect = isChecked && isGapCorrect(key);
+
+                        return (
+                          <span key={key} className="inline-flex items-center whitespace-nowrap mr-1">
+                            {before}
+                            <input
+                              type="text"
+                              value={answers[key] || ''}
+                              onChange={(e) => setAnswers(prev => ({ ...prev, [key]: e.target.value }))}
+                              disabled={isChecked}
+                              style={{ width: `${Math.max(3, core.length) + 2}ch` }}
+                              className={`px-1 py-0 text-sm border-b-2 bg-transparent focus:outline-none ${
+                                !isChecked
+                                  ? 'border-blue-400 focus:border-blue-600'
+                                  : isCorrect
+                                    ? 'border-green-500 text-green-700'
+                                    : 'border-red-500 text-red-700'
+                              }`}
+                              aria-label={`Missing word ${wordIndex + 1}`}
+                            />
+                            <button
+                              onClick={() => playWord(word)}
+                              className="ml-0.5 text-xs text-gray-500 hover:text-blue-600"
+                              title="Play only this word"
+                            >
+                              🔊
+                            </button>
+                            {after}
+                            {isChecked && !isCorrect && (
+                              <span className="ml-1 text-xs font-medium text-green-700">{core}</span>
+                            )}
+                          </span>
+                        );
+                      })
+                    )}
+                  </div>
+
+                  {gapKeys.length > 0 && (
+                    <div className="flex items-center gap-2 mt-2 text-xs">
+                      {isChecked ? (
+                        <>
+                          <span className={correctCount === gapKeys.length ? 'text-green-700 font-medium' : 'text-gray-600'}>
+                            {correctCount}/{gapKeys.length} correct
+                          </span>
+                          <button
+                            onClick={() => retrySegment(segmentIndex)}
+                            className="px-2 py-1 rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200"
+                          >
+                            Try again
+                          </button>
+                        </>
+                      ) : (
+                        <button
+                          onClick={() => checkSegment(segmentIndex)}
+                          className="px-2 py-1 rounded-md bg-blue-100 text-blue-700 hover:bg-blue-200"
+                        >
+                          Check
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
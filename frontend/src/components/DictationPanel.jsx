@@ -0,0 +1,127 @@
+import { useState } from 'react';
+
+const TOKEN_STYLES = {
+  correct: 'text-green-300',
+  misspelled: 'text-yellow-300 underline decoration-wavy decoration-yellow-400',
+  missing: 'text-red-300 bg-red-900/40 rounded px-1',
+  extra: 'text-gray-400 line-through',
+};
+
+const formatAccuracy = (accuracy) => (accuracy === null ? '—' : `${Math.round(accuracy * 100)}%`);
+
+export const DictationPanel = ({
+  segmentIndex,
+  segmentCount,
+  result,
+  sessionSummary,
+  onSubmit,
+  onReplay,
+  onNext,
+  onResetSession
+}) => {
+  // The player remounts this panel per phrase, so each one starts from its checked answer or empty
+  const [typedText, setTypedText] = useState(result?.typedText || '');
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      if (result && result.typedText === typedText) {
+        onNext();
+      } else if (typedText.trim()) {
+        onSubmit(typedText);
+      }
+    }
+  };
+
+  return (
+    <div className="rounded-xl bg-slate-900/60 border border-slate-700 p-3 space-y-3">
+      <div className="flex items-center justify-between gap-3">
+        <div className="text-sm font-semibold text-white">
+          Dictation
+          <span className="ml-2 text-xs font-normal text-gray-400">
+            Phrase {segmentIndex + 1} of {segmentCount}
+          </span>
+        </div>
+        <div className="flex items-center gap-3 text-xs text-gray-400">
+          <span>
+            Session: <span className="font-semibold text-white">{formatAccuracy(sessionSummary.accuracy)}</span>
+            {' '}({sessionSummary.segmentsChecked} checked)
+          </span>
+          {sessionSummary.segmentsChecked > 0 && (
+            <button
+              onClick={onResetSession}
+              className="text-gray-400 hover:text-white underline"
+            >
+              Reset
+            </button>
+          )}
+        </div>
+      </div>
+
+      <textarea
+        autoFocus
+        value={typedText}
+        onChange={(e) => setTypedText(e.target.value)}
+        onKeyDown={handleKeyDown}
+        rows={2}
+        placeholder="Type what you hear, then press Enter to check…"
+        className="w-full px-3 py-2 text-sm rounded-lg bg-slate-800 text-white border border-slate-600 focus:ring-2 focus:ring-purple-500 focus:border-transparent resize-none"
+      />
+
+      <div className="flex items-center gap-2">
+        <button
+          onClick={onReplay}
+          className="modern-mode-btn bg-slate-700 text-gray-200 hover:bg-slate-600"
+        >
+          ↺ Replay
+        </button>
+        <button
+          onClick={() => onSubmit(typedText)}
+          disabled={!typedText.trim()}
+          className="modern-mode-btn bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50"
+        >
+          Check
+        </button>
+        <button
+          onClick={onNext}
+          disabled={segmentIndex >= segmentCount - 1}
+          className="modern-mode-btn bg-slate-700 text-gray-200 hover:bg-slate-600 disabled:opacity-50"
+        >
+          Next →
+        </button>
+      </div>
+
+      {result && (
+        <div className="space-y-2">
+          <div className="flex items-center justify-between text-xs text-gray-400">
+            <span>
+              Accuracy: <span className="font-semibold text-white">{formatAccuracy(result.accuracy)}</span>
+            </span>
+            <span>
+              {result.counts.correct} correct · {result.counts.misspelled} misspelled · {result.counts.missing} missing · {result.counts.extra} extra
+            </span>
+          </div>
+          <p className="text-sm leading-relaxed flex flex-wrap gap-x-1.5 gap-y-1">
+            {result.tokens.map((token, index) => (
+              <span
+                key={index}
+                className={TOKEN_STYLES[token.type]}
+                title={
+                  token.type === 'misspelled'
+                    ? `You typed "${token.typed}"`
+                    : token.type === 'missing'
+                      ? 'Missing word'
+                      : token.type === 'extra'
+                        ? 'Extra word'
+                        : undefined
+                }
+              >
+                {token.type === 'extra' ? token.typed : token.expected}
+              </span>
+            ))}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -1,7 +1,58 @@
-import { useState, useRef, useEffect, useCallback } from 'react';
+import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import { VideoPlayer } from './VideoPlayer';
+import { ShadowingRecorder } from './ShadowingRecorder';
+import { DictationPanel } from './DictationPanel';
+import { RepeatRoutinePanel } from './RepeatRoutinePanel';
+import { RolePlayPanel } from './RolePlayPanel';
+import { SubtitleSettingsPanel } from './SubtitleSettingsPanel';
+import { WaveformTimeline } from './WaveformTimeline';
+import { mediaAPI } from '../services/api';
+import { alignDictation, summarizeDictation } from '../utils/dictation';
+import {
+  DEFAULT_REPEAT_ROUTINE,
+  normalizeRepeatRoutine,
+  getRepeatPlaybackRate,
+  getRepeatPause
+} from '../utils/repeatRoutine';
+import { DEFAULT_SUBTITLE_STYLE, normalizeSubtitleStyle, getSubtitleStyles } from '../utils/subtitleStyle';
+import {
+  SUBTITLE_REVEAL_MODES,
+  DEFAULT_REVEAL_MODE,
+  hasReachedSegmentEnd,
+  hasWordTimings,
+  countSpokenWords
+} from '../utils/subtitleReveal';
+import { findChapterIndex, findChapterSegmentIndex } from '../utils/chapters';
+import { calculatePreciseTiming, createTimeline, createCueStream } from '../utils/timeline';
+import { getSpeakers, findAdjacentSegment, getRolePlayPause } from '../utils/speakers';
+import { usePreference } from '../hooks/usePreference';
+import { useShortcuts } from '../hooks/useShortcuts';
+import { usePracticeLogger } from '../hooks/usePracticeLogger';
 import './ESLVideoPlayer.css';
 
+// Modes that stay on one segment instead of following playback time
+const SEGMENT_FOCUSED_MODES = ['repeat', 'dictation'];
+
+// Time spent playing is logged in chunks of this length (ms) while playback runs
+const PRACTICE_TIME_CHUNK = 60000;
+
+// Seconds into a chapter after which "previous chapter" restarts the current one
+const CHAPTER_RESTART_THRESHOLD = 3;
+
+// Shortest A-B loop we keep; anything shorter is treated as an accidental click
+const MIN_LOOP_LENGTH = 0.3;
+
+// Move one bound of an A-B loop without letting it cross the other bound
+const clampLoopBound = (loop, bound, time, duration) => {
+  const maxTime = duration || Math.max(time, loop.end);
+  const clampedTime = Math.max(0, Math.min(maxTime, time));
+
+  if (bound === 'start') {
+    return { ...loop, start: Math.max(0, Math.min(clampedTime, loop.end - MIN_LOOP_LENGTH)) };
+  }
+  return { ...loop, end: Math.min(maxTime, Math.max(clampedTime, loop.start + MIN_LOOP_LENGTH)) };
+};
+
 export const ESLVideoPlayer = ({
   mediaFile,
   transcription,
@@ -10,11 +61,18 @@ export const ESLVideoPlayer = ({
   onSegmentComplete,
   selectedSegmentIndex = null,
   onSegmentChange,
-  onPlayerReady
+  onPlayerReady,
+  studySegmentIndexes = null,
+  onToggleStudySegment,
+  translationLines = null,
+  translationDisplay = 'below',
+  chapters = null,
+  practiceSpeaker = null,
+  onPracticeSpeakerChange
 }) => {
   const [currentSegment, setCurrentSegment] = useState(0);
   const [isPlaying, setIsPlaying] = useState(false);
-  const [playbackMode, setPlaybackMode] = useState('normal'); // 'normal', 'listen', 'repeat'
+  const [playbackMode, setPlaybackMode] = useState('normal'); // 'normal', 'listen', 'repeat', 'dictation', 'roleplay'
   const [segments, setSegments] = useState([]);
   const [showTranscript, setShowTranscript] = useState(true);
   const [playbackSpeed, setPlaybackSpeed] = useState(1);
@@ -25,12 +83,40 @@ export const ESLVideoPlayer = ({
   const [manualSegmentSelection, setManualSegmentSelection] = useState(false); // Track manual segment selection in REPEAT mode
   const [volume, setVolume] = useState(1); // Volume from 0 to 1
   const [isMuted, setIsMuted] = useState(false);
+  const [abLoop, setAbLoop] = useState(null); // { start, end } in seconds, works in every playback mode
+  const [isLoopSelectMode, setIsLoopSelectMode] = useState(false); // Next drag on the progress bar sets the loop
+  const [loopDrag, setLoopDrag] = useState(null); // { type: 'create', anchor, previous } or { type: 'start' | 'end' }
+  const [showRecorder, setShowRecorder] = useState(false);
+  const [dictationResults, setDictationResults] = useState({}); // segment index -> scored answer for this session
+  const [repeatRoutine, setRepeatRoutine] = usePreference('repeatRoutine', DEFAULT_REPEAT_ROUTINE);
+  const [showWaveform, setShowWaveform] = usePreference('showWaveform', false);
+  const [storedSubtitleStyle, setSubtitleStyle] = usePreference('subtitleStyle', DEFAULT_SUBTITLE_STYLE);
+  const [showSubtitleSettings, setShowSubtitleSettings] = useState(false);
+  const [revealModesByFile, setRevealModesByFile] = usePreference('subtitleRevealModes', {});
+  const [heardSegments, setHeardSegments] = useState(() => new Set()); // played to the end at least once
+  const [routineStatus, setRoutineStatus] = useState(null); // { segmentIndex, repeatIndex, repeatCount, phase } while a routine runs
+  const [rolePlayTurn, setRolePlayTurn] = useState(null); // { segmentIndex, secondsLeft } while the learner says a line
 
   const playerRef = useRef(null);
   const segmentTimeoutRef = useRef(null);
   const timeUpdateIntervalRef = useRef(null);
   const progressBarRef = useRef(null);
   const segmentChangeTimeoutRef = useRef(null);
+  const abLoopRef = useRef(null);
+  const lastLoopCheckTimeRef = useRef(0);
+  const suppressProgressClickRef = useRef(false);
+  const clipTimeoutRef = useRef(null);
+  const clipResolveRef = useRef(null);
+  const routineRunRef = useRef(null); // { settings, baseSpeed } for the routine in progress
+  const routineTimeoutRef = useRef(null);
+  const repeatRoutineRef = useRef(repeatRoutine);
+  const playbackStateRef = useRef({ currentSegment: 0, playbackMode: 'normal', playbackSpeed: 1 }); // for the resume position
+  const rolePlayRef = useRef({ handledSegment: -1, muted: false, timer: null });
+  const playerActionsRef = useRef(null); // latest functions behind the API given to onPlayerReady
+
+  const logPracticeEvent = usePracticeLogger(mediaFile?.id);
+
+  const speakers = useMemo(() => getSpeakers(segments), [segments]);
 
   // Helper function to format time in MM:SS format
   const formatTime = (seconds) => {
@@ -49,6 +135,7 @@ export const ESLVideoPlayer = ({
         end: segment.end,
         text: segment.text?.trim() || '', // Ensure text is always a string
         duration: segment.end - segment.start,
+        speaker: segment.speaker || null,
         words: segment.words || [] // Include word-level timing data if available
       }));
       setSegments(parsedSegments);
@@ -72,120 +159,32 @@ export const ESLVideoPlayer = ({
     }
   }, [selectedSegmentIndex, segments.length]);
 
-  // Calculate precise timing for segment playback using word-level data
-  const calculatePreciseTiming = useCallback((segment) => {
-    const START_BUFFER = 0.15; // 150ms buffer before first word
-    const END_BUFFER = 0.3;    // 300ms buffer after last word (balanced for complete playback)
-    const MIN_END_BUFFER = 0.15; // Minimum buffer to ensure natural completion
-
-    // If no word-level data is available, use segment timing with small buffer
-    if (!segment.words || segment.words.length === 0) {
-      return {
-        startTime: Math.max(0, segment.start - START_BUFFER),
-        endTime: segment.end + END_BUFFER,
-        duration: (segment.end + END_BUFFER) - Math.max(0, segment.start - START_BUFFER)
-      };
-    }
-
-    // Find first and last words with valid timing
-    const wordsWithTiming = segment.words.filter(word =>
-      word.start !== undefined && word.end !== undefined &&
-      word.start !== null && word.end !== null &&
-      typeof word.start === 'number' && typeof word.end === 'number'
-    );
-
-    if (wordsWithTiming.length === 0) {
-      // Fallback to segment timing if no valid word timing
-      return {
-        startTime: Math.max(0, segment.start - START_BUFFER),
-        endTime: segment.end + END_BUFFER,
-        duration: (segment.end + END_BUFFER) - Math.max(0, segment.start - START_BUFFER)
-      };
-    }
-
-    // Use first word start time and last word end time with buffers
-    const firstWordStart = wordsWithTiming[0].start;
-    const lastWordEnd = wordsWithTiming[wordsWithTiming.length - 1].end;
-
-    const preciseStartTime = Math.max(0, firstWordStart - START_BUFFER);
-
-    // Calculate end time with intelligent buffering
-    let preciseEndTime = lastWordEnd + END_BUFFER;
-
-    // Safety check: ensure we don't end too early compared to segment timing
-    // If word end time is significantly before segment end, use segment end with minimum buffer
-    const wordToSegmentGap = segment.end - lastWordEnd;
-    if (wordToSegmentGap > 0.5) {
-      // Large gap suggests word timing might be inaccurate, use segment timing
-      preciseEndTime = segment.end + MIN_END_BUFFER;
-    } else if (wordToSegmentGap > 0.1) {
-      // Moderate gap, use the later of word+buffer or segment+min_buffer
-      const wordBasedEnd = lastWordEnd + END_BUFFER;
-      const segmentBasedEnd = segment.end + MIN_END_BUFFER;
-      preciseEndTime = Math.max(wordBasedEnd, segmentBasedEnd);
-    }
-
-    // Final safety check: ensure end time is not before segment end
-    preciseEndTime = Math.max(preciseEndTime, segment.end + MIN_END_BUFFER);
-
-    return {
-      startTime: preciseStartTime,
-      endTime: preciseEndTime,
-      duration: preciseEndTime - preciseStartTime
-    };
-  }, []);
+  // Segment timings are computed once per transcript; the active cue is published to
+  // every component that follows playback (transcript, word highlighting)
+  const timeline = useMemo(() => createTimeline(segments), [segments]);
+  const cueStream = useMemo(() => createCueStream(), []);
 
   // Handle time updates to track current segment using enhanced timing boundaries
   const handleTimeUpdate = useCallback(() => {
     if (!playerRef.current || segments.length === 0) return;
 
-    // In repeat mode, NEVER automatically change segments based on time
+    const currentTime = playerRef.current.currentTime();
+    cueStream.update(timeline, currentTime);
+
+    // In repeat and dictation modes, NEVER automatically change segments based on time
     // This prevents unwanted segment switching when user is focused on one segment
-    if (playbackMode === 'repeat') {
+    // An A-B loop may span several segments, so the subtitle has to follow it
+    if (SEGMENT_FOCUSED_MODES.includes(playbackMode) && !abLoopRef.current) {
       return;
     }
 
-    const currentTime = playerRef.current.currentTime();
-    console.log('Time update:', currentTime.toFixed(2), 'Current segment:', currentSegment);
-
-    // Find the segment that contains the current time using enhanced timing boundaries
-    const activeSegment = segments.findIndex((segment) => {
-      const timing = calculatePreciseTiming(segment);
-      return currentTime >= timing.startTime && currentTime <= timing.endTime;
-    });
-
-    // If no segment contains the current time, find the closest one using enhanced boundaries
-    let segmentToShow = activeSegment;
-    if (activeSegment === -1) {
-      // Find the closest segment based on enhanced timing
-      segmentToShow = segments.findIndex((segment, index) => {
-        const timing = calculatePreciseTiming(segment);
-        const nextSegment = segments[index + 1];
-
-        if (nextSegment) {
-          const nextTiming = calculatePreciseTiming(nextSegment);
-          return currentTime >= timing.startTime && currentTime < nextTiming.startTime;
-        } else {
-          // Last segment - check if we're after its enhanced start
-          return currentTime >= timing.startTime;
-        }
-      });
-
-      // If still not found, use the last segment if we're past the end
-      if (segmentToShow === -1) {
-        const lastSegment = segments[segments.length - 1];
-        const lastTiming = calculatePreciseTiming(lastSegment);
-        if (currentTime > lastTiming.endTime) {
-          segmentToShow = segments.length - 1;
-        } else {
-          // Don't default to segment 0 - keep the current segment to prevent jumping
-          segmentToShow = currentSegment >= 0 ? currentSegment : 0;
-        }
-      }
-    }
+    // Segment whose enhanced timing contains the current time, or the last one started;
+    // before the first segment keep the current one to prevent jumping
+    const activeSegment = timeline.findSegmentIndex(currentTime);
+    const segmentToShow = activeSegment !== -1 ? activeSegment : Math.max(currentSegment, 0);
 
     // Update current segment if it has changed (with debounce to prevent rapid switching)
-    if (segmentToShow !== -1 && segmentToShow !== currentSegment) {
+    if (segmentToShow !== currentSegment) {
       // Clear any pending segment change
       if (segmentChangeTimeoutRef.current) {
         clearTimeout(segmentChangeTimeoutRef.current);
@@ -212,57 +211,25 @@ export const ESLVideoPlayer = ({
         }
       }, 250); // Increased debounce to 250ms to reduce rapid changes
     }
-  }, [segments, currentSegment, onProgress, onSegmentChange, playbackMode, manualSegmentSelection]);
+  }, [segments, currentSegment, onProgress, onSegmentChange, playbackMode, timeline, cueStream]);
 
   // Initialize subtitle display based on current video time
   const initializeSubtitleDisplay = useCallback(() => {
     if (!playerRef.current || segments.length === 0) return;
 
-    // In repeat mode, NEVER override the current segment
-    if (playbackMode === 'repeat') {
+    // In repeat and dictation modes, NEVER override the current segment
+    if (SEGMENT_FOCUSED_MODES.includes(playbackMode)) {
       return;
     }
 
     const currentTime = playerRef.current.currentTime();
 
-    // Use the same enhanced timing logic as handleTimeUpdate to prevent mismatches
-    const activeSegment = segments.findIndex((segment) => {
-      const timing = calculatePreciseTiming(segment);
-      return currentTime >= timing.startTime && currentTime <= timing.endTime;
-    });
-
-    // If no segment contains the current time, find the closest one using enhanced boundaries
-    let segmentToShow = activeSegment;
-    if (activeSegment === -1) {
-      // Find the closest segment based on enhanced timing
-      segmentToShow = segments.findIndex((segment, index) => {
-        const timing = calculatePreciseTiming(segment);
-        const nextSegment = segments[index + 1];
-
-        if (nextSegment) {
-          const nextTiming = calculatePreciseTiming(nextSegment);
-          return currentTime >= timing.startTime && currentTime < nextTiming.startTime;
-        } else {
-          // Last segment - check if we're after its enhanced start
-          return currentTime >= timing.startTime;
-        }
-      });
-
-      // If still not found, use the last segment if we're past the end, otherwise keep current segment
-      if (segmentToShow === -1) {
-        const lastSegment = segments[segments.length - 1];
-        const lastTiming = calculatePreciseTiming(lastSegment);
-        if (currentTime > lastTiming.endTime) {
-          segmentToShow = segments.length - 1;
-        } else {
-          // Don't default to segment 0 - keep the current segment to prevent jumping
-          segmentToShow = currentSegment >= 0 ? currentSegment : 0;
-        }
-      }
-    }
+    // Use the same timeline lookup as handleTimeUpdate to prevent mismatches
+    const activeSegment = timeline.findSegmentIndex(currentTime);
+    const segmentToShow = activeSegment !== -1 ? activeSegment : Math.max(currentSegment, 0);
 
     // Only update if we found a valid segment and it's different from current
-    if (segmentToShow !== -1 && segmentToShow !== currentSegment) {
+    if (segmentToShow !== currentSegment) {
       // Add warning if trying to set segment to 0 when we're not near the beginning
       if (segmentToShow === 0 && playerRef.current) {
         const currentTime = playerRef.current.currentTime();
@@ -283,7 +250,7 @@ export const ESLVideoPlayer = ({
     }
 
     console.log('Initialized subtitle display:', segmentToShow, segments[segmentToShow]?.text);
-  }, [segments, currentSegment, onProgress, onSegmentChange, calculatePreciseTiming, playbackMode, manualSegmentSelection]);
+  }, [segments, currentSegment, onProgress, onSegmentChange, timeline, playbackMode, manualSegmentSelection]);
 
   // Initialize subtitle display when segments are loaded
   useEffect(() => {
@@ -314,6 +281,21 @@ export const ESLVideoPlayer = ({
     };
   }, [segments, initializeSubtitleDisplay, handleTimeUpdate]);
 
+  // Start listening-first practice afresh for each file
+  useEffect(() => {
+    setHeardSegments(new Set());
+  }, [mediaFile?.id]);
+
+  // Remember which phrases have been heard in full, for the reveal modes
+  useEffect(() => {
+    const segment = segments[currentSegment];
+    if (!segment || heardSegments.has(currentSegment)) return;
+
+    if (currentTime >= segment.start && hasReachedSegmentEnd(segment, currentTime)) {
+      setHeardSegments(prev => new Set(prev).add(currentSegment));
+    }
+  }, [currentTime, currentSegment, segments, heardSegments]);
+
   // Force subtitle update when current segment changes
   useEffect(() => {
     if (segments.length > 0 && currentSegment >= 0 && currentSegment < segments.length) {
@@ -323,38 +305,6 @@ export const ESLVideoPlayer = ({
     }
   }, [currentSegment, segments]);
 
-  // Keyboard event handler
-  useEffect(() => {
-    const handleKeyPress = (event) => {
-      // Only handle keys if not typing in an input
-      if (['INPUT', 'TEXTAREA'].includes(event.target.tagName)) {
-        return;
-      }
-
-      switch (event.code) {
-        case 'Space':
-          event.preventDefault();
-          togglePlayPause();
-          break;
-        case 'ArrowLeft':
-          event.preventDefault();
-          goToPreviousSegment();
-          break;
-        case 'ArrowRight':
-          event.preventDefault();
-          goToNextSegment();
-          break;
-        default:
-          break;
-      }
-    };
-
-    document.addEventListener('keydown', handleKeyPress);
-    return () => {
-      document.removeEventListener('keydown', handleKeyPress);
-    };
-  }, [currentSegment, segments, playbackMode, isPlaying]);
-
   // Cleanup on unmount
   useEffect(() => {
     return () => {
@@ -367,6 +317,12 @@ export const ESLVideoPlayer = ({
       if (segmentChangeTimeoutRef.current) {
         clearTimeout(segmentChangeTimeoutRef.current);
       }
+      if (clipTimeoutRef.current) {
+        clearTimeout(clipTimeoutRef.current);
+      }
+      if (routineTimeoutRef.current) {
+        clearTimeout(routineTimeoutRef.current);
+      }
     };
   }, []);
 
@@ -414,6 +370,14 @@ export const ESLVideoPlayer = ({
 
   // Handle video end
   const handleVideoEnd = () => {
+    // A loop whose B point sits at the very end never gets crossed, so wrap here
+    if (abLoopRef.current && playerRef.current) {
+      lastLoopCheckTimeRef.current = abLoopRef.current.start;
+      playerRef.current.currentTime(abLoopRef.current.start);
+      playerRef.current.play();
+      return;
+    }
+
     setIsPlaying(false);
     if (playbackMode === 'listen' && currentSegment < segments.length - 1) {
       // Auto-advance to next segment in listen mode
@@ -424,8 +388,17 @@ export const ESLVideoPlayer = ({
     // Note: Removed auto-repeat logic for repeat mode - it should pause at the end
   };
 
-  // Play specific segment by index
-  const playSegment = (segmentIndex) => {
+  // Record a segment play for the statistics page (replays are counted from these)
+  const logSegmentPlay = (segmentIndex, mode = playbackMode) => {
+    logPracticeEvent('segment_play', {
+      segment_index: segmentIndex,
+      segment_start: segments[segmentIndex]?.start ?? null,
+      playback_mode: mode
+    });
+  };
+
+  // Play specific segment by index, timed for `mode` (the current playback mode by default)
+  const playSegment = (segmentIndex, mode = playbackMode) => {
     if (!playerRef.current || segments.length === 0) return;
 
     const segment = segments[segmentIndex];
@@ -436,8 +409,8 @@ export const ESLVideoPlayer = ({
       clearTimeout(segmentTimeoutRef.current);
     }
 
-    // Calculate precise timing for repeat mode, use regular timing for other modes
-    const timing = playbackMode === 'repeat'
+    // Calculate precise timing for segment-focused modes, use regular timing for other modes
+    const timing = SEGMENT_FOCUSED_MODES.includes(mode)
       ? calculatePreciseTiming(segment)
       : {
           startTime: segment.start,
@@ -445,11 +418,12 @@ export const ESLVideoPlayer = ({
           duration: segment.duration
         };
 
-    console.log(`Playing segment ${segmentIndex} in ${playbackMode} mode:`, timing);
+    console.log(`Playing segment ${segmentIndex} in ${mode} mode:`, timing);
 
     // Set player to precise start time
     playerRef.current.currentTime(timing.startTime);
     playerRef.current.play();
+    logSegmentPlay(segmentIndex, mode);
 
     // Use a more reliable approach: check current time periodically instead of relying on timeout duration
     const checkEndTime = () => {
@@ -479,6 +453,169 @@ export const ESLVideoPlayer = ({
     segmentTimeoutRef.current = setTimeout(checkEndTime, 100);
   };
 
+  // Stop a running REPEAT routine and restore the chosen speed
+  const cancelRepeatRoutine = () => {
+    const run = routineRunRef.current;
+    if (!run) return;
+
+    routineRunRef.current = null;
+    clearTimeout(routineTimeoutRef.current);
+    if (segmentTimeoutRef.current) {
+      clearTimeout(segmentTimeoutRef.current);
+    }
+    if (playerRef.current) {
+      playerRef.current.playbackRate(run.baseSpeed);
+    }
+    setRoutineStatus(null);
+  };
+
+  // Play one repeat of a segment as part of the routine, then schedule what comes next
+  const playRoutineRepeat = (run, segmentIndex, repeatIndex) => {
+    const segment = segments[segmentIndex];
+    if (routineRunRef.current !== run || !playerRef.current || !segment || abLoopRef.current) {
+      cancelRepeatRoutine();
+      return;
+    }
+
+    const { settings, baseSpeed } = run;
+    const timing = calculatePreciseTiming(segment);
+
+    if (segmentTimeoutRef.current) {
+      clearTimeout(segmentTimeoutRef.current);
+    }
+
+    playerRef.current.playbackRate(getRepeatPlaybackRate(settings, repeatIndex, baseSpeed));
+    playerRef.current.currentTime(timing.startTime);
+    playerRef.current.play();
+    logSegmentPlay(segmentIndex, 'repeat');
+    setRoutineStatus({ segmentIndex, repeatIndex, repeatCount: settings.repeatCount, phase: 'playing' });
+
+    const checkEndTime = () => {
+      if (!playerRef.current || routineRunRef.current !== run) return;
+
+      if (playerRef.current.currentTime() >= timing.endTime) {
+        playerRef.current.pause();
+        playerRef.current.playbackRate(run.baseSpeed);
+        if (onSegmentComplete) {
+          onSegmentComplete(segmentIndex, segment);
+        }
+        scheduleNextRoutineStep(run, segmentIndex, repeatIndex, timing.duration);
+        return;
+      }
+
+      segmentTimeoutRef.current = setTimeout(checkEndTime, 50);
+    };
+
+    segmentTimeoutRef.current = setTimeout(checkEndTime, 100);
+  };
+
+  // Leave the learner time to speak, then repeat or move on to the next segment
+  const scheduleNextRoutineStep = (run, segmentIndex, repeatIndex, segmentDuration) => {
+    const { settings } = run;
+    const isLastRepeat = repeatIndex + 1 >= settings.repeatCount;
+
+    if (isLastRepeat && (!settings.autoAdvance || segmentIndex >= segments.length - 1)) {
+      cancelRepeatRoutine();
+      return;
+    }
+
+    setRoutineStatus({ segmentIndex, repeatIndex, repeatCount: settings.repeatCount, phase: 'pause' });
+
+    routineTimeoutRef.current = setTimeout(() => {
+      if (routineRunRef.current !== run) return;
+
+      if (!isLastRepeat) {
+        playRoutineRepeat(run, segmentIndex, repeatIndex + 1);
+        return;
+      }
+
+      goToSegment(segmentIndex + 1, true, false);
+      playRoutineRepeat(run, segmentIndex + 1, 0);
+    }, getRepeatPause(settings, segmentDuration) * 1000);
+  };
+
+  // Start the hands-free routine from a segment
+  const startRepeatRoutine = (segmentIndex) => {
+    cancelRepeatRoutine();
+    if (!playerRef.current || !segments[segmentIndex]) return;
+
+    const run = {
+      settings: normalizeRepeatRoutine(repeatRoutineRef.current),
+      baseSpeed: playerRef.current.playbackRate()
+    };
+    routineRunRef.current = run;
+    setManualSegmentSelection(true);
+    playRoutineRepeat(run, segmentIndex, 0);
+  };
+
+  const updateRepeatRoutine = (changes) => {
+    setRepeatRoutine(previous => normalizeRepeatRoutine({ ...previous, ...changes }));
+    if (changes.enabled === false) {
+      cancelRepeatRoutine();
+    }
+  };
+
+  // Play an arbitrary time range as a standalone clip and resolve when it ends,
+  // is paused, or the user seeks away (used by the shadowing recorder and cloze gaps)
+  const playTimeRange = (startTime, endTime) => new Promise((resolve) => {
+    if (!playerRef.current || !(endTime > startTime)) {
+      resolve();
+      return;
+    }
+
+    // Settle any clip that is still running before starting a new one
+    if (clipTimeoutRef.current) {
+      clearTimeout(clipTimeoutRef.current);
+    }
+    if (clipResolveRef.current) {
+      clipResolveRef.current();
+    }
+    if (segmentTimeoutRef.current) {
+      clearTimeout(segmentTimeoutRef.current);
+    }
+
+    const finish = () => {
+      clipTimeoutRef.current = null;
+      clipResolveRef.current = null;
+      resolve();
+    };
+    clipResolveRef.current = finish;
+
+    playerRef.current.currentTime(startTime);
+    playerRef.current.play();
+
+    const checkClipEnd = () => {
+      if (!playerRef.current || clipResolveRef.current !== finish) {
+        finish();
+        return;
+      }
+
+      const time = playerRef.current.currentTime();
+      if (time >= endTime) {
+        playerRef.current.pause();
+        finish();
+        return;
+      }
+      if (playerRef.current.paused() || time < startTime - 0.5) {
+        finish();
+        return;
+      }
+
+      clipTimeoutRef.current = setTimeout(checkClipEnd, 50);
+    };
+
+    clipTimeoutRef.current = setTimeout(checkClipEnd, 150);
+  });
+
+  const playSegmentClip = (segmentIndex) => {
+    const segment = segments[segmentIndex];
+    if (!segment) return Promise.resolve();
+
+    const timing = calculatePreciseTiming(segment);
+    logSegmentPlay(segmentIndex);
+    return playTimeRange(timing.startTime, timing.endTime);
+  };
+
   // Play current segment
   const playCurrentSegment = () => {
     // Add safeguard to prevent playing segment 0 unless we're actually at the beginning
@@ -510,58 +647,57 @@ export const ESLVideoPlayer = ({
   const togglePlayPause = () => {
     if (!playerRef.current) return;
 
-    if (playbackMode === 'normal') {
+    // Play during a role-play turn means the learner has said their line
+    if (rolePlayTurn) {
+      finishRolePlayTurn();
+      return;
+    }
+
+    // Play/pause stops a running routine, including during its speaking pause
+    if (routineRunRef.current) {
+      cancelRepeatRoutine();
+      pauseVideo();
+      return;
+    }
+
+    // An active A-B loop takes over from segment bounds in every mode
+    if (abLoop && !isPlaying) {
+      if (segmentTimeoutRef.current) {
+        clearTimeout(segmentTimeoutRef.current);
+      }
+
+      const time = playerRef.current.currentTime();
+      if (time < abLoop.start || time >= abLoop.end) {
+        playerRef.current.currentTime(abLoop.start);
+        lastLoopCheckTimeRef.current = abLoop.start;
+      }
+      playVideo();
+      return;
+    }
+
+    if (playbackMode === 'normal' || playbackMode === 'roleplay') {
       // Normal video playback - toggle play/pause
       if (isPlaying) {
         pauseVideo();
       } else {
         playVideo();
       }
-    } else if (playbackMode === 'repeat') {
-      // Repeat mode - always restart from beginning of current segment
+    } else if (SEGMENT_FOCUSED_MODES.includes(playbackMode)) {
+      // Repeat and dictation modes - always restart from beginning of current segment
       // This ensures consistent behavior whether paused mid-segment or at the end
       if (isPlaying) {
         pauseVideo();
       } else {
-        // Use the new playback function for consistent REPEAT mode behavior
-        // This matches the behavior when clicking on segments
+        // With the routine enabled, play starts a hands-free drill from this segment
+        if (playbackMode === 'repeat' && repeatRoutine.enabled) {
+          startRepeatRoutine(currentSegment);
+          return;
+        }
+
+        // Same playback path as clicking a segment
         if (currentSegment >= 0 && currentSegment < segments.length) {
           setManualSegmentSelection(true); // Mark as manual selection
-
-          const segment = segments[currentSegment];
-          if (!segment) return;
-
-          // Clear any existing timeout
-          if (segmentTimeoutRef.current) {
-            clearTimeout(segmentTimeoutRef.current);
-          }
-
-          // Calculate timing for repeat mode
-          const timing = calculatePreciseTiming(segment);
-
-          console.log(`Playing segment ${currentSegment} in repeat mode:`, timing);
-
-          // Set player to precise start time
-          playerRef.current.currentTime(timing.startTime);
-          playerRef.current.play();
-
-          // Set up end-time checker
-          const checkEndTime = () => {
-            if (!playerRef.current) return;
-            const currentTime = playerRef.current.currentTime();
-
-            if (currentTime >= timing.endTime) {
-              playerRef.current.pause();
-              if (onSegmentComplete) {
-                onSegmentComplete(currentSegment, segment);
-              }
-              return;
-            }
-
-            segmentTimeoutRef.current = setTimeout(checkEndTime, 50);
-          };
-
-          segmentTimeoutRef.current = setTimeout(checkEndTime, 100);
+          playSegment(currentSegment);
         }
       }
     } else {
@@ -584,8 +720,277 @@ export const ESLVideoPlayer = ({
     }
   };
 
+  // Convert a mouse position on the progress bar to a media time
+  const getTimeFromClientX = useCallback((clientX) => {
+    if (!progressBarRef.current || !duration) return 0;
+
+    const rect = progressBarRef.current.getBoundingClientRect();
+    const percentage = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+    return percentage * duration;
+  }, [duration]);
+
+  // A-B loop controls
+  const updateLoopBound = useCallback((bound, time) => {
+    setAbLoop(prev => (prev ? clampLoopBound(prev, bound, time, duration) : prev));
+  }, [duration]);
+
+  const setLoopPointAtCurrentTime = (bound) => {
+    if (!playerRef.current) return;
+
+    const time = playerRef.current.currentTime();
+
+    if (abLoop) {
+      updateLoopBound(bound, time);
+      return;
+    }
+
+    // Without a loop yet, the other bound defaults to the edge of the current segment
+    const segment = segments[currentSegment];
+    const timing = segment ? calculatePreciseTiming(segment) : null;
+
+    if (bound === 'start') {
+      const end = timing && timing.endTime > time + MIN_LOOP_LENGTH ? timing.endTime : time + 5;
+      setAbLoop({ start: time, end: duration ? Math.min(end, duration) : end });
+    } else {
+      const start = timing && timing.startTime < time - MIN_LOOP_LENGTH ? timing.startTime : Math.max(0, time - 5);
+      setAbLoop({ start, end: time });
+    }
+  };
+
+  const clearLoop = () => {
+    setAbLoop(null);
+    setIsLoopSelectMode(false);
+  };
+
+  const toggleLoopSelectMode = () => {
+    if (abLoop) {
+      clearLoop();
+    } else {
+      setIsLoopSelectMode(!isLoopSelectMode);
+    }
+  };
+
+  const handleLoopHandleKeyDown = (bound) => (e) => {
+    const step = e.shiftKey ? 1 : 0.1;
+    let handled = true;
+
+    switch (e.key) {
+      case 'ArrowLeft':
+      case 'ArrowDown':
+        updateLoopBound(bound, abLoop[bound] - step);
+        break;
+      case 'ArrowRight':
+      case 'ArrowUp':
+        updateLoopBound(bound, abLoop[bound] + step);
+        break;
+      case 'Delete':
+      case 'Backspace':
+        clearLoop();
+        break;
+      default:
+        handled = false;
+    }
+
+    if (handled) {
+      // Keep the player-wide shortcuts from also seeing the arrow keys
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  };
+
+  useEffect(() => {
+    abLoopRef.current = abLoop;
+  }, [abLoop]);
+
+  // The player API closure outlives renders, so it reads routine settings from a ref
+  useEffect(() => {
+    repeatRoutineRef.current = repeatRoutine;
+  }, [repeatRoutine]);
+
+  useEffect(() => {
+    playbackStateRef.current = { currentSegment, playbackMode, playbackSpeed };
+  }, [currentSegment, playbackMode, playbackSpeed]);
+
+  // Log time spent playing, in chunks so long sessions count before the file is closed
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    let chunkStart = Date.now();
+    const logPlayingTime = () => {
+      const now = Date.now();
+      const seconds = (now - chunkStart) / 1000;
+      chunkStart = now;
+      if (seconds < 1) return;
+
+      // The actual rate, which a repeat routine may have slowed down
+      const speed = playerRef.current?.playbackRate() || playbackStateRef.current.playbackSpeed;
+      logPracticeEvent('practice_time', {
+        duration_seconds: Math.round(seconds * 10) / 10,
+        playback_mode: playbackStateRef.current.playbackMode,
+        playback_speed: speed
+      });
+    };
+
+    const interval = setInterval(logPlayingTime, PRACTICE_TIME_CHUNK);
+    return () => {
+      clearInterval(interval);
+      logPlayingTime();
+    };
+  }, [isPlaying, logPracticeEvent]);
+
+  // Wrap playback back to A whenever it runs past B
+  useEffect(() => {
+    if (!abLoop || !isPlaying) return;
+
+    lastLoopCheckTimeRef.current = playerRef.current ? playerRef.current.currentTime() : abLoop.start;
+
+    const loopInterval = setInterval(() => {
+      if (!playerRef.current) return;
+
+      const time = playerRef.current.currentTime();
+
+      // Only wrap when playback crosses B, so seeking outside the loop still works
+      if (lastLoopCheckTimeRef.current < abLoop.end && time >= abLoop.end) {
+        playerRef.current.currentTime(abLoop.start);
+        lastLoopCheckTimeRef.current = abLoop.start;
+        return;
+      }
+
+      lastLoopCheckTimeRef.current = time;
+    }, 50);
+
+    return () => clearInterval(loopInterval);
+  }, [abLoop, isPlaying]);
+
+  // Role-play: the learner's turn ends on its own after a pause sized to the line, or on Continue
+  const finishRolePlayTurn = useCallback(() => {
+    clearInterval(rolePlayRef.current.timer);
+    rolePlayRef.current.timer = null;
+    setRolePlayTurn(null);
+    if (playerRef.current) {
+      playerRef.current.play();
+    }
+  }, []);
+
+  const startRolePlayTurn = useCallback((segmentIndex) => {
+    const endsAt = Date.now() + getRolePlayPause(segments[segmentIndex]) * 1000;
+    const updateTurn = () => {
+      const secondsLeft = (endsAt - Date.now()) / 1000;
+      if (secondsLeft <= 0) {
+        finishRolePlayTurn();
+      } else {
+        setRolePlayTurn({ segmentIndex, secondsLeft });
+      }
+    };
+
+    clearInterval(rolePlayRef.current.timer);
+    rolePlayRef.current.timer = setInterval(updateTurn, 250);
+    updateTurn();
+  }, [segments, finishRolePlayTurn]);
+
+  const stopRolePlay = useCallback(() => {
+    const rolePlay = rolePlayRef.current;
+    clearInterval(rolePlay.timer);
+    rolePlay.timer = null;
+    rolePlay.handledSegment = -1;
+    if (rolePlay.muted && playerRef.current) {
+      playerRef.current.muted(false);
+    }
+    rolePlay.muted = false;
+    setRolePlayTurn(null);
+  }, []);
+
+  // Leaving role-play or switching speaker restores the sound and drops a pending turn
+  useEffect(() => {
+    if (playbackMode !== 'roleplay' || !practiceSpeaker) return;
+    return stopRolePlay;
+  }, [playbackMode, practiceSpeaker, stopRolePlay]);
+
+  // Mute the chosen speaker's lines, pausing at the start of each so the learner can say it first
+  useEffect(() => {
+    if (playbackMode !== 'roleplay' || !practiceSpeaker || !isPlaying) return;
+
+    const rolePlayInterval = setInterval(() => {
+      const player = playerRef.current;
+      if (!player) return;
+
+      // Same lookup as the rest of the player: a phrase starts just before its first word,
+      // and a gap between phrases still counts as the phrase before it
+      const segmentIndex = timeline.findSegmentIndex(player.currentTime());
+      const isOwnLine = segmentIndex !== -1 && segments[segmentIndex].speaker === practiceSpeaker;
+      const rolePlay = rolePlayRef.current;
+
+      if (isOwnLine !== rolePlay.muted) {
+        player.muted(isOwnLine);
+        rolePlay.muted = isOwnLine;
+      }
+
+      if (!isOwnLine) {
+        rolePlay.handledSegment = -1;
+      } else if (rolePlay.handledSegment !== segmentIndex) {
+        rolePlay.handledSegment = segmentIndex;
+        player.pause();
+        player.currentTime(segments[segmentIndex].start);
+        startRolePlayTurn(segmentIndex);
+      }
+    }, 50);
+
+    return () => clearInterval(rolePlayInterval);
+  }, [playbackMode, practiceSpeaker, isPlaying, segments, timeline, startRolePlayTurn]);
+
+  // Global mouse handlers while creating or resizing an A-B loop
+  useEffect(() => {
+    if (!loopDrag) return;
+
+    const handleLoopMouseMove = (e) => {
+      const time = getTimeFromClientX(e.clientX);
+      if (loopDrag.type === 'create') {
+        setAbLoop({
+          start: Math.min(loopDrag.anchor, time),
+          end: Math.max(loopDrag.anchor, time)
+        });
+      } else {
+        updateLoopBound(loopDrag.type, time);
+      }
+    };
+
+    const handleLoopMouseUp = () => {
+      if (loopDrag.type === 'create') {
+        const created = abLoopRef.current;
+        if (created && created.end - created.start >= MIN_LOOP_LENGTH) {
+          // Jump into the new loop so the next play starts at A
+          const time = playerRef.current?.currentTime() ?? 0;
+          if (playerRef.current && (time < created.start || time >= created.end)) {
+            playerRef.current.currentTime(created.start);
+            setCurrentTime(created.start);
+          }
+        } else {
+          setAbLoop(loopDrag.previous);
+        }
+        setIsLoopSelectMode(false);
+      }
+
+      suppressProgressClickRef.current = true;
+      setLoopDrag(null);
+    };
+
+    document.addEventListener('mousemove', handleLoopMouseMove);
+    document.addEventListener('mouseup', handleLoopMouseUp);
+
+    return () => {
+      document.removeEventListener('mousemove', handleLoopMouseMove);
+      document.removeEventListener('mouseup', handleLoopMouseUp);
+    };
+  }, [loopDrag, getTimeFromClientX, updateLoopBound]);
+
   // Progress bar drag functionality
   const handleProgressBarClick = useCallback((e) => {
+    // The click that ends an A-B loop drag must not also seek
+    if (suppressProgressClickRef.current) {
+      suppressProgressClickRef.current = false;
+      return;
+    }
+
     if (!playerRef.current || !duration || isDragging) return;
 
     const rect = e.currentTarget.getBoundingClientRect();
@@ -600,6 +1005,13 @@ export const ESLVideoPlayer = ({
     setCurrentTime(newTime);
   }, [duration, isDragging]);
 
+  // Seek from the waveform timeline
+  const seekToTime = (time) => {
+    if (!playerRef.current) return;
+    playerRef.current.currentTime(time);
+    setCurrentTime(time);
+  };
+
   const handleProgressBarMouseMove = useCallback((e) => {
     if (!isDragging || !playerRef.current || !duration || !progressBarRef.current) return;
 
@@ -621,6 +1033,17 @@ export const ESLVideoPlayer = ({
   const handleProgressBarMouseDown = useCallback((e) => {
     if (!playerRef.current || !duration) return;
 
+    suppressProgressClickRef.current = false;
+
+    // Shift+drag (or a drag after pressing A-B) selects a loop range instead of seeking
+    if (e.shiftKey || isLoopSelectMode) {
+      e.preventDefault();
+      const anchor = getTimeFromClientX(e.clientX);
+      setLoopDrag({ type: 'create', anchor, previous: abLoop });
+      setAbLoop({ start: anchor, end: anchor });
+      return;
+    }
+
     setIsDragging(true);
 
     // Prevent text selection during drag
@@ -628,7 +1051,7 @@ export const ESLVideoPlayer = ({
 
     // Handle the initial click/drag position immediately
     handleProgressBarMouseMove(e);
-  }, [duration, handleProgressBarMouseMove]);
+  }, [duration, handleProgressBarMouseMove, isLoopSelectMode, abLoop, getTimeFromClientX]);
 
   const handleProgressBarMouseUp = useCallback(() => {
     setIsDragging(false);
@@ -707,6 +1130,10 @@ export const ESLVideoPlayer = ({
   const setMode = (mode) => {
     const previousMode = playbackMode;
     setPlaybackMode(mode);
+    cancelRepeatRoutine();
+    if (mode !== previousMode) {
+      logPracticeEvent('mode_change', { playback_mode: mode });
+    }
 
     if (mode === 'listen') {
       setManualSegmentSelection(false); // Reset manual selection flag
@@ -715,8 +1142,20 @@ export const ESLVideoPlayer = ({
       // In repeat mode, just set the manual selection flag
       // Don't automatically play - let the caller handle playback
       setManualSegmentSelection(true); // Set manual selection flag to prevent auto-switching
-    } else if (mode === 'normal' && (previousMode === 'repeat' || previousMode === 'listen')) {
-      // When switching from repeat/listen to normal, pause the video and reset manual selection
+    } else if (mode === 'roleplay') {
+      // Role-play runs like normal playback and needs a speaker to play
+      setManualSegmentSelection(false);
+      if (!practiceSpeaker && speakers.length > 0 && onPracticeSpeakerChange) {
+        onPracticeSpeakerChange(speakers[0]);
+      }
+    } else if (mode === 'dictation') {
+      // Dictation stays on the current segment and waits for the learner to press play
+      setManualSegmentSelection(true);
+      if (playerRef.current) {
+        playerRef.current.pause();
+      }
+    } else if (mode === 'normal' && previousMode !== 'normal') {
+      // When switching from an ESL mode to normal, pause the video and reset manual selection
       setManualSegmentSelection(false);
       if (playerRef.current) {
         playerRef.current.pause();
@@ -727,31 +1166,52 @@ export const ESLVideoPlayer = ({
   // Navigation controls
   const goToPreviousSegment = (e) => {
     e?.preventDefault?.();
-    // In REPEAT mode, arrow keys should navigate and auto-play the new segment
-    if (playbackMode === 'repeat') {
-      goToSegment(currentSegment - 1, true, true); // manual selection + auto-play
+    const previousIndex = findAdjacentSegment(segments, currentSegment, -1, practiceSpeaker);
+    if (previousIndex === -1) return;
+
+    // A running routine carries on from the new segment
+    if (routineRunRef.current) {
+      goToSegment(previousIndex, true, false);
+      startRepeatRoutine(previousIndex);
+      return;
+    }
+    // In REPEAT and DICTATION modes, arrow keys should navigate and auto-play the new segment
+    if (SEGMENT_FOCUSED_MODES.includes(playbackMode)) {
+      goToSegment(previousIndex, true, true); // manual selection + auto-play
     } else {
       // In other modes, reset manual selection to allow normal progression
       setManualSegmentSelection(false);
-      goToSegment(currentSegment - 1, false, false);
+      goToSegment(previousIndex, false, false);
     }
   };
 
   const goToNextSegment = (e) => {
     e?.preventDefault?.();
-    // In REPEAT mode, arrow keys should navigate and auto-play the new segment
-    if (playbackMode === 'repeat') {
-      goToSegment(currentSegment + 1, true, true); // manual selection + auto-play
+    const nextIndex = findAdjacentSegment(segments, currentSegment, 1, practiceSpeaker);
+    if (nextIndex === -1) return;
+
+    // A running routine carries on from the new segment
+    if (routineRunRef.current) {
+      goToSegment(nextIndex, true, false);
+      startRepeatRoutine(nextIndex);
+      return;
+    }
+    // In REPEAT and DICTATION modes, arrow keys should navigate and auto-play the new segment
+    if (SEGMENT_FOCUSED_MODES.includes(playbackMode)) {
+      goToSegment(nextIndex, true, true); // manual selection + auto-play
     } else {
       // In other modes, reset manual selection to allow normal progression
       setManualSegmentSelection(false);
-      goToSegment(currentSegment + 1, false, false);
+      goToSegment(nextIndex, false, false);
     }
   };
 
   // Speed control
   const changeSpeed = (speed) => {
     setPlaybackSpeed(speed);
+    if (routineRunRef.current) {
+      routineRunRef.current.baseSpeed = speed;
+    }
     if (playerRef.current) {
       playerRef.current.playbackRate(speed);
     }
@@ -784,84 +1244,165 @@ export const ESLVideoPlayer = ({
     }
   };
 
+  // Dictation scoring
+  const submitDictation = (typedText) => {
+    const segment = segments[currentSegment];
+    if (!segment || !typedText.trim()) return;
+
+    setDictationResults(prev => ({
+      ...prev,
+      [currentSegment]: { ...alignDictation(segment.text, typedText), typedText }
+    }));
+  };
+
+  const resetDictationSession = () => {
+    setDictationResults({});
+  };
+
+  // Play a segment picked outside the player (transcript, dictation); `forceMode` times it
+  // for that mode instead of the current one
+  const playSegmentByIndex = (segmentIndex, forceMode = null) => {
+    if (segmentIndex < 0 || segmentIndex >= segments.length) return;
+
+    setCurrentSegment(segmentIndex);
+    setManualSegmentSelection(true); // Mark as manual selection
+    const mode = forceMode || playbackMode;
+
+    // Clicking a segment with the routine enabled starts the drill there
+    if (mode === 'repeat' && repeatRoutineRef.current.enabled) {
+      navigateToSegmentStart(segmentIndex);
+      startRepeatRoutine(segmentIndex);
+      return;
+    }
+
+    playSegment(segmentIndex, mode);
+  };
+
+  // Put the player back where getPlaybackState left it, without starting playback
+  const restorePlaybackState = (state) => {
+    if (!playerRef.current) return false;
+
+    const mode = state.playback_mode || 'normal';
+    cancelRepeatRoutine();
+    setPlaybackMode(mode);
+    setManualSegmentSelection(SEGMENT_FOCUSED_MODES.includes(mode));
+    changeSpeed(state.playback_speed || 1);
+
+    if (state.segment_index >= 0 && state.segment_index < segments.length) {
+      setCurrentSegment(state.segment_index);
+      if (onSegmentChange) {
+        onSegmentChange(state.segment_index, segments[state.segment_index]);
+      }
+    }
+
+    playerRef.current.currentTime(state.position);
+    setCurrentTime(state.position);
+    return true;
+  };
+
+  // The API handed to the parent outlives renders, so it calls the latest functions through a ref
+  useEffect(() => {
+    playerActionsRef.current = {
+      playSegmentByIndex,
+      playCurrentSegment,
+      goToSegment,
+      setMode,
+      playTimeRange,
+      restorePlaybackState
+    };
+  });
+
   // Expose functions to parent component through callback
   useEffect(() => {
     if (onPlayerReady) {
+      const actions = playerActionsRef;
       onPlayerReady({
-        playSegmentByIndex: (segmentIndex, forceMode = null) => {
-          if (segmentIndex >= 0 && segmentIndex < segments.length) {
-            setCurrentSegment(segmentIndex);
-            setManualSegmentSelection(true); // Mark as manual selection
-
-            // If a mode is forced, use it temporarily for this playback
-            const modeToUse = forceMode || playbackMode;
-
-            setTimeout(() => {
-              // Navigate to enhanced start position then play
-              navigateToSegmentStart(segmentIndex);
-
-              // Use the specified mode for timing calculation
-              const segment = segments[segmentIndex];
-              if (!segment) return;
-
-              // Clear any existing timeout
-              if (segmentTimeoutRef.current) {
-                clearTimeout(segmentTimeoutRef.current);
-              }
-
-              // Calculate timing based on the mode to use
-              const timing = modeToUse === 'repeat'
-                ? calculatePreciseTiming(segment)
-                : {
-                    startTime: segment.start,
-                    endTime: segment.end,
-                    duration: segment.duration
-                  };
-
-              console.log(`Playing segment ${segmentIndex} in ${modeToUse} mode:`, timing);
-
-              // Set player to precise start time
-              playerRef.current.currentTime(timing.startTime);
-              playerRef.current.play();
-
-              // Set up end-time checker
-              const checkEndTime = () => {
-                if (!playerRef.current) return;
-                const currentTime = playerRef.current.currentTime();
-
-                if (currentTime >= timing.endTime) {
-                  playerRef.current.pause();
-                  if (onSegmentComplete) {
-                    onSegmentComplete(segmentIndex, segment);
-                  }
-                  return;
-                }
-
-                segmentTimeoutRef.current = setTimeout(checkEndTime, 50);
-              };
-
-              segmentTimeoutRef.current = setTimeout(checkEndTime, 100);
-            }, 100);
-          }
-        },
-        playCurrentSegment: () => {
-          playCurrentSegment();
-        },
-        goToSegment: (segmentIndex, isManualSelection = false, autoPlay = false) => {
-          goToSegment(segmentIndex, isManualSelection, autoPlay);
-        },
-        setMode: (mode) => {
-          setMode(mode);
+        playSegmentByIndex: (segmentIndex, forceMode = null) =>
+          actions.current.playSegmentByIndex(segmentIndex, forceMode),
+        playCurrentSegment: () => actions.current.playCurrentSegment(),
+        goToSegment: (segmentIndex, isManualSelection = false, autoPlay = false) =>
+          actions.current.goToSegment(segmentIndex, isManualSelection, autoPlay),
+        setMode: (mode) => actions.current.setMode(mode),
+        playTimeRange: (startTime, endTime) => actions.current.playTimeRange(startTime, endTime),
+        // Where the learner is, for resuming later; null until the player is ready
+        getPlaybackState: () => {
+          const player = playerRef.current;
+          if (!player) return null;
+
+          const { currentSegment, playbackMode, playbackSpeed } = playbackStateRef.current;
+          return {
+            position: player.currentTime() || 0,
+            duration: player.duration() || null,
+            segment_index: currentSegment,
+            playback_mode: playbackMode,
+            playback_speed: playbackSpeed
+          };
         },
-        // Expose player reference for TranscriptPanel
+        restorePlaybackState: (state) => actions.current.restorePlaybackState(state),
+        // Expose player reference and the active cue for TranscriptPanel
         playerRef: playerRef,
+        cueStream,
         showWordHighlighting: false
       });
     }
-  }, [segments, onPlayerReady]);
+  }, [onPlayerReady, cueStream]);
+
+  // Keyboard shortcuts (bindings are configurable in Settings)
+  // Chapter navigation; "previous" first goes back to the start of the current chapter
+  const currentChapterIndex = chapters ? findChapterIndex(chapters, currentTime) : -1;
+  const currentChapter = chapters?.[currentChapterIndex] || null;
+
+  const goToChapter = (chapterIndex) => {
+    const chapter = chapters?.[chapterIndex];
+    if (!chapter || segments.length === 0) return;
+
+    cancelRepeatRoutine();
+    goToSegment(findChapterSegmentIndex(segments, chapter), SEGMENT_FOCUSED_MODES.includes(playbackMode), false);
+  };
+
+  const goToPreviousChapter = () => {
+    const restartCurrent = currentChapter && currentTime - currentChapter.start > CHAPTER_RESTART_THRESHOLD;
+    goToChapter(restartCurrent ? currentChapterIndex : currentChapterIndex - 1);
+  };
+
+  const goToNextChapter = () => {
+    goToChapter(currentChapterIndex + 1);
+  };
+
+  useShortcuts({
+    'player.togglePlay': togglePlayPause,
+    'player.previousSegment': goToPreviousSegment,
+    'player.nextSegment': goToNextSegment,
+    'player.previousChapter': goToPreviousChapter,
+    'player.nextChapter': goToNextChapter,
+    'player.setLoopStart': () => setLoopPointAtCurrentTime('start'),
+    'player.setLoopEnd': () => setLoopPointAtCurrentTime('end'),
+    'player.clearLoop': clearLoop,
+  });
+
+  const subtitleStyle = normalizeSubtitleStyle(storedSubtitleStyle);
+  const subtitleStyles = getSubtitleStyles(subtitleStyle);
 
   // Get current segment data with fallback
   const currentSegmentData = segments[currentSegment] || (segments.length > 0 ? segments[0] : null);
+  const currentTranslation = translationDisplay !== 'off' && currentSegmentData
+    ? translationLines?.[currentSegmentData.id] || ''
+    : '';
+
+  // Subtitle reveal mode, chosen per file
+  const revealMode = (mediaFile && revealModesByFile[mediaFile.id]) || DEFAULT_REVEAL_MODE;
+  const isCurrentSegmentHeard = !!currentSegmentData && heardSegments.has(currentSegmentData.id);
+  const isBlurred = revealMode === 'blur';
+  const isWaitingForEnd = (revealMode === 'after' ||
+    (revealMode === 'progressive' && !hasWordTimings(currentSegmentData))) && !isCurrentSegmentHeard;
+  const spokenWordCount = revealMode === 'progressive' && !isCurrentSegmentHeard && hasWordTimings(currentSegmentData)
+    ? countSpokenWords(currentSegmentData.words, currentTime)
+    : null;
+
+  const setRevealMode = (mode) => {
+    if (!mediaFile) return;
+    setRevealModesByFile(prev => ({ ...prev, [mediaFile.id]: mode }));
+  };
 
   return (
     <div className={`esl-video-player ${className} h-full flex flex-col`}>
@@ -876,12 +1417,47 @@ export const ESLVideoPlayer = ({
         />
 
         {/* Clean Subtitle Overlay - Only subtitles on video */}
-        {showTranscript && segments.length > 0 && currentSegmentData && (
-          <div className="absolute bottom-20 left-1/2 transform -translate-x-1/2 w-full max-w-4xl px-6 pointer-events-none z-10">
-            <div className="bg-black/80 backdrop-blur-sm rounded-xl px-8 py-4 text-center shadow-2xl border border-white/10">
-              <p className="text-xl md:text-2xl leading-relaxed text-white font-medium tracking-wide break-words whitespace-pre-wrap">
-                {currentSegmentData.text}
+        {showTranscript && playbackMode !== 'dictation' && segments.length > 0 && currentSegmentData && (
+          <div
+            className="absolute left-1/2 transform -translate-x-1/2 w-full max-w-4xl px-6 pointer-events-none z-10"
+            style={subtitleStyles.container}
+          >
+            <div
+              className={`rounded-xl px-8 py-4 text-center ${
+                subtitleStyle.backgroundOpacity > 0 ? 'backdrop-blur-sm shadow-2xl border border-white/10' : ''
+              } ${isBlurred || (currentTranslation && translationDisplay === 'hover') ? 'group pointer-events-auto' : ''}`}
+              style={subtitleStyles.box}
+            >
+              <p
+                className={`leading-relaxed font-medium tracking-wide break-words whitespace-pre-wrap ${
+                  isBlurred ? 'blur-md group-hover:blur-none transition-[filter] duration-200' : ''
+                }`}
+                style={subtitleStyles.text}
+              >
+                {isWaitingForEnd ? (
+                  <span className="italic opacity-60">🎧 Listen first…</span>
+                ) : spokenWordCount !== null ? (
+                  // Unspoken words keep their space so the line does not jump
+                  currentSegmentData.words.map((word, index) => (
+                    <span key={index} style={{ visibility: index < spokenWordCount ? 'visible' : 'hidden' }}>
+                      {index > 0 ? ' ' : ''}{word.word}
+                    </span>
+                  ))
+                ) : (
+                  currentSegmentData.text
+                )}
               </p>
+              {/* Translation line, smaller and under the original */}
+              {currentTranslation && !isWaitingForEnd && spokenWordCount === null && (
+                <p
+                  className={`mt-2 leading-snug opacity-80 break-words whitespace-pre-wrap ${
+                    translationDisplay === 'hover' ? 'hidden group-hover:block' : ''
+                  } ${isBlurred ? 'blur-md group-hover:blur-none' : ''}`}
+                  style={{ ...subtitleStyles.text, fontSize: `${Math.round(subtitleStyle.fontSize * 0.75)}px` }}
+                >
+                  {currentTranslation}
+                </p>
+              )}
             </div>
           </div>
         )}
@@ -890,19 +1466,97 @@ export const ESLVideoPlayer = ({
       {/* Modern Control Panel - Completely rebuilt */}
       <div className="bg-slate-800 rounded-2xl shadow-xl border border-slate-700 overflow-hidden mt-3 flex-shrink-0">
         <div className="p-4 space-y-3">
+          {/* Current chapter with chapter navigation */}
+          {chapters && chapters.length > 1 && (
+            <div className="flex items-center gap-2 text-xs text-gray-300">
+              <button
+                onClick={goToPreviousChapter}
+                className="px-1.5 text-gray-400 hover:text-white"
+                title="Previous chapter"
+              >
+                ‹
+              </button>
+              <span className="truncate">
+                <span className="text-gray-500">
+                  Chapter {Math.max(1, currentChapterIndex + 1)}/{chapters.length}
+                </span>
+                {currentChapter?.title && <> · {currentChapter.title}</>}
+              </span>
+              <button
+                onClick={goToNextChapter}
+                disabled={currentChapterIndex >= chapters.length - 1}
+                className="px-1.5 text-gray-400 hover:text-white disabled:opacity-30"
+                title="Next chapter"
+              >
+                ›
+              </button>
+            </div>
+          )}
+
           {/* Progress Bar Section - Standalone */}
           <div className="w-full">
             <div
               ref={progressBarRef}
-              className={`modern-progress-track ${isDragging ? 'dragging' : ''}`}
+              className={`modern-progress-track ${isDragging ? 'dragging' : ''} ${isLoopSelectMode ? 'loop-select' : ''}`}
               onClick={handleProgressBarClick}
               onMouseDown={handleProgressBarMouseDown}
+              title={isLoopSelectMode ? 'Drag to select the A-B loop' : 'Shift+drag to select an A-B loop'}
             >
               {/* Buffered Progress */}
               <div
                 className="modern-buffered-progress"
                 style={{ width: `${duration ? (buffered / duration) * 100 : 0}%` }}
               />
+              {/* A-B Loop Range */}
+              {abLoop && duration > 0 && (
+                <>
+                  <div
+                    className="modern-loop-range"
+                    style={{
+                      left: `${(abLoop.start / duration) * 100}%`,
+                      width: `${((abLoop.end - abLoop.start) / duration) * 100}%`
+                    }}
+                  />
+                  {['start', 'end'].map((bound) => (
+                    <div
+                      key={bound}
+                      role="slider"
+                      tabIndex={0}
+                      aria-label={bound === 'start' ? 'Loop start (A)' : 'Loop end (B)'}
+                      aria-valuemin={0}
+                      aria-valuemax={Math.round(duration)}
+                      aria-valuenow={Math.round(abLoop[bound])}
+                      aria-valuetext={formatTime(abLoop[bound])}
+                      title={`${bound === 'start' ? 'A' : 'B'}: ${formatTime(abLoop[bound])} (arrow keys to adjust)`}
+                      className="modern-loop-handle"
+                      style={{ left: `${(abLoop[bound] / duration) * 100}%` }}
+                      onMouseDown={(e) => {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        setLoopDrag({ type: bound });
+                      }}
+                      onClick={(e) => e.stopPropagation()}
+                      onKeyDown={handleLoopHandleKeyDown(bound)}
+                    />
+                  ))}
+                </>
+              )}
+              {/* Chapter starts */}
+              {chapters && duration > 0 && chapters.map((chapter, index) => (
+                index > 0 && chapter.start < duration && (
+                  <div
+                    key={chapter.start}
+                    className="modern-chapter-marker"
+                    style={{ left: `${(chapter.start / duration) * 100}%` }}
+                    title={`${formatTime(chapter.start)} ${chapter.title}`}
+                    onMouseDown={(e) => e.stopPropagation()}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      goToChapter(index);
+                    }}
+                  />
+                )
+              ))}
               {/* Play Progress */}
               <div
                 className="modern-play-progress"
@@ -916,6 +1570,18 @@ export const ESLVideoPlayer = ({
             </div>
           </div>
 
+          {/* Waveform with segment boundaries and speaker changes */}
+          {showWaveform && mediaFile && (
+            <WaveformTimeline
+              audioUrl={mediaAPI.getAudioFileUrl(mediaFile.id)}
+              duration={duration}
+              currentTime={currentTime}
+              segments={segments}
+              currentSegment={currentSegment}
+              onSeek={seekToTime}
+            />
+          )}
+
           {/* Control Buttons Row - Properly sized and spaced */}
           <div className="flex items-center justify-between h-10">
             {/* Left Side - Navigation Controls */}
@@ -925,7 +1591,7 @@ export const ESLVideoPlayer = ({
                   e.preventDefault();
                   goToPreviousSegment(e);
                 }}
-                disabled={currentSegment === 0}
+                disabled={findAdjacentSegment(segments, currentSegment, -1, practiceSpeaker) === -1}
                 className="modern-control-btn"
                 title="Previous Phrase"
               >
@@ -959,7 +1625,7 @@ export const ESLVideoPlayer = ({
                   e.preventDefault();
                   goToNextSegment(e);
                 }}
-                disabled={currentSegment === segments.length - 1}
+                disabled={findAdjacentSegment(segments, currentSegment, 1, practiceSpeaker) === -1}
                 className="modern-control-btn"
                 title="Next Phrase"
               >
@@ -1010,6 +1676,47 @@ export const ESLVideoPlayer = ({
                 >
                   REPEAT
                 </button>
+                <button
+                  onClick={() => setMode(playbackMode === 'dictation' ? 'normal' : 'dictation')}
+                  className={`modern-mode-btn ${
+                    playbackMode === 'dictation'
+                      ? 'bg-purple-600 text-white shadow-lg'
+                      : 'bg-slate-700 text-gray-300 hover:bg-slate-600'
+                  }`}
+                  title="Type what you hear, then check it word by word"
+                >
+                  DICTATION
+                </button>
+                {speakers.length > 1 && (
+                  <button
+                    onClick={() => setMode(playbackMode === 'roleplay' ? 'normal' : 'roleplay')}
+                    className={`modern-mode-btn ${
+                      playbackMode === 'roleplay'
+                        ? 'bg-teal-600 text-white shadow-lg'
+                        : 'bg-slate-700 text-gray-300 hover:bg-slate-600'
+                    }`}
+                    title="Take one speaker's part: their lines are muted and you say them"
+                  >
+                    ROLE-PLAY
+                  </button>
+                )}
+                <button
+                  onClick={toggleLoopSelectMode}
+                  className={`modern-mode-btn ${
+                    abLoop
+                      ? 'bg-amber-500 text-white shadow-lg'
+                      : isLoopSelectMode
+                        ? 'bg-amber-700 text-white animate-pulse'
+                        : 'bg-slate-700 text-gray-300 hover:bg-slate-600'
+                  }`}
+                  title={
+                    abLoop
+                      ? `Looping ${formatTime(abLoop.start)} - ${formatTime(abLoop.end)} (click or \\ to clear)`
+                      : 'Set an A-B loop: drag on the progress bar, or press [ and ]'
+                  }
+                >
+                  A-B
+                </button>
               </div>
 
               {/* Time Display */}
@@ -1057,7 +1764,11 @@ export const ESLVideoPlayer = ({
               {/* Playback Speed */}
               <select
                 value={playbackSpeed}
-                onChange={(e) => changeSpeed(parseFloat(e.target.value))}
+                onChange={(e) => {
+                  const speed = parseFloat(e.target.value);
+                  changeSpeed(speed);
+                  logPracticeEvent('speed_change', { playback_speed: speed, playback_mode: playbackMode });
+                }}
                 className="modern-speed-dropdown"
               >
                 <option value={0.5} className="text-black">0.5x</option>
@@ -1067,6 +1778,54 @@ export const ESLVideoPlayer = ({
                 <option value={1.5} className="text-black">1.5x</option>
               </select>
 
+              {/* Study Later Toggle */}
+              {onToggleStudySegment && (
+                <button
+                  onClick={() => onToggleStudySegment(currentSegment)}
+                  disabled={!currentSegmentData}
+                  className={`modern-control-btn ${
+                    studySegmentIndexes?.has(currentSegment)
+                      ? 'bg-amber-500 hover:bg-amber-600 shadow-lg'
+                      : ''
+                  }`}
+                  title={studySegmentIndexes?.has(currentSegment) ? 'Remove from review' : 'Study this phrase later'}
+                >
+                  <svg className="w-4 h-4" fill={studySegmentIndexes?.has(currentSegment) ? 'currentColor' : 'none'} stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z" />
+                  </svg>
+                </button>
+              )}
+
+              {/* Shadowing Recorder Toggle */}
+              <button
+                onClick={() => setShowRecorder(!showRecorder)}
+                className={`modern-control-btn ${
+                  showRecorder
+                    ? 'bg-red-600 hover:bg-red-700 shadow-lg'
+                    : ''
+                }`}
+                title="Shadowing Recorder"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 11a7 7 0 01-7 7m0 0a7 7 0 01-7-7m7 7v4m0 0H8m4 0h4m-4-8a3 3 0 01-3-3V5a3 3 0 116 0v6a3 3 0 01-3 3z" />
+                </svg>
+              </button>
+
+              {/* Waveform Toggle */}
+              <button
+                onClick={() => setShowWaveform(!showWaveform)}
+                className={`modern-control-btn ${
+                  showWaveform
+                    ? 'bg-blue-600 hover:bg-blue-700 shadow-lg'
+                    : ''
+                }`}
+                title="Toggle Waveform"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 12h2M7 8v8M11 4v16M15 10v4M19 6v12" />
+                </svg>
+              </button>
+
               {/* Subtitle Toggle */}
               <button
                 onClick={() => setShowTranscript(!showTranscript)}
@@ -1082,6 +1841,31 @@ export const ESLVideoPlayer = ({
                 </svg>
               </button>
 
+              {/* Subtitle Reveal Mode (saved for this file) */}
+              <select
+                value={revealMode}
+                onChange={(e) => setRevealMode(e.target.value)}
+                className="modern-speed-dropdown"
+                title="How subtitles are revealed for this file"
+              >
+                {SUBTITLE_REVEAL_MODES.map(mode => (
+                  <option key={mode.value} value={mode.value} className="text-black">{mode.label}</option>
+                ))}
+              </select>
+
+              {/* Subtitle Style */}
+              <button
+                onClick={() => setShowSubtitleSettings(!showSubtitleSettings)}
+                className={`modern-control-btn ${
+                  showSubtitleSettings
+                    ? 'bg-blue-600 hover:bg-blue-700 shadow-lg'
+                    : ''
+                }`}
+                title="Subtitle Style"
+              >
+                <span className="text-xs font-bold">Aa</span>
+              </button>
+
               {/* Fullscreen */}
               <button
                 className="modern-control-btn"
@@ -1093,6 +1877,63 @@ export const ESLVideoPlayer = ({
               </button>
             </div>
           </div>
+
+          {/* Dictation exercise for the current segment */}
+          {playbackMode === 'dictation' && currentSegmentData && (
+            <DictationPanel
+              key={currentSegment}
+              segmentIndex={currentSegment}
+              segmentCount={segments.length}
+              result={dictationResults[currentSegment]}
+              sessionSummary={summarizeDictation(dictationResults)}
+              onSubmit={submitDictation}
+              onReplay={() => playSegment(currentSegment)}
+              onNext={() => goToSegment(currentSegment + 1, true, true)}
+              onResetSession={resetDictationSession}
+            />
+          )}
+
+          {/* Subtitle appearance; changes show on the video straight away */}
+          {showSubtitleSettings && (
+            <SubtitleSettingsPanel
+              subtitleStyle={subtitleStyle}
+              onChange={(changes) => setSubtitleStyle(previous => ({ ...previous, ...changes }))}
+              onReset={() => setSubtitleStyle(DEFAULT_SUBTITLE_STYLE)}
+            />
+          )}
+
+          {/* Hands-free repetition routine */}
+          {playbackMode === 'repeat' && (
+            <RepeatRoutinePanel
+              routine={repeatRoutine}
+              status={routineStatus}
+              segmentCount={segments.length}
+              onChange={updateRepeatRoutine}
+              onStart={() => startRepeatRoutine(currentSegment)}
+              onStop={cancelRepeatRoutine}
+            />
+          )}
+
+          {/* Speaker role-play */}
+          {playbackMode === 'roleplay' && (
+            <RolePlayPanel
+              speakers={speakers}
+              speaker={practiceSpeaker}
+              onSpeakerChange={onPracticeSpeakerChange}
+              turn={rolePlayTurn}
+              onContinue={finishRolePlayTurn}
+            />
+          )}
+
+          {/* Shadowing Recorder for the current segment */}
+          {showRecorder && currentSegmentData && (
+            <ShadowingRecorder
+              mediaFileId={mediaFile?.id}
+              segmentIndex={segments[currentSegment] ? currentSegment : 0}
+              segment={currentSegmentData}
+              onPlayOriginal={() => playSegmentClip(segments[currentSegment] ? currentSegment : 0)}
+            />
+          )}
         </div>
       </div>
     </div>
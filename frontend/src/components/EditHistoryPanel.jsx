@@ -0,0 +1,73 @@
+import { useState } from 'react';
+import { useShortcutSettings } from '../hooks/useShortcuts';
+import { formatCombo } from '../utils/shortcuts';
+import { canUndo, canRedo } from '../utils/editHistory';
+
+const formatClock = (time) =>
+  new Date(time).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', second: '2-digit' });
+
+// Undo/redo buttons and the list of edits made in the transcript editor
+export const EditHistoryPanel = ({ history, onUndo, onRedo, onJump }) => {
+  const { bindings } = useShortcutSettings();
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (!history) return null;
+
+  const changeCount = history.entries.length - 1;
+
+  return (
+    <div className="relative flex items-center gap-1">
+      <button
+        onClick={onUndo}
+        disabled={!canUndo(history)}
+        className="px-2 py-1 text-xs font-medium rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed"
+        title={`Undo (${formatCombo(bindings['transcript.undo'])})`}
+      >
+        ↶
+      </button>
+      <button
+        onClick={onRedo}
+        disabled={!canRedo(history)}
+        className="px-2 py-1 text-xs font-medium rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed"
+        title={`Redo (${formatCombo(bindings['transcript.redo'])})`}
+      >
+        ↷
+      </button>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="px-2 py-1 text-xs font-medium rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200"
+        aria-expanded={isOpen}
+        title="Edit history"
+      >
+        History ({changeCount})
+      </button>
+
+      {isOpen && (
+        <div className="absolute left-0 top-full mt-1 w-72 max-h-72 overflow-y-auto bg-white border border-gray-200 rounded-lg shadow-lg z-20 py-1">
+          {[...history.entries].reverse().map((entry, reversedIndex) => {
+            const position = history.entries.length - 1 - reversedIndex;
+            const isCurrent = position === history.position;
+            const isUndone = position > history.position;
+
+            return (
+              <button
+                key={`${position}-${entry.time}`}
+                onClick={() => onJump(position)}
+                className={`w-full flex items-center justify-between gap-2 px-3 py-1.5 text-left text-xs ${
+                  isCurrent ? 'bg-blue-50 text-blue-700 font-medium' : 'hover:bg-gray-50'
+                } ${isUndone ? 'text-gray-400 italic' : 'text-gray-700'}`}
+                title={isUndone ? 'Redo up to this change' : 'Go back to this point'}
+              >
+                <span className="truncate">
+                  {entry.label}
+                  {position === history.savedPosition && <span className="ml-1 text-green-600 not-italic">(saved)</span>}
+                </span>
+                <span className="flex-shrink-0 text-gray-400">{formatClock(entry.time)}</span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,150 @@
+import { useState } from 'react';
+
+const OPTION_TOGGLES = [
+  { key: 'caseSensitive', label: 'Aa', title: 'Match case' },
+  { key: 'wholeWord', label: 'W', title: 'Whole words only' },
+  { key: 'regex', label: '.*', title: 'Regular expression ($1 etc. can be used in the replacement)' },
+];
+
+// Search box with match navigation, search options and (in edit mode) replace
+export const FindReplacePanel = ({
+  searchTerm,
+  onSearchTermChange,
+  options,
+  onOptionsChange,
+  error,
+  matchCount,
+  currentMatchIndex,
+  onPrevious,
+  onNext,
+  canReplace,
+  onReplace,
+  onReplaceAll
+}) => {
+  const [showReplace, setShowReplace] = useState(false);
+  const [replacement, setReplacement] = useState('');
+
+  const hasMatches = matchCount > 0;
+
+  return (
+    <div className="mb-4 space-y-2">
+      <div className="flex items-center gap-2">
+        <div className="relative flex-1">
+          <input
+            type="text"
+            placeholder="Search transcript..."
+            value={searchTerm}
+            onChange={(e) => onSearchTermChange(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && hasMatches) {
+                e.preventDefault();
+                if (e.shiftKey) onPrevious();
+                else onNext();
+              }
+            }}
+            className={`w-full px-4 py-2 pl-10 pr-24 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm ${
+              error ? 'border-red-400' : 'border-gray-300'
+            }`}
+          />
+          <div className="absolute left-3 top-2.5 text-gray-400">
+            🔍
+          </div>
+          {searchTerm && (
+            <div className="absolute right-3 top-2 flex items-center gap-2 text-xs text-gray-500">
+              <span>{hasMatches ? `${currentMatchIndex + 1}/${matchCount}` : '0/0'}</span>
+              <button
+                onClick={() => onSearchTermChange('')}
+                className="text-sm text-gray-400 hover:text-gray-600"
+                title="Clear search"
+              >
+                ✕
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div className="flex items-center gap-0.5">
+          {OPTION_TOGGLES.map(toggle => (
+            <button
+              key={toggle.key}
+              onClick={() => onOptionsChange({ ...options, [toggle.key]: !options[toggle.key] })}
+              className={`w-7 h-7 text-xs font-mono rounded ${
+                options[toggle.key] ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+              }`}
+              aria-pressed={options[toggle.key]}
+              title={toggle.title}
+            >
+              {toggle.label}
+            </button>
+          ))}
+          <button
+            onClick={onPrevious}
+            disabled={!hasMatches}
+            className="w-7 h-7 text-xs rounded bg-gray-100 text-gray-600 hover:bg-gray-200 disabled:opacity-40"
+            title="Previous match (Shift+Enter)"
+          >
+            ↑
+          </button>
+          <button
+            onClick={onNext}
+            disabled={!hasMatches}
+            className="w-7 h-7 text-xs rounded bg-gray-100 text-gray-600 hover:bg-gray-200 disabled:opacity-40"
+            title="Next match (Enter)"
+          >
+            ↓
+          </button>
+          {canReplace && (
+            <button
+              onClick={() => setShowReplace(!showReplace)}
+              className={`w-7 h-7 text-xs rounded ${
+                showReplace ? 'bg-blue-100 text-blue-700' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+              }`}
+              aria-expanded={showReplace}
+              title="Replace"
+            >
+              ⇄
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <p className="text-xs text-red-600">{error}</p>
+      )}
+
+      {canReplace && showReplace && (
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            placeholder="Replace with..."
+            value={replacement}
+            onChange={(e) => setReplacement(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && hasMatches) {
+                e.preventDefault();
+                onReplace(replacement);
+              }
+            }}
+            className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+          />
+          <button
+            onClick={() => onReplace(replacement)}
+            disabled={!hasMatches}
+            className="px-3 py-2 text-xs font-medium rounded-md bg-blue-100 text-blue-700 hover:bg-blue-200 disabled:opacity-50"
+            title="Replace the current match"
+          >
+            Replace
+          </button>
+          <button
+            onClick={() => onReplaceAll(replacement)}
+            disabled={!hasMatches}
+            className="px-3 py-2 text-xs font-medium rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+            title="Replace every match"
+          >
+            Replace All
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
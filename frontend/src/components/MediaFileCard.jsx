@@ -3,7 +3,7 @@ import { Link } from 'react-router-dom';
 import { transcriptionAPI } from '../services/api';
 import { formatFileSize, formatDuration, formatDate } from '../utils/formatters';
 
-export const MediaFileCard = ({ file, onDelete, onRefresh }) => {
+export const MediaFileCard = ({ file, playbackPosition = null, onDelete, onRefresh }) => {
   const [transcriptionStatus, setTranscriptionStatus] = useState(null);
   const [polling, setPolling] = useState(false);
 
@@ -80,6 +80,13 @@ export const MediaFileCard = ({ file, onDelete, onRefresh }) => {
     return file.is_completed || (transcriptionStatus?.transcription_available);
   };
 
+  // Where the learner left off, if they have started this file
+  const resumeDuration = playbackPosition?.duration || file.duration_seconds;
+  const resumeProgress = playbackPosition && resumeDuration
+    ? Math.min(1, playbackPosition.position / resumeDuration)
+    : 0;
+  const isInProgress = canPlay() && resumeProgress > 0;
+
   return (
     <div className="card hover:shadow-md transition-shadow duration-200">
       {/* File Header */}
@@ -147,6 +154,22 @@ export const MediaFileCard = ({ file, onDelete, onRefresh }) => {
         </div>
       )}
 
+      {/* Continue Watching */}
+      {isInProgress && (
+        <div className="mb-4">
+          <div className="flex justify-between text-xs text-gray-500 mb-1">
+            <span>Continue watching</span>
+            <span>{formatDuration(playbackPosition.position)} / {formatDuration(resumeDuration)}</span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-1.5">
+            <div
+              className="bg-primary-600 h-1.5 rounded-full"
+              style={{ width: `${resumeProgress * 100}%` }}
+            ></div>
+          </div>
+        </div>
+      )}
+
       {/* Error Message */}
       {file.has_failed && file.error_message && (
         <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4">
@@ -174,7 +197,7 @@ export const MediaFileCard = ({ file, onDelete, onRefresh }) => {
             to={`/player/${file.id}`}
             className="flex-1 btn-primary text-center"
           >
-            Play
+            {isInProgress ? 'Continue' : 'Play'}
           </Link>
         ) : (
           <button
@@ -1,12 +1,22 @@
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { toast } from 'react-toastify';
+import { useShortcuts } from '../hooks/useShortcuts';
 
 export const Navbar = ({ playerPageInfo = null }) => {
   const { user, isAuthenticated, logout } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
 
+  useShortcuts({
+    'navigation.dashboard': () => navigate('/dashboard'),
+    'navigation.upload': () => navigate('/upload'),
+    'navigation.vocabulary': () => navigate('/vocabulary'),
+    'navigation.review': () => navigate('/review'),
+    'navigation.stats': () => navigate('/stats'),
+    'navigation.settings': () => navigate('/settings'),
+  });
+
   const handleLogout = async () => {
     await logout();
     toast.success('Logged out successfully');
@@ -113,6 +123,30 @@ export const Navbar = ({ playerPageInfo = null }) => {
               >
                 Upload
               </Link>
+              <Link
+                to="/vocabulary"
+                className="text-gray-700 hover:text-primary-600 font-medium transition-colors"
+              >
+                Vocabulary
+              </Link>
+              <Link
+                to="/review"
+                className="text-gray-700 hover:text-primary-600 font-medium transition-colors"
+              >
+                Review
+              </Link>
+              <Link
+                to="/stats"
+                className="text-gray-700 hover:text-primary-600 font-medium transition-colors"
+              >
+                Stats
+              </Link>
+              <Link
+                to="/settings"
+                className="text-gray-700 hover:text-primary-600 font-medium transition-colors"
+              >
+                Settings
+              </Link>
 
               {/* Testing Mode Indicator */}
               <div className="flex items-center space-x-4">
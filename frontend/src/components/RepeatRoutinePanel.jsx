@@ -0,0 +1,135 @@
+import { MAX_REPEAT_COUNT } from '../utils/repeatRoutine';
+
+const PAUSE_OPTIONS = [
+  { value: 0, label: 'No pause' },
+  { value: 0.5, label: '½× phrase length' },
+  { value: 1, label: '1× phrase length' },
+  { value: 1.5, label: '1.5× phrase length' },
+  { value: 2, label: '2× phrase length' },
+];
+
+const SLOW_REPEAT_OPTIONS = [
+  { value: 'none', label: 'Never' },
+  { value: 'first', label: 'First play' },
+  { value: 'last', label: 'Last play' },
+  { value: 'alternate', label: 'Every other play' },
+  { value: 'all', label: 'Every play' },
+];
+
+const SLOW_SPEED_OPTIONS = [0.5, 0.6, 0.75, 0.85];
+
+export const RepeatRoutinePanel = ({
+  routine,
+  status,
+  segmentCount,
+  onChange,
+  onStart,
+  onStop
+}) => {
+  const isRunning = !!status;
+
+  return (
+    <div className="rounded-xl bg-slate-900/60 border border-slate-700 p-3 space-y-3">
+      <div className="flex items-center justify-between gap-3">
+        <label className="flex items-center gap-2 text-sm font-semibold text-white cursor-pointer">
+          <input
+            type="checkbox"
+            checked={routine.enabled}
+            onChange={(e) => onChange({ enabled: e.target.checked })}
+            className="rounded"
+          />
+          Repeat routine
+        </label>
+        <div className="flex items-center gap-3 text-xs text-gray-400">
+          {isRunning && (
+            <span>
+              Phrase {status.segmentIndex + 1} of {segmentCount} · play {status.repeatIndex + 1}/{status.repeatCount}
+              {' · '}
+              <span className={status.phase === 'pause' ? 'text-orange-300 font-semibold' : 'text-white'}>
+                {status.phase === 'pause' ? 'Your turn…' : 'Listen'}
+              </span>
+            </span>
+          )}
+          {routine.enabled && (
+            <button
+              onClick={isRunning ? onStop : onStart}
+              className={`modern-mode-btn ${
+                isRunning
+                  ? 'bg-slate-700 text-gray-200 hover:bg-slate-600'
+                  : 'bg-orange-600 text-white hover:bg-orange-700'
+              }`}
+            >
+              {isRunning ? '■ Stop' : '▶ Start'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {routine.enabled && (
+        <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-xs text-gray-300">
+          <label className="flex items-center gap-2">
+            Plays
+            <input
+              type="number"
+              min={1}
+              max={MAX_REPEAT_COUNT}
+              value={routine.repeatCount}
+              onChange={(e) => onChange({ repeatCount: parseInt(e.target.value, 10) })}
+              disabled={isRunning}
+              className="w-14 px-2 py-1 rounded bg-slate-800 text-white border border-slate-600"
+            />
+          </label>
+          <label className="flex items-center gap-2">
+            Pause
+            <select
+              value={routine.pauseFactor}
+              onChange={(e) => onChange({ pauseFactor: parseFloat(e.target.value) })}
+              disabled={isRunning}
+              className="modern-speed-dropdown"
+            >
+              {PAUSE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value} className="text-black">{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            Slow down
+            <select
+              value={routine.slowRepeats}
+              onChange={(e) => onChange({ slowRepeats: e.target.value })}
+              disabled={isRunning}
+              className="modern-speed-dropdown"
+            >
+              {SLOW_REPEAT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value} className="text-black">{option.label}</option>
+              ))}
+            </select>
+          </label>
+          {routine.slowRepeats !== 'none' && (
+            <select
+              value={routine.slowSpeed}
+              onChange={(e) => onChange({ slowSpeed: parseFloat(e.target.value) })}
+              disabled={isRunning}
+              className="modern-speed-dropdown"
+              title="Slow speed"
+            >
+              {SLOW_SPEED_OPTIONS.map(speed => (
+                <option key={speed} value={speed} className="text-black">{speed}x</option>
+              ))}
+            </select>
+          )}
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={routine.autoAdvance}
+              onChange={(e) => onChange({ autoAdvance: e.target.checked })}
+              disabled={isRunning}
+              className="rounded"
+            />
+            Continue to next phrase
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
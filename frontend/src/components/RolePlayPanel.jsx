@@ -0,0 +1,50 @@
+import { formatSpeakerLabel } from '../utils/speakers';
+
+// Pick the speaker to play in role-play mode and show whose turn it is
+export const RolePlayPanel = ({
+  speakers,
+  speaker,
+  onSpeakerChange,
+  turn,
+  onContinue
+}) => {
+  return (
+    <div className="rounded-xl bg-slate-900/60 border border-slate-700 p-3 space-y-2">
+      <div className="flex items-center justify-between gap-3">
+        <label className="flex items-center gap-2 text-sm font-semibold text-white">
+          Role-play as
+          <select
+            value={speaker || ''}
+            onChange={(e) => onSpeakerChange(e.target.value || null)}
+            className="modern-speed-dropdown"
+          >
+            <option value="" className="text-black">Choose a speaker…</option>
+            {speakers.map(item => (
+              <option key={item} value={item} className="text-black">{formatSpeakerLabel(item)}</option>
+            ))}
+          </select>
+        </label>
+
+        {turn ? (
+          <div className="flex items-center gap-3 text-xs">
+            <span className="text-teal-300 font-semibold">
+              Your line · {Math.ceil(turn.secondsLeft)}s
+            </span>
+            <button
+              onClick={onContinue}
+              className="modern-mode-btn bg-teal-600 text-white hover:bg-teal-700"
+            >
+              Continue
+            </button>
+          </div>
+        ) : (
+          <span className="text-xs text-gray-400">
+            {speaker
+              ? `Press play; ${formatSpeakerLabel(speaker)}'s lines are muted and the video pauses for you to say them.`
+              : 'Choose the speaker whose lines you want to say.'}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,131 @@
+import { useMemo, useState } from 'react';
+import { formatTimestamp } from '../utils/formatters';
+import { compareSegmentLists, mergeSegmentLists } from '../utils/transcriptDrafts';
+
+const SegmentCell = ({ segment }) => (
+  segment ? (
+    <div>
+      <span className="block text-xs text-gray-400 font-mono">
+        {formatTimestamp(segment.start)} – {formatTimestamp(segment.end)}
+      </span>
+      <span className="text-sm text-gray-800 break-words">{segment.text}</span>
+    </div>
+  ) : (
+    <span className="text-xs italic text-gray-400">No phrase</span>
+  )
+);
+
+// Shown when a save is rejected because the transcription was saved elsewhere in the meantime
+export const SaveConflictDialog = ({ mine, theirs, onKeepMine, onUseTheirs, onMerge, onClose }) => {
+  const rows = useMemo(
+    () => compareSegmentLists(mine, theirs).filter(row => row.isChanged),
+    [mine, theirs]
+  );
+  const [theirIndexes, setTheirIndexes] = useState(() => new Set());
+
+  // Phrase-by-phrase merging only lines up when neither side split or merged phrases
+  const canMerge = mine.length === theirs.length;
+
+  const toggleTheirs = (index) => {
+    setTheirIndexes(previous => {
+      const next = new Set(previous);
+      if (next.has(index)) next.delete(index);
+      else next.add(index);
+      return next;
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/50 p-4">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="Conflicting changes"
+        className="bg-white rounded-2xl shadow-2xl w-full max-w-3xl max-h-[85vh] flex flex-col"
+      >
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <div>
+            <h2 className="text-lg font-bold text-gray-900">Conflicting changes</h2>
+            <p className="text-sm text-gray-600">
+              This transcript was saved in another tab or by another editor while you were editing.
+            </p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" title="Close">
+            ✕
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4">
+          {rows.length === 0 ? (
+            <p className="text-sm text-gray-500">Both versions have the same phrases.</p>
+          ) : (
+            <table className="w-full text-left">
+              <thead>
+                <tr className="text-xs font-semibold uppercase tracking-wide text-gray-500">
+                  <th className="py-2 pr-2 w-10">#</th>
+                  <th className="py-2 pr-4">Your version</th>
+                  <th className="py-2 pr-4">Saved version</th>
+                  {canMerge && <th className="py-2 w-20 text-center">Use saved</th>}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {rows.map(row => (
+                  <tr key={row.index} className="align-top">
+                    <td className="py-2 pr-2 text-xs text-gray-500">{row.index + 1}</td>
+                    <td className={`py-2 pr-4 ${theirIndexes.has(row.index) ? 'opacity-40' : ''}`}>
+                      <SegmentCell segment={row.mine} />
+                    </td>
+                    <td className={`py-2 pr-4 ${canMerge && !theirIndexes.has(row.index) ? 'opacity-40' : ''}`}>
+                      <SegmentCell segment={row.theirs} />
+                    </td>
+                    {canMerge && (
+                      <td className="py-2 text-center">
+                        <input
+                          type="checkbox"
+                          checked={theirIndexes.has(row.index)}
+                          onChange={() => toggleTheirs(row.index)}
+                          aria-label={`Use the saved version of phrase ${row.index + 1}`}
+                        />
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {!canMerge && (
+            <p className="mt-3 text-xs text-gray-500">
+              Phrases were split or merged in one of the versions, so keep one version as a whole.
+            </p>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2 px-6 py-3 border-t border-gray-200">
+          <button
+            onClick={onUseTheirs}
+            className="px-3 py-2 text-sm font-medium rounded-lg bg-gray-100 text-gray-700 hover:bg-gray-200"
+            title="Drop your edits and load the saved version"
+          >
+            Use saved version
+          </button>
+          {canMerge && (
+            <button
+              onClick={() => onMerge(mergeSegmentLists(mine, theirs, theirIndexes))}
+              className="px-3 py-2 text-sm font-medium rounded-lg bg-blue-100 text-blue-700 hover:bg-blue-200"
+              title="Continue editing with the phrases picked above"
+            >
+              Merge and keep editing
+            </button>
+          )}
+          <button
+            onClick={onKeepMine}
+            className="px-3 py-2 text-sm font-medium rounded-lg bg-red-600 text-white hover:bg-red-700"
+            title="Save your version over the saved one"
+          >
+            Overwrite with mine
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,354 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { practiceAPI } from '../services/api';
+import {
+  isRecordingStoreAvailable,
+  saveRecording,
+  getSegmentRecordings,
+  deleteRecording,
+  markRecordingUploaded
+} from '../utils/recordingStore';
+
+// In "after" mode the microphone stays open this long relative to the segment
+const ECHO_TIME_FACTOR = 1.5;
+const ECHO_EXTRA_SECONDS = 1;
+
+const isRecordingSupported = () =>
+  typeof window !== 'undefined' &&
+  typeof window.MediaRecorder !== 'undefined' &&
+  !!navigator.mediaDevices?.getUserMedia &&
+  isRecordingStoreAvailable();
+
+const getFileExtension = (mimeType = '') => {
+  if (mimeType.includes('ogg')) return 'ogg';
+  if (mimeType.includes('mp4')) return 'm4a';
+  return 'webm';
+};
+
+export const ShadowingRecorder = ({
+  mediaFileId,
+  segmentIndex,
+  segment,
+  onPlayOriginal
+}) => {
+  const [takes, setTakes] = useState([]);
+  const [recordTiming, setRecordTiming] = useState('during'); // 'during' shadows the segment, 'after' echoes it
+  const [status, setStatus] = useState('idle'); // 'idle', 'playing', 'recording', 'comparing'
+  const [uploadingId, setUploadingId] = useState(null);
+
+  const recorderRef = useRef(null);
+  const streamRef = useRef(null);
+  const audioRef = useRef(null);
+  const autoStopTimeoutRef = useRef(null);
+  const supported = isRecordingSupported();
+
+  const loadTakes = useCallback(async () => {
+    if (!supported || mediaFileId == null || segmentIndex == null) return;
+
+    try {
+      setTakes(await getSegmentRecordings(mediaFileId, segmentIndex));
+    } catch (error) {
+      console.error('Error loading recordings:', error);
+    }
+  }, [supported, mediaFileId, segmentIndex]);
+
+  useEffect(() => {
+    loadTakes();
+  }, [loadTakes]);
+
+  // Release the microphone and any playback on unmount
+  useEffect(() => {
+    return () => {
+      clearTimeout(autoStopTimeoutRef.current);
+      if (recorderRef.current && recorderRef.current.state !== 'inactive') {
+        recorderRef.current.stop();
+      }
+      streamRef.current?.getTracks().forEach(track => track.stop());
+      audioRef.current?.pause();
+    };
+  }, []);
+
+  const stopTakePlayback = () => {
+    if (audioRef.current) {
+      audioRef.current.pause();
+      audioRef.current = null;
+    }
+  };
+
+  // Play a take and resolve once it has finished or been stopped
+  const playTake = (take) => new Promise((resolve) => {
+    stopTakePlayback();
+
+    const url = URL.createObjectURL(take.blob);
+    const audio = new Audio(url);
+    audioRef.current = audio;
+
+    let finished = false;
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      URL.revokeObjectURL(url);
+      if (audioRef.current === audio) {
+        audioRef.current = null;
+      }
+      resolve();
+    };
+
+    audio.onended = finish;
+    audio.onpause = finish;
+    audio.onerror = finish;
+    audio.play().catch(finish);
+  });
+
+  // Open the microphone and start a take; `finished` resolves once the take is saved
+  const startRecording = async () => {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    streamRef.current = stream;
+
+    const recorder = new MediaRecorder(stream);
+    const chunks = [];
+    const startedAt = Date.now();
+    const recordedSegment = { index: segmentIndex, start: segment.start, end: segment.end };
+
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) {
+        chunks.push(e.data);
+      }
+    };
+
+    const finished = new Promise((resolve) => {
+      recorder.onstop = async () => {
+        stream.getTracks().forEach(track => track.stop());
+        streamRef.current = null;
+        recorderRef.current = null;
+
+        const blob = new Blob(chunks, { type: recorder.mimeType || 'audio/webm' });
+        if (blob.size > 0) {
+          try {
+            await saveRecording({
+              mediaFileId,
+              segmentIndex: recordedSegment.index,
+              segmentStart: recordedSegment.start,
+              segmentEnd: recordedSegment.end,
+              blob,
+              mimeType: blob.type,
+              duration: (Date.now() - startedAt) / 1000
+            });
+            await loadTakes();
+          } catch (error) {
+            console.error('Error saving recording:', error);
+            toast.error('Could not save the recording in this browser');
+          }
+        }
+        resolve();
+      };
+    });
+
+    recorder.start();
+    recorderRef.current = recorder;
+    setStatus('recording');
+
+    return { finished };
+  };
+
+  const stopRecording = () => {
+    clearTimeout(autoStopTimeoutRef.current);
+    if (recorderRef.current && recorderRef.current.state !== 'inactive') {
+      recorderRef.current.stop();
+    }
+  };
+
+  const record = async () => {
+    if (!segment || status !== 'idle') return;
+
+    stopTakePlayback();
+
+    try {
+      if (recordTiming === 'during') {
+        // Shadowing: speak along with the original
+        const { finished } = await startRecording();
+        await Promise.race([onPlayOriginal(), finished]);
+        stopRecording();
+        await finished;
+      } else {
+        // Echo: listen first, then repeat from memory
+        setStatus('playing');
+        await onPlayOriginal();
+
+        const { finished } = await startRecording();
+        const segmentLength = Math.max(0, segment.end - segment.start);
+        autoStopTimeoutRef.current = setTimeout(
+          stopRecording,
+          (segmentLength * ECHO_TIME_FACTOR + ECHO_EXTRA_SECONDS) * 1000
+        );
+        await finished;
+      }
+    } catch (error) {
+      console.error('Error recording:', error);
+      toast.error(error?.name === 'NotAllowedError' ? 'Microphone access was denied' : 'Could not start recording');
+      stopRecording();
+    } finally {
+      setStatus('idle');
+    }
+  };
+
+  // Original clip first, then the learner's take
+  const compareTake = async (take) => {
+    if (status !== 'idle') return;
+
+    setStatus('comparing');
+    try {
+      await onPlayOriginal();
+      await playTake(take);
+    } finally {
+      setStatus('idle');
+    }
+  };
+
+  const uploadTake = async (take) => {
+    setUploadingId(take.id);
+    try {
+      const response = await practiceAPI.uploadRecording({
+        media_file: mediaFileId,
+        segment_index: take.segmentIndex,
+        segment_start: take.segmentStart,
+        segment_end: take.segmentEnd,
+        duration_seconds: take.duration,
+        mime_type: take.mimeType,
+        audio_file: new File(
+          [take.blob],
+          `segment-${take.segmentIndex}-take-${take.id}.${getFileExtension(take.mimeType)}`,
+          { type: take.mimeType }
+        )
+      });
+      await markRecordingUploaded(take.id, response.id);
+      await loadTakes();
+      toast.success('Recording uploaded');
+    } catch (error) {
+      console.error('Error uploading recording:', error);
+      console.error('Error details:', error.response?.data);
+      toast.error('Failed to upload recording');
+    } finally {
+      setUploadingId(null);
+    }
+  };
+
+  const removeTake = async (take) => {
+    stopTakePlayback();
+    try {
+      await deleteRecording(take.id);
+      await loadTakes();
+    } catch (error) {
+      console.error('Error deleting recording:', error);
+      toast.error('Failed to delete recording');
+    }
+  };
+
+  if (!supported) {
+    return (
+      <div className="rounded-xl bg-slate-900/60 border border-slate-700 p-3 text-sm text-gray-400">
+        Recording is not supported in this browser.
+      </div>
+    );
+  }
+
+  return (
+    <div className="rounded-xl bg-slate-900/60 border border-slate-700 p-3 space-y-3">
+      <div className="flex items-center justify-between gap-3">
+        <div className="text-sm font-semibold text-white">
+          Shadowing
+          <span className="ml-2 text-xs font-normal text-gray-400">Phrase {segmentIndex + 1}</span>
+        </div>
+        <select
+          value={recordTiming}
+          onChange={(e) => setRecordTiming(e.target.value)}
+          disabled={status !== 'idle'}
+          className="modern-speed-dropdown"
+          title="When to record"
+        >
+          <option value="during" className="text-black">Record while it plays</option>
+          <option value="after" className="text-black">Record after it plays</option>
+        </select>
+      </div>
+
+      <div className="flex items-center gap-2">
+        {status === 'recording' ? (
+          <button
+            onClick={stopRecording}
+            className="modern-mode-btn bg-red-600 text-white shadow-lg animate-pulse"
+          >
+            ■ Stop
+          </button>
+        ) : (
+          <button
+            onClick={record}
+            disabled={status !== 'idle' || !segment}
+            className="modern-mode-btn bg-red-600 text-white hover:bg-red-700 disabled:opacity-50"
+          >
+            ● Record
+          </button>
+        )}
+        <span className="text-xs text-gray-400">
+          {status === 'playing' && 'Listen…'}
+          {status === 'recording' && 'Recording… speak now'}
+          {status === 'comparing' && 'Playing original, then your take…'}
+          {status === 'idle' && 'Use headphones so the original is not recorded too.'}
+        </span>
+      </div>
+
+      {takes.length > 0 && (
+        <ul className="space-y-1 max-h-32 overflow-y-auto">
+          {takes.map((take, index) => (
+            <li key={take.id} className="flex items-center justify-between gap-2 text-xs text-gray-300 bg-slate-800 rounded-lg px-2 py-1">
+              <span>
+                Take {index + 1} · {take.duration.toFixed(1)}s
+              </span>
+              <div className="flex items-center gap-1">
+                <button
+                  onClick={() => playTake(take)}
+                  disabled={status !== 'idle'}
+                  className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 disabled:opacity-50"
+                  title="Play this take"
+                >
+                  ▶
+                </button>
+                <button
+                  onClick={() => compareTake(take)}
+                  disabled={status !== 'idle'}
+                  className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 disabled:opacity-50"
+                  title="Play the original, then this take"
+                >
+                  Original → Take
+                </button>
+                {take.remoteId ? (
+                  <span className="px-2 py-1 text-green-400" title="Uploaded">✓</span>
+                ) : (
+                  <button
+                    onClick={() => uploadTake(take)}
+                    disabled={uploadingId === take.id}
+                    className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 disabled:opacity-50"
+                    title="Upload this take to your account"
+                  >
+                    {uploadingId === take.id ? '…' : 'Upload'}
+                  </button>
+                )}
+                <button
+                  onClick={() => removeTake(take)}
+                  disabled={status !== 'idle'}
+                  className="px-2 py-1 rounded text-red-400 hover:bg-slate-700 disabled:opacity-50"
+                  title="Delete from this browser"
+                >
+                  ✕
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <p className="text-xs text-gray-500">
+        Recordings stay in this browser until you upload them.
+      </p>
+    </div>
+  );
+};
@@ -0,0 +1,70 @@
+import { Link } from 'react-router-dom';
+import { SHORTCUT_ACTIONS, SHORTCUT_SCOPES, formatCombo } from '../utils/shortcuts';
+
+export const ShortcutHelpOverlay = ({ bindings, activeActionIds, onClose }) => {
+  // Only list what works on the current screen
+  const activeActions = SHORTCUT_ACTIONS.filter(action =>
+    activeActionIds.includes(action.id) && bindings[action.id]
+  );
+
+  const groups = Object.entries(SHORTCUT_SCOPES)
+    .map(([scope, label]) => ({
+      label,
+      actions: activeActions.filter(action => action.scope === scope)
+    }))
+    .filter(group => group.actions.length > 0);
+
+  return (
+    <div
+      className="fixed inset-0 z-[100] flex items-center justify-center bg-black/50 p-4"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="Keyboard shortcuts"
+        className="bg-white rounded-2xl shadow-2xl w-full max-w-lg max-h-[80vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-bold text-gray-900">Keyboard shortcuts</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+            title="Close (Esc)"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="px-6 py-4 space-y-5">
+          {groups.map(group => (
+            <div key={group.label}>
+              <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">{group.label}</h3>
+              <ul className="space-y-1.5">
+                {group.actions.map(action => (
+                  <li key={action.id} className="flex items-center justify-between text-sm">
+                    <span className="text-gray-700">{action.description}</span>
+                    <kbd className="px-2 py-0.5 text-xs font-mono font-semibold text-gray-800 bg-gray-100 border border-gray-300 rounded">
+                      {formatCombo(bindings[action.id])}
+                    </kbd>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+
+        <div className="px-6 py-3 border-t border-gray-200 text-right">
+          <Link
+            to="/settings"
+            onClick={onClose}
+            className="text-sm font-medium text-blue-600 hover:text-blue-800"
+          >
+            Customize shortcuts →
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,88 @@
+import { useState } from 'react';
+import { toast } from 'react-toastify';
+import { useShortcutSettings } from '../hooks/useShortcuts';
+import { SHORTCUT_ACTIONS, SHORTCUT_SCOPES, eventToCombo, formatCombo } from '../utils/shortcuts';
+
+export const ShortcutSettings = () => {
+  const { bindings, overrides, setBinding, resetBinding, resetAllBindings } = useShortcutSettings();
+  const [capturingId, setCapturingId] = useState(null);
+
+  // Record the next key combo pressed while an action is waiting for one
+  const handleCaptureKeyDown = (e, actionId) => {
+    // Keep the shortcut dispatcher from acting on this key
+    e.preventDefault();
+    e.stopPropagation();
+
+    const combo = eventToCombo(e.nativeEvent);
+    if (!combo) return;
+
+    if (combo === 'Escape') {
+      setCapturingId(null);
+      return;
+    }
+
+    const conflicts = setBinding(actionId, combo);
+    setCapturingId(null);
+
+    if (conflicts.length > 0) {
+      toast.info(`${formatCombo(combo)} was removed from: ${conflicts.map(action => action.description).join(', ')}`);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {Object.entries(SHORTCUT_SCOPES).map(([scope, label]) => (
+        <div key={scope}>
+          <h3 className="text-sm font-semibold text-gray-900 mb-2">{label}</h3>
+          <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+            {SHORTCUT_ACTIONS.filter(action => action.scope === scope).map(action => {
+              const isCustom = Object.prototype.hasOwnProperty.call(overrides, action.id);
+              const isCapturing = capturingId === action.id;
+
+              return (
+                <div key={action.id} className="flex items-center justify-between px-4 py-2 text-sm">
+                  <span className="text-gray-700">{action.description}</span>
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => setCapturingId(isCapturing ? null : action.id)}
+                      onKeyDown={(e) => isCapturing && handleCaptureKeyDown(e, action.id)}
+                      onBlur={() => isCapturing && setCapturingId(null)}
+                      className={`min-w-[7rem] px-2 py-1 text-xs font-mono font-semibold rounded border ${
+                        isCapturing
+                          ? 'border-blue-500 bg-blue-50 text-blue-700 animate-pulse'
+                          : bindings[action.id]
+                            ? 'border-gray-300 bg-gray-100 text-gray-800 hover:bg-gray-200'
+                            : 'border-dashed border-gray-300 text-gray-400 hover:bg-gray-50'
+                      }`}
+                      title="Click, then press the new key combination (Esc cancels)"
+                    >
+                      {isCapturing ? 'Press keys…' : formatCombo(bindings[action.id])}
+                    </button>
+                    <button
+                      onClick={() => resetBinding(action.id)}
+                      disabled={!isCustom}
+                      className="px-2 py-1 text-xs text-gray-500 hover:text-gray-800 disabled:invisible"
+                      title={`Reset to ${formatCombo(action.defaultCombo)}`}
+                    >
+                      Reset
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+
+      <div className="flex justify-end">
+        <button
+          onClick={resetAllBindings}
+          disabled={Object.keys(overrides).length === 0}
+          className="px-4 py-2 text-sm font-medium bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors disabled:opacity-50"
+        >
+          Reset all to defaults
+        </button>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,114 @@
+import {
+  SUBTITLE_FONT_FAMILIES,
+  SUBTITLE_FONT_SIZE_RANGE,
+  SUBTITLE_POSITION_RANGE
+} from '../utils/subtitleStyle';
+
+const OUTLINE_OPTIONS = [
+  { value: 'none', label: 'None' },
+  { value: 'thin', label: 'Thin' },
+  { value: 'thick', label: 'Thick' },
+];
+
+export const SubtitleSettingsPanel = ({ subtitleStyle, onChange, onReset }) => {
+  return (
+    <div className="rounded-xl bg-slate-900/60 border border-slate-700 p-3 space-y-3">
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-semibold text-white">Subtitle style</span>
+        <button
+          onClick={onReset}
+          className="text-xs text-gray-400 hover:text-white"
+        >
+          Reset
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-3 text-xs text-gray-300">
+        <label className="flex items-center gap-2">
+          <span className="w-24">Size</span>
+          <input
+            type="range"
+            min={SUBTITLE_FONT_SIZE_RANGE.min}
+            max={SUBTITLE_FONT_SIZE_RANGE.max}
+            step={2}
+            value={subtitleStyle.fontSize}
+            onChange={(e) => onChange({ fontSize: parseInt(e.target.value, 10) })}
+            className="flex-1"
+          />
+          <span className="w-10 text-right">{subtitleStyle.fontSize}px</span>
+        </label>
+
+        <label className="flex items-center gap-2">
+          <span className="w-24">Font</span>
+          <select
+            value={subtitleStyle.fontFamily}
+            onChange={(e) => onChange({ fontFamily: e.target.value })}
+            className="modern-speed-dropdown flex-1"
+          >
+            {Object.entries(SUBTITLE_FONT_FAMILIES).map(([value, family]) => (
+              <option key={value} value={value} className="text-black">{family.label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="flex items-center gap-2">
+          <span className="w-24">Text color</span>
+          <input
+            type="color"
+            value={subtitleStyle.textColor}
+            onChange={(e) => onChange({ textColor: e.target.value })}
+            className="w-8 h-6 rounded bg-transparent cursor-pointer"
+          />
+        </label>
+
+        <label className="flex items-center gap-2">
+          <span className="w-24">Outline</span>
+          <select
+            value={subtitleStyle.outline}
+            onChange={(e) => onChange({ outline: e.target.value })}
+            className="modern-speed-dropdown flex-1"
+          >
+            {OUTLINE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value} className="text-black">{option.label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="flex items-center gap-2">
+          <span className="w-24">Background</span>
+          <input
+            type="color"
+            value={subtitleStyle.backgroundColor}
+            onChange={(e) => onChange({ backgroundColor: e.target.value })}
+            className="w-8 h-6 rounded bg-transparent cursor-pointer"
+          />
+          <input
+            type="range"
+            min={0}
+            max={1}
+            step={0.05}
+            value={subtitleStyle.backgroundOpacity}
+            onChange={(e) => onChange({ backgroundOpacity: parseFloat(e.target.value) })}
+            className="flex-1"
+            title="Background opacity"
+          />
+          <span className="w-10 text-right">{Math.round(subtitleStyle.backgroundOpacity * 100)}%</span>
+        </label>
+
+        <label className="flex items-center gap-2">
+          <span className="w-24">Position</span>
+          <input
+            type="range"
+            min={SUBTITLE_POSITION_RANGE.min}
+            max={SUBTITLE_POSITION_RANGE.max}
+            value={subtitleStyle.verticalPosition}
+            onChange={(e) => onChange({ verticalPosition: parseInt(e.target.value, 10) })}
+            className="flex-1"
+            title="Distance from the bottom of the video"
+          />
+          <span className="w-10 text-right">{subtitleStyle.verticalPosition}%</span>
+        </label>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,82 @@
+import { useState } from 'react';
+import { TIMING_ISSUE_TYPES, TIMING_FIXES } from '../utils/timingValidation';
+
+// Timing problems across the whole transcript, with one-click fixes
+export const TimingValidationPanel = ({ issues, onFix, onGoTo }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const groups = Object.entries(TIMING_ISSUE_TYPES)
+    .map(([type, label]) => ({ type, label, issues: issues.filter(issue => issue.type === type) }))
+    .filter(group => group.issues.length > 0);
+
+  return (
+    <div className={`mb-3 border rounded-lg ${issues.length > 0 ? 'border-amber-200' : 'border-gray-200'}`}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={issues.length === 0}
+        className="w-full flex items-center gap-2 px-3 py-2 text-sm font-medium text-gray-700 hover:text-gray-900"
+        aria-expanded={isOpen}
+      >
+        {issues.length > 0 ? (
+          <>
+            <span className="text-xs text-gray-400">{isOpen ? '▾' : '▸'}</span>
+            <span className="text-amber-700">⚠️ {issues.length} timing issue{issues.length === 1 ? '' : 's'}</span>
+          </>
+        ) : (
+          <span className="text-green-700">✓ Timing looks good</span>
+        )}
+      </button>
+
+      {isOpen && issues.length > 0 && (
+        <div className="max-h-64 overflow-y-auto border-t border-gray-100 py-1">
+          {groups.map(group => {
+            const fix = TIMING_FIXES[group.type];
+
+            return (
+              <div key={group.type} className="px-3 py-1">
+                <div className="flex items-center justify-between py-1">
+                  <span className="text-xs font-semibold uppercase tracking-wide text-gray-500">
+                    {group.label} ({group.issues.length})
+                  </span>
+                  {fix && (
+                    <button
+                      onClick={() => onFix(group.type, new Set(group.issues.map(issue => issue.segmentIndex)))}
+                      className="px-2 py-0.5 text-xs bg-blue-100 text-blue-700 rounded hover:bg-blue-200 transition-colors"
+                    >
+                      {fix.label} (all)
+                    </button>
+                  )}
+                </div>
+                <ul>
+                  {group.issues.map(issue => (
+                    <li
+                      key={`${issue.type}-${issue.segmentIndex}`}
+                      className="group flex items-center justify-between gap-2 py-1 text-xs text-gray-700"
+                    >
+                      <button
+                        onClick={() => onGoTo(issue.segmentIndex)}
+                        className="text-left hover:text-blue-700"
+                        title="Show this phrase"
+                      >
+                        {issue.message}
+                      </button>
+                      {fix && (
+                        <button
+                          onClick={() => onFix(issue.type, new Set([issue.segmentIndex]))}
+                          className="flex-shrink-0 text-blue-600 hover:text-blue-800 opacity-0 group-hover:opacity-100 transition-opacity"
+                          title={fix.label}
+                        >
+                          Fix
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -1,8 +1,55 @@
-import React, { useEffect, useRef, useState, useCallback } from 'react';
+import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react';
 import { formatTimestamp } from '../utils/formatters';
+import { groupWordsBySegment, splitWordPunctuation } from '../utils/cloze';
+import { normalizeWords } from '../utils/dictation';
 import { LoadingSpinner } from './LoadingSpinner';
+import { ClozePanel } from './ClozePanel';
+import { ChapterList } from './ChapterList';
+import { EditHistoryPanel } from './EditHistoryPanel';
+import { WordTimingEditor } from './WordTimingEditor';
+import { FindReplacePanel } from './FindReplacePanel';
+import { SaveConflictDialog } from './SaveConflictDialog';
+import { TimingValidationPanel } from './TimingValidationPanel';
 import { transcriptionAPI } from '../services/api';
 import { toast } from 'react-toastify';
+import { useShortcuts } from '../hooks/useShortcuts';
+import { useVirtualList } from '../hooks/useVirtualList';
+import { useActiveWordStart } from '../hooks/useActiveWord';
+import { findChapterIndex, getChapterRanges } from '../utils/chapters';
+import { getSpeakers, formatSpeakerLabel } from '../utils/speakers';
+import {
+  createHistory,
+  recordHistory,
+  moveHistory,
+  markHistorySaved,
+  canUndo,
+  canRedo,
+  describeSegmentChange
+} from '../utils/editHistory';
+import { splitSegment as splitSegmentAt, mergeSegments, reindexSegments } from '../utils/segmentEditing';
+import { isTimedWord } from '../utils/wordTiming';
+import {
+  DEFAULT_SEARCH_OPTIONS,
+  buildSearchPattern,
+  findTextMatches,
+  findMatches,
+  splitByMatches,
+  replaceMatchAt,
+  replaceAllMatches
+} from '../utils/findReplace';
+import { saveDraft, loadDraft, clearDraft, isSameSegmentList } from '../utils/transcriptDrafts';
+import { validateTiming, TIMING_FIXES } from '../utils/timingValidation';
+import { parseWordLevelVTT } from '../utils/subtitleParser';
+import { findWordIndexByStart } from '../utils/timeline';
+
+// Wait this long after the last edit before writing the local draft
+const DRAFT_SAVE_DELAY = 500;
+
+// Timed words are only shown while they still spell the segment text (it may have been edited)
+const wordsMatchText = (words, text) => {
+  const comparable = (value) => normalizeWords(value).map(({ word }) => word).join(' ');
+  return comparable(words.map(word => word.word).join(' ')) === comparable(text);
+};
 
 export const TranscriptPanel = ({
   segments,
@@ -16,16 +63,36 @@ export const TranscriptPanel = ({
   mediaFileId,
   transcriptionId,
   onTranscriptionUpdate,
+  onPlayRange,
+  onSaveWord,
+  studySegmentIndexes = null,
+  onToggleStudySegment,
   focusMode = false,
-  // Word highlighting props
-  playerRef = null,
+  vocabularyWords = [],
+  // Second subtitle track, one line per segment
+  translationLines = null,
+  translationDisplay = 'below',
+  translationLabel = '',
+  onTranslationChange,
+  // Chapters, detected or edited by the learner
+  chapters = null,
+  isChaptersEdited = false,
+  onChapterSelect,
+  onChaptersChange,
+  onResetChapters,
+  // Show only one speaker's lines
+  practiceSpeaker = null,
+  onPracticeSpeakerChange,
+  // Word highlighting props; the active cue stream comes from the player (see utils/timeline)
+  cueStream = null,
   transcription = null,
   showWordHighlighting = false
 }) => {
-  const activeSegmentRef = useRef(null);
-  const scrollTimeoutRef = useRef(null);
+  const transcriptListRef = useRef(null);
   const lastScrolledSegmentRef = useRef(-1);
   const [searchTerm, setSearchTerm] = useState('');
+  const [searchOptions, setSearchOptions] = useState(DEFAULT_SEARCH_OPTIONS);
+  const [currentMatchIndex, setCurrentMatchIndex] = useState(0);
   const [filteredSegments, setFilteredSegments] = useState(segments || []);
 
   // Editing state
@@ -35,9 +102,23 @@ export const TranscriptPanel = ({
   const [isSaving, setIsSaving] = useState(false);
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
 
+  // Undo/redo history of editedSegments; kept across edit mode toggles
+  const [history, setHistory] = useState(null);
+
+  // Server version the edits are based on, a draft left from an earlier visit and a rejected save
+  const [baseVersion, setBaseVersion] = useState(transcription?.segments_version ?? null);
+  const [pendingDraft, setPendingDraft] = useState(null);
+  const [saveConflict, setSaveConflict] = useState(null);
+  const draftCheckedRef = useRef(null);
+
+  // Cloze exercise state
+  const [isClozeMode, setIsClozeMode] = useState(false);
+
+  // Words can be saved to the vocabulary notebook when the parent handles it
+  const canSaveWords = !!onSaveWord;
+
   // Word highlighting state
   const [wordLevelData, setWordLevelData] = useState([]);
-  const [currentWordIndex, setCurrentWordIndex] = useState(-1);
   const [isLoadingWords, setIsLoadingWords] = useState(false);
 
   // Initialize edited segments when segments change
@@ -52,9 +133,40 @@ export const TranscriptPanel = ({
           originalIndex: index
         }));
         setEditedSegments(segmentsWithIndex);
+        setHistory(createHistory(segmentsWithIndex));
+        setBaseVersion(transcription?.segments_version ?? null);
       }
     }
-  }, [segments, hasUnsavedChanges, editedSegments.length]);
+  }, [segments, hasUnsavedChanges, editedSegments.length, transcription?.segments_version]);
+
+  // Offer to restore a draft that was not saved last time
+  useEffect(() => {
+    if (!mediaFileId || !segments?.length || draftCheckedRef.current === mediaFileId) return;
+    draftCheckedRef.current = mediaFileId;
+
+    const draft = loadDraft(mediaFileId);
+    if (!draft) return;
+
+    if (isSameSegmentList(draft.segments, segments)) {
+      clearDraft(mediaFileId);
+    } else {
+      setPendingDraft(draft);
+    }
+  }, [mediaFileId, segments]);
+
+  // Keep a local copy of unsaved edits so a refresh or crash does not lose them
+  useEffect(() => {
+    if (!mediaFileId || !hasUnsavedChanges) return;
+
+    const timer = setTimeout(() => saveDraft(mediaFileId, editedSegments, baseVersion), DRAFT_SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [mediaFileId, hasUnsavedChanges, editedSegments, baseVersion]);
+
+  // A whitespace-only search term searches for nothing
+  const { pattern: searchPattern, error: searchError } = useMemo(
+    () => buildSearchPattern(searchTerm.trim() ? searchTerm : '', searchOptions),
+    [searchTerm, searchOptions]
+  );
 
   // Update filtered segments when segments, search term changes
   // Note: Focus mode no longer filters segments - it only affects scrolling behavior
@@ -74,65 +186,26 @@ export const TranscriptPanel = ({
     // Focus mode no longer filters segments - show all segments for scrolling
     // Focus mode only affects auto-scrolling behavior to keep current phrase visible
 
+    // Apply speaker filter
+    if (practiceSpeaker) {
+      filtered = filtered.filter(segment => segment.speaker === practiceSpeaker);
+    }
+
     // Apply search filter
-    if (searchTerm.trim()) {
-      filtered = filtered.filter(segment =>
-        segment.text.toLowerCase().includes(searchTerm.toLowerCase())
-      );
+    if (searchPattern) {
+      filtered = filtered.filter(segment => findTextMatches(segment.text, searchPattern).length > 0);
     }
 
     setFilteredSegments(filtered);
-  }, [segments, editedSegments, searchTerm]);
-
-  // Word highlighting helper functions (defined before useEffects that use them)
-  const parseWordLevelVTT = useCallback((vttText) => {
-    const lines = vttText.split('\n');
-    const words = [];
-    let i = 0;
-
-    const parseVTTTime = (timeString) => {
-      const [hours, minutes, seconds] = timeString.split(':');
-      return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseFloat(seconds);
-    };
-
-    while (i < lines.length) {
-      const line = lines[i].trim();
-
-      if (/^\d+$/.test(line)) {
-        i++; // Move to timing line
-
-        if (i < lines.length) {
-          const timingLine = lines[i].trim();
-          const timingMatch = timingLine.match(/(\d{2}:\d{2}:\d{2}\.\d{3}) --> (\d{2}:\d{2}:\d{2}\.\d{3})/);
-
-          if (timingMatch) {
-            const startTime = parseVTTTime(timingMatch[1]);
-            const endTime = parseVTTTime(timingMatch[2]);
-
-            i++; // Move to text line
-            if (i < lines.length) {
-              const textLine = lines[i].trim();
-
-              const wordMatch = textLine.match(/<c\.word-highlight>(.*?)<\/c>/);
-              const word = wordMatch ? wordMatch[1] : textLine.replace(/<[^>]*>/g, '');
-
-              if (word && word !== '¶¶') {
-                words.push({
-                  word: word.trim(),
-                  start: startTime,
-                  end: endTime,
-                  index: words.length
-                });
-              }
-            }
-          }
-        }
-      }
-      i++;
-    }
+  }, [segments, editedSegments, searchPattern, practiceSpeaker]);
 
-    return words;
-  }, []);
+  // Search matches in the segments shown, and the one navigated to
+  const searchMatches = useMemo(
+    () => findMatches(filteredSegments, searchPattern),
+    [filteredSegments, searchPattern]
+  );
+  const activeMatchIndex = Math.min(currentMatchIndex, searchMatches.length - 1);
+  const activeMatch = searchMatches[activeMatchIndex] || null;
 
   const loadWordLevelData = useCallback(async () => {
     if (!mediaFileId) return;
@@ -148,7 +221,10 @@ export const TranscriptPanel = ({
         return;
       }
 
-      const words = parseWordLevelVTT(vttText);
+      const { words, errors } = parseWordLevelVTT(vttText);
+      if (errors.length > 0) {
+        console.warn('Word-level VTT problems:', errors.map(error => `line ${error.line}: ${error.message}`));
+      }
       console.log('Parsed words:', words.length, 'words');
       console.log('First few words:', words.slice(0, 5));
       setWordLevelData(words);
@@ -157,193 +233,148 @@ export const TranscriptPanel = ({
     } finally {
       setIsLoadingWords(false);
     }
-  }, [mediaFileId, parseWordLevelVTT]);
+  }, [mediaFileId]);
 
-  const findActiveWordIndex = (currentTime, words) => {
-    return words.findIndex(word =>
-      currentTime >= word.start && currentTime <= word.end
-    );
-  };
-
-  // Auto-scroll to active segment (only when focus mode is enabled)
+  // Load word-level data for highlighting and cloze exercises
   useEffect(() => {
-    // Only auto-scroll when focus mode is enabled and we have an active segment
-    if (focusMode && activeSegmentIndex >= 0 && activeSegmentRef.current) {
-      // Debounce rapid segment changes to prevent erratic scrolling
-      if (lastScrolledSegmentRef.current === activeSegmentIndex) {
-        return; // Don't scroll if we already scrolled to this segment
-      }
-
-      // Clear any pending scroll
-      if (scrollTimeoutRef.current) {
-        clearTimeout(scrollTimeoutRef.current);
-      }
-
-      // Use a delay to debounce rapid segment changes
-      scrollTimeoutRef.current = setTimeout(() => {
-        // Check if we still need to scroll (segment might have changed again)
-        if (lastScrolledSegmentRef.current === activeSegmentIndex) {
-          return;
-        }
-
-        // Find the transcript panel container
-        const transcriptPanel = activeSegmentRef.current?.closest('.transcript-panel');
-        if (transcriptPanel && activeSegmentRef.current) {
-          // Get the position of the active segment relative to the transcript panel
-          const elementTop = activeSegmentRef.current.offsetTop;
-          const elementHeight = activeSegmentRef.current.offsetHeight;
-
-          // Calculate the header height more accurately
-          // The header is in the parent PlayerPage component, not in TranscriptPanel
-          // We need to account for:
-          // 1. The TranscriptPanel's own header (segment count + search)
-          // 2. Some padding to ensure visibility
-
-          // Find the TranscriptPanel's own header elements
-          const transcriptContainer = transcriptPanel.parentElement;
-          let headerHeight = 0;
-
-          if (transcriptContainer) {
-            // Look for the header elements within the TranscriptPanel component
-            const headerElements = transcriptContainer.querySelectorAll('.flex.items-center.justify-between, .relative.mb-4');
-            headerElements.forEach(el => {
-              headerHeight += el.offsetHeight;
-            });
-
-            // Add margins and padding (mb-4 = 16px, plus other spacing)
-            headerHeight += 60; // Increased to ensure proper clearance
-          }
-
-          // Use scrollIntoView with better positioning options
-          // This should respect the CSS scroll-margin-top we set
-          activeSegmentRef.current.scrollIntoView({
-            behavior: 'smooth',
-            block: 'start', // Align to the start of the visible area
-            inline: 'nearest'
-          });
-
-          // Remember that we scrolled to this segment
-          lastScrolledSegmentRef.current = activeSegmentIndex;
-        }
-      }, 300); // Longer delay to reduce rapid scrolling
-
-      return () => {
-        if (scrollTimeoutRef.current) {
-          clearTimeout(scrollTimeoutRef.current);
-        }
-      };
-    }
-  }, [activeSegmentIndex, focusMode]);
-
-  // Load word-level data for highlighting
-  useEffect(() => {
-    if (showWordHighlighting && transcription?.has_word_level_vtt && mediaFileId) {
+    if ((showWordHighlighting || isClozeMode || canSaveWords) && transcription?.has_word_level_vtt && mediaFileId) {
       loadWordLevelData();
     }
-  }, [showWordHighlighting, transcription, mediaFileId, loadWordLevelData]);
+  }, [showWordHighlighting, isClozeMode, canSaveWords, transcription, mediaFileId, loadWordLevelData]);
 
-  // Set up time update listener for word highlighting
-  useEffect(() => {
-    if (!playerRef?.current || !wordLevelData.length || !showWordHighlighting) {
-      return;
-    }
+  const speakers = useMemo(() => getSpeakers(segments), [segments]);
+  const isFiltered = !!searchPattern || !!practiceSpeaker;
 
-    const handleTimeUpdate = () => {
-      const currentTime = playerRef.current.currentTime();
-      const activeWordIndex = findActiveWordIndex(currentTime, wordLevelData);
+  // Chapter headings are shown above the first segment of each chapter
+  const chapterStarts = useMemo(() => {
+    if (!chapters || !segments?.length) return new Map();
+    return new Map(getChapterRanges(chapters, segments).map(chapter => [chapter.startIndex, chapter]));
+  }, [chapters, segments]);
 
-      if (activeWordIndex !== currentWordIndex) {
-        console.log('Word highlighting update:', {
-          currentTime,
-          activeWordIndex,
-          currentWord: wordLevelData[activeWordIndex],
-          showWordHighlighting
-        });
-        setCurrentWordIndex(activeWordIndex);
-      }
-    };
+  const currentChapterIndex = chapters && segments?.[activeSegmentIndex]
+    ? findChapterIndex(chapters, segments[activeSegmentIndex].start)
+    : -1;
 
-    const player = playerRef.current;
-    player.on('timeupdate', handleTimeUpdate);
+  // Timed words per segment, used to save words to the vocabulary notebook and to highlight them
+  const wordsBySegment = useMemo(
+    () => (canSaveWords || showWordHighlighting ? groupWordsBySegment(segments, wordLevelData) : []),
+    [canSaveWords, showWordHighlighting, segments, wordLevelData]
+  );
 
-    return () => {
-      player.off('timeupdate', handleTimeUpdate);
-    };
-  }, [playerRef, wordLevelData, currentWordIndex, showWordHighlighting]);
+  const saveWord = (segment, segmentIndex, word) => {
+    const text = splitWordPunctuation(word.word).core;
+    if (!text) return Promise.resolve(false);
 
-  const escapeRegExp = (string) => {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return onSaveWord({
+      word: text,
+      sentence: segment.text,
+      segment_index: segmentIndex,
+      start_time: word.start,
+      end_time: word.end
+    });
   };
 
-  // Highlight search terms in text
-  const highlightSearchTerm = (text) => {
-    if (!searchTerm.trim()) return text;
+  // Highlight search matches in text; the match navigated to stands out
+  const highlightSearchTerm = (text, segmentIndex) => {
+    if (!searchPattern) return text;
 
-    const regex = new RegExp(`(${searchTerm})`, 'gi');
-    const parts = text.split(regex);
+    return splitByMatches(text, searchPattern).map((part, index) => {
+      if (!part.isMatch) return part.text;
 
-    return parts.map((part, index) =>
-      regex.test(part) ? (
-        <mark key={index} className="bg-yellow-200 px-1 rounded">
-          {part}
+      const isCurrent = activeMatch?.segmentIndex === segmentIndex && activeMatch?.start === part.start;
+      return (
+        <mark key={index} className={`px-1 rounded ${isCurrent ? 'bg-orange-300 ring-1 ring-orange-500' : 'bg-yellow-200'}`}>
+          {part.text}
         </mark>
-      ) : part
-    );
+      );
+    });
   };
 
-  // Highlight current word in text
-  const highlightCurrentWord = (text, segmentIndex) => {
-    if (!showWordHighlighting || currentWordIndex === -1 || !wordLevelData[currentWordIndex]) {
-      return highlightSearchTerm(text);
-    }
-
-    const currentWord = wordLevelData[currentWordIndex];
+  const changeSearchTerm = (value) => {
+    setSearchTerm(value);
+    setCurrentMatchIndex(0);
+  };
 
-    // Find the segment that corresponds to this segmentIndex
-    const currentSegment = segments[segmentIndex];
-    if (!currentSegment) {
-      return highlightSearchTerm(text);
-    }
+  const changeSearchOptions = (options) => {
+    setSearchOptions(options);
+    setCurrentMatchIndex(0);
+  };
 
-    // Check if the current word belongs to this segment (with timing tolerance)
-    const tolerance = 1.0; // 1 second tolerance
-    const wordBelongsToSegment = currentWord.start >= (currentSegment.start - tolerance) &&
-                                 currentWord.start <= (currentSegment.end + tolerance);
+  // Rows of the (virtualized) list; keys include the mode because edit mode rows are taller
+  const rows = useMemo(() => filteredSegments.map(segment => {
+    // Use the originalIndex property if available, otherwise fall back to finding it
+    const originalIndex = segment.originalIndex !== undefined
+      ? segment.originalIndex
+      : segments.findIndex(s => s.start === segment.start && s.text === segment.text);
+
+    // Include the segment content in the key to force a re-render when text changes
+    const key = `${originalIndex}-${segment.start}-${segment.text.substring(0, 20)}`;
+    return { segment, originalIndex, key, sizeKey: `${isEditMode ? 'edit' : 'view'}:${key}` };
+  }), [filteredSegments, segments, isEditMode]);
+
+  const rowSizeKeys = useMemo(() => rows.map(row => row.sizeKey), [rows]);
+  const rowIndexBySegment = useMemo(
+    () => new Map(rows.map((row, rowIndex) => [row.originalIndex, rowIndex])),
+    [rows]
+  );
 
-    // Only highlight if the word belongs to this specific segment
-    if (!wordBelongsToSegment) {
-      return highlightSearchTerm(text);
+  // The segment being edited keeps its unapplied changes in local state, so it stays mounted
+  const editingRowIndex = rowIndexBySegment.get(editingSegmentIndex) ?? -1;
+  const virtualList = useVirtualList({
+    keys: rowSizeKeys,
+    scrollRef: transcriptListRef,
+    pinnedIndexes: [editingRowIndex]
+  });
+  const { scrollToIndex } = virtualList;
+  const activeRowIndex = rowIndexBySegment.get(activeSegmentIndex) ?? -1;
+
+  // Auto-scroll to the active segment (only when focus mode is enabled);
+  // debounced so rapid segment changes don't make the list jump around
+  useEffect(() => {
+    if (!focusMode || activeRowIndex < 0 || lastScrolledSegmentRef.current === activeSegmentIndex) return;
+
+    const timeout = setTimeout(() => {
+      scrollToIndex(activeRowIndex, 'center');
+      lastScrolledSegmentRef.current = activeSegmentIndex;
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [activeSegmentIndex, activeRowIndex, focusMode, scrollToIndex]);
+
+  const scrollToSegment = (segmentIndex) => {
+    const rowIndex = rowIndexBySegment.get(segmentIndex);
+    if (rowIndex !== undefined) {
+      scrollToIndex(rowIndex, 'nearest');
     }
+  };
 
-    let highlightedText = text;
+  // Move to another match (wrapping around) and scroll its segment into view
+  const goToMatch = (index) => {
+    if (searchMatches.length === 0) return;
 
-    // Apply search highlighting first
-    if (searchTerm.trim()) {
-      const searchRegex = new RegExp(`(${escapeRegExp(searchTerm)})`, 'gi');
-      const searchParts = highlightedText.split(searchRegex);
-      highlightedText = searchParts.map((part, index) =>
-        searchRegex.test(part) ? `<mark class="bg-yellow-200 px-1 rounded">${part}</mark>` : part
-      ).join('');
-    }
+    const wrapped = (index + searchMatches.length) % searchMatches.length;
+    setCurrentMatchIndex(wrapped);
+    scrollToSegment(searchMatches[wrapped].segmentIndex);
+  };
 
-    // Then apply word highlighting - only highlight the first occurrence to avoid duplicates
-    const wordRegex = new RegExp(`\\b${escapeRegExp(currentWord.word)}\\b`, 'gi');
-    let matchCount = 0;
-    highlightedText = highlightedText.replace(wordRegex, (match) => {
-      matchCount++;
-      // Only highlight the first occurrence
-      if (matchCount === 1) {
-        return `<span class="current-word-highlight bg-blue-200 px-1 rounded font-medium">${match}</span>`;
-      }
-      return match;
+  // Timing problems across the transcript, checked while editing
+  const timingIssues = useMemo(
+    () => (isEditMode ? validateTiming(editedSegments) : []),
+    [isEditMode, editedSegments]
+  );
+  const timingIssuesBySegment = useMemo(() => {
+    const bySegment = new Map();
+    timingIssues.forEach(issue => {
+      bySegment.set(issue.segmentIndex, [...(bySegment.get(issue.segmentIndex) || []), issue.message]);
     });
-
-    return <span dangerouslySetInnerHTML={{ __html: highlightedText }} />;
-  };
+    return bySegment;
+  }, [timingIssues]);
 
   // Editing functions
   const toggleEditMode = () => {
     if (isEditMode) {
+      // The shortcut is a single key, so never drop edits without asking
+      if (hasUnsavedChanges && !window.confirm('Discard your unsaved transcript changes?')) return;
+
       // Cancel editing - reset to original segments and clear search
       // Only clear editedSegments if we're canceling (not if we just saved)
       const segmentsWithIndex = segments.map((segment, index) => ({
@@ -354,6 +385,13 @@ export const TranscriptPanel = ({
       setEditingSegmentIndex(null);
       setSearchTerm(''); // Clear search to return to normal view
       setHasUnsavedChanges(false); // Clear unsaved changes flag when canceling
+
+      // Keep the discarded edits in the history so the cancel can be undone
+      if (hasUnsavedChanges && history) {
+        setHistory(markHistorySaved(recordHistory(history, 'Discard unsaved edits', segmentsWithIndex)));
+      }
+      setBaseVersion(transcription?.segments_version ?? null);
+      clearDraft(mediaFileId);
     } else {
       // Enter edit mode - initialize editedSegments with current segments
       // Use editedSegments if they exist (from previous edits), otherwise use original segments
@@ -376,29 +414,168 @@ export const TranscriptPanel = ({
     setEditingSegmentIndex(null);
   };
 
-  const updateSegment = (index, field, value) => {
-    setEditedSegments(prevSegments => {
-      const updatedSegments = [...prevSegments];
+  // Apply `changes` (any of text, start, end) to one segment as a single undoable step
+  const updateSegment = (index, changes) => {
+    const segment = editedSegments[index];
+    if (!segment) {
+      console.error('No segment found at index:', index);
+      return;
+    }
 
-      // Ensure the segment exists at the index
-      if (updatedSegments[index]) {
-        updatedSegments[index] = {
-          ...updatedSegments[index],
-          [field]: value
-        };
-      } else {
-        console.error('No segment found at index:', index);
-        return prevSegments; // Return unchanged state
-      }
+    const changedFields = Object.keys(changes).filter(field => changes[field] !== segment[field]);
+    if (changedFields.length === 0) return;
 
-      return updatedSegments;
-    });
+    const updatedSegments = [...editedSegments];
+    updatedSegments[index] = { ...segment, ...changes };
+    setEditedSegments(updatedSegments);
+    setHistory(recordHistory(
+      history || createHistory(editedSegments),
+      describeSegmentChange(index + 1, changedFields),
+      updatedSegments
+    ));
 
     // Mark that we have unsaved changes
     setHasUnsavedChanges(true);
   };
 
-  const saveChanges = async () => {
+  // Replace segments by position and record the change as one undoable step
+  const applySegmentChange = (label, updatedSegments) => {
+    const reindexed = reindexSegments(updatedSegments);
+    setEditedSegments(reindexed);
+    setHistory(recordHistory(history || createHistory(editedSegments), label, reindexed));
+    setEditingSegmentIndex(null);
+    setHasUnsavedChanges(true);
+  };
+
+  // Split a segment (with any edits from the segment editor applied) at a text offset
+  const splitSegment = (index, changes, offset) => {
+    const segment = editedSegments[index];
+    if (!segment) return;
+
+    const halves = splitSegmentAt({ ...segment, ...changes }, offset);
+    if (!halves) {
+      toast.error('Place the cursor between two words, away from the start and end of the phrase');
+      return;
+    }
+
+    applySegmentChange(`Split phrase ${index + 1}`, [
+      ...editedSegments.slice(0, index),
+      ...halves,
+      ...editedSegments.slice(index + 1)
+    ]);
+  };
+
+  // Merge a segment with the previous (-1) or next (1) one
+  const mergeSegment = (index, direction) => {
+    const firstIndex = direction < 0 ? index - 1 : index;
+    const first = editedSegments[firstIndex];
+    const second = editedSegments[firstIndex + 1];
+    if (!first || !second) return;
+
+    applySegmentChange(`Merge phrases ${firstIndex + 1} and ${firstIndex + 2}`, [
+      ...editedSegments.slice(0, firstIndex),
+      mergeSegments(first, second),
+      ...editedSegments.slice(firstIndex + 2)
+    ]);
+  };
+
+  // Apply one of the timing fixes to the given segment positions
+  const fixTiming = (type, indexes) => {
+    const fix = TIMING_FIXES[type];
+    const { segments: fixedSegments, unfixed } = fix.apply(editedSegments, indexes);
+
+    if (unfixed.length > 0) {
+      const phrases = unfixed.map(index => index + 1).join(', ');
+      toast.warn(`Could not fix phrase${unfixed.length === 1 ? '' : 's'} ${phrases} automatically; adjust ${unfixed.length === 1 ? 'it' : 'them'} by hand`);
+    }
+    if (isSameSegmentList(fixedSegments, editedSegments)) return;
+
+    applySegmentChange(
+      indexes.size === 1 ? `${fix.label} (phrase ${[...indexes][0] + 1})` : `${fix.label} (${indexes.size} phrases)`,
+      fixedSegments
+    );
+  };
+
+  // Replace the match navigated to
+  const replaceCurrentMatch = (replacement) => {
+    const segment = activeMatch && editedSegments[activeMatch.segmentIndex];
+    if (!segment) return;
+
+    const text = replaceMatchAt(segment.text, searchPattern, activeMatch.start, replacement, searchOptions).trim();
+    if (!text) {
+      toast.error('Replacing this match would leave the phrase empty');
+      return;
+    }
+
+    applySegmentChange(
+      `Replace "${activeMatch.text}" in phrase ${activeMatch.segmentIndex + 1}`,
+      editedSegments.map((item, index) => (index === activeMatch.segmentIndex ? { ...item, text } : item))
+    );
+  };
+
+  // Replace every match in the segments shown
+  const replaceAllSearchMatches = (replacement) => {
+    const matchedIndexes = new Set(searchMatches.map(match => match.segmentIndex));
+    let replacedCount = 0;
+    let skippedCount = 0;
+
+    const updatedSegments = editedSegments.map((segment, index) => {
+      if (!matchedIndexes.has(index)) return segment;
+
+      const text = replaceAllMatches(segment.text, searchPattern, replacement, searchOptions).trim();
+      if (!text) {
+        skippedCount++;
+        return segment;
+      }
+      replacedCount += findTextMatches(segment.text, searchPattern).length;
+      return { ...segment, text };
+    });
+
+    if (replacedCount > 0) {
+      applySegmentChange(`Replace all "${searchTerm}" (${replacedCount})`, updatedSegments);
+      toast.success(`Replaced ${replacedCount} match${replacedCount === 1 ? '' : 'es'}`);
+    }
+    if (skippedCount > 0) {
+      toast.warn(`Skipped ${skippedCount} phrase${skippedCount === 1 ? '' : 's'} that would have been left empty`);
+    }
+  };
+
+  // Restore the segments of a history entry
+  const goToHistory = (position) => {
+    if (!history) return;
+
+    const nextHistory = moveHistory(history, position);
+    setHistory(nextHistory);
+    setEditedSegments(nextHistory.entries[nextHistory.position].segments);
+    setHasUnsavedChanges(nextHistory.position !== nextHistory.savedPosition);
+    setEditingSegmentIndex(null);
+
+    if (nextHistory.position === nextHistory.savedPosition) {
+      clearDraft(mediaFileId);
+    }
+  };
+
+  const restoreDraft = () => {
+    const restored = reindexSegments(pendingDraft.segments);
+    setEditedSegments(restored);
+    setHistory(recordHistory(history || createHistory(editedSegments), 'Restore unsaved draft', restored));
+    setBaseVersion(pendingDraft.version ?? null);
+    setHasUnsavedChanges(true);
+    setIsEditMode(true);
+    setPendingDraft(null);
+  };
+
+  const discardDraft = () => {
+    clearDraft(mediaFileId);
+    setPendingDraft(null);
+  };
+
+  const undo = () => goToHistory(history.position - 1);
+
+  const redo = () => goToHistory(history.position + 1);
+
+  // Save the edits as based on `version`; a 409 means it was saved elsewhere in the meantime
+  const saveSegments = async (version) => {
     if (!mediaFileId || !editedSegments.length) {
       toast.error('Cannot save changes - missing data');
       return;
@@ -406,11 +583,14 @@ export const TranscriptPanel = ({
 
     setIsSaving(true);
     try {
-      const response = await transcriptionAPI.updateTranscriptionSegments(mediaFileId, editedSegments);
+      const response = await transcriptionAPI.updateTranscriptionSegments(mediaFileId, editedSegments, version);
       toast.success('Transcript updated successfully!');
 
       // Clear the unsaved changes flag since we just saved
       setHasUnsavedChanges(false);
+      setHistory(current => current && markHistorySaved(current));
+      setBaseVersion(response.segments_version ?? null);
+      clearDraft(mediaFileId);
 
       // Call parent component to refresh transcription data first
       if (onTranscriptionUpdate) {
@@ -422,6 +602,13 @@ export const TranscriptPanel = ({
       setEditingSegmentIndex(null);
       // Note: We don't clear editedSegments here so the changes remain visible
     } catch (error) {
+      if (error.response?.status === 409) {
+        setSaveConflict({
+          segments: error.response.data.segments || [],
+          version: error.response.data.current_version
+        });
+        return;
+      }
       console.error('Error saving changes:', error);
       console.error('Error details:', error.response?.data);
       toast.error('Failed to save changes. Please try again.');
@@ -430,6 +617,41 @@ export const TranscriptPanel = ({
     }
   };
 
+  const saveChanges = () => saveSegments(baseVersion);
+
+  // Conflict resolutions; each continues from the version that is on the server now
+  const overwriteWithMine = () => {
+    const { version } = saveConflict;
+    setSaveConflict(null);
+    setBaseVersion(version);
+    saveSegments(version);
+  };
+
+  const loadSavedVersion = async () => {
+    const saved = reindexSegments(saveConflict.segments);
+    setEditedSegments(saved);
+    setHistory(markHistorySaved(recordHistory(history || createHistory(editedSegments), 'Load the saved version', saved)));
+    setBaseVersion(saveConflict.version);
+    setHasUnsavedChanges(false);
+    setEditingSegmentIndex(null);
+    setSaveConflict(null);
+    clearDraft(mediaFileId);
+
+    if (onTranscriptionUpdate) {
+      await onTranscriptionUpdate();
+    }
+  };
+
+  const mergeWithSavedVersion = (merged) => {
+    const reindexed = reindexSegments(merged);
+    setEditedSegments(reindexed);
+    setHistory(recordHistory(history || createHistory(editedSegments), 'Merge with the saved version', reindexed));
+    setBaseVersion(saveConflict.version);
+    setHasUnsavedChanges(true);
+    setEditingSegmentIndex(null);
+    setSaveConflict(null);
+  };
+
   const formatTimeForInput = (seconds) => {
     const totalSeconds = Math.floor(seconds);
     const minutes = Math.floor(totalSeconds / 60);
@@ -450,6 +672,13 @@ export const TranscriptPanel = ({
     return minutes * 60 + seconds + ms / 1000;
   };
 
+  // Keyboard shortcuts (bindings are configurable in Settings)
+  useShortcuts({ 'transcript.toggleEditMode': toggleEditMode }, !isClozeMode && !loading && segments?.length > 0);
+  useShortcuts({ 'transcript.save': saveChanges }, isEditMode && hasUnsavedChanges && !isSaving);
+  useShortcuts({ 'transcript.closeSegmentEditor': stopEditingSegment }, editingSegmentIndex !== null);
+  useShortcuts({ 'transcript.undo': undo }, isEditMode && !isSaving && canUndo(history));
+  useShortcuts({ 'transcript.redo': redo }, isEditMode && !isSaving && canRedo(history));
+
   if (loading) {
     return (
       <div className="card h-96">
@@ -475,13 +704,66 @@ export const TranscriptPanel = ({
 
   return (
     <div className="h-full flex flex-col">
+      {saveConflict && (
+        <SaveConflictDialog
+          mine={editedSegments}
+          theirs={saveConflict.segments}
+          onKeepMine={overwriteWithMine}
+          onUseTheirs={loadSavedVersion}
+          onMerge={mergeWithSavedVersion}
+          onClose={() => setSaveConflict(null)}
+        />
+      )}
+
+      {/* Draft left from an earlier visit */}
+      {pendingDraft && (
+        <div className="flex items-center justify-between gap-3 mb-3 px-3 py-2 rounded-lg bg-amber-50 border border-amber-200 text-sm text-amber-900">
+          <span>
+            Unsaved edits from {new Date(pendingDraft.savedAt).toLocaleString()} were found
+            {pendingDraft.version != null && pendingDraft.version !== transcription?.segments_version
+              ? ' (the transcript has been saved since)'
+              : ''}.
+          </span>
+          <div className="flex gap-2 flex-shrink-0">
+            <button
+              onClick={restoreDraft}
+              className="px-2 py-1 text-xs font-medium rounded bg-amber-600 text-white hover:bg-amber-700"
+            >
+              Restore
+            </button>
+            <button
+              onClick={discardDraft}
+              className="px-2 py-1 text-xs font-medium rounded bg-white text-amber-800 border border-amber-300 hover:bg-amber-100"
+            >
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+
       <div className="flex items-center justify-between mb-4">
         <div className="flex items-center space-x-3">
           <div className="text-sm text-gray-500">
             {filteredSegments.length} segments
           </div>
 
+          {/* Cloze Toggle */}
+          {!isEditMode && (
+            <button
+              onClick={() => setIsClozeMode(!isClozeMode)}
+              className={`px-3 py-1 text-xs font-medium rounded-md transition-colors ${
+                isClozeMode
+                  ? 'bg-purple-600 text-white hover:bg-purple-700'
+                  : 'bg-purple-100 text-purple-700 hover:bg-purple-200'
+              }`}
+              title="Fill in the missing words"
+            >
+              {isClozeMode ? 'Exit Cloze' : 'Cloze'}
+            </button>
+          )}
+
           {/* Edit Toggle */}
+          {!isClozeMode && (
           <button
             onClick={toggleEditMode}
             disabled={isSaving}
@@ -493,6 +775,7 @@ export const TranscriptPanel = ({
           >
             {isEditMode ? 'Cancel Edit' : 'Edit Mode'}
           </button>
+          )}
 
           {/* Save Button */}
           {isEditMode && (
@@ -508,34 +791,89 @@ export const TranscriptPanel = ({
               {isSaving ? 'Saving...' : 'Save Changes'}
             </button>
           )}
+
+          {/* Undo / redo */}
+          {isEditMode && (
+            <EditHistoryPanel
+              history={history}
+              onUndo={undo}
+              onRedo={redo}
+              onJump={goToHistory}
+            />
+          )}
         </div>
       </div>
 
       {/* Search */}
-      {showSearch && (
-        <div className="relative mb-4">
-          <input
-            type="text"
-            placeholder="Search transcript..."
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-            className="w-full px-4 py-2 pl-10 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
-          />
-          <div className="absolute left-3 top-2.5 text-gray-400">
-            🔍
-          </div>
-          {searchTerm && (
-            <button
-              onClick={() => setSearchTerm('')}
-              className="absolute right-3 top-2.5 text-gray-400 hover:text-gray-600"
-            >
-              ✕
-            </button>
-          )}
+      {showSearch && !isClozeMode && (
+        <FindReplacePanel
+          searchTerm={searchTerm}
+          onSearchTermChange={changeSearchTerm}
+          options={searchOptions}
+          onOptionsChange={changeSearchOptions}
+          error={searchError}
+          matchCount={searchMatches.length}
+          currentMatchIndex={activeMatchIndex}
+          onPrevious={() => goToMatch(activeMatchIndex - 1)}
+          onNext={() => goToMatch(activeMatchIndex + 1)}
+          canReplace={isEditMode}
+          onReplace={replaceCurrentMatch}
+          onReplaceAll={replaceAllSearchMatches}
+        />
+      )}
+
+      {/* Speaker filter */}
+      {speakers.length > 1 && onPracticeSpeakerChange && !isClozeMode && (
+        <div className="flex items-center gap-2 mb-3 text-xs">
+          <span className="font-medium text-gray-700">Speaker</span>
+          <select
+            value={practiceSpeaker || ''}
+            onChange={(e) => onPracticeSpeakerChange(e.target.value || null)}
+            className="px-2 py-1 border border-gray-300 rounded bg-white text-gray-800"
+            title="Show and practice only one speaker's lines"
+          >
+            <option value="">All speakers</option>
+            {speakers.map(speaker => (
+              <option key={speaker} value={speaker}>{formatSpeakerLabel(speaker)}</option>
+            ))}
+          </select>
         </div>
       )}
 
-      <div className="transcript-panel flex-1">
+      {/* Timing check */}
+      {isEditMode && (
+        <TimingValidationPanel
+          issues={timingIssues}
+          onFix={fixTiming}
+          onGoTo={scrollToSegment}
+        />
+      )}
+
+      {/* Chapters */}
+      {chapters && chapters.length > 0 && !isClozeMode && (
+        <ChapterList
+          chapters={chapters}
+          currentChapterIndex={currentChapterIndex}
+          activeSegment={segments[activeSegmentIndex] || null}
+          isEdited={isChaptersEdited}
+          onSelect={onChapterSelect}
+          onChange={onChaptersChange}
+          onReset={onResetChapters}
+        />
+      )}
+
+      {isClozeMode ? (
+        <ClozePanel
+          segments={segments}
+          words={wordLevelData}
+          isLoadingWords={isLoadingWords}
+          activeSegmentIndex={activeSegmentIndex}
+          onSegmentClick={onSegmentClick}
+          onPlayRange={onPlayRange}
+          vocabularyWords={vocabularyWords}
+        />
+      ) : (
+      <div ref={transcriptListRef} className="transcript-panel flex-1">
         {filteredSegments.length === 0 ? (
           <div className="flex items-center justify-center h-32 text-gray-500">
             <div className="text-center">
@@ -544,45 +882,66 @@ export const TranscriptPanel = ({
             </div>
           </div>
         ) : (
-          filteredSegments.map((segment, filteredIndex) => {
-            // Use the originalIndex property if available, otherwise fall back to finding it
-            const originalIndex = segment.originalIndex !== undefined
-              ? segment.originalIndex
-              : segments.findIndex(s => s.start === segment.start && s.text === segment.text);
-
-            // Create a unique key that includes the segment content to force re-render when text changes
-            const segmentKey = `${originalIndex}-${segment.start}-${segment.text.substring(0, 20)}`;
-
-            return (
-              <EditableSegment
-                key={segmentKey}
-                segment={segment}
-                index={originalIndex}
-                isActive={originalIndex === activeSegmentIndex}
-                isEditMode={isEditMode}
-                isEditing={editingSegmentIndex === originalIndex}
-                onSegmentClick={onSegmentClick}
-                onWordClick={onWordClick}
-                onStartEdit={() => startEditingSegment(originalIndex)}
-                onStopEdit={stopEditingSegment}
-                onUpdateSegment={updateSegment}
-                highlightSearchTerm={highlightSearchTerm}
-                highlightCurrentWord={highlightCurrentWord}
-                formatTimeForInput={formatTimeForInput}
-                parseTimeFromInput={parseTimeFromInput}
-                ref={originalIndex === activeSegmentIndex ? activeSegmentRef : null}
-              />
-            );
-          })
+          <div style={{ paddingBottom: virtualList.paddingBottom }}>
+            {virtualList.items.map(({ index: rowIndex, spaceBefore }) => {
+              const { segment, originalIndex, key, sizeKey } = rows[rowIndex];
+              const chapterHeading = !isFiltered && chapters?.length > 1 ? chapterStarts.get(originalIndex) : null;
+
+              return (
+                <React.Fragment key={key}>
+                  {spaceBefore > 0 && <div style={{ height: spaceBefore }} />}
+                  <div ref={virtualList.measureElement} data-virtual-key={sizeKey} className="flow-root">
+                    {chapterHeading && (
+                      <div className="flex items-center gap-2 px-2 pt-3 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-500">
+                        <span className="truncate">{chapterHeading.title}</span>
+                        <span className="flex-1 border-t border-gray-200" />
+                      </div>
+                    )}
+                    <EditableSegment
+                      segment={segment}
+                      index={originalIndex}
+                      isActive={originalIndex === activeSegmentIndex}
+                      isEditMode={isEditMode}
+                      isEditing={editingSegmentIndex === originalIndex}
+                      onSegmentClick={onSegmentClick}
+                      onWordClick={onWordClick}
+                      words={wordsBySegment[originalIndex]}
+                      onSaveWord={onSaveWord ? (word) => saveWord(segment, originalIndex, word) : null}
+                      isMarkedForStudy={!!studySegmentIndexes?.has(originalIndex)}
+                      timingIssues={isEditMode ? timingIssuesBySegment.get(originalIndex) : null}
+                      onToggleStudy={onToggleStudySegment ? () => onToggleStudySegment(originalIndex) : null}
+                      translation={translationLines ? translationLines[originalIndex] || '' : null}
+                      translationDisplay={translationDisplay}
+                      translationLabel={translationLabel}
+                      onTranslationChange={onTranslationChange ? (text) => onTranslationChange(originalIndex, text) : null}
+                      onStartEdit={() => startEditingSegment(originalIndex)}
+                      onStopEdit={stopEditingSegment}
+                      onUpdateSegment={updateSegment}
+                      onSplitSegment={splitSegment}
+                      onPlayRange={onPlayRange}
+                      onMergeSegment={isEditMode ? (direction) => mergeSegment(originalIndex, direction) : null}
+                      canMergePrevious={originalIndex > 0}
+                      canMergeNext={originalIndex < editedSegments.length - 1}
+                      highlightSearchTerm={highlightSearchTerm}
+                      cueStream={showWordHighlighting ? cueStream : null}
+                      formatTimeForInput={formatTimeForInput}
+                      parseTimeFromInput={parseTimeFromInput}
+                    />
+                  </div>
+                </React.Fragment>
+              );
+            })}
+          </div>
         )}
       </div>
+      )}
 
       {/* Transcript Stats */}
       {showStats && (
         <div className="border-t border-gray-200 pt-3 mt-3">
           <div className="flex justify-between text-xs text-gray-500">
             <span>
-              {searchTerm ? `${filteredSegments.length}/${segments.length}` : segments.length} segments
+              {isFiltered ? `${filteredSegments.length}/${segments.length}` : segments.length} segments
             </span>
             <span>
               {segments.reduce((total, segment) => {
@@ -605,24 +964,47 @@ const EditableSegment = React.forwardRef(({
   isEditing,
   onSegmentClick,
   onWordClick,
+  words,
+  onSaveWord,
+  isMarkedForStudy,
+  timingIssues,
+  onToggleStudy,
+  translation,
+  translationDisplay,
+  translationLabel,
+  onTranslationChange,
   onStartEdit,
   onStopEdit,
   onUpdateSegment,
+  onSplitSegment,
+  onMergeSegment,
+  canMergePrevious,
+  canMergeNext,
+  onPlayRange,
   highlightSearchTerm,
-  highlightCurrentWord,
+  cueStream,
   formatTimeForInput,
   parseTimeFromInput
 }, ref) => {
   const [localText, setLocalText] = useState(segment.text);
   const [localStartTime, setLocalStartTime] = useState(formatTimeForInput(segment.start));
   const [localEndTime, setLocalEndTime] = useState(formatTimeForInput(segment.end));
+  const [localTranslation, setLocalTranslation] = useState(translation || '');
+  const textAreaRef = useRef(null);
+  const [showWordTimings, setShowWordTimings] = useState(false);
+
+  const hasTimedWords = segment.words?.some(isTimedWord);
+  const activeWordStart = useActiveWordStart(cueStream, segment.start, segment.end);
 
-  // Update local state when segment changes
+  // Update local state when segment changes or the editor is closed without applying
   useEffect(() => {
     setLocalText(segment.text);
     setLocalStartTime(formatTimeForInput(segment.start));
     setLocalEndTime(formatTimeForInput(segment.end));
-  }, [segment, formatTimeForInput]);
+    setLocalTranslation(translation || '');
+  }, [segment, formatTimeForInput, isEditing, translation]);
+
+  const canEditTranslation = translation !== null && !!onTranslationChange;
 
   const handleSaveEdit = () => {
     const startSeconds = parseTimeFromInput(localStartTime);
@@ -643,19 +1025,40 @@ const EditableSegment = React.forwardRef(({
       return;
     }
 
-    onUpdateSegment(index, 'text', localText.trim());
-    onUpdateSegment(index, 'start', startSeconds);
-    onUpdateSegment(index, 'end', endSeconds);
+    onUpdateSegment(index, { text: localText.trim(), start: startSeconds, end: endSeconds });
+
+    // Translations are stored in their own track and saved straight away
+    if (canEditTranslation && localTranslation.trim() !== translation) {
+      onTranslationChange(localTranslation.trim());
+    }
 
     // Exit edit mode for this segment after saving
     onStopEdit();
     toast.success('Segment updated successfully');
   };
 
+  // Split at the text cursor, keeping any text or timing typed into the editor
+  const handleSplit = () => {
+    const startSeconds = parseTimeFromInput(localStartTime);
+    const endSeconds = parseTimeFromInput(localEndTime);
+
+    if (!isValidTimeRange()) {
+      toast.error('End time must be after start time');
+      return;
+    }
+
+    onSplitSegment(
+      index,
+      { text: localText, start: startSeconds, end: endSeconds },
+      textAreaRef.current?.selectionStart ?? 0
+    );
+  };
+
   const handleCancelEdit = () => {
     setLocalText(segment.text);
     setLocalStartTime(formatTimeForInput(segment.start));
     setLocalEndTime(formatTimeForInput(segment.end));
+    setLocalTranslation(translation || '');
     onStopEdit(); // Close the editing window
   };
 
@@ -690,6 +1093,7 @@ const EditableSegment = React.forwardRef(({
   return (
     <div
       ref={ref}
+      data-segment-index={index}
       className={`transcript-segment ${isActive ? 'active' : ''} ${
         isEditMode ? 'border-l-4 border-blue-200' : ''
       }`}
@@ -794,17 +1198,61 @@ const EditableSegment = React.forwardRef(({
           <div className="space-y-2">
             <label className="block text-sm font-semibold text-gray-700">Segment Text</label>
             <textarea
+              ref={textAreaRef}
               value={localText}
               onChange={(e) => setLocalText(e.target.value)}
               className="w-full px-4 py-3 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white resize-none"
               rows={3}
               placeholder="Enter segment text..."
             />
-            <div className="text-xs text-gray-500">
-              Characters: {localText.length}
+            <div className="flex items-center justify-between text-xs text-gray-500">
+              <span>Characters: {localText.length}</span>
+              <button
+                onClick={handleSplit}
+                className="px-2 py-1 font-medium bg-indigo-100 text-indigo-700 rounded hover:bg-indigo-200 transition-colors"
+                title="Split this phrase in two at the text cursor"
+              >
+                ✂️ Split at cursor
+              </button>
             </div>
           </div>
 
+          {/* Word timings */}
+          {hasTimedWords && (
+            <div className="space-y-2">
+              <button
+                onClick={() => setShowWordTimings(!showWordTimings)}
+                className="text-xs font-medium text-blue-700 hover:text-blue-900"
+                aria-expanded={showWordTimings}
+              >
+                {showWordTimings ? '▾' : '▸'} ⏱️ Word timings
+              </button>
+              {showWordTimings && (
+                <WordTimingEditor
+                  segment={segment}
+                  onApply={(words) => onUpdateSegment(index, { words })}
+                  onPlayRange={onPlayRange}
+                />
+              )}
+            </div>
+          )}
+
+          {/* Translation input */}
+          {canEditTranslation && (
+            <div className="space-y-2">
+              <label className="block text-sm font-semibold text-gray-700">
+                Translation ({translationLabel})
+              </label>
+              <textarea
+                value={localTranslation}
+                onChange={(e) => setLocalTranslation(e.target.value)}
+                className="w-full px-4 py-3 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white resize-none"
+                rows={2}
+                placeholder="Enter the translation of this segment..."
+              />
+            </div>
+          )}
+
           {/* Action buttons */}
           <div className="flex items-center justify-between pt-2 border-t border-gray-200">
             <div className="text-xs text-gray-500">
@@ -853,22 +1301,63 @@ const EditableSegment = React.forwardRef(({
             }`}>
               {formatTimestamp(segment.start)}
             </span>
+            {timingIssues && (
+              <span className="text-sm text-amber-500 cursor-help" title={timingIssues.join('\n')}>
+                ⚠️
+              </span>
+            )}
+            {onToggleStudy && !isEditMode && (
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onToggleStudy();
+                }}
+                className={`text-sm px-1 rounded transition-opacity ${
+                  isMarkedForStudy
+                    ? 'text-amber-500'
+                    : 'text-gray-400 opacity-0 group-hover:opacity-100 hover:text-amber-500'
+                }`}
+                title={isMarkedForStudy ? 'Remove from review' : 'Study this phrase later'}
+              >
+                {isMarkedForStudy ? '★' : '☆'}
+              </button>
+            )}
           </div>
 
           <div className="flex-1 min-w-0">
             {/* Speaker label if available */}
             {segment.speaker && (
               <div className="text-xs font-medium text-blue-600 mb-2 bg-blue-100 px-2 py-1 rounded-md inline-block">
-                {segment.speaker}
+                {formatSpeakerLabel(segment.speaker)}
               </div>
             )}
 
             {/* Segment text */}
             <div className="text-sm text-gray-900 leading-relaxed">
-              {/* Only use search highlighting, no word highlighting in transcript panel */}
-              <span className="break-words">{highlightSearchTerm(segment.text)}</span>
+              {!isEditMode && (onSaveWord || cueStream) && words?.length > 0 && wordsMatchText(words, segment.text) ? (
+                <span className="break-words">
+                  <WordLevelText
+                    words={words}
+                    activeWordStart={activeWordStart}
+                    onWordClick={onWordClick}
+                    onSaveWord={onSaveWord}
+                    highlightSearchTerm={highlightSearchTerm}
+                  />
+                </span>
+              ) : (
+                <span className="break-words">{highlightSearchTerm(segment.text, index)}</span>
+              )}
             </div>
 
+            {/* Translation under the original */}
+            {translation && translationDisplay !== 'off' && (
+              <div className={`text-xs text-gray-500 italic leading-relaxed mt-1 break-words ${
+                translationDisplay === 'hover' ? 'hidden group-hover:block' : ''
+              }`}>
+                {translation}
+              </div>
+            )}
+
             {/* Edit button in edit mode */}
             {isEditMode && (
               <button
@@ -881,6 +1370,36 @@ const EditableSegment = React.forwardRef(({
                 ✏️ Edit
               </button>
             )}
+
+            {/* Merge buttons in edit mode */}
+            {onMergeSegment && (
+              <span className="inline-flex gap-1 ml-2">
+                {canMergePrevious && (
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onMergeSegment(-1);
+                    }}
+                    className="mt-3 px-2 py-1.5 text-xs font-medium bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+                    title="Merge with the previous phrase"
+                  >
+                    ⤒ Merge up
+                  </button>
+                )}
+                {canMergeNext && (
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onMergeSegment(1);
+                    }}
+                    className="mt-3 px-2 py-1.5 text-xs font-medium bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+                    title="Merge with the next phrase"
+                  >
+                    ⤓ Merge down
+                  </button>
+                )}
+              </span>
+            )}
           </div>
         </div>
       )}
@@ -889,26 +1408,67 @@ const EditableSegment = React.forwardRef(({
 });
 
 // Component for word-level text rendering
-const WordLevelText = ({ words, isActive, onWordClick, highlightSearchTerm }) => {
+const WordLevelText = ({ words, activeWordStart, onWordClick, onSaveWord, highlightSearchTerm }) => {
+  // The active word comes from the player's timeline, whose times are more precise than these
+  const activeIndex = activeWordStart === null ? -1 : findWordIndexByStart(words, activeWordStart);
+  // Clicking a word selects it so it can be saved to the vocabulary notebook
+  const [selectedIndex, setSelectedIndex] = useState(-1);
+  const [savedIndexes, setSavedIndexes] = useState(() => new Set());
+  const [savingIndex, setSavingIndex] = useState(-1);
+
+  const handleSave = async (e, word, index) => {
+    e.stopPropagation();
+    setSavingIndex(index);
+    // The caller reports errors and resolves to whether the word was saved
+    const saved = await onSaveWord(word);
+    if (saved) {
+      setSavedIndexes(prev => new Set(prev).add(index));
+    }
+    setSavingIndex(-1);
+  };
+
   return (
     <span>
       {words.map((word, index) => (
-        <span
-          key={index}
-          onClick={(e) => {
-            if (onWordClick && word.start !== undefined) {
-              e.stopPropagation();
-              onWordClick(word.start, word);
-            }
-          }}
-          className={`${
-            isActive ? 'word-highlight' : ''
-          } ${onWordClick ? 'hover:bg-blue-200 hover:rounded px-0.5 cursor-pointer' : ''} transition-colors duration-200`}
-          title={word.start ? `${Math.floor(word.start / 60)}:${Math.floor(word.start % 60).toString().padStart(2, '0')}` : ''}
-        >
-          {highlightSearchTerm ? highlightSearchTerm(word.word || word.text) : (word.word || word.text)}
+        <React.Fragment key={index}>
+          <span
+            onClick={(e) => {
+              if (onWordClick && word.start !== undefined) {
+                e.stopPropagation();
+                onWordClick(word.start, word);
+              }
+              if (onSaveWord) {
+                e.stopPropagation();
+                setSelectedIndex(index === selectedIndex ? -1 : index);
+              }
+            }}
+            className={`${
+              index === activeIndex ? 'word-highlight' : ''
+            } ${onWordClick || onSaveWord ? 'hover:bg-blue-200 hover:rounded px-0.5 cursor-pointer' : ''} ${
+              index === selectedIndex ? 'bg-blue-100 rounded' : ''
+            } transition-colors duration-200`}
+            title={word.start ? `${Math.floor(word.start / 60)}:${Math.floor(word.start % 60).toString().padStart(2, '0')}` : ''}
+          >
+            {highlightSearchTerm ? highlightSearchTerm(word.word || word.text) : (word.word || word.text)}
+          </span>
+          {onSaveWord && index === selectedIndex && (
+            savedIndexes.has(index) ? (
+              <span className="ml-0.5 px-1.5 py-0.5 text-xs font-medium text-green-700 bg-green-100 rounded">
+                ✓ Saved
+              </span>
+            ) : (
+              <button
+                onClick={(e) => handleSave(e, word, index)}
+                disabled={savingIndex === index}
+                className="ml-0.5 px-1.5 py-0.5 text-xs font-medium text-white bg-blue-600 rounded hover:bg-blue-700 disabled:opacity-50"
+                title="Save this word to your vocabulary"
+              >
+                {savingIndex === index ? '…' : '＋ Save'}
+              </button>
+            )
+          )}
           {index < words.length - 1 ? ' ' : ''}
-        </span>
+        </React.Fragment>
       ))}
     </span>
   );
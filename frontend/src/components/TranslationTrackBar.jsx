@@ -0,0 +1,148 @@
+import { useState } from 'react';
+import { TRANSLATION_DISPLAY_MODES } from '../utils/translation';
+
+// Pick, add and show the second (translation) subtitle track
+export const TranslationTrackBar = ({
+  tracks,
+  activeTrackId,
+  onSelectTrack,
+  displayMode,
+  onDisplayModeChange,
+  onUpload,
+  onCreate,
+  onDelete
+}) => {
+  const [addMode, setAddMode] = useState(null); // null, 'upload' or 'manual'
+  const [language, setLanguage] = useState('');
+  const [label, setLabel] = useState('');
+  const [file, setFile] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const activeTrack = tracks.find(track => track.id === activeTrackId) || null;
+
+  const closeForm = () => {
+    setAddMode(null);
+    setLanguage('');
+    setLabel('');
+    setFile(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!language.trim() || (addMode === 'upload' && !file)) return;
+
+    setIsSubmitting(true);
+    const succeeded = addMode === 'upload'
+      ? await onUpload(file, language.trim(), label.trim())
+      : await onCreate(language.trim(), label.trim());
+    setIsSubmitting(false);
+
+    if (succeeded) {
+      closeForm();
+    }
+  };
+
+  return (
+    <div className="mt-2 space-y-2">
+      <div className="flex items-center gap-2 text-xs">
+        <span className="font-medium text-gray-700">Translation</span>
+        <select
+          value={activeTrackId || ''}
+          onChange={(e) => onSelectTrack(e.target.value || null)}
+          className="px-2 py-1 border border-gray-300 rounded bg-white text-gray-800"
+        >
+          <option value="">None</option>
+          {tracks.map(track => (
+            <option key={track.id} value={track.id}>{track.display_label}</option>
+          ))}
+        </select>
+
+        {activeTrack && (
+          <select
+            value={displayMode}
+            onChange={(e) => onDisplayModeChange(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded bg-white text-gray-800"
+            title="How to show the translation"
+          >
+            {TRANSLATION_DISPLAY_MODES.map(mode => (
+              <option key={mode.value} value={mode.value}>{mode.label}</option>
+            ))}
+          </select>
+        )}
+
+        <div className="flex-1" />
+
+        <button
+          onClick={() => setAddMode(addMode === 'upload' ? null : 'upload')}
+          className="px-2 py-1 bg-blue-100 text-blue-700 rounded hover:bg-blue-200 transition-colors"
+          title="Upload an SRT or VTT file"
+        >
+          Upload
+        </button>
+        <button
+          onClick={() => setAddMode(addMode === 'manual' ? null : 'manual')}
+          className="px-2 py-1 bg-blue-100 text-blue-700 rounded hover:bg-blue-200 transition-colors"
+          title="Start an empty track and type the translation in the editor"
+        >
+          New
+        </button>
+        {activeTrack && (
+          <button
+            onClick={() => onDelete(activeTrack)}
+            className="px-2 py-1 text-gray-400 hover:text-red-600 transition-colors"
+            title={`Delete the ${activeTrack.display_label} track`}
+          >
+            ✕
+          </button>
+        )}
+      </div>
+
+      {addMode && (
+        <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2 text-xs bg-white border border-gray-200 rounded p-2">
+          <input
+            type="text"
+            value={language}
+            onChange={(e) => setLanguage(e.target.value)}
+            placeholder="Language (e.g. es)"
+            maxLength={10}
+            className="w-28 px-2 py-1 border border-gray-300 rounded"
+            required
+          />
+          <input
+            type="text"
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            placeholder="Label (optional)"
+            maxLength={100}
+            className="w-32 px-2 py-1 border border-gray-300 rounded"
+          />
+          {addMode === 'upload' && (
+            <input
+              type="file"
+              accept=".vtt,.srt,text/vtt"
+              onChange={(e) => setFile(e.target.files[0] || null)}
+              className="text-xs"
+              required
+            />
+          )}
+          <div className="flex gap-1 ml-auto">
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="px-2 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              {isSubmitting ? 'Saving…' : addMode === 'upload' ? 'Upload' : 'Create'}
+            </button>
+            <button
+              type="button"
+              onClick={closeForm}
+              className="px-2 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
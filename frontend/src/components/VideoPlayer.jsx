@@ -206,9 +206,8 @@ export const VideoPlayer = ({
     }
 
     // Don't show native subtitles if we have word-level highlighting enabled
-    // The WordHighlighter component will handle subtitle display
+    // The ESL player draws its own subtitle overlay
     if (transcription.has_word_level_vtt) {
-      console.log('Skipping native subtitles - using WordHighlighter overlay instead');
       return;
     }
 
@@ -249,9 +248,8 @@ export const VideoPlayer = ({
     if (!playerRef.current || !subtitles || subtitles.length === 0) return;
 
     // Don't show native subtitles if we have word-level highlighting enabled
-    // The WordHighlighter component will handle subtitle display
+    // The ESL player draws its own subtitle overlay
     if (transcription?.has_word_level_vtt) {
-      console.log('Skipping inline subtitles - using WordHighlighter overlay instead');
       return;
     }
 
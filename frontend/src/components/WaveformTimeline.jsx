@@ -0,0 +1,255 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { loadWaveformPeaks, getPeakInRange, findSpeakerChanges } from '../utils/waveform';
+
+const ZOOM_LEVELS = [1, 2, 4, 8, 16, 32, 64];
+const WAVEFORM_HEIGHT = 64;
+
+const formatClock = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+export const WaveformTimeline = ({
+  audioUrl,
+  duration,
+  currentTime,
+  segments,
+  currentSegment,
+  onSeek
+}) => {
+  const [waveform, setWaveform] = useState(null);
+  const [status, setStatus] = useState('loading'); // 'loading', 'ready', 'error'
+  const [zoomIndex, setZoomIndex] = useState(0);
+  const [manualViewStart, setManualViewStart] = useState(null); // null follows the playhead
+  const [width, setWidth] = useState(0);
+
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+
+  const totalDuration = duration || waveform?.duration || 0;
+  const zoom = ZOOM_LEVELS[zoomIndex];
+  const viewLength = totalDuration / zoom;
+
+  // Follow the playhead a page at a time unless the learner has scrolled away
+  const maxViewStart = Math.max(0, totalDuration - viewLength);
+  const viewStart = Math.min(
+    maxViewStart,
+    manualViewStart ?? (viewLength > 0 ? Math.floor(currentTime / viewLength) * viewLength : 0)
+  );
+  const viewEnd = viewStart + viewLength;
+
+  // Decode the extracted audio once per file
+  useEffect(() => {
+    if (!audioUrl) return;
+
+    const controller = new AbortController();
+    let cancelled = false;
+
+    setStatus('loading');
+    setWaveform(null);
+
+    loadWaveformPeaks(audioUrl, controller.signal)
+      .then((result) => {
+        if (cancelled) return;
+        setWaveform(result);
+        setStatus('ready');
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.error('Error loading waveform:', error);
+        setStatus('error');
+      });
+
+    return () => {
+      cancelled = true;
+      controller.abort();
+    };
+  }, [audioUrl]);
+
+  // Track the container width so the canvas stays sharp
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const observer = new ResizeObserver((entries) => {
+      setWidth(Math.floor(entries[0].contentRect.width));
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  const maxPeak = useMemo(() => {
+    if (!waveform) return 0;
+    return waveform.peaks.reduce((max, peak) => (peak > max ? peak : max), 0);
+  }, [waveform]);
+
+  // Draw one bar per pixel column for the visible window
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !waveform || !width || !viewLength) return;
+
+    const pixelRatio = window.devicePixelRatio || 1;
+    canvas.width = width * pixelRatio;
+    canvas.height = WAVEFORM_HEIGHT * pixelRatio;
+
+    const context = canvas.getContext('2d');
+    context.scale(pixelRatio, pixelRatio);
+    context.clearRect(0, 0, width, WAVEFORM_HEIGHT);
+
+    const middle = WAVEFORM_HEIGHT / 2;
+    const secondsPerPixel = viewLength / width;
+    const playedX = ((currentTime - viewStart) / viewLength) * width;
+
+    for (let x = 0; x < width; x++) {
+      const columnStart = viewStart + x * secondsPerPixel;
+      const peak = getPeakInRange(waveform.peaks, waveform.peaksPerSecond, columnStart, columnStart + secondsPerPixel);
+      const barHeight = Math.max(1, (maxPeak > 0 ? peak / maxPeak : 0) * (middle - 2));
+
+      context.fillStyle = x < playedX ? 'rgba(96, 165, 250, 0.9)' : 'rgba(148, 163, 184, 0.6)';
+      context.fillRect(x, middle - barHeight, 1, barHeight * 2);
+    }
+  }, [waveform, maxPeak, width, viewStart, viewLength, currentTime]);
+
+  // Ctrl+wheel zooms, horizontal or Shift+wheel scrolls; needs a non-passive listener
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const handleWheel = (event) => {
+      if (event.ctrlKey || event.metaKey) {
+        event.preventDefault();
+        setZoomIndex(index => Math.max(0, Math.min(ZOOM_LEVELS.length - 1, index + (event.deltaY < 0 ? 1 : -1))));
+        setManualViewStart(null);
+        return;
+      }
+
+      const delta = event.shiftKey ? event.deltaY : event.deltaX;
+      if (zoom === 1 || !delta) return;
+
+      event.preventDefault();
+      const shift = (delta / Math.max(1, width)) * viewLength;
+      setManualViewStart(Math.max(0, Math.min(maxViewStart, viewStart + shift)));
+    };
+
+    container.addEventListener('wheel', handleWheel, { passive: false });
+    return () => container.removeEventListener('wheel', handleWheel);
+  }, [zoom, width, viewLength, viewStart, maxViewStart]);
+
+  const changeZoom = (step) => {
+    setZoomIndex(index => Math.max(0, Math.min(ZOOM_LEVELS.length - 1, index + step)));
+    setManualViewStart(null);
+  };
+
+  const handleClick = (e) => {
+    if (!viewLength) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const ratio = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    setManualViewStart(null);
+    onSeek(viewStart + ratio * viewLength);
+  };
+
+  const toPercent = (time) => `${((time - viewStart) / viewLength) * 100}%`;
+
+  // Only overlay what falls inside the window
+  const visibleSegments = segments
+    .map((segment, index) => ({ segment, index }))
+    .filter(({ segment }) => segment.end > viewStart && segment.start < viewEnd);
+
+  const speakerChanges = useMemo(() => findSpeakerChanges(segments), [segments]);
+  const visibleSpeakerChanges = speakerChanges.filter(change => change.time >= viewStart && change.time <= viewEnd);
+
+  return (
+    <div className="space-y-1">
+      <div
+        ref={containerRef}
+        className="relative w-full rounded-lg bg-slate-900/60 border border-slate-700 overflow-hidden cursor-pointer"
+        style={{ height: WAVEFORM_HEIGHT }}
+        onClick={handleClick}
+        title="Click to seek • Ctrl+scroll to zoom"
+      >
+        <canvas ref={canvasRef} className="absolute inset-0 w-full h-full" />
+
+        {status !== 'ready' && (
+          <div className="absolute inset-0 flex items-center justify-center text-xs text-gray-400">
+            {status === 'loading' ? 'Loading waveform…' : 'Waveform unavailable for this file'}
+          </div>
+        )}
+
+        {viewLength > 0 && (
+          <>
+            {/* Segment boundaries; gaps between them are pauses */}
+            {visibleSegments.map(({ segment, index }) => (
+              <div
+                key={index}
+                className={`absolute inset-y-0 border-l border-r pointer-events-none ${
+                  index === currentSegment
+                    ? 'bg-blue-500/20 border-blue-400/80'
+                    : 'border-white/20'
+                }`}
+                style={{
+                  left: toPercent(Math.max(segment.start, viewStart)),
+                  width: `${((Math.min(segment.end, viewEnd) - Math.max(segment.start, viewStart)) / viewLength) * 100}%`
+                }}
+              />
+            ))}
+
+            {/* Speaker changes */}
+            {visibleSpeakerChanges.map(change => (
+              <div
+                key={change.segmentIndex}
+                className="absolute inset-y-0 border-l-2 border-orange-400 pointer-events-none"
+                style={{ left: toPercent(change.time) }}
+              >
+                <span className="absolute top-0 left-0.5 px-1 text-[10px] leading-4 font-semibold text-orange-200 bg-slate-900/80 rounded whitespace-nowrap">
+                  {change.speaker}
+                </span>
+              </div>
+            ))}
+
+            {/* Playhead */}
+            {currentTime >= viewStart && currentTime <= viewEnd && (
+              <div
+                className="absolute inset-y-0 w-0.5 bg-white pointer-events-none"
+                style={{ left: toPercent(currentTime) }}
+              />
+            )}
+          </>
+        )}
+      </div>
+
+      <div className="flex items-center justify-between text-[11px] text-gray-400">
+        <span>{formatClock(viewStart)}</span>
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() => changeZoom(-1)}
+            disabled={zoomIndex === 0}
+            className="w-5 h-5 rounded bg-slate-700 text-white hover:bg-slate-600 disabled:opacity-40"
+            title="Zoom out"
+          >
+            −
+          </button>
+          <span className="w-10 text-center">{zoom}×</span>
+          <button
+            onClick={() => changeZoom(1)}
+            disabled={zoomIndex === ZOOM_LEVELS.length - 1}
+            className="w-5 h-5 rounded bg-slate-700 text-white hover:bg-slate-600 disabled:opacity-40"
+            title="Zoom in"
+          >
+            +
+          </button>
+          {manualViewStart !== null && (
+            <button
+              onClick={() => setManualViewStart(null)}
+              className="ml-2 px-2 h-5 rounded bg-slate-700 text-white hover:bg-slate-600"
+              title="Scroll back to the playhead"
+            >
+              Follow
+            </button>
+          )}
+        </div>
+        <span>{formatClock(viewEnd)}</span>
+      </div>
+    </div>
+  );
+};
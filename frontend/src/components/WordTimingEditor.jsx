@@ -0,0 +1,182 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  WORD_TIMELINE_ZOOM_LEVELS,
+  isTimedWord,
+  getWordTimelineBounds,
+  updateWordTiming,
+  hasWordTimingChanges
+} from '../utils/wordTiming';
+
+const DEFAULT_ZOOM_INDEX = 2;
+
+const formatSeconds = (seconds) => `${seconds.toFixed(2)}s`;
+
+// Timeline of a segment's words; drag a word to move it or its edges to change start and end
+export const WordTimingEditor = ({ segment, onApply, onPlayRange }) => {
+  const [words, setWords] = useState(segment.words || []);
+  const [zoomIndex, setZoomIndex] = useState(DEFAULT_ZOOM_INDEX);
+  const [selectedIndex, setSelectedIndex] = useState(-1);
+  const dragRef = useRef(null);
+
+  // Start over when the segment's saved words change (apply, undo, redo)
+  useEffect(() => {
+    setWords(segment.words || []);
+  }, [segment.words]);
+
+  const bounds = useMemo(() => getWordTimelineBounds(segment), [segment]);
+  const pixelsPerSecond = WORD_TIMELINE_ZOOM_LEVELS[zoomIndex];
+  const timelineWidth = Math.max(1, (bounds.end - bounds.start) * pixelsPerSecond);
+  const hasChanges = hasWordTimingChanges(segment.words || [], words);
+
+  const toPixels = (seconds) => (seconds - bounds.start) * pixelsPerSecond;
+
+  // One tick per second, or per half second when zoomed in far enough to read them
+  const tickStep = pixelsPerSecond >= 400 ? 0.5 : 1;
+  const ticks = [];
+  for (let tick = Math.ceil(bounds.start / tickStep) * tickStep; tick <= bounds.end; tick += tickStep) {
+    ticks.push(tick);
+  }
+
+  const startDrag = (e, index, edge) => {
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setSelectedIndex(index);
+    dragRef.current = { index, edge, x: e.clientX, start: words[index].start, end: words[index].end };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    const delta = (e.clientX - drag.x) / pixelsPerSecond;
+    const changes = {};
+    if (drag.edge !== 'end') changes.start = drag.start + delta;
+    if (drag.edge !== 'start') changes.end = drag.end + delta;
+
+    setWords(current => updateWordTiming(current, drag.index, changes, bounds));
+  };
+
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  const playWord = (word) => {
+    if (onPlayRange && isTimedWord(word)) {
+      onPlayRange(word.start, word.end);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg p-3 border border-gray-200 space-y-3">
+      <div className="flex items-center justify-between">
+        <label className="text-sm font-semibold text-gray-700">Word Timings</label>
+        <div className="flex items-center gap-1 text-xs text-gray-600">
+          <button
+            onClick={() => setZoomIndex(Math.max(0, zoomIndex - 1))}
+            disabled={zoomIndex === 0}
+            className="px-2 py-1 bg-gray-100 rounded hover:bg-gray-200 disabled:opacity-40"
+            title="Zoom out"
+          >
+            −
+          </button>
+          <span className="w-16 text-center">{pixelsPerSecond} px/s</span>
+          <button
+            onClick={() => setZoomIndex(Math.min(WORD_TIMELINE_ZOOM_LEVELS.length - 1, zoomIndex + 1))}
+            disabled={zoomIndex === WORD_TIMELINE_ZOOM_LEVELS.length - 1}
+            className="px-2 py-1 bg-gray-100 rounded hover:bg-gray-200 disabled:opacity-40"
+            title="Zoom in"
+          >
+            +
+          </button>
+        </div>
+      </div>
+
+      {/* Timeline */}
+      <div className="overflow-x-auto border border-gray-200 rounded bg-gray-50">
+        <div className="relative h-16 select-none" style={{ width: `${timelineWidth}px` }}>
+          {ticks.map(tick => (
+            <div
+              key={tick}
+              className="absolute top-0 bottom-0 border-l border-gray-200 text-[10px] text-gray-400 pl-0.5"
+              style={{ left: `${toPixels(tick)}px` }}
+            >
+              {tick.toFixed(tickStep < 1 ? 1 : 0)}
+            </div>
+          ))}
+
+          {words.map((word, index) => isTimedWord(word) && (
+            <div
+              key={index}
+              onPointerDown={(e) => startDrag(e, index, 'move')}
+              onPointerMove={handlePointerMove}
+              onPointerUp={endDrag}
+              onPointerCancel={endDrag}
+              onDoubleClick={() => playWord(word)}
+              className={`absolute top-5 h-9 flex items-center justify-center rounded border text-xs cursor-grab active:cursor-grabbing overflow-hidden ${
+                index === selectedIndex
+                  ? 'bg-blue-500 border-blue-700 text-white z-10'
+                  : 'bg-blue-100 border-blue-300 text-blue-900'
+              }`}
+              style={{
+                left: `${toPixels(word.start)}px`,
+                width: `${Math.max(2, (word.end - word.start) * pixelsPerSecond)}px`
+              }}
+              title={`${word.word.trim()} · ${formatSeconds(word.start)} – ${formatSeconds(word.end)} (double-click to play)`}
+            >
+              <span
+                onPointerDown={(e) => startDrag(e, index, 'start')}
+                className="absolute left-0 top-0 bottom-0 w-1.5 cursor-ew-resize bg-blue-700/30"
+              />
+              <span className="truncate px-2">{word.word.trim()}</span>
+              <span
+                onPointerDown={(e) => startDrag(e, index, 'end')}
+                className="absolute right-0 top-0 bottom-0 w-1.5 cursor-ew-resize bg-blue-700/30"
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Word list with play buttons */}
+      <div className="flex flex-wrap gap-1">
+        {words.map((word, index) => (
+          <button
+            key={index}
+            onClick={() => {
+              setSelectedIndex(index);
+              playWord(word);
+            }}
+            disabled={!isTimedWord(word)}
+            className={`px-2 py-1 text-xs rounded border ${
+              index === selectedIndex ? 'border-blue-400 bg-blue-50 text-blue-800' : 'border-gray-200 text-gray-700 hover:bg-gray-50'
+            } disabled:opacity-50`}
+            title={isTimedWord(word) ? `${formatSeconds(word.start)} – ${formatSeconds(word.end)}` : 'This word has no timing'}
+          >
+            ▶ {word.word.trim()}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between pt-2 border-t border-gray-100">
+        <span className="text-xs text-gray-500">Drag a word to move it, or its edges to change where it starts and ends.</span>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setWords(segment.words || [])}
+            disabled={!hasChanges}
+            className="px-3 py-1 text-xs font-medium bg-gray-100 text-gray-700 rounded hover:bg-gray-200 disabled:opacity-50"
+          >
+            Reset
+          </button>
+          <button
+            onClick={() => onApply(words)}
+            disabled={!hasChanges}
+            className="px-3 py-1 text-xs font-medium bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            Apply Word Timings
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,143 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { ShortcutContext } from '../hooks/useShortcuts';
+import { usePreference } from '../hooks/usePreference';
+import { ShortcutHelpOverlay } from '../components/ShortcutHelpOverlay';
+import {
+  SHORTCUT_ACTIONS,
+  resolveBindings,
+  findConflicts,
+  eventToCombo,
+  isTypingTarget
+} from '../utils/shortcuts';
+
+export const ShortcutProvider = ({ children }) => {
+  const [overrides, setOverrides] = usePreference('shortcuts', {});
+  const [isHelpOpen, setIsHelpOpen] = useState(false);
+  const [activeActionIds, setActiveActionIds] = useState([]);
+
+  const registryRef = useRef(new Map()); // action id -> handler refs, newest last
+  const helpHandlersRef = useRef({
+    'global.showHelp': () => setIsHelpOpen(open => !open)
+  });
+
+  const bindings = useMemo(() => resolveBindings(overrides), [overrides]);
+
+  const register = useCallback((actionIds, handlersRef) => {
+    const registry = registryRef.current;
+    actionIds.forEach(actionId => {
+      registry.set(actionId, [...(registry.get(actionId) || []), handlersRef]);
+    });
+    setActiveActionIds(Array.from(registry.keys()));
+
+    return () => {
+      actionIds.forEach(actionId => {
+        const remaining = (registry.get(actionId) || []).filter(ref => ref !== handlersRef);
+        if (remaining.length > 0) {
+          registry.set(actionId, remaining);
+        } else {
+          registry.delete(actionId);
+        }
+      });
+      setActiveActionIds(Array.from(registry.keys()));
+    };
+  }, []);
+
+  // The help overlay is available everywhere
+  useEffect(() => register(['global.showHelp'], helpHandlersRef), [register]);
+
+  // One listener dispatches every shortcut to the newest handler registered for it
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.defaultPrevented) return;
+
+      const combo = eventToCombo(event);
+      if (!combo) return;
+
+      // While the overlay is open, keys only close it
+      if (isHelpOpen) {
+        if (combo === 'Escape' || combo === bindings['global.showHelp']) {
+          event.preventDefault();
+          setIsHelpOpen(false);
+        }
+        return;
+      }
+
+      const isTyping = isTypingTarget(event.target);
+      const action = SHORTCUT_ACTIONS.find(candidate =>
+        bindings[candidate.id] === combo &&
+        registryRef.current.has(candidate.id) &&
+        (!isTyping || candidate.allowInInputs)
+      );
+      if (!action) return;
+
+      const handlerRefs = registryRef.current.get(action.id);
+      const handler = handlerRefs[handlerRefs.length - 1].current[action.id];
+      if (handler) {
+        event.preventDefault();
+        handler(event);
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [bindings, isHelpOpen]);
+
+  // Bind a combo to an action; any other action using it is unassigned and returned
+  const setBinding = useCallback((actionId, combo) => {
+    const conflicts = findConflicts(bindings, actionId, combo);
+    const defaultCombo = SHORTCUT_ACTIONS.find(action => action.id === actionId)?.defaultCombo;
+
+    setOverrides(previous => {
+      const next = { ...previous };
+      if (combo === defaultCombo) {
+        delete next[actionId];
+      } else {
+        next[actionId] = combo;
+      }
+      conflicts.forEach(action => {
+        next[action.id] = null;
+      });
+      return next;
+    });
+
+    return conflicts;
+  }, [bindings, setOverrides]);
+
+  const resetBinding = useCallback((actionId) => {
+    setOverrides(previous => {
+      const next = { ...previous };
+      delete next[actionId];
+      return next;
+    });
+  }, [setOverrides]);
+
+  const resetAllBindings = useCallback(() => {
+    setOverrides({});
+  }, [setOverrides]);
+
+  const value = useMemo(() => ({
+    bindings,
+    overrides,
+    activeActionIds,
+    register,
+    setBinding,
+    resetBinding,
+    resetAllBindings,
+    openHelp: () => setIsHelpOpen(true),
+  }), [bindings, overrides, activeActionIds, register, setBinding, resetBinding, resetAllBindings]);
+
+  return (
+    <ShortcutContext.Provider value={value}>
+      {children}
+      {isHelpOpen && (
+        <ShortcutHelpOverlay
+          bindings={bindings}
+          activeActionIds={activeActionIds}
+          onClose={() => setIsHelpOpen(false)}
+        />
+      )}
+    </ShortcutContext.Provider>
+  );
+};
@@ -0,0 +1,15 @@
+import { useSyncExternalStore } from 'react';
+
+const subscribeToNothing = () => () => {};
+
+// Value picked from the active cue of a cue stream (see utils/timeline); the component
+// re-renders only when the picked value changes, not on every time update
+export const useActiveCue = (cueStream, select = cue => cue) =>
+  useSyncExternalStore(cueStream ? cueStream.subscribe : subscribeToNothing, () => select(cueStream?.get() || null));
+
+// Start time of the word being spoken when it falls inside [start, end), otherwise null
+export const useActiveWordStart = (cueStream, start, end) =>
+  useActiveCue(cueStream, cue => {
+    const word = cue?.word;
+    return word && word.start >= start && word.start < end ? word.start : null;
+  });
@@ -0,0 +1,74 @@
+import { useEffect, useCallback, useRef } from 'react';
+import { practiceAPI } from '../services/api';
+
+// Events are sent in batches so the player doesn't hit the server on every click
+const FLUSH_INTERVAL = 15000;
+
+// The server accepts at most this many events at once; older events are dropped past it
+const MAX_QUEUED_EVENTS = 500;
+
+// Queue practice events for a media file and send them to the server in batches
+export const usePracticeLogger = (mediaFileId) => {
+  const queueRef = useRef([]);
+
+  const flush = useCallback(() => {
+    const events = queueRef.current;
+    if (events.length === 0) return;
+
+    queueRef.current = [];
+    practiceAPI.logPracticeEvents(events)
+      .then(({ errors = [] }) => {
+        // The server saved the rest of the batch; invalid events would fail again, so drop them
+        if (errors.length > 0) {
+          console.warn('Dropped invalid practice events:', errors);
+        }
+      })
+      .catch(error => {
+        // Statistics are best effort; never interrupt practice over them
+        if (error.response && error.response.status < 500) {
+          console.warn('Practice events were rejected:', error.response.data);
+          return;
+        }
+        // Network or server error: send the events again with the next batch
+        console.warn('Failed to log practice events, will retry:', error);
+        queueRef.current = [...events, ...queueRef.current].slice(-MAX_QUEUED_EVENTS);
+      });
+  }, []);
+
+  // While the page is hidden or closing a request may never finish, so hand the batch to the browser
+  const flushWithBeacon = useCallback(() => {
+    const events = queueRef.current;
+    if (events.length === 0) return;
+
+    if (practiceAPI.sendPracticeEventsBeacon(events)) {
+      queueRef.current = [];
+    } else {
+      flush();
+    }
+  }, [flush]);
+
+  const logEvent = useCallback((eventType, details = {}) => {
+    if (!mediaFileId) return;
+    queueRef.current.push({ media_file: mediaFileId, event_type: eventType, ...details });
+  }, [mediaFileId]);
+
+  // Send on a timer, when the tab is hidden and when leaving the file
+  useEffect(() => {
+    const interval = setInterval(flush, FLUSH_INTERVAL);
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        flushWithBeacon();
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      // Deferred so events logged by the player's own cleanup go out in this batch
+      setTimeout(flushWithBeacon, 0);
+    };
+  }, [mediaFileId, flush, flushWithBeacon]);
+
+  return logEvent;
+};
@@ -0,0 +1,26 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { loadPreference, savePreference } from '../utils/preferences';
+
+// State that persists in localStorage for the signed-in user (or the guest profile)
+export const usePreference = (key, defaultValue) => {
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
+  const defaultValueRef = useRef(defaultValue);
+  const [value, setValue] = useState(() => loadPreference(key, defaultValue, userId));
+
+  // Switch to the right profile after login or logout
+  useEffect(() => {
+    setValue(loadPreference(key, defaultValueRef.current, userId));
+  }, [key, userId]);
+
+  const updateValue = useCallback((nextValue) => {
+    setValue(previous => {
+      const resolved = typeof nextValue === 'function' ? nextValue(previous) : nextValue;
+      savePreference(key, resolved, userId);
+      return resolved;
+    });
+  }, [key, userId]);
+
+  return [value, updateValue];
+};
@@ -0,0 +1,30 @@
+import { createContext, useContext, useEffect, useRef } from 'react';
+
+export const ShortcutContext = createContext(null);
+
+// Register handlers for shortcut actions while `enabled`; the newest registration of an action wins
+export const useShortcuts = (handlers, enabled = true) => {
+  const context = useContext(ShortcutContext);
+  const register = context?.register;
+  const handlersRef = useRef(handlers);
+  const actionIds = Object.keys(handlers).join(' ');
+
+  // Keep the latest closures without re-registering on every render
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    if (!register || !enabled) return;
+    return register(actionIds.split(' '), handlersRef);
+  }, [register, actionIds, enabled]);
+};
+
+// Current bindings and the functions to change them
+export const useShortcutSettings = () => {
+  const context = useContext(ShortcutContext);
+  if (!context) {
+    throw new Error('useShortcutSettings must be used within a ShortcutProvider');
+  }
+  return context;
+};
@@ -0,0 +1,151 @@
+import { useState, useEffect, useLayoutEffect, useMemo, useRef, useCallback } from 'react';
+
+// First row whose bottom edge is below `position`
+const findRow = (offsets, position) => {
+  let low = 0;
+  let high = offsets.length - 2;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (offsets[middle + 1] <= position) low = middle + 1;
+    else high = middle;
+  }
+  return Math.max(0, low);
+};
+
+// Keep a long list fast by rendering only the rows in (or near) view of `scrollRef`.
+// Row heights are measured once rendered and cached by key; unmeasured rows use `estimateSize`.
+// Rows in `pinnedIndexes` stay rendered when scrolled out of view, so their local state survives.
+export const useVirtualList = ({ keys, scrollRef, estimateSize = 96, overscan = 6, pinnedIndexes = [] }) => {
+  const [heights, setHeights] = useState(() => new Map());
+  const [range, setRange] = useState({ start: 0, end: Math.min(keys.length, 20) });
+  const pendingScrollRef = useRef(null);
+
+  // Top edge of every row, followed by the total height
+  const offsets = useMemo(() => {
+    const result = [0];
+    keys.forEach((key, index) => {
+      result.push(result[index] + (heights.get(key) ?? estimateSize));
+    });
+    return result;
+  }, [keys, heights, estimateSize]);
+
+  const offsetsRef = useRef(offsets);
+  offsetsRef.current = offsets;
+
+  const updateRange = useCallback(() => {
+    const element = scrollRef.current;
+    const rowOffsets = offsetsRef.current;
+    const count = rowOffsets.length - 1;
+    if (!element || count === 0) {
+      setRange(previous => (previous.start === 0 && previous.end === 0 ? previous : { start: 0, end: 0 }));
+      return;
+    }
+
+    const start = Math.max(0, findRow(rowOffsets, element.scrollTop) - overscan);
+    const end = Math.min(count, findRow(rowOffsets, element.scrollTop + element.clientHeight) + 1 + overscan);
+    setRange(previous => (previous.start === start && previous.end === end ? previous : { start, end }));
+  }, [scrollRef, overscan]);
+
+  // Follow scrolling and resizing of the scroll container
+  useEffect(() => {
+    const element = scrollRef.current;
+    if (!element) return;
+
+    element.addEventListener('scroll', updateRange, { passive: true });
+    const resizeObserver = new ResizeObserver(updateRange);
+    resizeObserver.observe(element);
+
+    return () => {
+      element.removeEventListener('scroll', updateRange);
+      resizeObserver.disconnect();
+    };
+  }, [scrollRef, updateRange]);
+
+  const scrollToOffset = useCallback((index, align) => {
+    const element = scrollRef.current;
+    const rowOffsets = offsetsRef.current;
+    if (!element || index < 0 || index >= rowOffsets.length - 1) return;
+
+    const top = rowOffsets[index];
+    const bottom = rowOffsets[index + 1];
+    let target = top;
+    if (align === 'center') {
+      target = top - (element.clientHeight - (bottom - top)) / 2;
+    } else if (align === 'nearest') {
+      if (top >= element.scrollTop && bottom <= element.scrollTop + element.clientHeight) return;
+      target = top < element.scrollTop ? top : bottom - element.clientHeight;
+    }
+
+    target = Math.max(0, Math.round(target));
+    if (Math.abs(element.scrollTop - target) > 1) {
+      element.scrollTop = target;
+    }
+  }, [scrollRef]);
+
+  // Jump to a row; align is 'start', 'center' or 'nearest'
+  const scrollToIndex = useCallback((index, align = 'start') => {
+    pendingScrollRef.current = { index, align, offsets: offsetsRef.current, until: Date.now() + 1000 };
+    scrollToOffset(index, align);
+  }, [scrollToOffset]);
+
+  // After each render: render the rows now in view, and when rows measured after a jump
+  // moved its target, aim again
+  useLayoutEffect(() => {
+    updateRange();
+
+    const pending = pendingScrollRef.current;
+    if (pending && Date.now() < pending.until && pending.offsets !== offsetsRef.current) {
+      pending.offsets = offsetsRef.current;
+      scrollToOffset(pending.index, pending.align);
+    }
+  });
+
+  // Measure rendered rows (tagged with data-virtual-key) whenever their size changes
+  const measureObserver = useMemo(() => new ResizeObserver((entries, observer) => {
+    const measured = [];
+    entries.forEach(entry => {
+      if (!entry.target.isConnected) {
+        observer.unobserve(entry.target);
+        return;
+      }
+      measured.push([entry.target.dataset.virtualKey, entry.target.offsetHeight]);
+    });
+
+    setHeights(previous => {
+      const changed = measured.filter(([key, height]) => height > 0 && previous.get(key) !== height);
+      if (changed.length === 0) return previous;
+
+      const next = new Map(previous);
+      changed.forEach(([key, height]) => next.set(key, height));
+      return next;
+    });
+  }), []);
+
+  useEffect(() => () => measureObserver.disconnect(), [measureObserver]);
+
+  const measureElement = useCallback((element) => {
+    if (element) measureObserver.observe(element);
+  }, [measureObserver]);
+
+  const count = keys.length;
+  const start = Math.min(range.start, count);
+  const end = Math.min(range.end, count);
+
+  // Rows to render, each with the height of the rows skipped above it
+  const indexes = new Set(pinnedIndexes.filter(index => index >= 0 && index < count));
+  for (let index = start; index < end; index++) indexes.add(index);
+
+  let renderedBottom = 0;
+  const items = [...indexes].sort((a, b) => a - b).map(index => {
+    const item = { index, spaceBefore: offsets[index] - renderedBottom };
+    renderedBottom = offsets[index + 1];
+    return item;
+  });
+
+  return {
+    items,
+    paddingBottom: offsets[count] - renderedBottom,
+    measureElement,
+    scrollToIndex
+  };
+};
@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { mediaAPI } from '../services/api';
+import { mediaAPI, practiceAPI } from '../services/api';
 import { toast } from 'react-toastify';
 import { MediaFileCard } from '../components/MediaFileCard';
 import { LoadingSpinner } from '../components/LoadingSpinner';
@@ -9,11 +9,24 @@ export const DashboardPage = () => {
   const [mediaFiles, setMediaFiles] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState('all');
+  const [playbackPositions, setPlaybackPositions] = useState({}); // media file id -> saved position
 
   useEffect(() => {
     fetchMediaFiles();
   }, [filter]);
 
+  useEffect(() => {
+    practiceAPI.getPlaybackPositions()
+      .then(positions => {
+        const byFile = {};
+        positions.forEach(position => {
+          byFile[position.media_file] = position;
+        });
+        setPlaybackPositions(byFile);
+      })
+      .catch(error => console.error('Error fetching playback positions:', error));
+  }, []);
+
   const fetchMediaFiles = async () => {
     try {
       setLoading(true);
@@ -194,6 +207,7 @@ export const DashboardPage = () => {
             <MediaFileCard
               key={file.id}
               file={file}
+              playbackPosition={playbackPositions[file.id]}
               onDelete={handleDelete}
               onRefresh={fetchMediaFiles}
             />
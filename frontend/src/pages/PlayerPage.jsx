@@ -1,15 +1,30 @@
-import { useState, useEffect, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { toast } from 'react-toastify';
-import { mediaAPI, transcriptionAPI } from '../services/api';
+import { mediaAPI, transcriptionAPI, practiceAPI } from '../services/api';
 import { LoadingSpinner } from '../components/LoadingSpinner';
 
 import { ESLVideoPlayer } from '../components/ESLVideoPlayer';
 import { TranscriptPanel } from '../components/TranscriptPanel';
+import { TranslationTrackBar } from '../components/TranslationTrackBar';
+import { usePreference } from '../hooks/usePreference';
+import { alignTranslation, buildTranslationEntries } from '../utils/translation';
+import { detectChapters, normalizeChapters, findChapterSegmentIndex } from '../utils/chapters';
+import { formatDuration } from '../utils/formatters';
+import { formatSubtitleError } from '../utils/subtitleParser';
+
+// Offer to resume only past the opening seconds and before the very end
+const RESUME_MIN_POSITION = 5;
+const RESUME_MAX_PROGRESS = 0.98;
+
+// How often the playback position is sampled and saved
+const POSITION_SAMPLE_INTERVAL = 2000;
+const POSITION_SAVE_INTERVAL = 10000;
 
 export const PlayerPage = ({ onPlayerPageInfoChange }) => {
   const { fileId } = useParams();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
 
   // Basic state
   const [mediaFile, setMediaFile] = useState(null);
@@ -26,6 +41,25 @@ export const PlayerPage = ({ onPlayerPageInfoChange }) => {
   const [currentSegment, setCurrentSegment] = useState(null);
   const [focusMode, setFocusMode] = useState(false);
 
+  // Saved vocabulary (used by cloze exercises)
+  const [vocabulary, setVocabulary] = useState([]);
+
+  // Segments marked to study later in spaced-repetition review
+  const [reviewCards, setReviewCards] = useState([]);
+
+  // Second subtitle track (translation)
+  const [translationTracks, setTranslationTracks] = useState([]);
+  const [activeTranslationId, setActiveTranslationId] = useState(null);
+  const [translationDisplay, setTranslationDisplay] = usePreference('translationDisplay', 'below');
+
+  // Speaker whose lines are practiced (transcript filter, navigation and role-play)
+  const [practiceSpeaker, setPracticeSpeaker] = useState(null);
+
+  // Resume where the learner left off
+  const [resumePrompt, setResumePrompt] = useState(null); // saved position awaiting an answer
+  const resumeCheckedRef = useRef(null); // file id the saved position was looked up for
+  const resumePendingRef = useRef(false);
+
   useEffect(() => {
     fetchMediaFile();
 
@@ -43,6 +77,165 @@ export const PlayerPage = ({ onPlayerPageInfoChange }) => {
     }
   }, [mediaFile]);
 
+  useEffect(() => {
+    practiceAPI.getVocabulary()
+      .then(response => setVocabulary(response.results || response))
+      .catch(error => console.error('Error fetching vocabulary:', error));
+  }, []);
+
+  useEffect(() => {
+    setPracticeSpeaker(null);
+  }, [fileId]);
+
+  useEffect(() => {
+    practiceAPI.getReviewCards({ media_file: fileId })
+      .then(response => setReviewCards(response.results || response))
+      .catch(error => console.error('Error fetching review cards:', error));
+  }, [fileId]);
+
+  useEffect(() => {
+    if (!transcription?.id) return;
+
+    transcriptionAPI.getTranslationTracks(fileId)
+      .then(tracks => {
+        setTranslationTracks(tracks);
+        setActiveTranslationId(current =>
+          tracks.some(track => track.id === current) ? current : (tracks[0]?.id ?? null)
+        );
+      })
+      .catch(error => console.error('Error fetching translation tracks:', error));
+  }, [fileId, transcription?.id]);
+
+  // Jump to the moment given in the URL (?t=seconds), e.g. from the vocabulary page
+  useEffect(() => {
+    const startTime = parseFloat(searchParams.get('t'));
+    if (!eslVideoPlayerAPI || segments.length === 0 || isNaN(startTime)) return;
+
+    let attempts = 0;
+    const seekInterval = setInterval(() => {
+      const player = eslVideoPlayerAPI.playerRef?.current;
+      attempts++;
+
+      if (player) {
+        clearInterval(seekInterval);
+
+        let segmentIndex = segments.findIndex(segment => startTime < segment.end);
+        if (segmentIndex === -1) segmentIndex = segments.length - 1;
+
+        eslVideoPlayerAPI.goToSegment(segmentIndex, true, false);
+        player.currentTime(startTime);
+      } else if (attempts >= 50) {
+        clearInterval(seekInterval);
+      }
+    }, 100);
+
+    return () => clearInterval(seekInterval);
+  }, [eslVideoPlayerAPI, segments, searchParams]);
+
+  // Look up the saved position once per file, unless the URL asks for a specific moment
+  useEffect(() => {
+    if (!eslVideoPlayerAPI || segments.length === 0 || resumeCheckedRef.current === fileId) return;
+    resumeCheckedRef.current = fileId;
+    if (searchParams.has('t')) return;
+
+    resumePendingRef.current = true;
+    practiceAPI.getPlaybackPosition(fileId)
+      .then(saved => {
+        const progress = saved.progress ?? 0;
+        if (saved.position >= RESUME_MIN_POSITION && progress < RESUME_MAX_PROGRESS) {
+          setResumePrompt(saved);
+        } else {
+          resumePendingRef.current = false;
+        }
+      })
+      .catch(() => {
+        // Nothing saved yet
+        resumePendingRef.current = false;
+      });
+  }, [eslVideoPlayerAPI, segments, fileId, searchParams]);
+
+  // Save the playback position while the player is open and once more when leaving
+  useEffect(() => {
+    if (!eslVideoPlayerAPI?.getPlaybackState) return;
+
+    let latestState = null;
+    let savedState = null;
+    let lastSaveTime = Date.now();
+
+    const hasChanged = (state) => !savedState ||
+      Math.abs(state.position - savedState.position) >= 1 ||
+      state.segment_index !== savedState.segment_index ||
+      state.playback_mode !== savedState.playback_mode ||
+      state.playback_speed !== savedState.playback_speed;
+
+    const save = (state) => {
+      savedState = state;
+      lastSaveTime = Date.now();
+      practiceAPI.savePlaybackPosition(fileId, state)
+        .catch(error => console.error('Error saving playback position:', error));
+    };
+
+    const sampleInterval = setInterval(() => {
+      // Don't overwrite the saved position before the learner has answered the resume prompt
+      if (resumePendingRef.current) return;
+
+      const state = eslVideoPlayerAPI.getPlaybackState();
+      if (!state) return;
+      latestState = state;
+
+      if (Date.now() - lastSaveTime >= POSITION_SAVE_INTERVAL && hasChanged(state)) {
+        save(state);
+      }
+    }, POSITION_SAMPLE_INTERVAL);
+
+    return () => {
+      clearInterval(sampleInterval);
+      if (latestState && hasChanged(latestState)) {
+        save(latestState);
+      }
+    };
+  }, [eslVideoPlayerAPI, fileId]);
+
+  const handleResume = () => {
+    if (!eslVideoPlayerAPI?.restorePlaybackState?.(resumePrompt)) {
+      toast.error('The player is not ready yet');
+      return;
+    }
+
+    resumePendingRef.current = false;
+    setResumePrompt(null);
+  };
+
+  const handleStartOver = () => {
+    resumePendingRef.current = false;
+    setResumePrompt(null);
+  };
+
+  const studySegmentIndexes = useMemo(
+    () => new Set(reviewCards.map(card => card.segment_index)),
+    [reviewCards]
+  );
+
+  const activeTranslation = translationTracks.find(track => track.id === activeTranslationId) || null;
+
+  // Translation text per segment, matched by timing
+  const translationLines = useMemo(
+    () => (activeTranslation ? alignTranslation(segments, activeTranslation.segments) : null),
+    [activeTranslation, segments]
+  );
+
+  // Chapters edited by the learner, or detected from the segments until they edit them
+  const savedChapters = transcription?.chapters ?? null;
+  const chapters = useMemo(
+    () => savedChapters || detectChapters(segments),
+    [savedChapters, segments]
+  );
+
+  const vocabularyWords = useMemo(
+    () => [...new Set(vocabulary.map(entry => entry.word.toLowerCase()))],
+    [vocabulary]
+  );
+
   const fetchMediaFile = async () => {
     try {
       setLoading(true);
@@ -79,7 +272,7 @@ export const PlayerPage = ({ onPlayerPageInfoChange }) => {
         console.log('First few segments:', transcriptionData.raw_whisperx_output.segments.slice(0, 10));
         setSegments(transcriptionData.raw_whisperx_output.segments);
 
-        // Add segments to transcription object for WordHighlighter
+        // Add segments to the transcription object for the player and transcript
         const transcriptionWithSegments = {
           ...transcriptionData,
           segments: transcriptionData.raw_whisperx_output.segments
@@ -162,6 +355,179 @@ export const PlayerPage = ({ onPlayerPageInfoChange }) => {
     }
   };
 
+  // Save a clicked transcript word to the vocabulary notebook
+  const handleSaveWord = async (entry) => {
+    try {
+      const savedEntry = await practiceAPI.saveVocabularyEntry({
+        ...entry,
+        media_file: mediaFile.id
+      });
+      setVocabulary(prev => [savedEntry, ...prev.filter(item => item.id !== savedEntry.id)]);
+      toast.success(`Saved "${savedEntry.word}" to your vocabulary`);
+      return true;
+    } catch (error) {
+      console.error('Error saving word:', error);
+      console.error('Error details:', error.response?.data);
+      toast.error('Failed to save word');
+      return false;
+    }
+  };
+
+  // Mark or unmark a segment to study later
+  const handleToggleStudySegment = async (segmentIndex) => {
+    const segment = segments[segmentIndex];
+    if (!segment) return;
+
+    const existingCard = reviewCards.find(card => card.segment_index === segmentIndex);
+
+    try {
+      if (existingCard) {
+        await practiceAPI.deleteReviewCard(existingCard.id);
+        setReviewCards(prev => prev.filter(card => card.id !== existingCard.id));
+        toast.success('Removed from review');
+      } else {
+        const card = await practiceAPI.createReviewCard({
+          media_file: mediaFile.id,
+          segment_index: segmentIndex,
+          segment_start: segment.start,
+          segment_end: segment.end,
+          text: segment.text
+        });
+        setReviewCards(prev => [...prev, card]);
+        toast.success('Added to review');
+      }
+    } catch (error) {
+      console.error('Error updating review card:', error);
+      console.error('Error details:', error.response?.data);
+      toast.error('Failed to update review');
+    }
+  };
+
+  const addTranslationTrack = (track) => {
+    setTranslationTracks(prev => [...prev.filter(item => item.id !== track.id), track]);
+    setActiveTranslationId(track.id);
+  };
+
+  // Upload an SRT/VTT file as the translation track for its language
+  const handleUploadTranslation = async (file, language, label) => {
+    try {
+      const { errors = [], ...track } = await transcriptionAPI.uploadTranslationTrack(mediaFile.id, file, language, label);
+      addTranslationTrack(track);
+      toast.success(`${track.display_label} subtitles added`);
+      if (errors.length > 0) {
+        toast.warn(`${errors.length} problem${errors.length === 1 ? '' : 's'} in the subtitle file, unreadable cues were skipped (${formatSubtitleError(errors[0])})`);
+      }
+      return true;
+    } catch (error) {
+      console.error('Error uploading translation track:', error);
+      console.error('Error details:', error.response?.data);
+      const firstError = error.response?.data?.errors?.[0];
+      toast.error(
+        firstError
+          ? `${error.response.data.error} (${formatSubtitleError(firstError)})`
+          : error.response?.data?.error || 'Failed to upload subtitles'
+      );
+      return false;
+    }
+  };
+
+  // Start an empty track to fill in from the transcript editor
+  const handleCreateTranslation = async (language, label) => {
+    try {
+      const track = await transcriptionAPI.createTranslationTrack(mediaFile.id, { language, label, segments: [] });
+      addTranslationTrack(track);
+      toast.success(`${track.display_label} track created - add translations while editing the transcript`);
+      return true;
+    } catch (error) {
+      console.error('Error creating translation track:', error);
+      console.error('Error details:', error.response?.data);
+      toast.error('Failed to create translation track');
+      return false;
+    }
+  };
+
+  const handleDeleteTranslation = async (track) => {
+    if (!window.confirm(`Delete the ${track.display_label} translation track?`)) return;
+
+    try {
+      await transcriptionAPI.deleteTranslationTrack(mediaFile.id, track.id);
+      const remaining = translationTracks.filter(item => item.id !== track.id);
+      setTranslationTracks(remaining);
+      setActiveTranslationId(remaining[0]?.id ?? null);
+      toast.success('Translation track deleted');
+    } catch (error) {
+      console.error('Error deleting translation track:', error);
+      toast.error('Failed to delete translation track');
+    }
+  };
+
+  // Save the translation typed for one segment
+  const handleTranslationChange = async (segmentIndex, text) => {
+    if (!activeTranslation || !translationLines) return false;
+
+    const lines = [...translationLines];
+    lines[segmentIndex] = text;
+
+    try {
+      const track = await transcriptionAPI.updateTranslationTrack(
+        mediaFile.id,
+        activeTranslation.id,
+        buildTranslationEntries(segments, lines)
+      );
+      setTranslationTracks(prev => prev.map(item => (item.id === track.id ? track : item)));
+      return true;
+    } catch (error) {
+      console.error('Error saving translation:', error);
+      console.error('Error details:', error.response?.data);
+      toast.error('Failed to save translation');
+      return false;
+    }
+  };
+
+  // Save the chapter list; the first edit turns detected chapters into saved ones
+  const handleChaptersChange = async (nextChapters) => {
+    const previousChapters = savedChapters;
+    const normalized = normalizeChapters(nextChapters);
+    setTranscription(prev => ({ ...prev, chapters: normalized }));
+
+    try {
+      const response = await transcriptionAPI.saveChapters(fileId, normalized);
+      setTranscription(prev => ({ ...prev, chapters: response.chapters }));
+      return true;
+    } catch (error) {
+      console.error('Error saving chapters:', error);
+      console.error('Error details:', error.response?.data);
+      setTranscription(prev => ({ ...prev, chapters: previousChapters }));
+      toast.error('Failed to save chapters');
+      return false;
+    }
+  };
+
+  const handleResetChapters = async () => {
+    if (!window.confirm('Discard your chapter edits and detect chapters again?')) return;
+
+    try {
+      await transcriptionAPI.resetChapters(fileId);
+      setTranscription(prev => ({ ...prev, chapters: null }));
+      toast.success('Chapters detected again');
+    } catch (error) {
+      console.error('Error resetting chapters:', error);
+      toast.error('Failed to reset chapters');
+    }
+  };
+
+  // Jump to the start of a chapter without starting playback
+  const handleChapterSelect = (chapter) => {
+    const segmentIndex = findChapterSegmentIndex(segments, chapter);
+    if (segmentIndex === -1) return;
+
+    setActiveSegmentIndex(segmentIndex);
+    setCurrentSegment(segments[segmentIndex]);
+    if (eslVideoPlayerAPI?.goToSegment) {
+      eslVideoPlayerAPI.goToSegment(segmentIndex, true, false);
+    }
+  };
+
   // Handler for ESLVideoPlayer segment changes
   const handleSegmentChange = (segmentIndex, segment) => {
     setActiveSegmentIndex(segmentIndex);
@@ -233,7 +599,28 @@ export const PlayerPage = ({ onPlayerPageInfoChange }) => {
 
         {/* ESL Video Player - Fixed Layout */}
         {mediaFile.is_completed && (
-          <div className="h-full flex gap-6 p-6">
+          <div className="h-full flex gap-6 p-6 relative">
+            {/* Resume prompt */}
+            {resumePrompt && (
+              <div className="absolute top-8 left-1/2 -translate-x-1/2 z-20 flex items-center gap-4 bg-white border border-gray-200 shadow-xl rounded-xl px-5 py-3">
+                <span className="text-sm text-gray-800">
+                  Resume from <span className="font-semibold">{formatDuration(resumePrompt.position)}</span>?
+                </span>
+                <button
+                  onClick={handleResume}
+                  className="px-3 py-1.5 text-sm font-medium bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                >
+                  Resume
+                </button>
+                <button
+                  onClick={handleStartOver}
+                  className="px-3 py-1.5 text-sm font-medium bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+                >
+                  Start over
+                </button>
+              </div>
+            )}
+
             {/* Video Player Column - Takes 70% width */}
             <div className="w-[70%] flex flex-col overflow-hidden">
               {/* ESL Video Player with integrated controls */}
@@ -252,6 +639,13 @@ export const PlayerPage = ({ onPlayerPageInfoChange }) => {
                   }}
                   onSegmentChange={handleSegmentChange}
                   onPlayerReady={setEslVideoPlayerAPI}
+                  studySegmentIndexes={studySegmentIndexes}
+                  onToggleStudySegment={handleToggleStudySegment}
+                  translationLines={translationLines}
+                  translationDisplay={translationDisplay}
+                  chapters={chapters}
+                  practiceSpeaker={practiceSpeaker}
+                  onPracticeSpeakerChange={setPracticeSpeaker}
                   className="w-full h-full"
                 />
               </div>
@@ -310,6 +704,18 @@ export const PlayerPage = ({ onPlayerPageInfoChange }) => {
                       </div>
                     )}
                   </div>
+                  {transcription && (
+                    <TranslationTrackBar
+                      tracks={translationTracks}
+                      activeTrackId={activeTranslationId}
+                      onSelectTrack={setActiveTranslationId}
+                      displayMode={translationDisplay}
+                      onDisplayModeChange={setTranslationDisplay}
+                      onUpload={handleUploadTranslation}
+                      onCreate={handleCreateTranslation}
+                      onDelete={handleDeleteTranslation}
+                    />
+                  )}
                 </div>
 
                 <div className="flex-1 overflow-hidden">
@@ -348,9 +754,25 @@ export const PlayerPage = ({ onPlayerPageInfoChange }) => {
                       mediaFileId={mediaFile.id}
                       transcriptionId={transcription.id}
                       onTranscriptionUpdate={fetchTranscription}
+                      onPlayRange={eslVideoPlayerAPI?.playTimeRange}
+                      onSaveWord={handleSaveWord}
+                      studySegmentIndexes={studySegmentIndexes}
+                      onToggleStudySegment={handleToggleStudySegment}
+                      vocabularyWords={vocabularyWords}
+                      translationLines={translationLines}
+                      translationDisplay={translationDisplay}
+                      translationLabel={activeTranslation?.display_label}
+                      onTranslationChange={handleTranslationChange}
+                      chapters={chapters}
+                      isChaptersEdited={savedChapters !== null}
+                      onChapterSelect={handleChapterSelect}
+                      onChaptersChange={handleChaptersChange}
+                      onResetChapters={handleResetChapters}
+                      practiceSpeaker={practiceSpeaker}
+                      onPracticeSpeakerChange={setPracticeSpeaker}
                       focusMode={focusMode}
                       // Word highlighting props - disabled for now
-                      playerRef={eslVideoPlayerAPI?.playerRef}
+                      cueStream={eslVideoPlayerAPI?.cueStream}
                       transcription={transcription}
                       showWordHighlighting={false}
                     />
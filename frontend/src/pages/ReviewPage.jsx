@@ -0,0 +1,206 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { mediaAPI, practiceAPI } from '../services/api';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { formatTimestamp } from '../utils/formatters';
+import { playMediaSnippet } from '../utils/mediaSnippet';
+
+// Recall grades offered to the learner (SM-2 scale 0-5)
+const GRADE_OPTIONS = [
+  { grade: 1, label: 'Again', className: 'bg-red-100 text-red-700 hover:bg-red-200' },
+  { grade: 3, label: 'Hard', className: 'bg-orange-100 text-orange-700 hover:bg-orange-200' },
+  { grade: 4, label: 'Good', className: 'bg-green-100 text-green-700 hover:bg-green-200' },
+  { grade: 5, label: 'Easy', className: 'bg-blue-100 text-blue-700 hover:bg-blue-200' },
+];
+
+const formatInterval = (days) => {
+  if (days === undefined) return '';
+  if (days === 0) return '<10m';
+  if (days < 30) return `${days}d`;
+  if (days < 365) return `${Math.round(days / 30)}mo`;
+  return `${(days / 365).toFixed(1)}y`;
+};
+
+export const ReviewPage = () => {
+  const [queue, setQueue] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [isRevealed, setIsRevealed] = useState(false);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [isGrading, setIsGrading] = useState(false);
+  const [reviewedCount, setReviewedCount] = useState(0);
+
+  const snippetRef = useRef(null);
+  const currentCard = queue[0] || null;
+
+  const fetchDueCards = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await practiceAPI.getReviewCards({ due: true });
+      setQueue(response.results || response);
+    } catch (error) {
+      toast.error('Failed to fetch review cards');
+      console.error('Error fetching review cards:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDueCards();
+  }, [fetchDueCards]);
+
+  // Stop snippet playback when leaving the page
+  useEffect(() => {
+    return () => {
+      snippetRef.current?.stop();
+    };
+  }, []);
+
+  const stopSegment = () => {
+    if (snippetRef.current) {
+      snippetRef.current.stop();
+      snippetRef.current = null;
+    }
+    setIsPlaying(false);
+  };
+
+  const playSegment = async (card) => {
+    stopSegment();
+
+    const snippet = playMediaSnippet(
+      mediaAPI.getMediaFileUrl(card.media_file),
+      card.segment_start,
+      card.segment_end
+    );
+    snippetRef.current = snippet;
+    setIsPlaying(true);
+
+    const playedThrough = await snippet.finished;
+    if (snippetRef.current === snippet) {
+      if (!playedThrough) {
+        toast.error('Could not play the segment audio');
+      }
+      snippetRef.current = null;
+      setIsPlaying(false);
+    }
+  };
+
+  const gradeCard = async (grade) => {
+    if (!currentCard || isGrading) return;
+
+    stopSegment();
+    setIsGrading(true);
+    try {
+      const updatedCard = await practiceAPI.gradeReviewCard(currentCard.id, grade);
+      setReviewedCount(count => count + 1);
+      setIsRevealed(false);
+
+      // Failed cards come back later in this session
+      setQueue(prev => {
+        const rest = prev.slice(1);
+        return updatedCard.interval_days === 0 ? [...rest, updatedCard] : rest;
+      });
+    } catch (error) {
+      toast.error('Failed to save grade');
+      console.error('Error grading review card:', error);
+    } finally {
+      setIsGrading(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="p-6 space-y-6 overflow-y-auto h-full">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Review</h1>
+          <p className="text-gray-600 mt-1">
+            {queue.length} {queue.length === 1 ? 'phrase' : 'phrases'} due
+            {reviewedCount > 0 && ` • ${reviewedCount} reviewed this session`}
+          </p>
+        </div>
+      </div>
+
+      {!currentCard ? (
+        <div className="card text-center py-12 max-w-2xl mx-auto">
+          <div className="text-4xl mb-4">🎉</div>
+          <h3 className="text-lg font-medium text-gray-900 mb-2">
+            {reviewedCount > 0 ? 'All caught up!' : 'Nothing to review right now'}
+          </h3>
+          <p className="text-gray-600 mb-6">
+            Mark phrases with ☆ in the player or transcript to study them later.
+          </p>
+          <Link to="/dashboard" className="btn-primary">
+            Go to Dashboard
+          </Link>
+        </div>
+      ) : (
+        <div className="card max-w-2xl mx-auto space-y-6">
+          <div className="flex items-center justify-between text-xs text-gray-500">
+            <Link
+              to={`/player/${currentCard.media_file}?t=${currentCard.segment_start}`}
+              className="text-blue-600 hover:text-blue-800 font-medium"
+              title="Open this phrase in the player"
+            >
+              {currentCard.media_filename} @ {formatTimestamp(currentCard.segment_start)}
+            </Link>
+            <span>
+              {currentCard.repetitions === 0 ? 'New' : `Reviewed ${currentCard.repetitions}×`}
+            </span>
+          </div>
+
+          <div className="flex justify-center">
+            <button
+              onClick={() => (isPlaying ? stopSegment() : playSegment(currentCard))}
+              className={`w-20 h-20 rounded-full flex items-center justify-center text-2xl transition-colors shadow-md ${
+                isPlaying
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-blue-100 text-blue-700 hover:bg-blue-200'
+              }`}
+              title="Play the phrase"
+            >
+              {isPlaying ? '■' : '▶'}
+            </button>
+          </div>
+
+          <div className="min-h-[4rem] flex items-center justify-center text-center">
+            {isRevealed ? (
+              <p className="text-xl text-gray-900 leading-relaxed">{currentCard.text}</p>
+            ) : (
+              <button
+                onClick={() => setIsRevealed(true)}
+                className="px-4 py-2 text-sm font-medium bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+              >
+                Show text
+              </button>
+            )}
+          </div>
+
+          <div className="border-t border-gray-200 pt-4">
+            <p className="text-xs text-gray-500 text-center mb-3">How well did you understand it?</p>
+            <div className="grid grid-cols-4 gap-3">
+              {GRADE_OPTIONS.map(option => (
+                <button
+                  key={option.grade}
+                  onClick={() => gradeCard(option.grade)}
+                  disabled={isGrading}
+                  className={`px-3 py-2 rounded-lg font-medium transition-colors disabled:opacity-50 ${option.className}`}
+                >
+                  <div>{option.label}</div>
+                  <div className="text-xs opacity-75">
+                    {formatInterval(currentCard.next_intervals?.[option.grade])}
+                  </div>
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,68 @@
+import { ShortcutSettings } from '../components/ShortcutSettings';
+import { SubtitleSettingsPanel } from '../components/SubtitleSettingsPanel';
+import { usePreference } from '../hooks/usePreference';
+import { DEFAULT_SUBTITLE_STYLE, normalizeSubtitleStyle, getSubtitleStyles } from '../utils/subtitleStyle';
+
+export const SettingsPage = () => {
+  const [storedSubtitleStyle, setSubtitleStyle] = usePreference('subtitleStyle', DEFAULT_SUBTITLE_STYLE);
+  const subtitleStyle = normalizeSubtitleStyle(storedSubtitleStyle);
+  const subtitleStyles = getSubtitleStyles(subtitleStyle);
+
+  return (
+    <div className="p-6 space-y-6 overflow-y-auto h-full">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Settings</h1>
+        <p className="text-gray-600 mt-1">
+          Preferences are saved in this browser for your account
+        </p>
+      </div>
+
+      <div className="card max-w-3xl">
+        <div className="mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">Subtitles</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            How subtitles look on the video. You can also change this from the Aa button in the player.
+          </p>
+        </div>
+
+        {/* Live preview on a video-sized frame */}
+        <div className="relative aspect-video bg-gradient-to-br from-slate-600 to-slate-900 rounded-xl overflow-hidden mb-4">
+          <div
+            className="absolute left-1/2 transform -translate-x-1/2 w-full max-w-4xl px-6"
+            style={subtitleStyles.container}
+          >
+            <div
+              className={`rounded-xl px-8 py-4 text-center ${
+                subtitleStyle.backgroundOpacity > 0 ? 'shadow-2xl border border-white/10' : ''
+              }`}
+              style={subtitleStyles.box}
+            >
+              <p className="leading-relaxed font-medium tracking-wide break-words" style={subtitleStyles.text}>
+                The quick brown fox jumps over the lazy dog.
+              </p>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-slate-800 rounded-xl p-2">
+          <SubtitleSettingsPanel
+            subtitleStyle={subtitleStyle}
+            onChange={(changes) => setSubtitleStyle(previous => ({ ...previous, ...changes }))}
+            onReset={() => setSubtitleStyle(DEFAULT_SUBTITLE_STYLE)}
+          />
+        </div>
+      </div>
+
+      <div className="card max-w-3xl">
+        <div className="mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">Keyboard shortcuts</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Click a shortcut and press a new key combination. Press ? anywhere to see the shortcuts that work on the current screen.
+          </p>
+        </div>
+        <ShortcutSettings />
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,180 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { practiceAPI } from '../services/api';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { formatTimestamp } from '../utils/formatters';
+
+const PERIOD_OPTIONS = [7, 30, 90];
+
+const formatPracticeTime = (seconds) => {
+  if (!seconds) return '0m';
+  if (seconds < 60) return '<1m';
+
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.round((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+const formatDay = (isoDate) =>
+  new Date(`${isoDate}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+export const StatsPage = () => {
+  const [stats, setStats] = useState(null);
+  const [days, setDays] = useState(30);
+  const [loading, setLoading] = useState(true);
+
+  const fetchStats = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await practiceAPI.getPracticeStats(days);
+      setStats(response);
+    } catch (error) {
+      toast.error('Failed to fetch practice stats');
+      console.error('Error fetching practice stats:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [days]);
+
+  useEffect(() => {
+    fetchStats();
+  }, [fetchStats]);
+
+  if (loading && !stats) {
+    return <LoadingSpinner />;
+  }
+
+  const daily = stats?.daily_practice || [];
+  const maxDailySeconds = Math.max(60, ...daily.map(day => day.seconds));
+  const replayedSegments = stats?.most_replayed_segments || [];
+  const filesInProgress = stats?.files_in_progress || [];
+
+  return (
+    <div className="p-6 space-y-6 overflow-y-auto h-full">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Practice Stats</h1>
+          <p className="text-gray-600 mt-1">How you have been practicing lately</p>
+        </div>
+        <select
+          value={days}
+          onChange={(e) => setDays(parseInt(e.target.value, 10))}
+          className="px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm text-gray-700"
+        >
+          {PERIOD_OPTIONS.map(option => (
+            <option key={option} value={option}>Last {option} days</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Totals */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div className="card">
+          <p className="text-sm text-gray-500">Practice time</p>
+          <p className="text-2xl font-bold text-gray-900">{formatPracticeTime(stats?.total_seconds)}</p>
+        </div>
+        <div className="card">
+          <p className="text-sm text-gray-500">Days practiced</p>
+          <p className="text-2xl font-bold text-gray-900">{stats?.active_days ?? 0} / {stats?.days ?? days}</p>
+        </div>
+        <div className="card">
+          <p className="text-sm text-gray-500">Phrases played</p>
+          <p className="text-2xl font-bold text-gray-900">{stats?.segment_plays ?? 0}</p>
+        </div>
+        <div className="card">
+          <p className="text-sm text-gray-500">Average speed</p>
+          <p className="text-2xl font-bold text-gray-900">
+            {stats?.average_speed ? `${stats.average_speed}×` : '—'}
+          </p>
+        </div>
+      </div>
+
+      {/* Practice time per day */}
+      <div className="card">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Practice time per day</h2>
+        <div className="flex items-end gap-px h-40">
+          {daily.map(day => (
+            <div
+              key={day.date}
+              className="flex-1 h-full flex items-end group"
+              title={`${formatDay(day.date)}: ${formatPracticeTime(day.seconds)}`}
+            >
+              <div
+                className={`w-full rounded-t ${day.seconds > 0 ? 'bg-blue-500 group-hover:bg-blue-600' : 'bg-gray-100'}`}
+                style={{ height: day.seconds > 0 ? `${Math.max(4, (day.seconds / maxDailySeconds) * 100)}%` : '2px' }}
+              />
+            </div>
+          ))}
+        </div>
+        {daily.length > 0 && (
+          <div className="flex justify-between text-xs text-gray-500 mt-2">
+            <span>{formatDay(daily[0].date)}</span>
+            <span>{formatDay(daily[daily.length - 1].date)}</span>
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Most replayed phrases */}
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Most replayed phrases</h2>
+          {replayedSegments.length === 0 ? (
+            <p className="text-sm text-gray-500">Phrases you play more than once will show up here.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {replayedSegments.map(segment => (
+                <li
+                  key={`${segment.media_file}-${segment.segment_index}`}
+                  className="py-2 flex items-center justify-between text-sm"
+                >
+                  <Link
+                    to={`/player/${segment.media_file}?t=${segment.segment_start ?? 0}`}
+                    className="text-blue-600 hover:text-blue-800 truncate mr-4"
+                    title="Open this phrase in the player"
+                  >
+                    {segment.media_filename} @ {formatTimestamp(segment.segment_start)}
+                  </Link>
+                  <span className="text-gray-600 whitespace-nowrap">{segment.play_count}×</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Files in progress */}
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Files in progress</h2>
+          {filesInProgress.length === 0 ? (
+            <p className="text-sm text-gray-500">Files you have started but not finished will show up here.</p>
+          ) : (
+            <ul className="space-y-3">
+              {filesInProgress.map(file => (
+                <li key={file.media_file} className="text-sm">
+                  <div className="flex items-center justify-between mb-1">
+                    <Link
+                      to={`/player/${file.media_file}`}
+                      className="text-blue-600 hover:text-blue-800 truncate mr-4"
+                    >
+                      {file.media_filename}
+                    </Link>
+                    <span className="text-gray-500 whitespace-nowrap">
+                      {formatPracticeTime(file.practice_seconds)} practiced
+                    </span>
+                  </div>
+                  <div className="w-full h-1.5 bg-gray-200 rounded-full">
+                    <div
+                      className="h-1.5 bg-blue-500 rounded-full"
+                      style={{ width: `${Math.round(file.progress * 100)}%` }}
+                    />
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,201 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { mediaAPI, practiceAPI } from '../services/api';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { formatTimestamp, formatDate } from '../utils/formatters';
+import { playMediaSnippet } from '../utils/mediaSnippet';
+
+// Pad snippet playback a little so the word is not clipped
+const SNIPPET_PADDING_BEFORE = 0.1;
+const SNIPPET_PADDING_AFTER = 0.15;
+
+// Show the sentence with the saved word emphasised
+const SentenceWithWord = ({ sentence, word }) => {
+  const position = sentence.toLowerCase().indexOf(word.toLowerCase());
+  if (position === -1) {
+    return <span>{sentence}</span>;
+  }
+
+  return (
+    <span>
+      {sentence.slice(0, position)}
+      <mark className="bg-yellow-200 px-0.5 rounded">{sentence.slice(position, position + word.length)}</mark>
+      {sentence.slice(position + word.length)}
+    </span>
+  );
+};
+
+export const VocabularyPage = () => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [playingId, setPlayingId] = useState(null);
+
+  const snippetRef = useRef(null);
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await practiceAPI.getVocabulary();
+      setEntries(response.results || response);
+    } catch (error) {
+      toast.error('Failed to fetch vocabulary');
+      console.error('Error fetching vocabulary:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  // Stop snippet playback when leaving the page
+  useEffect(() => {
+    return () => {
+      snippetRef.current?.stop();
+    };
+  }, []);
+
+  const stopSnippet = () => {
+    if (snippetRef.current) {
+      snippetRef.current.stop();
+      snippetRef.current = null;
+    }
+    setPlayingId(null);
+  };
+
+  // Play the original audio of a saved word straight from its media file
+  const playSnippet = async (entry) => {
+    stopSnippet();
+
+    const snippet = playMediaSnippet(
+      mediaAPI.getMediaFileUrl(entry.media_file),
+      entry.start_time - SNIPPET_PADDING_BEFORE,
+      entry.end_time + SNIPPET_PADDING_AFTER
+    );
+    snippetRef.current = snippet;
+    setPlayingId(entry.id);
+
+    const playedThrough = await snippet.finished;
+    if (snippetRef.current === snippet) {
+      // Still current, so it was not stopped by the learner
+      if (!playedThrough) {
+        toast.error('Could not play the original audio');
+      }
+      snippetRef.current = null;
+      setPlayingId(null);
+    }
+  };
+
+  const handleDelete = async (entryId) => {
+    try {
+      await practiceAPI.deleteVocabularyEntry(entryId);
+      setEntries(entries.filter(entry => entry.id !== entryId));
+      toast.success('Word removed');
+    } catch (error) {
+      toast.error('Failed to remove word');
+      console.error('Error deleting vocabulary entry:', error);
+    }
+  };
+
+  const filteredEntries = searchTerm.trim()
+    ? entries.filter(entry => {
+        const term = searchTerm.trim().toLowerCase();
+        return entry.word.toLowerCase().includes(term) ||
+          entry.sentence.toLowerCase().includes(term) ||
+          entry.media_filename?.toLowerCase().includes(term);
+      })
+    : entries;
+
+  const fileCount = new Set(entries.map(entry => entry.media_file)).size;
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="p-6 space-y-6 overflow-y-auto h-full">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Vocabulary</h1>
+          <p className="text-gray-600 mt-1">
+            {entries.length} saved words from {fileCount} {fileCount === 1 ? 'file' : 'files'}
+          </p>
+        </div>
+        <input
+          type="text"
+          placeholder="Search words, sentences or files..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          className="w-72 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+        />
+      </div>
+
+      {entries.length === 0 ? (
+        <div className="card text-center py-12">
+          <div className="text-4xl mb-4">📖</div>
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No saved words yet</h3>
+          <p className="text-gray-600 mb-6">
+            Click a word in a transcript and choose "Save" to collect it here.
+          </p>
+          <Link to="/dashboard" className="btn-primary">
+            Go to Dashboard
+          </Link>
+        </div>
+      ) : filteredEntries.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">
+          <p className="text-sm">No matching words found</p>
+        </div>
+      ) : (
+        <div className="card p-0 divide-y divide-gray-100">
+          {filteredEntries.map((entry) => (
+            <div key={entry.id} className="flex items-start gap-4 p-4">
+              <button
+                onClick={() => (playingId === entry.id ? stopSnippet() : playSnippet(entry))}
+                className={`w-10 h-10 flex-shrink-0 rounded-full flex items-center justify-center transition-colors ${
+                  playingId === entry.id
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-blue-100 text-blue-700 hover:bg-blue-200'
+                }`}
+                title="Play the original audio"
+              >
+                {playingId === entry.id ? '■' : '▶'}
+              </button>
+
+              <div className="flex-1 min-w-0">
+                <div className="text-lg font-semibold text-gray-900">{entry.word}</div>
+                {entry.sentence && (
+                  <p className="text-sm text-gray-700 mt-1">
+                    <SentenceWithWord sentence={entry.sentence} word={entry.word} />
+                  </p>
+                )}
+                <div className="flex items-center gap-2 mt-2 text-xs text-gray-500">
+                  <Link
+                    to={`/player/${entry.media_file}?t=${entry.start_time}`}
+                    className="text-blue-600 hover:text-blue-800 font-medium"
+                    title="Open this moment in the player"
+                  >
+                    {entry.media_filename} @ {formatTimestamp(entry.start_time)}
+                  </Link>
+                  <span>•</span>
+                  <span>Saved {formatDate(entry.created_date)}</span>
+                </div>
+              </div>
+
+              <button
+                onClick={() => handleDelete(entry.id)}
+                className="px-2 py-1 text-sm text-gray-400 hover:text-red-600 transition-colors"
+                title="Remove from vocabulary"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -96,9 +96,16 @@ export const transcriptionAPI = {
   // Get transcription status
   getTranscriptionStatus: (fileId) => api.get(`/transcriptions/${fileId}/status/`),
 
-  // Update transcription segments
-  updateTranscriptionSegments: (fileId, segments) =>
-    api.put(`/transcriptions/${fileId}/update/`, { segments }),
+  // Update transcription segments; a stale `version` (segments_version) is rejected with a 409
+  updateTranscriptionSegments: (fileId, segments, version) =>
+    api.put(`/transcriptions/${fileId}/update/`, { segments, version }),
+
+  // Save edited chapters with the transcription
+  saveChapters: (fileId, chapters) =>
+    api.put(`/transcriptions/${fileId}/chapters/`, { chapters }),
+
+  // Forget edited chapters and go back to detected ones
+  resetChapters: (fileId) => api.delete(`/transcriptions/${fileId}/chapters/`),
 
   // Download subtitle file
   downloadSubtitleFile: (fileId, fileType) => {
@@ -121,6 +128,112 @@ export const transcriptionAPI = {
       responseType: 'text',
     });
   },
+
+  // List translation (second subtitle) tracks
+  getTranslationTracks: (fileId) => api.get(`/transcriptions/${fileId}/translations/`),
+
+  // Upload an SRT/VTT file as a translation track; it is aligned to the transcript segments
+  uploadTranslationTrack: (fileId, file, language, label = '') => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('language', language);
+    formData.append('label', label);
+
+    return api.post(`/transcriptions/${fileId}/translations/`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+  },
+
+  // Create a translation track to type in the editor
+  createTranslationTrack: (fileId, trackData) =>
+    api.post(`/transcriptions/${fileId}/translations/`, trackData),
+
+  // Replace the text of a translation track
+  updateTranslationTrack: (fileId, trackId, segments) =>
+    api.patch(`/transcriptions/${fileId}/translations/${trackId}/`, { segments }),
+
+  // Delete a translation track
+  deleteTranslationTrack: (fileId, trackId) =>
+    api.delete(`/transcriptions/${fileId}/translations/${trackId}/`),
+};
+
+// Practice API (learner data: recordings, ...)
+export const practiceAPI = {
+  // List uploaded shadowing recordings
+  getRecordings: (params = {}) => api.get('/practice/recordings/', { params }),
+
+  // Upload a shadowing recording
+  uploadRecording: (recordingData) => {
+    const formData = new FormData();
+    Object.keys(recordingData).forEach(key => {
+      formData.append(key, recordingData[key]);
+    });
+
+    return api.post('/practice/recordings/', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+  },
+
+  // Delete an uploaded recording
+  deleteRecording: (recordingId) => api.delete(`/practice/recordings/${recordingId}/`),
+
+  // List saved vocabulary across the library
+  getVocabulary: (params = {}) => api.get('/practice/vocabulary/', { params }),
+
+  // Save a word from a transcript
+  saveVocabularyEntry: (entryData) => api.post('/practice/vocabulary/', entryData),
+
+  // Delete a saved word
+  deleteVocabularyEntry: (entryId) => api.delete(`/practice/vocabulary/${entryId}/`),
+
+  // List review cards (pass { due: true } for cards due now)
+  getReviewCards: (params = {}) => api.get('/practice/review-cards/', { params }),
+
+  // Mark a segment to study later
+  createReviewCard: (cardData) => api.post('/practice/review-cards/', cardData),
+
+  // Grade recall of a review card (SM-2 grade 0-5)
+  gradeReviewCard: (cardId, grade) => api.post(`/practice/review-cards/${cardId}/grade/`, { grade }),
+
+  // Stop studying a segment
+  deleteReviewCard: (cardId) => api.delete(`/practice/review-cards/${cardId}/`),
+
+  // List resume positions for the dashboard
+  getPlaybackPositions: () => api.get('/practice/playback-positions/'),
+
+  // Get where the learner left off in a file
+  getPlaybackPosition: (fileId) => api.get(`/practice/playback-positions/${fileId}/`),
+
+  // Save where the learner is in a file
+  savePlaybackPosition: (fileId, positionData) =>
+    api.put(`/practice/playback-positions/${fileId}/`, positionData),
+
+  // Forget the resume position for a file
+  clearPlaybackPosition: (fileId) => api.delete(`/practice/playback-positions/${fileId}/`),
+
+  // Log a batch of player events for the statistics page
+  logPracticeEvents: (events) => api.post('/practice/events/', { events }),
+
+  // Log a batch with navigator.sendBeacon, which still delivers it while the page unloads.
+  // Beacons can't set headers, so the token goes in the form. Returns false if it wasn't queued.
+  sendPracticeEventsBeacon: (events) => {
+    if (!navigator.sendBeacon) return false;
+
+    const formData = new FormData();
+    formData.append('events', JSON.stringify(events));
+    const token = localStorage.getItem('token');
+    if (token) {
+      formData.append('token', token);
+    }
+    return navigator.sendBeacon(`${API_BASE_URL}/practice/events/`, formData);
+  },
+
+  // Practice statistics for the last `days` days
+  getPracticeStats: (days = 30) => api.get('/practice/stats/', { params: { days } }),
 };
 
 // File upload utilities
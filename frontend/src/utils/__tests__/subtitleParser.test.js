@@ -0,0 +1,169 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, expect } from 'vitest';
+import {
+  parseSubtitles,
+  parseTimestamp,
+  detectSubtitleFormat,
+  findTag,
+  formatSubtitleError,
+  getWordsFromCues,
+  parseWordLevelVTT,
+} from '../subtitleParser';
+
+const readFixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+describe('parseTimestamp', () => {
+  it('reads WebVTT timestamps with and without hours', () => {
+    expect(parseTimestamp('01:02.500')).toBe(62.5);
+    expect(parseTimestamp('01:00:02.500')).toBe(3602.5);
+    expect(parseTimestamp('100:00:00.000')).toBe(360000);
+  });
+
+  it('reads SRT timestamps', () => {
+    expect(parseTimestamp('01:02:03,004', 'srt')).toBeCloseTo(3723.004);
+  });
+
+  it('rejects malformed timestamps', () => {
+    expect(parseTimestamp('1:02.500')).toBeNull();
+    expect(parseTimestamp('00:60.000')).toBeNull();
+    expect(parseTimestamp('00:00:01,000')).toBeNull();
+    expect(parseTimestamp('00:00:01.000', 'srt')).toBeNull();
+  });
+});
+
+describe('detectSubtitleFormat', () => {
+  it('detects WebVTT by its signature, with or without a byte order mark', () => {
+    expect(detectSubtitleFormat('WEBVTT\n\n')).toBe('vtt');
+    expect(detectSubtitleFormat('﻿WEBVTT - title\n')).toBe('vtt');
+    expect(detectSubtitleFormat('WEBVTTX\n')).toBe('srt');
+    expect(detectSubtitleFormat(readFixture('basic.srt'))).toBe('srt');
+  });
+});
+
+describe('parseSubtitles with WebVTT', () => {
+  const { format, cues, errors } = parseSubtitles(readFixture('features.vtt'));
+
+  it('skips the header and NOTE, STYLE and REGION blocks without errors', () => {
+    expect(format).toBe('vtt');
+    expect(errors).toEqual([]);
+    expect(cues).toHaveLength(3);
+  });
+
+  it('reads cue identifiers, optional hours and line numbers', () => {
+    expect(cues.map(cue => cue.id)).toEqual(['intro', '', 'long-hours']);
+    expect(cues.map(cue => [cue.start, cue.end])).toEqual([[1, 2.5], [3, 5], [360000, 360001]]);
+    expect(cues.map(cue => cue.lineNumber)).toEqual([15, 18, 22]);
+  });
+
+  it('reads cue settings', () => {
+    expect(cues[0].settings).toEqual({ align: 'start', position: '10%', line: '0', region: 'fred' });
+    expect(cues[1].settings).toEqual({ size: '50%' });
+    expect(cues[2].settings).toEqual({ vertical: 'rl' });
+  });
+
+  it('reads voice and class spans and decodes entities', () => {
+    const voice = findTag(cues[0].nodes, 'v');
+    expect(voice.classes).toEqual(['loud']);
+    expect(voice.annotation).toBe('Mary');
+    expect(cues[0].text).toBe('Hello & welcome');
+
+    const span = findTag(cues[1].nodes, 'c', 'word-highlight');
+    expect(span.children).toEqual([{ type: 'text', value: 'two' }]);
+  });
+
+  it('reads inline timestamps', () => {
+    const times = cues[1].nodes.filter(node => node.type === 'timestamp').map(node => node.time);
+    expect(times).toEqual([3, 3.5, 4.25]);
+    expect(cues[1].text).toBe('one two three');
+  });
+
+  it('keeps formatting tags and multi-line text', () => {
+    expect(['i', 'b', 'u'].every(name => findTag(cues[2].nodes, name))).toBe(true);
+    expect(cues[2].text).toBe('Late but here\non two lines');
+  });
+
+  it('handles a byte order mark and CRLF line endings', () => {
+    const result = parseSubtitles('﻿WEBVTT\r\n\r\n00:01.000 --> 00:02.000\r\nHi\r\n');
+    expect(result.errors).toEqual([]);
+    expect(result.cues.map(cue => cue.text)).toEqual(['Hi']);
+  });
+
+  it('requires the WEBVTT signature', () => {
+    const result = parseSubtitles('00:01.000 --> 00:02.000\nHi\n', { format: 'vtt' });
+    expect(result.cues).toEqual([]);
+    expect(result.errors).toEqual([{ line: 1, message: 'Missing "WEBVTT" signature' }]);
+  });
+});
+
+describe('parseSubtitles errors', () => {
+  it('reports bad WebVTT cues by line number and keeps the good ones', () => {
+    const { cues, errors } = parseSubtitles(readFixture('errors.vtt'));
+
+    expect(cues.map(cue => cue.text)).toEqual(['Kept, with an unknown setting', 'Kept after the bad cues']);
+    expect(errors).toEqual([
+      { line: 4, message: 'Unknown cue setting "bogus:1"' },
+      { line: 8, message: 'Cue ends before it starts' },
+      { line: 11, message: 'Malformed timestamp "00:00:06,000"' },
+      { line: 14, message: 'Expected a cue timing line' },
+      { line: 20, message: 'STYLE blocks must come before the first cue' },
+    ]);
+  });
+
+  it('formats errors with their line number', () => {
+    expect(formatSubtitleError({ line: 8, message: 'Cue ends before it starts' }))
+      .toBe('line 8: Cue ends before it starts');
+  });
+
+  it('reports bad SRT cues by line number and keeps the good ones', () => {
+    const { cues, errors } = parseSubtitles(readFixture('errors.srt'));
+
+    expect(cues.map(cue => [cue.id, cue.text, cue.lineNumber])).toEqual([
+      ['1', 'Kept', 2],
+      ['4', 'Kept after the bad cues', 14],
+    ]);
+    expect(errors).toEqual([
+      { line: 6, message: 'Malformed timestamp "00:00:03.000"' },
+      { line: 9, message: 'Expected a cue timing line' },
+    ]);
+  });
+});
+
+describe('parseSubtitles with SRT', () => {
+  const { format, cues, errors } = parseSubtitles(readFixture('basic.srt'));
+
+  it('reads numbered cues with hours and milliseconds', () => {
+    expect(format).toBe('srt');
+    expect(errors).toEqual([]);
+    expect(cues.map(cue => cue.id)).toEqual(['1', '2', '3']);
+    expect(cues[0].start).toBe(1);
+    expect(cues[0].end).toBe(2.5);
+    expect(cues[2].start).toBeCloseTo(3723.004);
+  });
+
+  it('ignores display coordinates and keeps markup', () => {
+    expect(cues[1].settings).toEqual({});
+    expect(findTag(cues[1].nodes, 'font').annotation).toBe('color="#ff0000"');
+    expect(cues[1].text).toBe('Red & bold');
+    expect(cues[0].text).toBe('Hello there,\nsecond line');
+  });
+});
+
+describe('word-level WebVTT', () => {
+  it('takes each word from its highlight span and skips music markers', () => {
+    const { words, errors } = parseWordLevelVTT(readFixture('word-level.vtt'));
+
+    expect(errors).toEqual([]);
+    expect(words).toEqual([
+      { word: 'Hello', start: 1, end: 1.4, index: 0 },
+      { word: 'a', start: 1.4, end: 1.4, index: 1 },
+      { word: 'world.', start: 1.5, end: 2.299, index: 2 },
+      { word: 'Segment without word timings', start: 4, end: 5, index: 3 },
+    ]);
+  });
+
+  it('keeps zero-length words so later indexes do not shift', () => {
+    const { cues } = parseSubtitles(readFixture('word-level.vtt'));
+    expect(cues[1].start).toBe(cues[1].end);
+    expect(getWordsFromCues(cues)[2].word).toBe('world.');
+  });
+});
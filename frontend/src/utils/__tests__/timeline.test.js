@@ -0,0 +1,137 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  calculatePreciseTiming,
+  createTimeline,
+  createCueStream,
+  findWordIndexByStart,
+} from '../timeline';
+
+// Two phrases with a long silence between them; without words they get 0.15s before and 0.3s after
+const SEGMENTS = [
+  { start: 1, end: 3, text: 'first phrase' },
+  { start: 6, end: 8, text: 'second phrase' },
+];
+
+const WORDS = [
+  { word: 'one', start: 1, end: 1.5 },
+  { word: 'two', start: 1.5, end: 2 },
+  { word: 'three', start: 2.5, end: 3 },
+];
+
+describe('calculatePreciseTiming', () => {
+  it('pads the segment when it has no timed words', () => {
+    const timing = calculatePreciseTiming({ start: 1, end: 3 });
+    expect(timing.startTime).toBeCloseTo(0.85);
+    expect(timing.endTime).toBeCloseTo(3.3);
+    expect(timing.duration).toBeCloseTo(2.45);
+  });
+
+  it('starts at the first timed word and never ends before the segment', () => {
+    const timing = calculatePreciseTiming({ start: 1, end: 3, words: [{ start: 1.2, end: 2 }, { word: 'untimed' }] });
+    expect(timing.startTime).toBeCloseTo(1.05);
+    expect(timing.endTime).toBeCloseTo(3.15);
+  });
+});
+
+describe('findSegmentIndex', () => {
+  const timeline = createTimeline(SEGMENTS);
+
+  it('finds the segment whose playback window contains the time', () => {
+    expect(timeline.findSegmentIndex(2)).toBe(0);
+    expect(timeline.findSegmentIndex(7)).toBe(1);
+  });
+
+  it('includes both edges of the playback window', () => {
+    expect(timeline.findSegmentIndex(0.85)).toBe(0);
+    expect(timeline.findSegmentIndex(3.3)).toBe(0);
+    expect(timeline.findSegmentIndex(5.85)).toBe(1);
+  });
+
+  it('keeps the previous segment in a gap and the last one after the end', () => {
+    expect(timeline.findSegmentIndex(4.5)).toBe(0);
+    expect(timeline.findSegmentIndex(100)).toBe(1);
+  });
+
+  it('returns -1 before the first segment', () => {
+    expect(timeline.findSegmentIndex(0.5)).toBe(-1);
+  });
+
+  it('prefers the earlier segment where playback windows overlap', () => {
+    const overlapping = createTimeline([{ start: 0, end: 2 }, { start: 2.1, end: 4 }]);
+    expect(overlapping.findSegmentIndex(2)).toBe(0);
+    expect(overlapping.findSegmentIndex(2.31)).toBe(1);
+  });
+});
+
+describe('findWordIndex', () => {
+  const timeline = createTimeline(SEGMENTS, WORDS);
+
+  it('finds the word being spoken, taking the earlier word at a shared boundary', () => {
+    expect(timeline.findWordIndex(1.2)).toBe(0);
+    expect(timeline.findWordIndex(1.5)).toBe(0);
+    expect(timeline.findWordIndex(1.7)).toBe(1);
+    expect(timeline.findWordIndex(3)).toBe(2);
+  });
+
+  it('returns -1 between, before and after words', () => {
+    expect(timeline.findWordIndex(2.2)).toBe(-1);
+    expect(timeline.findWordIndex(0.5)).toBe(-1);
+    expect(timeline.findWordIndex(3.01)).toBe(-1);
+  });
+
+  it('defaults to the timed words of the segments', () => {
+    const fromSegments = createTimeline([
+      { start: 0, end: 1, words: [{ word: 'hi', start: 0, end: 0.4 }, { word: 'untimed' }] },
+      { start: 1, end: 2, words: [{ word: 'there', start: 1.1, end: 1.6 }] },
+    ]);
+    expect(fromSegments.words.map(word => word.word)).toEqual(['hi', 'there']);
+    expect(fromSegments.findWordIndex(1.3)).toBe(1);
+  });
+});
+
+describe('getCue', () => {
+  it('combines the segment and word at the time', () => {
+    const cue = createTimeline(SEGMENTS, WORDS).getCue(1.7);
+    expect(cue).toEqual({ time: 1.7, segmentIndex: 0, segment: SEGMENTS[0], wordIndex: 1, word: WORDS[1] });
+  });
+
+  it('has no word in a gap between words', () => {
+    const cue = createTimeline(SEGMENTS, WORDS).getCue(4);
+    expect(cue.segmentIndex).toBe(0);
+    expect(cue.word).toBeNull();
+  });
+
+  it('handles an empty transcript', () => {
+    const timeline = createTimeline([]);
+    expect(timeline.findSegmentIndex(5)).toBe(-1);
+    expect(timeline.findWordIndex(5)).toBe(-1);
+    expect(timeline.getCue(5)).toEqual({ time: 5, segmentIndex: -1, segment: null, wordIndex: -1, word: null });
+  });
+});
+
+describe('findWordIndexByStart', () => {
+  it('matches word times cut to milliseconds', () => {
+    const vttWords = [{ start: 1.499 }, { start: 2.299 }];
+    expect(findWordIndexByStart(vttWords, 2.3)).toBe(1);
+    expect(findWordIndexByStart(vttWords, 2.31)).toBe(-1);
+  });
+});
+
+describe('createCueStream', () => {
+  it('notifies only when the segment or word changes', () => {
+    const timeline = createTimeline(SEGMENTS, WORDS);
+    const stream = createCueStream();
+    const listener = vi.fn();
+    stream.subscribe(listener);
+
+    stream.update(timeline, 1.1);
+    stream.update(timeline, 1.2);
+    stream.update(timeline, 1.7);
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(stream.get().word).toBe(WORDS[1]);
+
+    stream.clear();
+    expect(listener).toHaveBeenCalledTimes(3);
+    expect(stream.get()).toBeNull();
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Chapter detection and lookup for long transcripts.
+ * A chapter is { start, title, source }; it runs until the next chapter starts.
+ */
+
+export const DEFAULT_CHAPTER_OPTIONS = {
+  silenceGap: 4,             // seconds of silence between segments that start a new chapter
+  minChapterLength: 60,      // seconds; shorter chapters are merged into the previous one
+  speakerChapterLength: 180, // seconds a chapter must run before a speaker change ends it
+};
+
+// Words from the first phrase used as a detected chapter's title
+const TITLE_WORD_COUNT = 6;
+
+/**
+ * Short title for a chapter starting at `segment`
+ */
+export const getChapterTitle = (segment) => {
+  const words = (segment?.text || '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return 'Untitled chapter';
+  return words.length > TITLE_WORD_COUNT
+    ? `${words.slice(0, TITLE_WORD_COUNT).join(' ')}…`
+    : words.join(' ');
+};
+
+/**
+ * Chapters detected from long silences between segments and from speaker changes.
+ * The first chapter always starts at the first segment.
+ */
+export const detectChapters = (segments, options = {}) => {
+  if (!segments || segments.length === 0) return [];
+
+  const { silenceGap, minChapterLength, speakerChapterLength } = { ...DEFAULT_CHAPTER_OPTIONS, ...options };
+  const chapters = [{ start: segments[0].start, title: getChapterTitle(segments[0]), source: 'start' }];
+
+  for (let i = 1; i < segments.length; i++) {
+    const previous = segments[i - 1];
+    const segment = segments[i];
+    const chapterLength = segment.start - chapters[chapters.length - 1].start;
+
+    let source = null;
+    if (segment.start - previous.end >= silenceGap && chapterLength >= minChapterLength) {
+      source = 'silence';
+    } else if (
+      segment.speaker && previous.speaker && segment.speaker !== previous.speaker &&
+      chapterLength >= speakerChapterLength
+    ) {
+      source = 'speaker';
+    }
+
+    if (source) {
+      chapters.push({ start: segment.start, title: getChapterTitle(segment), source });
+    }
+  }
+
+  return chapters;
+};
+
+/**
+ * Chapters sorted by start time, without duplicates
+ */
+export const normalizeChapters = (chapters) => {
+  const byStart = new Map();
+  chapters.forEach(chapter => byStart.set(Math.round(chapter.start * 1000), chapter));
+  return [...byStart.values()].sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Index of the chapter playing at `time`, or -1 before the first chapter
+ */
+export const findChapterIndex = (chapters, time) => {
+  let index = -1;
+  for (let i = 0; i < chapters.length; i++) {
+    if (chapters[i].start > time) break;
+    index = i;
+  }
+  return index;
+};
+
+/**
+ * Index of the first segment in a chapter (the first one that ends after it starts)
+ */
+export const findChapterSegmentIndex = (segments, chapter) => {
+  const index = segments.findIndex(segment => segment.end > chapter.start);
+  return index === -1 ? segments.length - 1 : index;
+};
+
+/**
+ * Chapters with the segment range and end time they cover
+ */
+export const getChapterRanges = (chapters, segments) =>
+  chapters.map((chapter, index) => {
+    const next = chapters[index + 1];
+    const startIndex = findChapterSegmentIndex(segments, chapter);
+    const endIndex = next ? Math.max(startIndex, findChapterSegmentIndex(segments, next) - 1) : segments.length - 1;
+
+    return {
+      ...chapter,
+      end: next ? next.start : segments[segments.length - 1]?.end ?? chapter.start,
+      startIndex,
+      endIndex,
+    };
+  });
@@ -0,0 +1,96 @@
+/**
+ * Cloze (gap-fill) exercise helpers built on word-level timings.
+ */
+import { normalizeWords } from './dictation';
+
+// Words timed slightly outside a segment still belong to it
+const SEGMENT_TOLERANCE = 0.05;
+
+const comparableText = (text) => normalizeWords(text).map(({ word }) => word).join(' ');
+
+const letterCount = (word) => (word.match(/\p{L}/gu) || []).length;
+
+/**
+ * Assign timed words to the segments they fall in.
+ * Returns one array of words per segment, falling back to the segment's own word list.
+ */
+export const groupWordsBySegment = (segments, words) => {
+  const sortedWords = [...(words || [])].sort((a, b) => a.start - b.start);
+  let pointer = 0;
+
+  return (segments || []).map((segment) => {
+    const segmentWords = [];
+
+    // Skip words that start before this segment (they belong to an earlier one)
+    while (pointer < sortedWords.length && sortedWords[pointer].start < segment.start - SEGMENT_TOLERANCE) {
+      pointer++;
+    }
+    while (pointer < sortedWords.length && sortedWords[pointer].start < segment.end + SEGMENT_TOLERANCE) {
+      segmentWords.push(sortedWords[pointer]);
+      pointer++;
+    }
+
+    if (segmentWords.length > 0) {
+      return segmentWords;
+    }
+
+    return (segment.words || [])
+      .filter((word) => typeof word.start === 'number' && typeof word.end === 'number')
+      .map((word) => ({ ...word, word: (word.word || word.text || '').trim() }));
+  });
+};
+
+/**
+ * Pick which words become gaps.
+ * strategy: 'nth' (every Nth word), 'length' (more than N letters) or 'vocabulary' (saved words only).
+ * Returns a Set of "segmentIndex:wordIndex" keys.
+ */
+export const selectClozeWords = (wordsBySegment, { strategy = 'nth', n = 5, vocabulary = [] } = {}) => {
+  const selected = new Set();
+  const vocabularySet = new Set(vocabulary.map(comparableText).filter(Boolean));
+  let runningIndex = 0;
+
+  wordsBySegment.forEach((segmentWords, segmentIndex) => {
+    segmentWords.forEach((word, wordIndex) => {
+      const text = comparableText(word.word);
+      if (!text) return;
+
+      runningIndex++;
+
+      let isGap = false;
+      if (strategy === 'nth') {
+        isGap = n > 0 && runningIndex % n === 0;
+      } else if (strategy === 'length') {
+        isGap = letterCount(text) > n;
+      } else if (strategy === 'vocabulary') {
+        isGap = vocabularySet.has(text);
+      }
+
+      if (isGap) {
+        selected.add(`${segmentIndex}:${wordIndex}`);
+      }
+    });
+  });
+
+  return selected;
+};
+
+/**
+ * Split a word into leading punctuation, the part to blank out, and trailing punctuation
+ */
+export const splitWordPunctuation = (word) => {
+  const match = (word || '').match(/^([^\p{L}\p{N}]*)(.*?)([^\p{L}\p{N}]*)$/u);
+  return {
+    before: match ? match[1] : '',
+    core: match ? match[2] : word,
+    after: match ? match[3] : ''
+  };
+};
+
+/**
+ * Compare an answer with the hidden word, ignoring case, punctuation and contractions
+ */
+export const isClozeAnswerCorrect = (expected, answer) => {
+  const expectedText = comparableText(expected);
+  return expectedText !== '' && expectedText === comparableText(answer);
+};
@@ -0,0 +1,197 @@
+/**
+ * Word-level scoring for dictation exercises.
+ * Typed text is aligned against the segment text ignoring case, punctuation and contractions.
+ */
+
+// Misspelled words earn partial credit towards accuracy
+const MISSPELLED_CREDIT = 0.5;
+
+// Contractions that always expand the same way
+const CONTRACTIONS = {
+  "can't": ['can', 'not'],
+  "cannot": ['can', 'not'],
+  "won't": ['will', 'not'],
+  "shan't": ['shall', 'not'],
+  "ain't": ['am', 'not'],
+  "let's": ['let', 'us'],
+  "y'all": ['you', 'all'],
+};
+
+// Only these words take "'s" as "is"; elsewhere it is usually a possessive
+const IS_CONTRACTION_BASES = new Set([
+  'it', 'that', 'there', 'here', 'what', 'who', 'where', 'when', 'how', 'he', 'she'
+]);
+
+const SUFFIX_EXPANSIONS = [
+  ["n't", 'not'],
+  ["'re", 'are'],
+  ["'ve", 'have'],
+  ["'ll", 'will'],
+  ["'m", 'am'],
+  ["'d", 'would'],
+];
+
+const expandContraction = (word) => {
+  if (CONTRACTIONS[word]) {
+    return CONTRACTIONS[word];
+  }
+
+  for (const [suffix, expansion] of SUFFIX_EXPANSIONS) {
+    if (word.endsWith(suffix) && word.length > suffix.length) {
+      return [word.slice(0, -suffix.length), expansion];
+    }
+  }
+
+  if (word.endsWith("'s") && IS_CONTRACTION_BASES.has(word.slice(0, -2))) {
+    return [word.slice(0, -2), 'is'];
+  }
+
+  // Possessives and anything else: drop the apostrophes
+  return [word.replace(/'/g, '')];
+};
+
+/**
+ * Split text into comparable words, keeping the original spelling for display
+ */
+export const normalizeWords = (text) => {
+  if (!text) return [];
+
+  return text
+    .replace(/[‘’ʼ]/g, "'")
+    .replace(/[-–—/]/g, ' ')
+    .split(/\s+/)
+    .flatMap((rawWord) => {
+      const display = rawWord.replace(/^[^\p{L}\p{N}']+|[^\p{L}\p{N}']+$/gu, '').replace(/^'+|'+$/g, '');
+      const cleaned = display.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+      if (!cleaned) return [];
+
+      const parts = expandContraction(cleaned).filter(Boolean);
+      // Keep the original word on every part of an expanded contraction
+      return parts.map((word) => ({ word, display: parts.length > 1 ? word : display }));
+    });
+};
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Close enough to count as a misspelling rather than a different word
+const isMisspelling = (expected, typed) => {
+  const longest = Math.max(expected.length, typed.length);
+  const allowedEdits = longest <= 4 ? 1 : longest <= 8 ? 2 : 3;
+  return levenshtein(expected, typed) <= allowedEdits;
+};
+
+/**
+ * Align typed text against the expected text word by word.
+ * Returns tokens tagged correct, misspelled, missing or extra, with counts and accuracy (0-1).
+ */
+export const alignDictation = (expectedText, typedText) => {
+  const expected = normalizeWords(expectedText);
+  const typed = normalizeWords(typedText);
+  const rows = expected.length + 1;
+  const cols = typed.length + 1;
+
+  // Edit distance over words; a misspelling costs one edit, an unrelated word two
+  const cost = Array.from({ length: rows }, () => new Array(cols).fill(0));
+  for (let i = 0; i < rows; i++) cost[i][0] = i;
+  for (let j = 0; j < cols; j++) cost[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const expectedWord = expected[i - 1].word;
+      const typedWord = typed[j - 1].word;
+      const substitution = expectedWord === typedWord
+        ? 0
+        : isMisspelling(expectedWord, typedWord) ? 1 : Infinity;
+
+      cost[i][j] = Math.min(
+        cost[i - 1][j - 1] + substitution,
+        cost[i - 1][j] + 1,
+        cost[i][j - 1] + 1
+      );
+    }
+  }
+
+  // Walk back from the end to recover the operations
+  const tokens = [];
+  let i = expected.length;
+  let j = typed.length;
+
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0) {
+      const expectedWord = expected[i - 1].word;
+      const typedWord = typed[j - 1].word;
+
+      if (expectedWord === typedWord && cost[i][j] === cost[i - 1][j - 1]) {
+        tokens.push({ type: 'correct', expected: expected[i - 1].display, typed: typed[j - 1].display });
+        i--;
+        j--;
+        continue;
+      }
+      if (expectedWord !== typedWord && cost[i][j] === cost[i - 1][j - 1] + 1 && isMisspelling(expectedWord, typedWord)) {
+        tokens.push({ type: 'misspelled', expected: expected[i - 1].display, typed: typed[j - 1].display });
+        i--;
+        j--;
+        continue;
+      }
+    }
+
+    if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+      tokens.push({ type: 'missing', expected: expected[i - 1].display, typed: null });
+      i--;
+    } else {
+      tokens.push({ type: 'extra', expected: null, typed: typed[j - 1].display });
+      j--;
+    }
+  }
+
+  tokens.reverse();
+
+  const counts = { correct: 0, misspelled: 0, missing: 0, extra: 0 };
+  tokens.forEach((token) => {
+    counts[token.type]++;
+  });
+
+  const total = expected.length + counts.extra;
+  const earned = counts.correct + counts.misspelled * MISSPELLED_CREDIT;
+
+  return {
+    tokens,
+    counts,
+    expectedWordCount: expected.length,
+    earned,
+    total,
+    accuracy: total > 0 ? earned / total : 1
+  };
+};
+
+/**
+ * Combine per-segment results into session totals
+ */
+export const summarizeDictation = (results) => {
+  const values = Object.values(results || {});
+  const earned = values.reduce((sum, result) => sum + result.earned, 0);
+  const total = values.reduce((sum, result) => sum + result.total, 0);
+
+  return {
+    segmentsChecked: values.length,
+    earned,
+    total,
+    accuracy: total > 0 ? earned / total : null
+  };
+};
@@ -0,0 +1,67 @@
+/**
+ * Undo/redo history for the transcript editor.
+ * The history is a list of snapshots of the edited segments; `position` points at the one shown.
+ */
+
+// Snapshots kept besides the starting one; the oldest are dropped first
+export const MAX_HISTORY_SIZE = 100;
+
+/**
+ * History that starts from the segments as loaded (and saved)
+ */
+export const createHistory = (segments) => ({
+  entries: [{ label: 'Loaded transcript', segments, time: Date.now() }],
+  position: 0,
+  savedPosition: 0, // snapshot that matches the server, -1 once it is gone
+});
+
+/**
+ * Add a change after the current position, dropping anything that was undone
+ */
+export const recordHistory = (history, label, segments, limit = MAX_HISTORY_SIZE) => {
+  const entries = [
+    ...history.entries.slice(0, history.position + 1),
+    { label, segments, time: Date.now() },
+  ];
+  const overflow = Math.max(0, entries.length - (limit + 1));
+  const savedPosition = history.savedPosition > history.position
+    ? -1
+    : history.savedPosition - overflow;
+
+  return {
+    entries: entries.slice(overflow),
+    position: entries.length - 1 - overflow,
+    savedPosition: Math.max(-1, savedPosition),
+  };
+};
+
+/**
+ * Move to another snapshot (undo, redo or a jump from the history list)
+ */
+export const moveHistory = (history, position) => ({
+  ...history,
+  position: Math.max(0, Math.min(history.entries.length - 1, position)),
+});
+
+/**
+ * Remember that the current snapshot is what the server has
+ */
+export const markHistorySaved = (history) => ({ ...history, savedPosition: history.position });
+
+export const canUndo = (history) => !!history && history.position > 0;
+
+export const canRedo = (history) => !!history && history.position < history.entries.length - 1;
+
+/**
+ * Label for an edit of one segment, from the fields that changed
+ */
+export const describeSegmentChange = (segmentNumber, changedFields) => {
+  const changedText = changedFields.includes('text');
+  const changedTiming = changedFields.includes('start') || changedFields.includes('end');
+  const changedWords = changedFields.includes('words');
+
+  if (changedWords && !changedText && !changedTiming) return `Adjust word timing of phrase ${segmentNumber}`;
+  if ((changedText && changedTiming) || changedWords) return `Edit phrase ${segmentNumber}`;
+  if (changedTiming) return `Adjust timing of phrase ${segmentNumber}`;
+  return `Edit text of phrase ${segmentNumber}`;
+};
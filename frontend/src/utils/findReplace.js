@@ -0,0 +1,96 @@
+/**
+ * Find and replace over transcript segments.
+ */
+
+export const DEFAULT_SEARCH_OPTIONS = {
+  caseSensitive: false,
+  wholeWord: false,
+  regex: false,
+};
+
+/**
+ * Escape text so it matches literally inside a RegExp
+ */
+export const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the global RegExp for a search.
+ * Returns { pattern, error }; pattern is null for an empty query or an invalid regular expression.
+ */
+export const buildSearchPattern = (query, options = DEFAULT_SEARCH_OPTIONS) => {
+  if (!query) return { pattern: null, error: null };
+
+  let source = options.regex ? query : escapeRegExp(query);
+  if (options.wholeWord) {
+    source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+  }
+
+  try {
+    return { pattern: new RegExp(source, `g${options.caseSensitive ? '' : 'i'}u`), error: null };
+  } catch (error) {
+    return { pattern: null, error: error.message };
+  }
+};
+
+/**
+ * Non-empty matches of `pattern` in a text, as { start, end, text }
+ */
+export const findTextMatches = (text, pattern) => {
+  if (!pattern || !text) return [];
+
+  return [...text.matchAll(pattern)]
+    .filter(match => match[0].length > 0)
+    .map(match => ({ start: match.index, end: match.index + match[0].length, text: match[0] }));
+};
+
+/**
+ * All matches in a list of segments, in order. `segmentIndex` is the segment's originalIndex
+ * when it has one, so matches can be tied back to the rendered segments.
+ */
+export const findMatches = (segments, pattern) =>
+  segments.flatMap((segment, position) => {
+    const segmentIndex = segment.originalIndex ?? position;
+    return findTextMatches(segment.text, pattern).map(match => ({ ...match, segmentIndex }));
+  });
+
+/**
+ * Cut a text into matching and non-matching parts, for highlighting
+ */
+export const splitByMatches = (text, pattern) => {
+  const parts = [];
+  let position = 0;
+
+  findTextMatches(text, pattern).forEach(match => {
+    if (match.start > position) {
+      parts.push({ text: text.slice(position, match.start), isMatch: false, start: position });
+    }
+    parts.push({ text: match.text, isMatch: true, start: match.start });
+    position = match.end;
+  });
+
+  if (position < text.length) {
+    parts.push({ text: text.slice(position), isMatch: false, start: position });
+  }
+
+  return parts;
+};
+
+// Regex searches may use $1, $& etc. in the replacement; plain searches insert it as typed
+const replacer = (replacement, options) => (options.regex ? replacement : () => replacement);
+
+/**
+ * Replace the single match that starts at `start`
+ */
+export const replaceMatchAt = (text, pattern, start, replacement, options = DEFAULT_SEARCH_OPTIONS) => {
+  const sticky = new RegExp(pattern.source, pattern.flags.replace('g', '') + 'y');
+  sticky.lastIndex = start;
+  return text.replace(sticky, replacer(replacement, options));
+};
+
+/**
+ * Replace every (non-empty) match in a text
+ */
+export const replaceAllMatches = (text, pattern, replacement, options = DEFAULT_SEARCH_OPTIONS) =>
+  findTextMatches(text, pattern)
+    .reverse()
+    .reduce((result, match) => replaceMatchAt(result, pattern, match.start, replacement, options), text);
@@ -0,0 +1,46 @@
+/**
+ * Play a short range of a media file outside the main player.
+ */
+
+/**
+ * Start playing [startTime, endTime] of the media at `url`.
+ * Returns { stop, finished }; `finished` resolves to true when the range played through,
+ * or false when it was stopped or failed to load.
+ */
+export const playMediaSnippet = (url, startTime, endTime) => {
+  const audio = new Audio(url);
+  let resolveFinished;
+  let done = false;
+
+  const finished = new Promise((resolve) => {
+    resolveFinished = resolve;
+  });
+
+  const finish = (playedThrough) => {
+    if (done) return;
+    done = true;
+    audio.pause();
+    audio.removeAttribute('src');
+    resolveFinished(playedThrough);
+  };
+
+  audio.addEventListener('loadedmetadata', () => {
+    audio.currentTime = Math.max(0, startTime);
+    audio.play().catch((error) => {
+      console.error('Error playing snippet:', error);
+      finish(false);
+    });
+  });
+  audio.addEventListener('timeupdate', () => {
+    if (audio.currentTime >= endTime) {
+      finish(true);
+    }
+  });
+  audio.addEventListener('ended', () => finish(true));
+  audio.addEventListener('error', () => finish(false));
+
+  return {
+    stop: () => finish(false),
+    finished
+  };
+};
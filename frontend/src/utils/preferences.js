@@ -0,0 +1,41 @@
+/**
+ * Per-user learner preferences kept in localStorage.
+ */
+
+const STORAGE_PREFIX = 'repeatafterme';
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const getStorageKey = (key, userId) => `${STORAGE_PREFIX}:${userId ?? 'guest'}:${key}`;
+
+/**
+ * Read a preference, falling back to the default.
+ * Stored objects are merged over the default so newly added settings get their default value.
+ */
+export const loadPreference = (key, defaultValue, userId = null) => {
+  try {
+    const stored = localStorage.getItem(getStorageKey(key, userId));
+    if (stored === null) return defaultValue;
+
+    const value = JSON.parse(stored);
+    if (isPlainObject(defaultValue) && isPlainObject(value)) {
+      return { ...defaultValue, ...value };
+    }
+    return value;
+  } catch (error) {
+    console.error(`Error reading preference "${key}":`, error);
+    return defaultValue;
+  }
+};
+
+/**
+ * Store a preference
+ */
+export const savePreference = (key, value, userId = null) => {
+  try {
+    localStorage.setItem(getStorageKey(key, userId), JSON.stringify(value));
+  } catch (error) {
+    console.error(`Error saving preference "${key}":`, error);
+  }
+};
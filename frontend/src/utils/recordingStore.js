@@ -0,0 +1,97 @@
+/**
+ * Browser-side storage for shadowing recordings.
+ * Takes are kept in IndexedDB and only leave the browser when the learner uploads them.
+ */
+
+const DB_NAME = 'repeatafterme-recordings';
+const DB_VERSION = 1;
+const STORE_NAME = 'recordings';
+
+const openDatabase = () => {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('bySegment', ['mediaFileId', 'segmentIndex']);
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// Run a single store operation and resolve with its result once the transaction commits
+const withStore = async (mode, operation) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request?.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+    transaction.onabort = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+/**
+ * Check whether recordings can be kept in this browser
+ */
+export const isRecordingStoreAvailable = () => typeof indexedDB !== 'undefined';
+
+/**
+ * Save a new take and return its local id
+ */
+export const saveRecording = (recording) => {
+  return withStore('readwrite', (store) => store.add({
+    ...recording,
+    mediaFileId: String(recording.mediaFileId),
+    createdAt: new Date().toISOString(),
+    remoteId: null,
+  }));
+};
+
+/**
+ * Get all takes for one segment of a media file, oldest first
+ */
+export const getSegmentRecordings = async (mediaFileId, segmentIndex) => {
+  const recordings = await withStore('readonly', (store) =>
+    store.index('bySegment').getAll([String(mediaFileId), segmentIndex])
+  );
+  return (recordings || []).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+/**
+ * Delete a take from the browser
+ */
+export const deleteRecording = (id) => {
+  return withStore('readwrite', (store) => store.delete(id));
+};
+
+/**
+ * Remember the server id of a take after it has been uploaded
+ */
+export const markRecordingUploaded = (id, remoteId) => {
+  return withStore('readwrite', (store) => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result) {
+        store.put({ ...request.result, remoteId });
+      }
+    };
+    return request;
+  });
+};
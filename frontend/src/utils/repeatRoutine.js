@@ -0,0 +1,62 @@
+/**
+ * Settings and timing for the hands-free REPEAT routine.
+ */
+
+export const DEFAULT_REPEAT_ROUTINE = {
+  enabled: false,
+  repeatCount: 3,     // plays per segment
+  pauseFactor: 1,     // pause after each play, as a multiple of the segment length (0 = no pause)
+  slowRepeats: 'none', // 'none', 'first', 'last', 'alternate' or 'all'
+  slowSpeed: 0.75,
+  autoAdvance: true,  // move on to the next segment after the last repeat
+};
+
+export const MAX_REPEAT_COUNT = 10;
+
+// A pause shorter than this leaves no time to speak
+const MIN_PAUSE_SECONDS = 1;
+
+/**
+ * Fill in missing settings and clamp the rest to supported values
+ */
+export const normalizeRepeatRoutine = (routine) => {
+  const merged = { ...DEFAULT_REPEAT_ROUTINE, ...(routine || {}) };
+  return {
+    ...merged,
+    repeatCount: Math.max(1, Math.min(MAX_REPEAT_COUNT, Math.round(merged.repeatCount) || 1)),
+    pauseFactor: Math.max(0, Number(merged.pauseFactor) || 0),
+    slowSpeed: Math.max(0.25, Math.min(1, Number(merged.slowSpeed) || DEFAULT_REPEAT_ROUTINE.slowSpeed)),
+  };
+};
+
+/**
+ * Whether the repeat at `repeatIndex` (0-based) should play slowed down
+ */
+export const isSlowRepeat = (routine, repeatIndex) => {
+  switch (routine.slowRepeats) {
+    case 'first':
+      return repeatIndex === 0;
+    case 'last':
+      return repeatIndex === routine.repeatCount - 1;
+    case 'alternate':
+      return repeatIndex % 2 === 1;
+    case 'all':
+      return true;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Playback rate for a repeat; slowed repeats never play faster than the chosen speed
+ */
+export const getRepeatPlaybackRate = (routine, repeatIndex, baseSpeed) =>
+  isSlowRepeat(routine, repeatIndex) ? Math.min(baseSpeed, routine.slowSpeed) : baseSpeed;
+
+/**
+ * Seconds to wait after a play so the learner can speak
+ */
+export const getRepeatPause = (routine, segmentDuration) => {
+  if (!routine.pauseFactor) return 0;
+  return Math.max(MIN_PAUSE_SECONDS, segmentDuration * routine.pauseFactor);
+};
@@ -0,0 +1,117 @@
+/**
+ * Splitting and merging transcript segments in the editor.
+ */
+import { normalizeWords } from './dictation';
+
+// Shortest phrase a split may produce, in seconds
+export const MIN_SEGMENT_DURATION = 0.1;
+
+const roundTime = (seconds) => Math.round(seconds * 1000) / 1000;
+
+const comparable = (value) => normalizeWords(value).map(({ word }) => word).join(' ');
+
+const isTimed = (word) => typeof word.start === 'number' && typeof word.end === 'number';
+
+/**
+ * Move a cursor offset out of the middle of a word, to the end of that word
+ */
+export const snapToWordBoundary = (text, offset) => {
+  let position = Math.max(0, Math.min(text.length, offset));
+  while (position > 0 && position < text.length && /\S/.test(text[position - 1]) && /\S/.test(text[position])) {
+    position++;
+  }
+  return position;
+};
+
+/**
+ * Words of the segment, one per whitespace-separated token of its text, or null when
+ * the timed words no longer spell the text (it was edited)
+ */
+const wordsForTokens = (words, tokens) => {
+  if (!Array.isArray(words) || words.length !== tokens.length) return null;
+
+  const matches = words.every((word, i) => comparable(word.word || word.text || '') === comparable(tokens[i]));
+  return matches ? words : null;
+};
+
+/**
+ * Split a segment at a character offset of its text.
+ * Timing comes from the word timestamps when they still match the text and is interpolated
+ * from the text length otherwise. Returns [first, second], or null if either half would be
+ * empty or shorter than MIN_SEGMENT_DURATION.
+ */
+export const splitSegment = (segment, offset) => {
+  const text = segment.text || '';
+  const splitAt = snapToWordBoundary(text, offset);
+  const firstText = text.slice(0, splitAt).trim();
+  const secondText = text.slice(splitAt).trim();
+  if (!firstText || !secondText) return null;
+
+  const firstTokens = firstText.split(/\s+/);
+  const words = wordsForTokens(segment.words, [...firstTokens, ...secondText.split(/\s+/)]);
+
+  let firstEnd = null;
+  let secondStart = null;
+  let firstWords;
+  let secondWords;
+
+  if (words) {
+    firstWords = words.slice(0, firstTokens.length);
+    secondWords = words.slice(firstTokens.length);
+    firstEnd = [...firstWords].reverse().find(isTimed)?.end ?? null;
+    secondStart = secondWords.find(isTimed)?.start ?? null;
+  }
+
+  if (firstEnd === null && secondStart === null) {
+    const ratio = firstText.length / (firstText.length + secondText.length);
+    firstEnd = segment.start + (segment.end - segment.start) * ratio;
+  }
+  firstEnd = roundTime(firstEnd ?? secondStart);
+  secondStart = roundTime(Math.max(secondStart ?? firstEnd, firstEnd));
+
+  if (firstEnd - segment.start < MIN_SEGMENT_DURATION || segment.end - secondStart < MIN_SEGMENT_DURATION) {
+    return null;
+  }
+
+  // Without matching words, keep the timed words on the side of the split they fall in
+  if (!words && Array.isArray(segment.words)) {
+    firstWords = segment.words.filter(word => isTimed(word) && word.start < secondStart);
+    secondWords = segment.words.filter(word => isTimed(word) && word.start >= secondStart);
+  }
+
+  const { originalIndex: _originalIndex, words: _words, ...rest } = segment;
+  const first = { ...rest, text: firstText, end: firstEnd };
+  const second = { ...rest, text: secondText, start: secondStart };
+  if (firstWords) first.words = firstWords;
+  if (secondWords) second.words = secondWords;
+
+  return [first, second];
+};
+
+/**
+ * Join two neighbouring segments into one covering both
+ */
+export const mergeSegments = (first, second) => {
+  const { originalIndex: _originalIndex, words: _words, ...rest } = first;
+  const merged = {
+    ...rest,
+    start: Math.min(first.start, second.start),
+    end: Math.max(first.end, second.end),
+    text: `${first.text.trim()} ${second.text.trim()}`,
+  };
+
+  if (first.words || second.words) {
+    merged.words = [...(first.words || []), ...(second.words || [])];
+  }
+  if (!merged.speaker && second.speaker) {
+    merged.speaker = second.speaker;
+  }
+
+  return merged;
+};
+
+/**
+ * Number the segments by position again after segments were added or removed
+ */
+export const reindexSegments = (segments) =>
+  segments.map((segment, index) => ({ ...segment, originalIndex: index }));
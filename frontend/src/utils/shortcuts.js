@@ -0,0 +1,139 @@
+/**
+ * Keyboard shortcut definitions and key combo helpers.
+ * Combos are written as modifiers plus a KeyboardEvent.code, e.g. "Space", "Ctrl+KeyS", "Shift+Slash".
+ */
+
+export const SHORTCUT_SCOPES = {
+  global: 'General',
+  navigation: 'Navigation',
+  player: 'Player',
+  transcript: 'Transcript editing',
+};
+
+// allowInInputs: the shortcut also fires while typing in a text field
+export const SHORTCUT_ACTIONS = [
+  { id: 'global.showHelp', scope: 'global', description: 'Show keyboard shortcuts', defaultCombo: 'Shift+Slash' },
+
+  { id: 'navigation.dashboard', scope: 'navigation', description: 'Go to dashboard', defaultCombo: 'Shift+KeyD' },
+  { id: 'navigation.upload', scope: 'navigation', description: 'Go to upload', defaultCombo: 'Shift+KeyU' },
+  { id: 'navigation.vocabulary', scope: 'navigation', description: 'Go to vocabulary', defaultCombo: 'Shift+KeyV' },
+  { id: 'navigation.review', scope: 'navigation', description: 'Go to review', defaultCombo: 'Shift+KeyR' },
+  { id: 'navigation.stats', scope: 'navigation', description: 'Go to practice stats', defaultCombo: 'Shift+KeyT' },
+  { id: 'navigation.settings', scope: 'navigation', description: 'Go to settings', defaultCombo: 'Shift+KeyS' },
+
+  { id: 'player.togglePlay', scope: 'player', description: 'Play / pause', defaultCombo: 'Space' },
+  { id: 'player.previousSegment', scope: 'player', description: 'Previous phrase', defaultCombo: 'ArrowLeft' },
+  { id: 'player.nextSegment', scope: 'player', description: 'Next phrase', defaultCombo: 'ArrowRight' },
+  { id: 'player.previousChapter', scope: 'player', description: 'Previous chapter', defaultCombo: 'Shift+ArrowLeft' },
+  { id: 'player.nextChapter', scope: 'player', description: 'Next chapter', defaultCombo: 'Shift+ArrowRight' },
+  { id: 'player.setLoopStart', scope: 'player', description: 'Set loop start (A)', defaultCombo: 'BracketLeft' },
+  { id: 'player.setLoopEnd', scope: 'player', description: 'Set loop end (B)', defaultCombo: 'BracketRight' },
+  { id: 'player.clearLoop', scope: 'player', description: 'Clear A-B loop', defaultCombo: 'Backslash' },
+
+  { id: 'transcript.toggleEditMode', scope: 'transcript', description: 'Enter / cancel edit mode', defaultCombo: 'KeyE' },
+  { id: 'transcript.save', scope: 'transcript', description: 'Save transcript changes', defaultCombo: 'Ctrl+KeyS', allowInInputs: true },
+  { id: 'transcript.undo', scope: 'transcript', description: 'Undo the last transcript edit', defaultCombo: 'Ctrl+KeyZ' },
+  { id: 'transcript.redo', scope: 'transcript', description: 'Redo the last undone edit', defaultCombo: 'Ctrl+Shift+KeyZ' },
+  { id: 'transcript.closeSegmentEditor', scope: 'transcript', description: 'Close segment editor without applying', defaultCombo: 'Escape', allowInInputs: true },
+];
+
+const MODIFIER_CODES = new Set([
+  'ShiftLeft', 'ShiftRight', 'ControlLeft', 'ControlRight',
+  'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight', 'CapsLock',
+]);
+
+const KEY_LABELS = {
+  Space: 'Space',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  BracketLeft: '[',
+  BracketRight: ']',
+  Backslash: '\\',
+  Slash: '/',
+  Comma: ',',
+  Period: '.',
+  Semicolon: ';',
+  Quote: "'",
+  Minus: '-',
+  Equal: '=',
+  Backquote: '`',
+  Escape: 'Esc',
+  Enter: 'Enter',
+  Backspace: 'Backspace',
+  Delete: 'Delete',
+  Tab: 'Tab',
+};
+
+// "?" reads better than Shift+/
+const SHIFTED_LABELS = {
+  Slash: '?',
+};
+
+/**
+ * Build the combo string for a keydown event, or null for a lone modifier key
+ */
+export const eventToCombo = (event) => {
+  if (!event.code || MODIFIER_CODES.has(event.code)) return null;
+
+  const parts = [];
+  if (event.ctrlKey) parts.push('Ctrl');
+  if (event.altKey) parts.push('Alt');
+  if (event.shiftKey) parts.push('Shift');
+  if (event.metaKey) parts.push('Meta');
+  parts.push(event.code);
+  return parts.join('+');
+};
+
+/**
+ * Human-readable label for a combo, e.g. "Shift+Slash" -> "?"
+ */
+export const formatCombo = (combo) => {
+  if (!combo) return 'Unassigned';
+
+  const parts = combo.split('+');
+  const code = parts.pop();
+  const modifiers = parts;
+
+  if (modifiers.length === 1 && modifiers[0] === 'Shift' && SHIFTED_LABELS[code]) {
+    return SHIFTED_LABELS[code];
+  }
+
+  let keyLabel = KEY_LABELS[code];
+  if (!keyLabel) {
+    if (code.startsWith('Key')) keyLabel = code.slice(3);
+    else if (code.startsWith('Digit')) keyLabel = code.slice(5);
+    else keyLabel = code;
+  }
+
+  return [...modifiers, keyLabel].join('+');
+};
+
+/**
+ * Apply user overrides to the default bindings; an override of null unassigns the action
+ */
+export const resolveBindings = (overrides = {}) => {
+  const bindings = {};
+  SHORTCUT_ACTIONS.forEach((action) => {
+    bindings[action.id] = Object.prototype.hasOwnProperty.call(overrides, action.id)
+      ? overrides[action.id]
+      : action.defaultCombo;
+  });
+  return bindings;
+};
+
+/**
+ * Actions other than `actionId` already bound to `combo`
+ */
+export const findConflicts = (bindings, actionId, combo) =>
+  SHORTCUT_ACTIONS.filter(action => action.id !== actionId && combo && bindings[action.id] === combo);
+
+/**
+ * Whether a keydown happened while the user was typing
+ */
+export const isTypingTarget = (target) => {
+  if (!target) return false;
+  if (target.isContentEditable) return true;
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+};
@@ -0,0 +1,39 @@
+/**
+ * Helpers for practicing one speaker's lines (speaker filter and role-play).
+ */
+
+// Role-play gives the learner this much of the line's length to say it, and at least the minimum
+const ROLE_PLAY_PAUSE_FACTOR = 1.5;
+const MIN_ROLE_PLAY_PAUSE = 2;
+
+/**
+ * Speakers in order of their first line
+ */
+export const getSpeakers = (segments) => [
+  ...new Set((segments || []).map(segment => segment.speaker).filter(Boolean))
+];
+
+/**
+ * Readable name for a diarization label, e.g. "SPEAKER_00" becomes "Speaker 1"
+ */
+export const formatSpeakerLabel = (speaker) => {
+  const match = /^SPEAKER_(\d+)$/i.exec(speaker || '');
+  return match ? `Speaker ${parseInt(match[1], 10) + 1}` : speaker;
+};
+
+/**
+ * Index of the nearest segment in `direction` (1 or -1) from `fromIndex`,
+ * limited to one speaker's lines when `speaker` is set; -1 if there is none
+ */
+export const findAdjacentSegment = (segments, fromIndex, direction, speaker = null) => {
+  for (let i = fromIndex + direction; i >= 0 && i < segments.length; i += direction) {
+    if (!speaker || segments[i].speaker === speaker) return i;
+  }
+  return -1;
+};
+
+/**
+ * Seconds the player waits for the learner to say a role-play line
+ */
+export const getRolePlayPause = (segment) =>
+  Math.max(MIN_ROLE_PLAY_PAUSE, (segment.end - segment.start) * ROLE_PLAY_PAUSE_FACTOR);
@@ -0,0 +1,288 @@
+/**
+ * WebVTT and SRT parsing. Cues come back as
+ * { id, start, end, settings, nodes, text, lineNumber }, where `nodes` is the cue text as a tree of
+ * { type: 'text', value }, { type: 'timestamp', time } and { type: 'tag', name, classes, annotation, children },
+ * and `text` is the plain text. Problems are reported as { line, message } instead of thrown,
+ * and the cues that could be read are still returned.
+ */
+
+export const SUBTITLE_FORMATS = ['vtt', 'srt'];
+
+// Hours are optional in WebVTT and take two or more digits; SRT always has them
+const TIMESTAMP_PATTERNS = {
+  vtt: /^(?:(\d{2,}):)?(\d{2}):(\d{2})\.(\d{3})$/,
+  srt: /^(\d{1,}):(\d{2}):(\d{2}),(\d{3})$/,
+};
+
+// Cue settings WebVTT defines; anything else is reported and ignored
+const CUE_SETTINGS = ['vertical', 'line', 'position', 'size', 'align', 'region'];
+
+// Blocks that may appear between cues in WebVTT and carry no cue
+const VTT_BLOCK_KEYWORDS = ['NOTE', 'STYLE', 'REGION'];
+
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'",
+  '&nbsp;': '\u00A0',
+  '&lrm;': '\u200E',
+  '&rlm;': '\u200F',
+};
+
+const decodeEntities = (text) => text.replace(/&[a-z]+;/g, entity => ENTITIES[entity] ?? entity);
+
+// A line that is only a keyword, or the keyword followed by a space, tab or text on the same line
+const startsWithKeyword = (line, keyword) =>
+  line === keyword || line.startsWith(`${keyword} `) || line.startsWith(`${keyword}\t`);
+
+/**
+ * Seconds for a timestamp in the given format, or null when it is malformed
+ */
+export const parseTimestamp = (text, format = 'vtt') => {
+  const match = TIMESTAMP_PATTERNS[format].exec(text.trim());
+  if (!match) return null;
+
+  const [, hours = '0', minutes, seconds, milliseconds] = match;
+  if (Number(minutes) > 59 || Number(seconds) > 59) return null;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(milliseconds) / 1000;
+};
+
+/**
+ * 'vtt' when the text has a WebVTT signature, otherwise 'srt'
+ */
+export const detectSubtitleFormat = (text) =>
+  /^\uFEFF?WEBVTT(?:[ \t\n\r]|$)/.test(text) ? 'vtt' : 'srt';
+
+/**
+ * Parse cue text (the lines under the timing line) into nodes. Tags are kept by name, so
+ * WebVTT spans (<c.class>, <v Speaker>, <i>, <b>, <u>, <ruby>, <rt>, <lang>) and SRT markup
+ * (<i>, <b>, <u>, <font>) both survive; <hh:mm:ss.ttt> becomes a timestamp node.
+ */
+export const parseCueText = (text, format = 'vtt') => {
+  const root = { type: 'tag', name: '', classes: [], annotation: '', children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const tokenPattern = /<([^>]*)>|[^<]+|</g;
+  let match;
+
+  while ((match = tokenPattern.exec(text)) !== null) {
+    const [token, tag] = match;
+
+    if (tag === undefined) {
+      // Text, or a "<" that never closes
+      current().children.push({ type: 'text', value: decodeEntities(token) });
+      continue;
+    }
+
+    if (tag.startsWith('/')) {
+      // Close the matching tag and any left open inside it; stray end tags are ignored
+      const name = tag.slice(1).trim().toLowerCase();
+      const index = stack.map(node => node.name).lastIndexOf(name);
+      if (index > 0) stack.length = index;
+      continue;
+    }
+
+    const time = /^\d/.test(tag) ? parseTimestamp(tag, format) : null;
+    if (time !== null) {
+      current().children.push({ type: 'timestamp', time });
+      continue;
+    }
+
+    // <name.class1.class2 annotation>, e.g. <v.loud Mary> or <font color="red">
+    const [, descriptor, annotation = ''] = /^(\S*)\s*([\s\S]*)$/.exec(tag);
+    const [name, ...classes] = descriptor.split('.');
+    if (!name) continue;
+
+    const node = {
+      type: 'tag',
+      name: name.toLowerCase(),
+      classes: classes.filter(Boolean),
+      annotation: decodeEntities(annotation.trim()),
+      children: [],
+    };
+    current().children.push(node);
+    stack.push(node);
+  }
+
+  return root.children;
+};
+
+/**
+ * Plain text of cue nodes
+ */
+export const getNodesText = (nodes) =>
+  nodes.map(node => {
+    if (node.type === 'text') return node.value;
+    if (node.type === 'tag') return getNodesText(node.children);
+    return '';
+  }).join('');
+
+/**
+ * First tag among `nodes` (at any depth) with the given name and, optionally, class
+ */
+export const findTag = (nodes, name, className = null) => {
+  for (const node of nodes) {
+    if (node.type !== 'tag') continue;
+    if (node.name === name && (!className || node.classes.includes(className))) return node;
+
+    const found = findTag(node.children, name, className);
+    if (found) return found;
+  }
+  return null;
+};
+
+/**
+ * Readable form of a parse error, e.g. "line 12: Cue ends before it starts"
+ */
+export const formatSubtitleError = ({ line, message }) => `line ${line}: ${message}`;
+
+// Timing line: "start --> end" followed by settings (WebVTT) or coordinates (SRT)
+const parseTimingLine = (line, format, lineNumber, errors) => {
+  const match = /^(\S+)[ \t]+-->[ \t]+(\S+)(?:[ \t]+(.*))?$/.exec(line.trim());
+  if (!match) {
+    errors.push({ line: lineNumber, message: `Malformed cue timing "${line.trim()}"` });
+    return null;
+  }
+
+  const [, startText, endText, rest = ''] = match;
+  const start = parseTimestamp(startText, format);
+  const end = parseTimestamp(endText, format);
+  if (start === null || end === null) {
+    errors.push({ line: lineNumber, message: `Malformed timestamp "${start === null ? startText : endText}"` });
+    return null;
+  }
+  if (end < start) {
+    errors.push({ line: lineNumber, message: 'Cue ends before it starts' });
+    return null;
+  }
+
+  const settings = {};
+  if (format === 'vtt') {
+    rest.split(/[ \t]+/).filter(Boolean).forEach(setting => {
+      const separator = setting.indexOf(':');
+      const name = setting.slice(0, separator);
+      const value = setting.slice(separator + 1);
+      if (separator <= 0 || !value || !CUE_SETTINGS.includes(name)) {
+        errors.push({ line: lineNumber, message: `Unknown cue setting "${setting}"` });
+        return;
+      }
+      settings[name] = value;
+    });
+  }
+
+  return { start, end, settings };
+};
+
+/**
+ * Parse WebVTT or SRT text. `format` is detected from the text when not given.
+ * Returns { format, cues, errors }.
+ */
+export const parseSubtitles = (text, { format = detectSubtitleFormat(text) } = {}) => {
+  const lines = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+  const cues = [];
+  const errors = [];
+  let position = 0;
+
+  const isBlank = (index) => index >= lines.length || lines[index].trim() === '';
+  const skipBlankLines = () => {
+    while (position < lines.length && isBlank(position)) position++;
+  };
+  const skipBlock = () => {
+    while (!isBlank(position)) position++;
+  };
+
+  if (format === 'vtt') {
+    if (!/^WEBVTT(?:[ \t]|$)/.test(lines[0])) {
+      errors.push({ line: 1, message: 'Missing "WEBVTT" signature' });
+      return { format, cues, errors };
+    }
+    // The header runs until the first blank line
+    skipBlock();
+  }
+
+  for (skipBlankLines(); position < lines.length; skipBlankLines()) {
+    const blockStart = position;
+    const firstLine = lines[position].trim();
+
+    if (format === 'vtt' && !firstLine.includes('-->')) {
+      const keyword = VTT_BLOCK_KEYWORDS.find(word => startsWithKeyword(firstLine, word));
+      if (keyword) {
+        if (keyword !== 'NOTE' && cues.length > 0) {
+          errors.push({ line: position + 1, message: `${keyword} blocks must come before the first cue` });
+        }
+        skipBlock();
+        continue;
+      }
+    }
+
+    // An identifier line comes before the timing line unless the block starts with the timing
+    let id = '';
+    if (!firstLine.includes('-->')) {
+      id = firstLine;
+      position++;
+      if (isBlank(position) || !lines[position].includes('-->')) {
+        errors.push({ line: blockStart + 1, message: 'Expected a cue timing line' });
+        skipBlock();
+        continue;
+      }
+    }
+
+    const timingLineNumber = position + 1;
+    const timing = parseTimingLine(lines[position], format, timingLineNumber, errors);
+    position++;
+
+    // Cue text runs until a blank line; in WebVTT a line with "-->" starts the next cue
+    const textLines = [];
+    while (!isBlank(position) && !(format === 'vtt' && lines[position].includes('-->'))) {
+      textLines.push(lines[position]);
+      position++;
+    }
+    if (!timing) continue;
+
+    const nodes = parseCueText(textLines.join('\n'), format);
+    cues.push({
+      id,
+      start: timing.start,
+      end: timing.end,
+      settings: timing.settings,
+      nodes,
+      text: getNodesText(nodes).trim(),
+      lineNumber: timingLineNumber,
+    });
+  }
+
+  if (format === 'srt' && cues.length === 0 && errors.length === 0 && text.trim()) {
+    errors.push({ line: 1, message: 'No subtitle cues found' });
+  }
+
+  return { format, cues, errors };
+};
+
+// Whisper marks music with this instead of words
+const MUSIC_MARKER = '¶¶';
+
+/**
+ * Words of a word-level subtitle file: one { word, start, end, index } per cue, taking the
+ * text of the <c.word-highlight> span when there is one
+ */
+export const getWordsFromCues = (cues) => {
+  const words = [];
+  cues.forEach(cue => {
+    const span = findTag(cue.nodes, 'c', 'word-highlight');
+    const word = (span ? getNodesText(span.children) : cue.text).trim();
+    if (!word || word === MUSIC_MARKER) return;
+
+    words.push({ word, start: cue.start, end: cue.end, index: words.length });
+  });
+  return words;
+};
+
+/**
+ * Words and parse errors of a word-level WebVTT file
+ */
+export const parseWordLevelVTT = (text) => {
+  const { cues, errors } = parseSubtitles(text, { format: 'vtt' });
+  return { words: getWordsFromCues(cues), errors };
+};
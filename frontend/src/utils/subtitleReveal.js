@@ -0,0 +1,45 @@
+/**
+ * Reveal strategies for the subtitle overlay, so learners can listen before they read.
+ */
+
+export const SUBTITLE_REVEAL_MODES = [
+  { value: 'always', label: 'Show subtitles' },
+  { value: 'blur', label: 'Blur until hover' },
+  { value: 'after', label: 'Show after the phrase' },
+  { value: 'progressive', label: 'Reveal word by word' },
+];
+
+export const DEFAULT_REVEAL_MODE = 'always';
+
+// Treat a phrase as heard slightly before its end; timeupdate events are coarse
+const HEARD_TOLERANCE = 0.15;
+
+/**
+ * Whether playback has reached the end of a segment
+ */
+export const hasReachedSegmentEnd = (segment, currentTime) =>
+  currentTime >= segment.end - HEARD_TOLERANCE;
+
+/**
+ * Whether a segment has word timings to reveal it word by word
+ */
+export const hasWordTimings = (segment) =>
+  Array.isArray(segment?.words) && segment.words.some(word => typeof word.start === 'number');
+
+/**
+ * Number of words spoken by `currentTime`; words without timing follow the previous word
+ */
+export const countSpokenWords = (words, currentTime) => {
+  let count = 0;
+  let lastStart = -Infinity;
+
+  for (const word of words) {
+    if (typeof word.start === 'number') {
+      lastStart = word.start;
+    }
+    if (lastStart > currentTime) break;
+    count++;
+  }
+
+  return count;
+};
@@ -0,0 +1,87 @@
+/**
+ * Appearance settings for the subtitle overlay on the video.
+ */
+
+export const DEFAULT_SUBTITLE_STYLE = {
+  fontSize: 24,              // px
+  fontFamily: 'sans',        // key of SUBTITLE_FONT_FAMILIES
+  textColor: '#ffffff',
+  backgroundColor: '#000000',
+  backgroundOpacity: 0.8,    // 0 hides the box
+  verticalPosition: 12,      // distance from the bottom of the video, in % of its height
+  outline: 'none',           // 'none', 'thin' or 'thick'
+};
+
+export const SUBTITLE_FONT_SIZE_RANGE = { min: 14, max: 64 };
+export const SUBTITLE_POSITION_RANGE = { min: 2, max: 85 };
+
+export const SUBTITLE_FONT_FAMILIES = {
+  sans: { label: 'Sans-serif', css: 'ui-sans-serif, system-ui, sans-serif' },
+  serif: { label: 'Serif', css: 'ui-serif, Georgia, Cambria, "Times New Roman", serif' },
+  readable: { label: 'Wide (Verdana)', css: 'Verdana, Tahoma, "DejaVu Sans", sans-serif' },
+  mono: { label: 'Monospace', css: 'ui-monospace, Menlo, Consolas, monospace' },
+};
+
+const OUTLINE_WIDTHS = { none: 0, thin: 1, thick: 2 };
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const clamp = (value, { min, max }, fallback) => {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return fallback;
+  return Math.max(min, Math.min(max, number));
+};
+
+/**
+ * Fill in missing settings and clamp the rest to supported values
+ */
+export const normalizeSubtitleStyle = (style) => {
+  const merged = { ...DEFAULT_SUBTITLE_STYLE, ...(style || {}) };
+  return {
+    ...merged,
+    fontSize: clamp(merged.fontSize, SUBTITLE_FONT_SIZE_RANGE, DEFAULT_SUBTITLE_STYLE.fontSize),
+    fontFamily: SUBTITLE_FONT_FAMILIES[merged.fontFamily] ? merged.fontFamily : DEFAULT_SUBTITLE_STYLE.fontFamily,
+    textColor: HEX_COLOR.test(merged.textColor) ? merged.textColor : DEFAULT_SUBTITLE_STYLE.textColor,
+    backgroundColor: HEX_COLOR.test(merged.backgroundColor) ? merged.backgroundColor : DEFAULT_SUBTITLE_STYLE.backgroundColor,
+    backgroundOpacity: clamp(merged.backgroundOpacity, { min: 0, max: 1 }, DEFAULT_SUBTITLE_STYLE.backgroundOpacity),
+    verticalPosition: clamp(merged.verticalPosition, SUBTITLE_POSITION_RANGE, DEFAULT_SUBTITLE_STYLE.verticalPosition),
+    outline: OUTLINE_WIDTHS[merged.outline] !== undefined ? merged.outline : DEFAULT_SUBTITLE_STYLE.outline,
+  };
+};
+
+/**
+ * "#rrggbb" plus an opacity as an rgba() color
+ */
+export const hexToRgba = (hex, opacity) => {
+  const value = parseInt(hex.slice(1), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${opacity})`;
+};
+
+/**
+ * Inline styles for the subtitle box and its text
+ */
+export const getSubtitleStyles = (style) => {
+  const settings = normalizeSubtitleStyle(style);
+  const outlineWidth = OUTLINE_WIDTHS[settings.outline];
+
+  const textShadow = outlineWidth
+    ? [
+        [-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1],
+      ].map(([x, y]) => `${x * outlineWidth}px ${y * outlineWidth}px 0 #000`).join(', ')
+    : undefined;
+
+  return {
+    container: {
+      bottom: `${settings.verticalPosition}%`,
+    },
+    box: {
+      backgroundColor: hexToRgba(settings.backgroundColor, settings.backgroundOpacity),
+    },
+    text: {
+      fontSize: `${settings.fontSize}px`,
+      fontFamily: SUBTITLE_FONT_FAMILIES[settings.fontFamily].css,
+      color: settings.textColor,
+      textShadow,
+    },
+  };
+};
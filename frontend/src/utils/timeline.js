@@ -0,0 +1,193 @@
+/**
+ * Playback timeline: precomputed segment timings and binary-search lookup of the segment
+ * and word playing at a given time, plus the "active cue" stream components subscribe to.
+ * Segments and words are expected in playback order.
+ */
+
+const START_BUFFER = 0.15; // seconds played before the first word
+const END_BUFFER = 0.3; // seconds played after the last word (balanced for complete playback)
+const MIN_END_BUFFER = 0.15; // minimum buffer to ensure natural completion
+
+// Word times in the word-level VTT are cut to whole milliseconds, while segment words keep
+// their full precision, so the same word can differ by up to a millisecond between the two
+export const WORD_TIME_TOLERANCE = 0.002;
+
+const isTimed = (word) => typeof word?.start === 'number' && typeof word?.end === 'number';
+
+/**
+ * Playback window { startTime, endTime, duration } of a segment, tightened to its timed words
+ */
+export const calculatePreciseTiming = (segment) => {
+  const wordsWithTiming = (segment.words || []).filter(isTimed);
+
+  // Without word timings, use the segment timing with small buffers
+  if (wordsWithTiming.length === 0) {
+    const startTime = Math.max(0, segment.start - START_BUFFER);
+    const endTime = segment.end + END_BUFFER;
+    return { startTime, endTime, duration: endTime - startTime };
+  }
+
+  const firstWordStart = wordsWithTiming[0].start;
+  const lastWordEnd = wordsWithTiming[wordsWithTiming.length - 1].end;
+  const startTime = Math.max(0, firstWordStart - START_BUFFER);
+  let endTime = lastWordEnd + END_BUFFER;
+
+  // A large gap between the last word and the segment end suggests the word timing is
+  // inaccurate, so fall back to the segment end; a moderate one takes the later of the two
+  const wordToSegmentGap = segment.end - lastWordEnd;
+  if (wordToSegmentGap > 0.5) {
+    endTime = segment.end + MIN_END_BUFFER;
+  } else if (wordToSegmentGap > 0.1) {
+    endTime = Math.max(lastWordEnd + END_BUFFER, segment.end + MIN_END_BUFFER);
+  }
+
+  // Never end before the segment does
+  endTime = Math.max(endTime, segment.end + MIN_END_BUFFER);
+
+  return { startTime, endTime, duration: endTime - startTime };
+};
+
+/**
+ * Timed words of all segments in order, each with the index of its segment
+ */
+export const getTimelineWords = (segments) =>
+  segments.flatMap((segment, segmentIndex) =>
+    (segment.words || []).filter(isTimed).map(word => ({ ...word, segmentIndex }))
+  );
+
+// Index of the last item whose start is at or before `time`, or -1
+const findLastStarted = (starts, time) => {
+  let low = 0;
+  let high = starts.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (starts[middle] <= time) low = middle + 1;
+    else high = middle;
+  }
+  return low - 1;
+};
+
+// Index of the first item whose running end (the latest end so far) is at or after `time`
+const findFirstNotEnded = (runningEnds, time) => {
+  let low = 0;
+  let high = runningEnds.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (runningEnds[middle] < time) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+};
+
+// Latest end up to each index; never decreases, so it can be binary searched
+const getRunningEnds = (ends) => {
+  let latest = -Infinity;
+  return ends.map(end => {
+    latest = Math.max(latest, end);
+    return latest;
+  });
+};
+
+// First item that contains `time`, as a linear scan from the start would find it
+const findFirstContaining = (starts, runningEnds, time) => {
+  const lastStarted = findLastStarted(starts, time);
+  const firstNotEnded = findFirstNotEnded(runningEnds, time);
+  return firstNotEnded <= lastStarted ? firstNotEnded : -1;
+};
+
+/**
+ * Timeline of `segments` (and `words`, by default the timed words of the segments)
+ */
+export const createTimeline = (segments, words = getTimelineWords(segments)) => {
+  const timings = segments.map(calculatePreciseTiming);
+  const segmentStarts = timings.map(timing => timing.startTime);
+  const segmentRunningEnds = getRunningEnds(timings.map(timing => timing.endTime));
+  const timedWords = words.filter(isTimed);
+  const wordStarts = timedWords.map(word => word.start);
+  const wordRunningEnds = getRunningEnds(timedWords.map(word => word.end));
+
+  /**
+   * Segment to show at `time`: the first one whose playback window contains it, otherwise
+   * the last one started (so gaps keep the previous phrase); -1 before the first segment
+   */
+  const findSegmentIndex = (time) => {
+    const containing = findFirstContaining(segmentStarts, segmentRunningEnds, time);
+    return containing !== -1 ? containing : findLastStarted(segmentStarts, time);
+  };
+
+  /**
+   * Index in `words` of the word being spoken at `time`, or -1 between words
+   */
+  const findWordIndex = (time) => findFirstContaining(wordStarts, wordRunningEnds, time);
+
+  /**
+   * Cue at `time`: { time, segmentIndex, segment, wordIndex, word }
+   */
+  const getCue = (time) => {
+    const segmentIndex = findSegmentIndex(time);
+    const wordIndex = findWordIndex(time);
+    return {
+      time,
+      segmentIndex,
+      segment: segments[segmentIndex] || null,
+      wordIndex,
+      word: timedWords[wordIndex] || null,
+    };
+  };
+
+  return { segments, words: timedWords, timings, findSegmentIndex, findWordIndex, getCue };
+};
+
+/**
+ * Index of the word in `words` starting closest to `start`, or -1 when none is within
+ * WORD_TIME_TOLERANCE; matches words from a different source for the same transcript
+ */
+export const findWordIndexByStart = (words, start) => {
+  let bestIndex = -1;
+  let bestDistance = WORD_TIME_TOLERANCE;
+  words.forEach((word, index) => {
+    const distance = Math.abs(word.start - start);
+    if (distance <= bestDistance) {
+      bestIndex = index;
+      bestDistance = distance;
+    }
+  });
+  return bestIndex;
+};
+
+/**
+ * Stream of the active cue. `update(timeline, time)` looks up the cue and notifies
+ * subscribers only when the segment or word changes; `get()` returns the latest cue or null.
+ */
+export const createCueStream = () => {
+  let cue = null;
+  let cueTimeline = null;
+  const listeners = new Set();
+
+  const publish = (nextCue) => {
+    cue = nextCue;
+    listeners.forEach(listener => listener(cue));
+  };
+
+  return {
+    get: () => cue,
+    update: (timeline, time) => {
+      const nextCue = timeline.getCue(time);
+      if (cue && timeline === cueTimeline &&
+          nextCue.segmentIndex === cue.segmentIndex && nextCue.wordIndex === cue.wordIndex) {
+        return cue;
+      }
+      cueTimeline = timeline;
+      publish(nextCue);
+      return cue;
+    },
+    clear: () => {
+      cueTimeline = null;
+      if (cue) publish(null);
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
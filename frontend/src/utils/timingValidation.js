@@ -0,0 +1,168 @@
+/**
+ * Transcript-wide timing checks for the editor, with automatic fixes.
+ */
+
+export const DEFAULT_TIMING_RULES = {
+  minDuration: 1, // seconds a phrase needs to stay on screen to be read
+  maxGap: 10, // seconds of silence between phrases before it is worth a look
+  wordTolerance: 0.3, // seconds a phrase may start or end away from its words
+};
+
+export const TIMING_ISSUE_TYPES = {
+  overlap: 'Overlapping phrases',
+  gap: 'Long gaps',
+  short: 'Too short to read',
+  words: 'Timing differs from the words',
+};
+
+// Never shrink a phrase below this when removing an overlap
+const MIN_FIXED_DURATION = 0.1;
+
+const roundTime = (seconds) => Math.round(seconds * 1000) / 1000;
+
+const formatSeconds = (seconds) => `${seconds.toFixed(2)}s`;
+
+const getWordBounds = (segment) => {
+  const timed = (segment.words || []).filter(word => typeof word.start === 'number' && typeof word.end === 'number');
+  if (timed.length === 0) return null;
+  return { start: timed[0].start, end: timed[timed.length - 1].end };
+};
+
+/**
+ * Find timing problems. Returns { type, segmentIndex, message } issues ordered by segment;
+ * `segmentIndex` is the position in `segments`.
+ */
+export const validateTiming = (segments, rules = DEFAULT_TIMING_RULES) => {
+  const issues = [];
+
+  segments.forEach((segment, index) => {
+    const duration = segment.end - segment.start;
+    if (duration < rules.minDuration) {
+      issues.push({
+        type: 'short',
+        segmentIndex: index,
+        message: `Phrase ${index + 1} is only on screen for ${formatSeconds(duration)}`,
+      });
+    }
+
+    const words = getWordBounds(segment);
+    if (words && (
+      Math.abs(words.start - segment.start) > rules.wordTolerance ||
+      Math.abs(words.end - segment.end) > rules.wordTolerance
+    )) {
+      issues.push({
+        type: 'words',
+        segmentIndex: index,
+        message: `Phrase ${index + 1} runs ${formatSeconds(segment.start)}–${formatSeconds(segment.end)} but its words run ${formatSeconds(words.start)}–${formatSeconds(words.end)}`,
+      });
+    }
+
+    const next = segments[index + 1];
+    if (!next) return;
+
+    const gap = next.start - segment.end;
+    if (gap < 0) {
+      issues.push({
+        type: 'overlap',
+        segmentIndex: index,
+        message: `Phrase ${index + 1} overlaps phrase ${index + 2} by ${formatSeconds(-gap)}`,
+      });
+    } else if (gap > rules.maxGap) {
+      issues.push({
+        type: 'gap',
+        segmentIndex: index,
+        message: `${formatSeconds(gap)} of silence after phrase ${index + 1}`,
+      });
+    }
+  });
+
+  return issues;
+};
+
+/**
+ * Set a phrase's start and end to those of its first and last timed word.
+ * Like every fix, returns { segments, unfixed } where `unfixed` lists the indexes it could not fix.
+ */
+export const snapToWords = (segments, indexes) => {
+  const unfixed = [];
+  const fixed = segments.map((segment, index) => {
+    if (!indexes.has(index)) return segment;
+
+    const words = getWordBounds(segment);
+    if (!words || !(words.end > words.start)) {
+      unfixed.push(index);
+      return segment;
+    }
+    return { ...segment, start: roundTime(words.start), end: roundTime(words.end) };
+  });
+
+  return { segments: fixed, unfixed };
+};
+
+const overlapsNext = (segments, index) =>
+  index + 1 < segments.length && segments[index + 1].start < segments[index].end;
+
+/**
+ * End each listed phrase where the next one starts; when that would leave it too short,
+ * start the next phrase where this one ends instead. Overlaps are handled in order, so one
+ * that a fix pushes on to the following phrase is fixed as well.
+ */
+export const removeOverlaps = (segments, indexes) => {
+  const fixed = segments.map(segment => ({ ...segment }));
+  const pending = new Set(indexes);
+  const unfixed = [];
+
+  fixed.forEach((segment, index) => {
+    if (!pending.has(index) || !overlapsNext(fixed, index)) return;
+    const next = fixed[index + 1];
+
+    if (next.start - segment.start >= MIN_FIXED_DURATION) {
+      segment.end = roundTime(next.start);
+    } else if (next.end - segment.end >= MIN_FIXED_DURATION) {
+      next.start = roundTime(segment.end);
+      // The next phrase now starts later and may run into the one after it
+      pending.add(index + 1);
+    }
+
+    if (overlapsNext(fixed, index)) unfixed.push(index);
+  });
+
+  return { segments: fixed, unfixed };
+};
+
+/**
+ * Lengthen each listed phrase to `minDuration`, first into the silence after it and then
+ * into the silence before it, without overlapping its neighbours
+ */
+export const enforceMinDuration = (segments, indexes, minDuration = DEFAULT_TIMING_RULES.minDuration) => {
+  const fixed = segments.map(segment => ({ ...segment }));
+  const unfixed = [];
+
+  fixed.forEach((segment, index) => {
+    const missing = minDuration - (segment.end - segment.start);
+    if (!indexes.has(index) || missing <= 0) return;
+
+    const next = fixed[index + 1];
+    const previous = fixed[index - 1];
+    const latestEnd = next ? Math.max(segment.end, next.start) : segment.end + missing;
+    segment.end = roundTime(Math.min(latestEnd, segment.end + missing));
+
+    const stillMissing = minDuration - (segment.end - segment.start);
+    if (stillMissing > 0) {
+      const earliestStart = previous ? Math.min(segment.start, previous.end) : 0;
+      segment.start = roundTime(Math.max(earliestStart, segment.start - stillMissing));
+    }
+
+    // Rounding may leave it a hair short; only report phrases boxed in by their neighbours
+    if (minDuration - (segment.end - segment.start) > 0.001) unfixed.push(index);
+  });
+
+  return { segments: fixed, unfixed };
+};
+
+// The fix for each issue type; long gaps need a person to look at them
+export const TIMING_FIXES = {
+  overlap: { label: 'Remove overlaps', apply: removeOverlaps },
+  short: { label: 'Enforce minimum duration', apply: enforceMinDuration },
+  words: { label: 'Snap to words', apply: snapToWords },
+};
@@ -0,0 +1,73 @@
+/**
+ * Local drafts of transcript edits, and comparing them with what the server has.
+ */
+
+const STORAGE_PREFIX = 'repeatafterme:transcriptDraft';
+
+const getStorageKey = (fileId) => `${STORAGE_PREFIX}:${fileId}`;
+
+/**
+ * Store unsaved segments together with the version they are based on
+ */
+export const saveDraft = (fileId, segments, version) => {
+  try {
+    localStorage.setItem(getStorageKey(fileId), JSON.stringify({ segments, version, savedAt: Date.now() }));
+  } catch (error) {
+    console.error('Error saving transcript draft:', error);
+  }
+};
+
+/**
+ * The stored draft for a file, or null
+ */
+export const loadDraft = (fileId) => {
+  try {
+    const stored = localStorage.getItem(getStorageKey(fileId));
+    if (stored === null) return null;
+
+    const draft = JSON.parse(stored);
+    return Array.isArray(draft?.segments) && draft.segments.length > 0 ? draft : null;
+  } catch (error) {
+    console.error('Error reading transcript draft:', error);
+    return null;
+  }
+};
+
+export const clearDraft = (fileId) => {
+  try {
+    localStorage.removeItem(getStorageKey(fileId));
+  } catch (error) {
+    console.error('Error removing transcript draft:', error);
+  }
+};
+
+/**
+ * Whether two segments have the same text, timing and speaker
+ */
+export const isSameSegment = (a, b) =>
+  !!a && !!b &&
+  a.text === b.text &&
+  a.start === b.start &&
+  a.end === b.end &&
+  (a.speaker ?? null) === (b.speaker ?? null);
+
+export const isSameSegmentList = (a, b) =>
+  a.length === b.length && a.every((segment, i) => isSameSegment(segment, b[i]));
+
+/**
+ * Pair up two versions of a transcript by position.
+ * Returns one row per position with { index, mine, theirs, isChanged }; a missing side is null.
+ */
+export const compareSegmentLists = (mine, theirs) =>
+  Array.from({ length: Math.max(mine.length, theirs.length) }, (_, index) => ({
+    index,
+    mine: mine[index] || null,
+    theirs: theirs[index] || null,
+    isChanged: !isSameSegment(mine[index], theirs[index]),
+  }));
+
+/**
+ * Combine two versions with the same number of segments, taking "theirs" at the given positions
+ */
+export const mergeSegmentLists = (mine, theirs, theirIndexes) =>
+  mine.map((segment, index) => (theirIndexes.has(index) ? theirs[index] : segment));
@@ -0,0 +1,60 @@
+/**
+ * Helpers for the second (translation) subtitle track.
+ */
+
+export const TRANSLATION_DISPLAY_MODES = [
+  { value: 'below', label: 'Below original' },
+  { value: 'hover', label: 'On hover' },
+  { value: 'off', label: 'Hidden' },
+];
+
+const getOverlap = (a, b) => Math.min(a.end, b.end) - Math.max(a.start, b.start);
+
+const getMiddle = (item) => (item.start + item.end) / 2;
+
+/**
+ * Translation text for each transcript segment, matched by timing.
+ * Each entry goes to the segment it overlaps most (or the nearest one), so edited timings still line up.
+ */
+export const alignTranslation = (segments, entries = []) => {
+  const lines = segments.map(() => []);
+  if (segments.length === 0) return [];
+
+  entries.forEach(entry => {
+    let bestIndex = -1;
+    let bestOverlap = 0;
+
+    segments.forEach((segment, index) => {
+      const overlap = getOverlap(entry, segment);
+      if (overlap > bestOverlap) {
+        bestIndex = index;
+        bestOverlap = overlap;
+      }
+    });
+
+    if (bestIndex === -1) {
+      const entryMiddle = getMiddle(entry);
+      bestIndex = segments.reduce((nearest, segment, index) =>
+        Math.abs(getMiddle(segment) - entryMiddle) < Math.abs(getMiddle(segments[nearest]) - entryMiddle)
+          ? index
+          : nearest
+      , 0);
+    }
+
+    lines[bestIndex].push(entry.text);
+  });
+
+  return lines.map(texts => texts.join(' '));
+};
+
+/**
+ * Track entries for per-segment translation lines, using the segment timing
+ */
+export const buildTranslationEntries = (segments, lines) =>
+  segments
+    .map((segment, index) => ({
+      start: segment.start,
+      end: segment.end,
+      text: (lines[index] || '').trim(),
+    }))
+    .filter(entry => entry.text);
@@ -0,0 +1,82 @@
+/**
+ * Waveform helpers: decode audio into amplitude peaks and locate speaker changes.
+ */
+
+// Peak resolution; 100 per second keeps 10ms detail at the highest zoom level
+export const PEAKS_PER_SECOND = 100;
+
+// Decoding at a low sample rate keeps memory reasonable for long recordings
+const DECODE_SAMPLE_RATE = 8000;
+
+/**
+ * Reduce decoded audio to the loudest absolute sample per bucket, across all channels
+ */
+export const computePeaks = (audioBuffer, peaksPerSecond = PEAKS_PER_SECOND) => {
+  const samplesPerPeak = Math.max(1, Math.floor(audioBuffer.sampleRate / peaksPerSecond));
+  const peakCount = Math.ceil(audioBuffer.length / samplesPerPeak);
+  const peaks = new Float32Array(peakCount);
+
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let i = 0; i < data.length; i++) {
+      const value = Math.abs(data[i]);
+      const peakIndex = Math.floor(i / samplesPerPeak);
+      if (value > peaks[peakIndex]) {
+        peaks[peakIndex] = value;
+      }
+    }
+  }
+
+  return peaks;
+};
+
+/**
+ * Download and decode an audio file into peaks; resolves to { peaks, peaksPerSecond, duration }
+ */
+export const loadWaveformPeaks = async (url, signal) => {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Audio request failed with status ${response.status}`);
+  }
+
+  const arrayBuffer = await response.arrayBuffer();
+  const AudioContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const audioContext = new AudioContextClass(1, 1, DECODE_SAMPLE_RATE);
+  const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+
+  return {
+    peaks: computePeaks(audioBuffer, PEAKS_PER_SECOND),
+    peaksPerSecond: PEAKS_PER_SECOND,
+    duration: audioBuffer.duration,
+  };
+};
+
+/**
+ * Highest peak in [startTime, endTime), or 0 when the range holds no peaks
+ */
+export const getPeakInRange = (peaks, peaksPerSecond, startTime, endTime) => {
+  const first = Math.max(0, Math.floor(startTime * peaksPerSecond));
+  const last = Math.min(peaks.length, Math.max(first + 1, Math.ceil(endTime * peaksPerSecond)));
+
+  let peak = 0;
+  for (let i = first; i < last; i++) {
+    if (peaks[i] > peak) peak = peaks[i];
+  }
+  return peak;
+};
+
+/**
+ * Segments where the speaker differs from the previous labelled segment, as [{ time, speaker, segmentIndex }]
+ */
+export const findSpeakerChanges = (segments) => {
+  const changes = [];
+  let previousSpeaker = null;
+
+  segments.forEach((segment, segmentIndex) => {
+    if (!segment.speaker || segment.speaker === previousSpeaker) return;
+    changes.push({ time: segment.start, speaker: segment.speaker, segmentIndex });
+    previousSpeaker = segment.speaker;
+  });
+
+  return changes;
+};
@@ -0,0 +1,65 @@
+/**
+ * Word timing edits for the word-level timeline in the transcript editor.
+ */
+
+// Shortest a word may be made by dragging its edges, in seconds
+export const MIN_WORD_DURATION = 0.05;
+
+// Timeline zoom steps, in pixels per second
+export const WORD_TIMELINE_ZOOM_LEVELS = [50, 100, 200, 400, 800];
+
+const roundTime = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Whether a word has both a start and an end time
+ */
+export const isTimedWord = (word) => typeof word?.start === 'number' && typeof word?.end === 'number';
+
+/**
+ * Time range the timeline shows for a segment: the segment itself, widened to fit its words
+ */
+export const getWordTimelineBounds = (segment) => {
+  const timed = (segment.words || []).filter(isTimedWord);
+  return {
+    start: Math.min(segment.start, ...timed.map(word => word.start)),
+    end: Math.max(segment.end, ...timed.map(word => word.end)),
+  };
+};
+
+/**
+ * Change the start and/or end of one word without overlapping its timed neighbours or
+ * leaving `bounds`. Passing both keeps the duration (the word is moved).
+ */
+export const updateWordTiming = (words, index, changes, bounds) => {
+  const word = words[index];
+  if (!isTimedWord(word)) return words;
+
+  const previous = words.slice(0, index).reverse().find(isTimedWord);
+  const next = words.slice(index + 1).find(isTimedWord);
+  const lower = previous ? previous.end : bounds.start;
+  const upper = next ? next.start : bounds.end;
+
+  let start = changes.start ?? word.start;
+  let end = changes.end ?? word.end;
+
+  if (changes.start !== undefined && changes.end !== undefined) {
+    const duration = Math.min(end - start, upper - lower);
+    start = Math.max(lower, Math.min(upper - duration, start));
+    end = start + duration;
+  } else if (changes.start !== undefined) {
+    start = Math.max(lower, Math.min(end - MIN_WORD_DURATION, start));
+  } else {
+    end = Math.min(upper, Math.max(start + MIN_WORD_DURATION, end));
+  }
+
+  const updated = [...words];
+  updated[index] = { ...word, start: roundTime(start), end: roundTime(end) };
+  return updated;
+};
+
+/**
+ * Whether any word timing differs between two word lists
+ */
+export const hasWordTimingChanges = (before, after) =>
+  before.length !== after.length ||
+  before.some((word, i) => word.start !== after[i].start || word.end !== after[i].end);
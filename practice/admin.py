@@ -0,0 +1,57 @@
+from django.contrib import admin
+from .models import Recording, VocabularyEntry, ReviewCard, PlaybackPosition, PracticeEvent
+
+
+@admin.register(Recording)
+class RecordingAdmin(admin.ModelAdmin):
+    list_display = [
+        'media_file', 'user', 'segment_index',
+        'duration_seconds', 'created_date'
+    ]
+    list_filter = ['created_date']
+    search_fields = ['media_file__filename_original', 'user__username']
+    readonly_fields = ['id', 'created_date']
+
+
+@admin.register(VocabularyEntry)
+class VocabularyEntryAdmin(admin.ModelAdmin):
+    list_display = [
+        'word', 'media_file', 'user', 'start_time', 'created_date'
+    ]
+    list_filter = ['created_date']
+    search_fields = ['word', 'sentence', 'media_file__filename_original', 'user__username']
+    readonly_fields = ['id', 'created_date']
+
+
+@admin.register(ReviewCard)
+class ReviewCardAdmin(admin.ModelAdmin):
+    list_display = [
+        'media_file', 'user', 'segment_index', 'repetitions',
+        'interval_days', 'due_date'
+    ]
+    list_filter = ['due_date', 'created_date']
+    search_fields = ['text', 'media_file__filename_original', 'user__username']
+    readonly_fields = ['id', 'created_date', 'last_reviewed_date']
+
+
+@admin.register(PlaybackPosition)
+class PlaybackPositionAdmin(admin.ModelAdmin):
+    list_display = [
+        'media_file', 'user', 'position', 'segment_index',
+        'playback_mode', 'playback_speed', 'updated_date'
+    ]
+    list_filter = ['playback_mode', 'updated_date']
+    search_fields = ['media_file__filename_original', 'user__username']
+    readonly_fields = ['id', 'updated_date']
+
+
+
+@admin.register(PracticeEvent)
+class PracticeEventAdmin(admin.ModelAdmin):
+    list_display = [
+        'event_type', 'media_file', 'user', 'segment_index',
+        'playback_mode', 'playback_speed', 'duration_seconds', 'created_date'
+    ]
+    list_filter = ['event_type', 'created_date']
+    search_fields = ['media_file__filename_original', 'user__username']
+    readonly_fields = ['id', 'created_date']
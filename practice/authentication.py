@@ -0,0 +1,15 @@
+from rest_framework.authentication import TokenAuthentication
+
+
+class FormTokenAuthentication(TokenAuthentication):
+    """
+    Token authentication that reads the token from a "token" form field.
+    navigator.sendBeacon can't set an Authorization header, so the player sends
+    its last batch of practice events this way when the page is closed.
+    """
+
+    def authenticate(self, request):
+        token = request.POST.get('token')
+        if not token:
+            return None
+        return self.authenticate_credentials(token)
@@ -0,0 +1,39 @@
+# Generated by Django 5.2.1 on 2026-10-18 09:12
+
+import django.db.models.deletion
+import practice.models
+import uuid
+from django.conf import settings
+from django.db import migrations, models
+
+
+class Migration(migrations.Migration):
+
+    initial = True
+
+    dependencies = [
+        ('media_files', '0002_add_chunked_transcription_status'),
+        migrations.swappable_dependency(settings.AUTH_USER_MODEL),
+    ]
+
+    operations = [
+        migrations.CreateModel(
+            name='Recording',
+            fields=[
+                ('id', models.UUIDField(default=uuid.uuid4, editable=False, primary_key=True, serialize=False)),
+                ('segment_index', models.IntegerField()),
+                ('segment_start', models.FloatField()),
+                ('segment_end', models.FloatField()),
+                ('audio_file', models.FileField(upload_to=practice.models.recording_upload_path)),
+                ('mime_type', models.CharField(blank=True, max_length=100)),
+                ('duration_seconds', models.FloatField(blank=True, null=True)),
+                ('created_date', models.DateTimeField(auto_now_add=True)),
+                ('media_file', models.ForeignKey(on_delete=django.db.models.deletion.CASCADE, related_name='recordings', to='media_files.mediafile')),
+                ('user', models.ForeignKey(on_delete=django.db.models.deletion.CASCADE, related_name='recordings', to=settings.AUTH_USER_MODEL)),
+            ],
+            options={
+                'ordering': ['-created_date'],
+                'indexes': [models.Index(fields=['media_file', 'segment_index'], name='practice_re_media_f_ba0052_idx'), models.Index(fields=['user', '-created_date'], name='practice_re_user_id_0f021a_idx')],
+            },
+        ),
+    ]
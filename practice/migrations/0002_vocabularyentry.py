@@ -0,0 +1,38 @@
+# Generated by Django 5.2.1 on 2026-10-18 11:40
+
+import django.db.models.deletion
+import uuid
+from django.conf import settings
+from django.db import migrations, models
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        ('media_files', '0002_add_chunked_transcription_status'),
+        ('practice', '0001_initial'),
+        migrations.swappable_dependency(settings.AUTH_USER_MODEL),
+    ]
+
+    operations = [
+        migrations.CreateModel(
+            name='VocabularyEntry',
+            fields=[
+                ('id', models.UUIDField(default=uuid.uuid4, editable=False, primary_key=True, serialize=False)),
+                ('word', models.CharField(max_length=200)),
+                ('sentence', models.TextField(blank=True)),
+                ('segment_index', models.IntegerField(blank=True, null=True)),
+                ('start_time', models.FloatField()),
+                ('end_time', models.FloatField()),
+                ('created_date', models.DateTimeField(auto_now_add=True)),
+                ('media_file', models.ForeignKey(on_delete=django.db.models.deletion.CASCADE, related_name='vocabulary_entries', to='media_files.mediafile')),
+                ('user', models.ForeignKey(on_delete=django.db.models.deletion.CASCADE, related_name='vocabulary_entries', to=settings.AUTH_USER_MODEL)),
+            ],
+            options={
+                'verbose_name_plural': 'Vocabulary entries',
+                'ordering': ['-created_date'],
+                'indexes': [models.Index(fields=['user', '-created_date'], name='practice_vo_user_id_d8c8da_idx'), models.Index(fields=['user', 'word'], name='practice_vo_user_id_b85847_idx')],
+                'unique_together': {('user', 'media_file', 'word', 'start_time')},
+            },
+        ),
+    ]
@@ -0,0 +1,43 @@
+# Generated by Django 5.2.1 on 2026-10-18 13:05
+
+import django.db.models.deletion
+import django.utils.timezone
+import uuid
+from django.conf import settings
+from django.db import migrations, models
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        ('media_files', '0002_add_chunked_transcription_status'),
+        ('practice', '0002_vocabularyentry'),
+        migrations.swappable_dependency(settings.AUTH_USER_MODEL),
+    ]
+
+    operations = [
+        migrations.CreateModel(
+            name='ReviewCard',
+            fields=[
+                ('id', models.UUIDField(default=uuid.uuid4, editable=False, primary_key=True, serialize=False)),
+                ('segment_index', models.IntegerField()),
+                ('segment_start', models.FloatField()),
+                ('segment_end', models.FloatField()),
+                ('text', models.TextField(blank=True)),
+                ('ease_factor', models.FloatField(default=2.5)),
+                ('interval_days', models.IntegerField(default=0)),
+                ('repetitions', models.IntegerField(default=0)),
+                ('due_date', models.DateTimeField(default=django.utils.timezone.now)),
+                ('last_grade', models.IntegerField(blank=True, null=True)),
+                ('last_reviewed_date', models.DateTimeField(blank=True, null=True)),
+                ('created_date', models.DateTimeField(auto_now_add=True)),
+                ('media_file', models.ForeignKey(on_delete=django.db.models.deletion.CASCADE, related_name='review_cards', to='media_files.mediafile')),
+                ('user', models.ForeignKey(on_delete=django.db.models.deletion.CASCADE, related_name='review_cards', to=settings.AUTH_USER_MODEL)),
+            ],
+            options={
+                'ordering': ['due_date'],
+                'indexes': [models.Index(fields=['user', 'due_date'], name='practice_re_user_id_00786a_idx')],
+                'unique_together': {('user', 'media_file', 'segment_index')},
+            },
+        ),
+    ]
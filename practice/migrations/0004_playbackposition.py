@@ -0,0 +1,37 @@
+# Generated by Django 5.2.1 on 2026-10-18 16:02
+
+import django.db.models.deletion
+import uuid
+from django.conf import settings
+from django.db import migrations, models
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        ('media_files', '0002_add_chunked_transcription_status'),
+        ('practice', '0003_reviewcard'),
+        migrations.swappable_dependency(settings.AUTH_USER_MODEL),
+    ]
+
+    operations = [
+        migrations.CreateModel(
+            name='PlaybackPosition',
+            fields=[
+                ('id', models.UUIDField(default=uuid.uuid4, editable=False, primary_key=True, serialize=False)),
+                ('position', models.FloatField(default=0)),
+                ('duration', models.FloatField(blank=True, null=True)),
+                ('segment_index', models.IntegerField(default=0)),
+                ('playback_mode', models.CharField(default='normal', max_length=20)),
+                ('playback_speed', models.FloatField(default=1.0)),
+                ('updated_date', models.DateTimeField(auto_now=True)),
+                ('media_file', models.ForeignKey(on_delete=django.db.models.deletion.CASCADE, related_name='playback_positions', to='media_files.mediafile')),
+                ('user', models.ForeignKey(on_delete=django.db.models.deletion.CASCADE, related_name='playback_positions', to=settings.AUTH_USER_MODEL)),
+            ],
+            options={
+                'ordering': ['-updated_date'],
+                'indexes': [models.Index(fields=['user', '-updated_date'], name='practice_pl_user_id_d69d8f_idx')],
+                'unique_together': {('user', 'media_file')},
+            },
+        ),
+    ]
@@ -0,0 +1,37 @@
+# Generated by Django 5.2.1 on 2026-10-18 17:24
+
+import django.db.models.deletion
+import uuid
+from django.conf import settings
+from django.db import migrations, models
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        ('media_files', '0002_add_chunked_transcription_status'),
+        ('practice', '0004_playbackposition'),
+        migrations.swappable_dependency(settings.AUTH_USER_MODEL),
+    ]
+
+    operations = [
+        migrations.CreateModel(
+            name='PracticeEvent',
+            fields=[
+                ('id', models.UUIDField(default=uuid.uuid4, editable=False, primary_key=True, serialize=False)),
+                ('event_type', models.CharField(choices=[('segment_play', 'Segment played'), ('mode_change', 'Playback mode changed'), ('speed_change', 'Playback speed changed'), ('practice_time', 'Time spent playing')], max_length=20)),
+                ('segment_index', models.IntegerField(blank=True, null=True)),
+                ('segment_start', models.FloatField(blank=True, null=True)),
+                ('playback_mode', models.CharField(blank=True, max_length=20)),
+                ('playback_speed', models.FloatField(blank=True, null=True)),
+                ('duration_seconds', models.FloatField(blank=True, null=True)),
+                ('created_date', models.DateTimeField(auto_now_add=True)),
+                ('media_file', models.ForeignKey(on_delete=django.db.models.deletion.CASCADE, related_name='practice_events', to='media_files.mediafile')),
+                ('user', models.ForeignKey(on_delete=django.db.models.deletion.CASCADE, related_name='practice_events', to=settings.AUTH_USER_MODEL)),
+            ],
+            options={
+                'ordering': ['-created_date'],
+                'indexes': [models.Index(fields=['user', 'created_date'], name='practice_pr_user_id_a7493d_idx'), models.Index(fields=['user', 'event_type'], name='practice_pr_user_id_c51cae_idx')],
+            },
+        ),
+    ]
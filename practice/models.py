@@ -0,0 +1,212 @@
+import uuid
+from django.db import models
+from django.utils import timezone
+from django.contrib.auth.models import User
+from media_files.models import MediaFile
+
+
+def recording_upload_path(instance, filename):
+    """Store recordings next to the learner's other files, grouped by media file."""
+    return f"recordings/{instance.user_id}/{instance.media_file_id}/{filename}"
+
+
+class Recording(models.Model):
+    """
+    Model to store a learner's shadowing recording of one transcript segment.
+    Recordings live in the browser until the learner explicitly uploads them.
+    """
+
+    # Primary key
+    id = models.UUIDField(primary_key=True, default=uuid.uuid4, editable=False)
+
+    # Ownership
+    user = models.ForeignKey(User, on_delete=models.CASCADE, related_name='recordings')
+    media_file = models.ForeignKey(MediaFile, on_delete=models.CASCADE, related_name='recordings')
+
+    # Segment the recording belongs to (timing kept in case segments are edited later)
+    segment_index = models.IntegerField()
+    segment_start = models.FloatField()
+    segment_end = models.FloatField()
+
+    # Audio
+    audio_file = models.FileField(upload_to=recording_upload_path)
+    mime_type = models.CharField(max_length=100, blank=True)
+    duration_seconds = models.FloatField(null=True, blank=True)
+
+    # Timestamps
+    created_date = models.DateTimeField(auto_now_add=True)
+
+    class Meta:
+        ordering = ['-created_date']
+        indexes = [
+            models.Index(fields=['media_file', 'segment_index']),
+            models.Index(fields=['user', '-created_date']),
+        ]
+
+    def __str__(self):
+        return f"Recording of segment {self.segment_index} in {self.media_file.filename_original}"
+
+
+class VocabularyEntry(models.Model):
+    """
+    Model to store a word the learner saved from a transcript, with the sentence
+    it was heard in and its timing so the original audio can be replayed.
+    """
+
+    # Primary key
+    id = models.UUIDField(primary_key=True, default=uuid.uuid4, editable=False)
+
+    # Ownership
+    user = models.ForeignKey(User, on_delete=models.CASCADE, related_name='vocabulary_entries')
+    media_file = models.ForeignKey(MediaFile, on_delete=models.CASCADE, related_name='vocabulary_entries')
+
+    # Word and the sentence it came from
+    word = models.CharField(max_length=200)
+    sentence = models.TextField(blank=True)
+    segment_index = models.IntegerField(null=True, blank=True)
+
+    # Word timing in the media file
+    start_time = models.FloatField()
+    end_time = models.FloatField()
+
+    # Timestamps
+    created_date = models.DateTimeField(auto_now_add=True)
+
+    class Meta:
+        ordering = ['-created_date']
+        verbose_name_plural = 'Vocabulary entries'
+        unique_together = ['user', 'media_file', 'word', 'start_time']
+        indexes = [
+            models.Index(fields=['user', '-created_date']),
+            models.Index(fields=['user', 'word']),
+        ]
+
+    def __str__(self):
+        return f"{self.word} ({self.media_file.filename_original} @ {self.start_time:.2f}s)"
+
+
+class ReviewCard(models.Model):
+    """
+    Model to store a transcript segment the learner marked to study later,
+    with its SM-2 spaced-repetition schedule.
+    """
+
+    # Primary key
+    id = models.UUIDField(primary_key=True, default=uuid.uuid4, editable=False)
+
+    # Ownership
+    user = models.ForeignKey(User, on_delete=models.CASCADE, related_name='review_cards')
+    media_file = models.ForeignKey(MediaFile, on_delete=models.CASCADE, related_name='review_cards')
+
+    # Segment snapshot (kept in case segments are edited later)
+    segment_index = models.IntegerField()
+    segment_start = models.FloatField()
+    segment_end = models.FloatField()
+    text = models.TextField(blank=True)
+
+    # SM-2 schedule
+    ease_factor = models.FloatField(default=2.5)
+    interval_days = models.IntegerField(default=0)
+    repetitions = models.IntegerField(default=0)
+    due_date = models.DateTimeField(default=timezone.now)
+    last_grade = models.IntegerField(null=True, blank=True)
+    last_reviewed_date = models.DateTimeField(null=True, blank=True)
+
+    # Timestamps
+    created_date = models.DateTimeField(auto_now_add=True)
+
+    class Meta:
+        ordering = ['due_date']
+        unique_together = ['user', 'media_file', 'segment_index']
+        indexes = [
+            models.Index(fields=['user', 'due_date']),
+        ]
+
+    def __str__(self):
+        return f"Review card for segment {self.segment_index} in {self.media_file.filename_original}"
+
+    @property
+    def is_due(self):
+        return self.due_date <= timezone.now()
+
+
+class PlaybackPosition(models.Model):
+    """
+    Model to store where a learner left off in a media file, so the player can resume there.
+    """
+
+    # Primary key
+    id = models.UUIDField(primary_key=True, default=uuid.uuid4, editable=False)
+
+    # Ownership
+    user = models.ForeignKey(User, on_delete=models.CASCADE, related_name='playback_positions')
+    media_file = models.ForeignKey(MediaFile, on_delete=models.CASCADE, related_name='playback_positions')
+
+    # Player state
+    position = models.FloatField(default=0)
+    duration = models.FloatField(null=True, blank=True)
+    segment_index = models.IntegerField(default=0)
+    playback_mode = models.CharField(max_length=20, default='normal')
+    playback_speed = models.FloatField(default=1.0)
+
+    # Timestamps
+    updated_date = models.DateTimeField(auto_now=True)
+
+    class Meta:
+        ordering = ['-updated_date']
+        unique_together = ['user', 'media_file']
+        indexes = [
+            models.Index(fields=['user', '-updated_date']),
+        ]
+
+    def __str__(self):
+        return f"{self.user.username} at {self.position:.1f}s in {self.media_file.filename_original}"
+
+    @property
+    def progress(self):
+        """Fraction of the file played so far (0-1), if the duration is known."""
+        if not self.duration:
+            return None
+        return min(1.0, max(0.0, self.position / self.duration))
+
+
+class PracticeEvent(models.Model):
+    """
+    Model to store one thing a learner did in the player, for the practice statistics page.
+    """
+
+    EVENT_TYPE_CHOICES = [
+        ('segment_play', 'Segment played'),
+        ('mode_change', 'Playback mode changed'),
+        ('speed_change', 'Playback speed changed'),
+        ('practice_time', 'Time spent playing'),
+    ]
+
+    # Primary key
+    id = models.UUIDField(primary_key=True, default=uuid.uuid4, editable=False)
+
+    # Ownership
+    user = models.ForeignKey(User, on_delete=models.CASCADE, related_name='practice_events')
+    media_file = models.ForeignKey(MediaFile, on_delete=models.CASCADE, related_name='practice_events')
+
+    event_type = models.CharField(max_length=20, choices=EVENT_TYPE_CHOICES)
+
+    # Details, filled in depending on the event type
+    segment_index = models.IntegerField(null=True, blank=True)
+    segment_start = models.FloatField(null=True, blank=True)
+    playback_mode = models.CharField(max_length=20, blank=True)
+    playback_speed = models.FloatField(null=True, blank=True)
+    duration_seconds = models.FloatField(null=True, blank=True)
+
+    # Timestamps
+    created_date = models.DateTimeField(auto_now_add=True)
+
+    class Meta:
+        ordering = ['-created_date']
+        indexes = [
+            models.Index(fields=['user', 'created_date']),
+            models.Index(fields=['user', 'event_type']),
+        ]
+
+    def __str__(self):
+        return f"{self.get_event_type_display()} by {self.user.username} in {self.media_file.filename_original}"
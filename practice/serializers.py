@@ -0,0 +1,169 @@
+from rest_framework import serializers
+from .models import Recording, VocabularyEntry, ReviewCard, PlaybackPosition, PracticeEvent
+from .services import ReviewScheduler
+
+
+class RecordingSerializer(serializers.ModelSerializer):
+    """Serializer for Recording model."""
+
+    class Meta:
+        model = Recording
+        fields = [
+            'id', 'media_file', 'segment_index', 'segment_start', 'segment_end',
+            'audio_file', 'mime_type', 'duration_seconds', 'created_date'
+        ]
+        read_only_fields = ['id', 'created_date']
+
+    def validate(self, attrs):
+        """Validate segment timing."""
+        if attrs['segment_end'] <= attrs['segment_start']:
+            raise serializers.ValidationError(
+                "Segment end must be after segment start."
+            )
+        return attrs
+
+    def validate_audio_file(self, value):
+        """Validate the uploaded file is audio and within limits."""
+        max_size = 20 * 1024 * 1024  # 20MB is several minutes of compressed speech
+        if value.size > max_size:
+            raise serializers.ValidationError(
+                f"Recording exceeds maximum size of {max_size} bytes."
+            )
+
+        content_type = getattr(value, 'content_type', '') or ''
+        if content_type and not content_type.startswith('audio/') and content_type != 'video/webm':
+            raise serializers.ValidationError(
+                f"Unsupported recording type: {content_type}"
+            )
+        return value
+
+
+class VocabularyEntrySerializer(serializers.ModelSerializer):
+    """Serializer for VocabularyEntry model."""
+
+    media_filename = serializers.CharField(source='media_file.filename_original', read_only=True)
+    media_file_type = serializers.CharField(source='media_file.file_type', read_only=True)
+
+    class Meta:
+        model = VocabularyEntry
+        fields = [
+            'id', 'media_file', 'media_filename', 'media_file_type', 'word', 'sentence',
+            'segment_index', 'start_time', 'end_time', 'created_date'
+        ]
+        read_only_fields = ['id', 'created_date']
+
+    def validate_word(self, value):
+        """Validate the saved word is not blank."""
+        value = value.strip()
+        if not value:
+            raise serializers.ValidationError("Word cannot be empty.")
+        return value
+
+    def validate(self, attrs):
+        """Validate word timing."""
+        if attrs['start_time'] < 0:
+            raise serializers.ValidationError(
+                "Start time cannot be negative."
+            )
+        if attrs['end_time'] <= attrs['start_time']:
+            raise serializers.ValidationError(
+                "End time must be after start time."
+            )
+        return attrs
+
+
+class ReviewCardSerializer(serializers.ModelSerializer):
+    """Serializer for ReviewCard model."""
+
+    media_filename = serializers.CharField(source='media_file.filename_original', read_only=True)
+    media_file_type = serializers.CharField(source='media_file.file_type', read_only=True)
+    is_due = serializers.ReadOnlyField()
+    next_intervals = serializers.SerializerMethodField()
+
+    class Meta:
+        model = ReviewCard
+        fields = [
+            'id', 'media_file', 'media_filename', 'media_file_type',
+            'segment_index', 'segment_start', 'segment_end', 'text',
+            'ease_factor', 'interval_days', 'repetitions', 'due_date', 'is_due',
+            'last_grade', 'last_reviewed_date', 'next_intervals', 'created_date'
+        ]
+        read_only_fields = [
+            'id', 'ease_factor', 'interval_days', 'repetitions', 'due_date',
+            'last_grade', 'last_reviewed_date', 'created_date'
+        ]
+
+    def get_next_intervals(self, obj):
+        """Days until the card returns for each grade (0 means later today)."""
+        return ReviewScheduler.preview_intervals(obj)
+
+    def validate(self, attrs):
+        """Validate segment timing."""
+        if attrs['segment_end'] <= attrs['segment_start']:
+            raise serializers.ValidationError(
+                "Segment end must be after segment start."
+            )
+        return attrs
+
+
+class ReviewGradeSerializer(serializers.Serializer):
+    """Serializer for grading recall of a review card."""
+    grade = serializers.IntegerField(
+        min_value=ReviewScheduler.MIN_GRADE,
+        max_value=ReviewScheduler.MAX_GRADE
+    )
+
+
+class PlaybackPositionSerializer(serializers.ModelSerializer):
+    """Serializer for PlaybackPosition model."""
+
+    PLAYBACK_MODES = ['normal', 'listen', 'repeat', 'dictation', 'roleplay']
+
+    media_filename = serializers.CharField(source='media_file.filename_original', read_only=True)
+    media_file_type = serializers.CharField(source='media_file.file_type', read_only=True)
+    playback_mode = serializers.ChoiceField(choices=PLAYBACK_MODES, default='normal')
+    playback_speed = serializers.FloatField(min_value=0.25, max_value=2.0, default=1.0)
+    position = serializers.FloatField(min_value=0)
+    duration = serializers.FloatField(min_value=0, required=False, allow_null=True)
+    segment_index = serializers.IntegerField(min_value=0, default=0)
+    progress = serializers.ReadOnlyField()
+
+    class Meta:
+        model = PlaybackPosition
+        fields = [
+            'id', 'media_file', 'media_filename', 'media_file_type',
+            'position', 'duration', 'segment_index', 'playback_mode',
+            'playback_speed', 'progress', 'updated_date'
+        ]
+        read_only_fields = ['id', 'media_file', 'updated_date']
+
+
+
+class PracticeEventSerializer(serializers.ModelSerializer):
+    """Serializer for PracticeEvent model."""
+
+    playback_speed = serializers.FloatField(min_value=0.25, max_value=2.0, required=False, allow_null=True)
+    duration_seconds = serializers.FloatField(min_value=0, required=False, allow_null=True)
+    segment_index = serializers.IntegerField(min_value=0, required=False, allow_null=True)
+
+    class Meta:
+        model = PracticeEvent
+        fields = [
+            'id', 'media_file', 'event_type', 'segment_index', 'segment_start',
+            'playback_mode', 'playback_speed', 'duration_seconds', 'created_date'
+        ]
+        read_only_fields = ['id', 'created_date']
+
+    def validate(self, attrs):
+        """Validate that each event type carries the detail it is counted by."""
+        event_type = attrs['event_type']
+
+        if event_type == 'segment_play' and attrs.get('segment_index') is None:
+            raise serializers.ValidationError("Segment plays need a segment index.")
+        if event_type == 'mode_change' and not attrs.get('playback_mode'):
+            raise serializers.ValidationError("Mode changes need a playback mode.")
+        if event_type == 'speed_change' and attrs.get('playback_speed') is None:
+            raise serializers.ValidationError("Speed changes need a playback speed.")
+        if event_type == 'practice_time' and not attrs.get('duration_seconds'):
+            raise serializers.ValidationError("Practice time needs a duration.")
+        return attrs
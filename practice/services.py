@@ -0,0 +1,196 @@
+import logging
+from datetime import timedelta
+from django.db.models import Count, F, FloatField, Max, Sum
+from django.db.models.functions import TruncDate
+from django.utils import timezone
+from .models import PlaybackPosition, PracticeEvent
+
+logger = logging.getLogger(__name__)
+
+
+class ReviewScheduler:
+    """SM-2 style scheduler for spaced-repetition review cards."""
+
+    # Grades follow SM-2: 0-2 means the learner failed to recall, 3-5 a pass
+    MIN_GRADE = 0
+    MAX_GRADE = 5
+    PASSING_GRADE = 3
+
+    MIN_EASE_FACTOR = 1.3
+
+    # Failed cards come back within the same session instead of tomorrow
+    RELEARN_DELAY = timedelta(minutes=10)
+
+    @staticmethod
+    def next_schedule(card, grade):
+        """
+        Calculate the schedule after grading a card, without saving it.
+        Returns a dict with ease_factor, interval_days, repetitions and due_date.
+        """
+        grade = max(ReviewScheduler.MIN_GRADE, min(ReviewScheduler.MAX_GRADE, int(grade)))
+        now = timezone.now()
+
+        # Ease factor moves with every answer (standard SM-2 formula)
+        ease_factor = card.ease_factor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02))
+        ease_factor = max(ReviewScheduler.MIN_EASE_FACTOR, ease_factor)
+
+        if grade < ReviewScheduler.PASSING_GRADE:
+            return {
+                'ease_factor': ease_factor,
+                'interval_days': 0,
+                'repetitions': 0,
+                'due_date': now + ReviewScheduler.RELEARN_DELAY,
+            }
+
+        if card.repetitions == 0:
+            interval_days = 1
+        elif card.repetitions == 1:
+            interval_days = 6
+        else:
+            interval_days = max(1, round(card.interval_days * ease_factor))
+
+        return {
+            'ease_factor': ease_factor,
+            'interval_days': interval_days,
+            'repetitions': card.repetitions + 1,
+            'due_date': now + timedelta(days=interval_days),
+        }
+
+    @staticmethod
+    def grade(card, grade):
+        """
+        Apply a recall grade to a card and save the new schedule.
+        """
+        schedule = ReviewScheduler.next_schedule(card, grade)
+
+        for field, value in schedule.items():
+            setattr(card, field, value)
+        card.last_grade = grade
+        card.last_reviewed_date = timezone.now()
+        card.save()
+
+        logger.info(f"Review card {card.id} graded {grade}, next due in {card.interval_days} days")
+        return card
+
+    @staticmethod
+    def preview_intervals(card):
+        """
+        Describe when the card would come back for each grade offered in the review UI.
+        """
+        return {
+            str(grade): ReviewScheduler.next_schedule(card, grade)['interval_days']
+            for grade in (1, 3, 4, 5)
+        }
+
+
+class PracticeStats:
+    """Summaries of logged practice events for the statistics page."""
+
+    DEFAULT_DAYS = 30
+    MAX_DAYS = 365
+    TOP_SEGMENTS = 10
+
+    # Matches the player: files played this far count as finished, not in progress
+    FINISHED_PROGRESS = 0.98
+
+    @staticmethod
+    def summarize(user, days=DEFAULT_DAYS):
+        """
+        Summarize a learner's practice over the last `days` days.
+        Returns totals, practice time per day, the most replayed segments,
+        the average playback speed and the files in progress.
+        """
+        days = max(1, min(PracticeStats.MAX_DAYS, int(days)))
+        today = timezone.localdate()
+        first_day = today - timedelta(days=days - 1)
+
+        events = PracticeEvent.objects.filter(user=user, created_date__date__gte=first_day)
+        practice_time = events.filter(event_type='practice_time')
+        segment_plays = events.filter(event_type='segment_play')
+
+        seconds_by_day = {
+            row['day']: row['seconds']
+            for row in practice_time
+                .annotate(day=TruncDate('created_date'))
+                .values('day')
+                .annotate(seconds=Sum('duration_seconds'))
+        }
+        daily = [
+            {
+                'date': (first_day + timedelta(days=offset)).isoformat(),
+                'seconds': round(seconds_by_day.get(first_day + timedelta(days=offset)) or 0),
+            }
+            for offset in range(days)
+        ]
+
+        return {
+            'days': days,
+            'total_seconds': sum(day['seconds'] for day in daily),
+            'active_days': sum(1 for day in daily if day['seconds'] > 0),
+            'segment_plays': segment_plays.count(),
+            'daily_practice': daily,
+            'most_replayed_segments': PracticeStats._most_replayed_segments(segment_plays),
+            'average_speed': PracticeStats._average_speed(practice_time),
+            'files_in_progress': PracticeStats._files_in_progress(user),
+        }
+
+    @staticmethod
+    def _most_replayed_segments(segment_plays):
+        rows = (
+            segment_plays
+            .values('media_file', 'media_file__filename_original', 'segment_index')
+            .annotate(play_count=Count('id'), segment_start=Max('segment_start'))
+            .filter(play_count__gt=1)
+            .order_by('-play_count', 'segment_index')[:PracticeStats.TOP_SEGMENTS]
+        )
+        return [
+            {
+                'media_file': str(row['media_file']),
+                'media_filename': row['media_file__filename_original'],
+                'segment_index': row['segment_index'],
+                'segment_start': row['segment_start'],
+                'play_count': row['play_count'],
+            }
+            for row in rows
+        ]
+
+    @staticmethod
+    def _average_speed(practice_time):
+        """Playback speed weighted by how long it was used."""
+        totals = practice_time.filter(playback_speed__isnull=False).aggregate(
+            seconds=Sum('duration_seconds'),
+            weighted=Sum(F('duration_seconds') * F('playback_speed'), output_field=FloatField()),
+        )
+        if not totals['seconds']:
+            return None
+        return round(totals['weighted'] / totals['seconds'], 2)
+
+    @staticmethod
+    def _files_in_progress(user):
+        positions = [
+            position
+            for position in PlaybackPosition.objects.filter(user=user).select_related('media_file')
+            if position.progress is not None and position.progress < PracticeStats.FINISHED_PROGRESS
+        ]
+
+        seconds_by_file = dict(
+            PracticeEvent.objects
+            .filter(user=user, event_type='practice_time', media_file__in=[p.media_file for p in positions])
+            .values('media_file')
+            .annotate(seconds=Sum('duration_seconds'))
+            .values_list('media_file', 'seconds')
+        )
+
+        return [
+            {
+                'media_file': str(position.media_file_id),
+                'media_filename': position.media_file.filename_original,
+                'media_file_type': position.media_file.file_type,
+                'position': position.position,
+                'duration': position.duration,
+                'progress': position.progress,
+                'practice_seconds': round(seconds_by_file.get(position.media_file_id) or 0),
+                'updated_date': position.updated_date,
+            }
+            for position in positions
+        ]
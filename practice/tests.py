@@ -0,0 +1,211 @@
+import json
+from datetime import timedelta
+
+from django.contrib.auth.models import User
+from django.test import TestCase
+from django.urls import reverse
+from django.utils import timezone
+from rest_framework.authtoken.models import Token
+from rest_framework.test import APIClient
+
+from media_files.models import MediaFile
+from .models import PracticeEvent, ReviewCard
+from .services import PracticeStats, ReviewScheduler
+
+
+def create_media_file(user, filename='lesson.mp4'):
+    return MediaFile.objects.create(
+        user=user,
+        filename_original=filename,
+        filesize_bytes=1024,
+        file_type='video',
+        mime_type='video/mp4',
+    )
+
+
+class ReviewSchedulerTests(TestCase):
+    def card(self, **schedule):
+        return ReviewCard(segment_index=0, segment_start=0, segment_end=1, **schedule)
+
+    def test_first_passes_come_back_after_one_then_six_days(self):
+        first = ReviewScheduler.next_schedule(self.card(), 4)
+        self.assertEqual((first['interval_days'], first['repetitions']), (1, 1))
+
+        second = ReviewScheduler.next_schedule(self.card(repetitions=1, interval_days=1), 4)
+        self.assertEqual((second['interval_days'], second['repetitions']), (6, 2))
+
+    def test_later_intervals_grow_by_the_ease_factor(self):
+        schedule = ReviewScheduler.next_schedule(self.card(repetitions=2, interval_days=6, ease_factor=2.5), 4)
+
+        self.assertAlmostEqual(schedule['ease_factor'], 2.5)
+        self.assertEqual(schedule['interval_days'], 15)
+        self.assertEqual(schedule['repetitions'], 3)
+
+    def test_ease_factor_follows_the_grade(self):
+        self.assertAlmostEqual(ReviewScheduler.next_schedule(self.card(), 5)['ease_factor'], 2.6)
+        self.assertAlmostEqual(ReviewScheduler.next_schedule(self.card(), 3)['ease_factor'], 2.36)
+        self.assertAlmostEqual(ReviewScheduler.next_schedule(self.card(), 2)['ease_factor'], 2.18)
+
+    def test_ease_factor_never_drops_below_the_floor(self):
+        schedule = ReviewScheduler.next_schedule(self.card(ease_factor=1.4), 0)
+
+        self.assertEqual(schedule['ease_factor'], ReviewScheduler.MIN_EASE_FACTOR)
+
+    def test_failed_cards_restart_and_come_back_in_the_same_session(self):
+        before = timezone.now()
+        schedule = ReviewScheduler.next_schedule(self.card(repetitions=4, interval_days=30), 2)
+
+        self.assertEqual((schedule['interval_days'], schedule['repetitions']), (0, 0))
+        self.assertGreaterEqual(schedule['due_date'], before + ReviewScheduler.RELEARN_DELAY)
+        self.assertLess(schedule['due_date'], before + timedelta(hours=1))
+
+    def test_clamps_out_of_range_grades(self):
+        high = ReviewScheduler.next_schedule(self.card(), 9)
+        self.assertAlmostEqual(high['ease_factor'], 2.6)
+        self.assertEqual(high['interval_days'], 1)
+
+        low = ReviewScheduler.next_schedule(self.card(), -2)
+        self.assertAlmostEqual(low['ease_factor'], 1.7)
+        self.assertEqual(low['repetitions'], 0)
+
+    def test_previews_the_interval_for_each_grade(self):
+        self.assertEqual(
+            ReviewScheduler.preview_intervals(self.card(repetitions=1, interval_days=1)),
+            {'1': 0, '3': 6, '4': 6, '5': 6}
+        )
+
+    def test_grade_saves_the_schedule(self):
+        user = User.objects.create_user(username='learner')
+        card = ReviewCard.objects.create(
+            user=user, media_file=create_media_file(user), segment_index=3, segment_start=4.0, segment_end=6.5
+        )
+
+        ReviewScheduler.grade(card, 5)
+
+        card.refresh_from_db()
+        self.assertEqual((card.interval_days, card.repetitions, card.last_grade), (1, 1, 5))
+        self.assertAlmostEqual(card.ease_factor, 2.6)
+        self.assertIsNotNone(card.last_reviewed_date)
+        self.assertFalse(card.is_due)
+
+
+class PracticeStatsTests(TestCase):
+    def setUp(self):
+        self.user = User.objects.create_user(username='learner')
+        self.media_file = create_media_file(self.user)
+
+    def log(self, event_type, days_ago=0, **details):
+        event = PracticeEvent.objects.create(
+            user=self.user, media_file=self.media_file, event_type=event_type, **details
+        )
+        if days_ago:
+            PracticeEvent.objects.filter(pk=event.pk).update(
+                created_date=timezone.now() - timedelta(days=days_ago)
+            )
+        return event
+
+    def test_counts_practice_time_inside_the_window_only(self):
+        self.log('practice_time', duration_seconds=60)
+        self.log('practice_time', days_ago=3, duration_seconds=30)
+        self.log('practice_time', days_ago=10, duration_seconds=600)
+
+        stats = PracticeStats.summarize(self.user, days=7)
+
+        self.assertEqual(stats['days'], 7)
+        self.assertEqual(len(stats['daily_practice']), 7)
+        self.assertEqual(stats['daily_practice'][-1]['date'], timezone.localdate().isoformat())
+        self.assertEqual(stats['daily_practice'][-1]['seconds'], 60)
+        self.assertEqual(stats['total_seconds'], 90)
+        self.assertEqual(stats['active_days'], 2)
+
+    def test_a_longer_window_includes_older_practice(self):
+        self.log('practice_time', duration_seconds=60)
+        self.log('practice_time', days_ago=10, duration_seconds=600)
+
+        stats = PracticeStats.summarize(self.user, days=30)
+
+        self.assertEqual(stats['total_seconds'], 660)
+        self.assertEqual(stats['active_days'], 2)
+
+    def test_clamps_the_window(self):
+        self.assertEqual(PracticeStats.summarize(self.user, days=0)['days'], 1)
+        self.assertEqual(PracticeStats.summarize(self.user, days=1000)['days'], PracticeStats.MAX_DAYS)
+
+    def test_lists_segments_played_more_than_once(self):
+        for _ in range(3):
+            self.log('segment_play', segment_index=4, segment_start=12.5)
+        self.log('segment_play', segment_index=7, segment_start=30.0)
+        self.log('segment_play', days_ago=40, segment_index=7, segment_start=30.0)
+
+        stats = PracticeStats.summarize(self.user, days=30)
+
+        self.assertEqual(stats['segment_plays'], 4)
+        self.assertEqual(
+            [(row['segment_index'], row['play_count']) for row in stats['most_replayed_segments']],
+            [(4, 3)]
+        )
+
+    def test_weights_the_average_speed_by_practice_time(self):
+        self.log('practice_time', duration_seconds=60, playback_speed=1.0)
+        self.log('practice_time', duration_seconds=120, playback_speed=0.5)
+        self.log('practice_time', duration_seconds=30)
+
+        self.assertEqual(PracticeStats.summarize(self.user)['average_speed'], 0.67)
+
+    def test_has_no_average_speed_without_practice(self):
+        self.assertIsNone(PracticeStats.summarize(self.user)['average_speed'])
+
+
+class PracticeEventsLogTests(TestCase):
+    def setUp(self):
+        self.user = User.objects.create_user(username='learner')
+        self.media_file = create_media_file(self.user)
+        self.token = Token.objects.create(user=self.user)
+        self.client = APIClient()
+        self.url = reverse('practice:practice_events_log')
+
+    def event(self, event_type='practice_time', **details):
+        return {'media_file': str(self.media_file.id), 'event_type': event_type, **details}
+
+    def test_saves_valid_events_and_reports_invalid_ones_by_index(self):
+        self.client.credentials(HTTP_AUTHORIZATION=f'Token {self.token.key}')
+
+        response = self.client.post(self.url, {
+            'events': [
+                self.event(duration_seconds=15),
+                self.event('segment_play'),
+                self.event('speed_change', playback_speed=0.75),
+            ],
+        }, format='json')
+
+        self.assertEqual(response.status_code, 201)
+        self.assertEqual(response.data['logged'], 2)
+        self.assertEqual([error['index'] for error in response.data['errors']], [1])
+        self.assertEqual(PracticeEvent.objects.filter(user=self.user).count(), 2)
+
+    def test_rejects_a_batch_without_valid_events(self):
+        self.client.credentials(HTTP_AUTHORIZATION=f'Token {self.token.key}')
+
+        response = self.client.post(self.url, {
+            'events': [self.event('segment_play'), self.event('mode_change')],
+        }, format='json')
+
+        self.assertEqual(response.status_code, 400)
+        self.assertEqual([error['index'] for error in response.data['errors']], [0, 1])
+        self.assertFalse(PracticeEvent.objects.exists())
+
+    def test_rejects_missing_and_oversized_batches(self):
+        self.assertEqual(self.client.post(self.url, {}, format='json').status_code, 400)
+        self.assertEqual(self.client.post(self.url, {'events': []}, format='json').status_code, 400)
+
+        events = [self.event(duration_seconds=1)] * 501
+        self.assertEqual(self.client.post(self.url, {'events': events}, format='json').status_code, 400)
+
+    def test_accepts_a_beacon_with_the_token_in_the_form(self):
+        response = self.client.post(self.url, {
+            'events': json.dumps([self.event(duration_seconds=15)]),
+            'token': self.token.key,
+        }, format='multipart')
+
+        self.assertEqual(response.status_code, 201)
+        self.assertEqual(PracticeEvent.objects.get().user, self.user)
@@ -0,0 +1,27 @@
+from django.urls import path
+from . import views
+
+app_name = 'practice'
+
+urlpatterns = [
+    # Shadowing recordings
+    path('recordings/', views.recordings_list, name='recordings_list'),
+    path('recordings/<uuid:recording_id>/', views.recording_detail, name='recording_detail'),
+
+    # Vocabulary notebook
+    path('vocabulary/', views.vocabulary_list, name='vocabulary_list'),
+    path('vocabulary/<uuid:entry_id>/', views.vocabulary_detail, name='vocabulary_detail'),
+
+    # Spaced-repetition review
+    path('review-cards/', views.review_cards_list, name='review_cards_list'),
+    path('review-cards/<uuid:card_id>/', views.review_card_detail, name='review_card_detail'),
+    path('review-cards/<uuid:card_id>/grade/', views.review_card_grade, name='review_card_grade'),
+
+    # Resume playback
+    path('playback-positions/', views.playback_positions_list, name='playback_positions_list'),
+    path('playback-positions/<uuid:media_file_id>/', views.playback_position_detail, name='playback_position_detail'),
+
+    # Practice statistics
+    path('events/', views.practice_events_log, name='practice_events_log'),
+    path('stats/', views.practice_stats, name='practice_stats'),
+]
@@ -0,0 +1,375 @@
+import os
+import json
+from django.shortcuts import get_object_or_404
+from django.contrib.auth.models import User
+from django.utils import timezone
+from rest_framework import status, permissions
+from rest_framework.authentication import TokenAuthentication
+from rest_framework.decorators import api_view, authentication_classes, permission_classes
+from rest_framework.response import Response
+from media_files.models import MediaFile
+from .models import Recording, VocabularyEntry, ReviewCard, PlaybackPosition, PracticeEvent
+from .serializers import (
+    RecordingSerializer, VocabularyEntrySerializer,
+    ReviewCardSerializer, ReviewGradeSerializer, PlaybackPositionSerializer,
+    PracticeEventSerializer
+)
+from .services import ReviewScheduler, PracticeStats
+from .authentication import FormTokenAuthentication
+
+
+def _get_practice_user(request):
+    """
+    Return the user practice data belongs to.
+    While authentication is disabled for testing, fall back to the shared test user.
+    """
+    if request.user and request.user.is_authenticated:
+        return request.user
+
+    user, _ = User.objects.get_or_create(
+        username='testuser',
+        defaults={'email': 'test@example.com'}
+    )
+    return user
+
+
+@api_view(['GET', 'POST'])
+@permission_classes([permissions.AllowAny])  # Temporarily allow any for testing
+def recordings_list(request):
+    """
+    List uploaded shadowing recordings or upload a new one.
+    """
+    user = _get_practice_user(request)
+
+    if request.method == 'GET':
+        recordings = Recording.objects.filter(user=user)
+
+        # Filter by media file and segment if provided
+        media_file_filter = request.query_params.get('media_file')
+        if media_file_filter:
+            recordings = recordings.filter(media_file_id=media_file_filter)
+
+        segment_filter = request.query_params.get('segment_index')
+        if segment_filter is not None:
+            recordings = recordings.filter(segment_index=segment_filter)
+
+        serializer = RecordingSerializer(recordings, many=True, context={'request': request})
+        return Response(serializer.data)
+
+    elif request.method == 'POST':
+        serializer = RecordingSerializer(data=request.data, context={'request': request})
+
+        if serializer.is_valid():
+            audio_file = serializer.validated_data['audio_file']
+            recording = serializer.save(
+                user=user,
+                mime_type=serializer.validated_data.get('mime_type') or getattr(audio_file, 'content_type', '')
+            )
+
+            return Response(
+                RecordingSerializer(recording, context={'request': request}).data,
+                status=status.HTTP_201_CREATED
+            )
+
+        return Response(serializer.errors, status=status.HTTP_400_BAD_REQUEST)
+
+
+@api_view(['GET', 'DELETE'])
+@permission_classes([permissions.AllowAny])  # Temporarily allow any for testing
+def recording_detail(request, recording_id):
+    """
+    Retrieve or delete an uploaded recording.
+    """
+    recording = get_object_or_404(Recording, id=recording_id, user=_get_practice_user(request))
+
+    if request.method == 'GET':
+        serializer = RecordingSerializer(recording, context={'request': request})
+        return Response(serializer.data)
+
+    elif request.method == 'DELETE':
+        # Remove the audio from disk before dropping the record
+        if recording.audio_file and os.path.exists(recording.audio_file.path):
+            os.remove(recording.audio_file.path)
+        recording.delete()
+
+        return Response(
+            {'message': 'Recording deleted successfully'},
+            status=status.HTTP_204_NO_CONTENT
+        )
+
+
+@api_view(['GET', 'POST'])
+@permission_classes([permissions.AllowAny])  # Temporarily allow any for testing
+def vocabulary_list(request):
+    """
+    List saved vocabulary across the library or save a word from a transcript.
+    Saving the same word occurrence twice returns the existing entry.
+    """
+    user = _get_practice_user(request)
+
+    if request.method == 'GET':
+        entries = VocabularyEntry.objects.filter(user=user).select_related('media_file')
+
+        # Filter by media file and search term if provided
+        media_file_filter = request.query_params.get('media_file')
+        if media_file_filter:
+            entries = entries.filter(media_file_id=media_file_filter)
+
+        search = request.query_params.get('search')
+        if search:
+            entries = entries.filter(word__icontains=search)
+
+        serializer = VocabularyEntrySerializer(entries, many=True)
+        return Response(serializer.data)
+
+    elif request.method == 'POST':
+        serializer = VocabularyEntrySerializer(data=request.data)
+
+        if serializer.is_valid():
+            data = serializer.validated_data
+            entry, created = VocabularyEntry.objects.get_or_create(
+                user=user,
+                media_file=data['media_file'],
+                word=data['word'],
+                start_time=data['start_time'],
+                defaults={
+                    'end_time': data['end_time'],
+                    'sentence': data.get('sentence', ''),
+                    'segment_index': data.get('segment_index'),
+                }
+            )
+
+            return Response(
+                VocabularyEntrySerializer(entry).data,
+                status=status.HTTP_201_CREATED if created else status.HTTP_200_OK
+            )
+
+        return Response(serializer.errors, status=status.HTTP_400_BAD_REQUEST)
+
+
+@api_view(['GET', 'DELETE'])
+@permission_classes([permissions.AllowAny])  # Temporarily allow any for testing
+def vocabulary_detail(request, entry_id):
+    """
+    Retrieve or delete a saved vocabulary entry.
+    """
+    entry = get_object_or_404(VocabularyEntry, id=entry_id, user=_get_practice_user(request))
+
+    if request.method == 'GET':
+        serializer = VocabularyEntrySerializer(entry)
+        return Response(serializer.data)
+
+    elif request.method == 'DELETE':
+        entry.delete()
+
+        return Response(
+            {'message': 'Vocabulary entry deleted successfully'},
+            status=status.HTTP_204_NO_CONTENT
+        )
+
+
+@api_view(['GET', 'POST'])
+@permission_classes([permissions.AllowAny])  # Temporarily allow any for testing
+def review_cards_list(request):
+    """
+    List review cards across the library or mark a segment to study later.
+    Marking a segment that already has a card refreshes its text and timing.
+    """
+    user = _get_practice_user(request)
+
+    if request.method == 'GET':
+        cards = ReviewCard.objects.filter(user=user).select_related('media_file')
+
+        # Filter by media file and due status if provided
+        media_file_filter = request.query_params.get('media_file')
+        if media_file_filter:
+            cards = cards.filter(media_file_id=media_file_filter)
+
+        if request.query_params.get('due') == 'true':
+            cards = cards.filter(due_date__lte=timezone.now())
+
+        serializer = ReviewCardSerializer(cards, many=True)
+        return Response(serializer.data)
+
+    elif request.method == 'POST':
+        serializer = ReviewCardSerializer(data=request.data)
+
+        if serializer.is_valid():
+            data = serializer.validated_data
+            card, created = ReviewCard.objects.update_or_create(
+                user=user,
+                media_file=data['media_file'],
+                segment_index=data['segment_index'],
+                defaults={
+                    'segment_start': data['segment_start'],
+                    'segment_end': data['segment_end'],
+                    'text': data.get('text', ''),
+                }
+            )
+
+            return Response(
+                ReviewCardSerializer(card).data,
+                status=status.HTTP_201_CREATED if created else status.HTTP_200_OK
+            )
+
+        return Response(serializer.errors, status=status.HTTP_400_BAD_REQUEST)
+
+
+@api_view(['GET', 'DELETE'])
+@permission_classes([permissions.AllowAny])  # Temporarily allow any for testing
+def review_card_detail(request, card_id):
+    """
+    Retrieve a review card or stop studying its segment.
+    """
+    card = get_object_or_404(ReviewCard, id=card_id, user=_get_practice_user(request))
+
+    if request.method == 'GET':
+        serializer = ReviewCardSerializer(card)
+        return Response(serializer.data)
+
+    elif request.method == 'DELETE':
+        card.delete()
+
+        return Response(
+            {'message': 'Review card deleted successfully'},
+            status=status.HTTP_204_NO_CONTENT
+        )
+
+
+@api_view(['POST'])
+@permission_classes([permissions.AllowAny])  # Temporarily allow any for testing
+def review_card_grade(request, card_id):
+    """
+    Grade recall of a review card (SM-2, 0-5) and schedule its next review.
+    """
+    card = get_object_or_404(ReviewCard, id=card_id, user=_get_practice_user(request))
+
+    serializer = ReviewGradeSerializer(data=request.data)
+    if not serializer.is_valid():
+        return Response(serializer.errors, status=status.HTTP_400_BAD_REQUEST)
+
+    card = ReviewScheduler.grade(card, serializer.validated_data['grade'])
+    return Response(ReviewCardSerializer(card).data)
+
+
+@api_view(['GET'])
+@permission_classes([permissions.AllowAny])  # Temporarily allow any for testing
+def playback_positions_list(request):
+    """
+    List where the learner left off in each file, most recent first.
+    """
+    user = _get_practice_user(request)
+    positions = PlaybackPosition.objects.filter(user=user).select_related('media_file')
+
+    serializer = PlaybackPositionSerializer(positions, many=True)
+    return Response(serializer.data)
+
+
+@api_view(['GET', 'PUT', 'DELETE'])
+@permission_classes([permissions.AllowAny])  # Temporarily allow any for testing
+def playback_position_detail(request, media_file_id):
+    """
+    Get, save or forget the resume position for a media file.
+    """
+    user = _get_practice_user(request)
+    media_file = get_object_or_404(MediaFile, id=media_file_id)
+
+    if request.method == 'GET':
+        position = get_object_or_404(PlaybackPosition, user=user, media_file=media_file)
+        serializer = PlaybackPositionSerializer(position)
+        return Response(serializer.data)
+
+    elif request.method == 'PUT':
+        serializer = PlaybackPositionSerializer(data=request.data)
+
+        if serializer.is_valid():
+            position, created = PlaybackPosition.objects.update_or_create(
+                user=user,
+                media_file=media_file,
+                defaults=serializer.validated_data
+            )
+
+            return Response(
+                PlaybackPositionSerializer(position).data,
+                status=status.HTTP_201_CREATED if created else status.HTTP_200_OK
+            )
+
+        return Response(serializer.errors, status=status.HTTP_400_BAD_REQUEST)
+
+    elif request.method == 'DELETE':
+        PlaybackPosition.objects.filter(user=user, media_file=media_file).delete()
+
+        return Response(
+            {'message': 'Playback position cleared'},
+            status=status.HTTP_204_NO_CONTENT
+        )
+
+
+
+@api_view(['POST'])
+@authentication_classes([TokenAuthentication, FormTokenAuthentication])
+@permission_classes([permissions.AllowAny])  # Temporarily allow any for testing
+def practice_events_log(request):
+    """
+    Log a batch of practice events sent by the player.
+    Expects {"events": [...]} as JSON, or as a form with the events JSON-encoded when sent with
+    navigator.sendBeacon. Valid events are saved even when others are not; the invalid ones
+    are returned as {"index", "errors"} so the player can drop just those.
+    """
+    user = _get_practice_user(request)
+    events = request.data.get('events')
+    if isinstance(events, str):
+        try:
+            events = json.loads(events)
+        except ValueError:
+            events = None
+
+    max_batch = 500  # The player flushes every few seconds, so real batches are small
+    if not isinstance(events, list) or not events:
+        return Response(
+            {'error': 'Expected a non-empty "events" list'},
+            status=status.HTTP_400_BAD_REQUEST
+        )
+    if len(events) > max_batch:
+        return Response(
+            {'error': f'At most {max_batch} events can be logged at once'},
+            status=status.HTTP_400_BAD_REQUEST
+        )
+
+    valid_events = []
+    errors = []
+    for index, event in enumerate(events):
+        serializer = PracticeEventSerializer(data=event)
+        if serializer.is_valid():
+            valid_events.append(PracticeEvent(user=user, **serializer.validated_data))
+        else:
+            errors.append({'index': index, 'errors': serializer.errors})
+
+    if not valid_events:
+        return Response(
+            {'error': 'None of the events are valid', 'errors': errors},
+            status=status.HTTP_400_BAD_REQUEST
+        )
+
+    created = PracticeEvent.objects.bulk_create(valid_events)
+
+    return Response({'logged': len(created), 'errors': errors}, status=status.HTTP_201_CREATED)
+
+
+@api_view(['GET'])
+@permission_classes([permissions.AllowAny])  # Temporarily allow any for testing
+def practice_stats(request):
+    """
+    Summarize practice over the last `days` days (30 by default) for the statistics page.
+    """
+    user = _get_practice_user(request)
+
+    try:
+        days = int(request.query_params.get('days', PracticeStats.DEFAULT_DAYS))
+    except ValueError:
+        return Response(
+            {'error': 'days must be a whole number'},
+            status=status.HTTP_400_BAD_REQUEST
+        )
+
+    return Response(PracticeStats.summarize(user, days))
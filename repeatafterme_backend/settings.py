@@ -49,6 +49,7 @@ INSTALLED_APPS = [
     'accounts',
     'media_files',
     'transcriptions',
+    'practice',
 ]
 
 MIDDLEWARE = [
@@ -26,6 +26,7 @@ urlpatterns = [
     path('api/auth/', include('accounts.urls')),
     path('api/media/', include('media_files.urls')),
     path('api/transcriptions/', include('transcriptions.urls')),
+    path('api/practice/', include('practice.urls')),
 ]
 
 # Serve media files during development
@@ -1,5 +1,5 @@
 from django.contrib import admin
-from .models import Transcription
+from .models import Transcription, TranslationTrack
 
 
 @admin.register(Transcription)
@@ -27,3 +27,11 @@ class TranscriptionAdmin(admin.ModelAdmin):
             'classes': ('collapse',)
         }),
     )
+
+
+@admin.register(TranslationTrack)
+class TranslationTrackAdmin(admin.ModelAdmin):
+    list_display = ['transcription', 'language', 'label', 'source', 'updated_date']
+    list_filter = ['source', 'language']
+    search_fields = ['transcription__media_file__filename_original', 'label']
+    readonly_fields = ['id', 'created_date', 'updated_date']
@@ -0,0 +1,32 @@
+# Generated by Django 5.2.1 on 2026-10-18 15:20
+
+import django.db.models.deletion
+import uuid
+from django.db import migrations, models
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        ('transcriptions', '0002_transcription_word_level_vtt_file_path'),
+    ]
+
+    operations = [
+        migrations.CreateModel(
+            name='TranslationTrack',
+            fields=[
+                ('id', models.UUIDField(default=uuid.uuid4, editable=False, primary_key=True, serialize=False)),
+                ('language', models.CharField(max_length=10)),
+                ('label', models.CharField(blank=True, max_length=100)),
+                ('source', models.CharField(choices=[('upload', 'Uploaded SRT/VTT'), ('manual', 'Typed in the editor')], default='manual', max_length=10)),
+                ('segments', models.JSONField(blank=True, default=list)),
+                ('created_date', models.DateTimeField(auto_now_add=True)),
+                ('updated_date', models.DateTimeField(auto_now=True)),
+                ('transcription', models.ForeignKey(on_delete=django.db.models.deletion.CASCADE, related_name='translation_tracks', to='transcriptions.transcription')),
+            ],
+            options={
+                'ordering': ['created_date'],
+                'unique_together': {('transcription', 'language')},
+            },
+        ),
+    ]
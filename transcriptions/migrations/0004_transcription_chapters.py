@@ -0,0 +1,18 @@
+# Generated by Django 5.2.1 on 2026-10-18 18:05
+
+from django.db import migrations, models
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        ('transcriptions', '0003_translationtrack'),
+    ]
+
+    operations = [
+        migrations.AddField(
+            model_name='transcription',
+            name='chapters',
+            field=models.JSONField(blank=True, null=True),
+        ),
+    ]
@@ -0,0 +1,18 @@
+# Generated by Django 5.2.1 on 2026-10-18 20:40
+
+from django.db import migrations, models
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        ('transcriptions', '0004_transcription_chapters'),
+    ]
+
+    operations = [
+        migrations.AddField(
+            model_name='transcription',
+            name='segments_version',
+            field=models.PositiveIntegerField(default=1),
+        ),
+    ]
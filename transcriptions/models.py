@@ -47,6 +47,13 @@ class Transcription(models.Model):
     segment_count = models.IntegerField(null=True, blank=True)
     speaker_count = models.IntegerField(null=True, blank=True)
 
+    # Chapters edited by the learner, as a list of {"start", "title", "source"} entries.
+    # Null until first edited; the player detects chapters from the segments until then.
+    chapters = models.JSONField(null=True, blank=True)
+
+    # Bumped on every save from the editor, so stale saves from another tab can be rejected
+    segments_version = models.PositiveIntegerField(default=1)
+
     class Meta:
         indexes = [
             models.Index(fields=['media_file']),
@@ -80,3 +87,44 @@ class Transcription(models.Model):
     def has_raw_output(self):
         """Check if raw WhisperX output is available."""
         return bool(self.raw_whisperx_output or self.raw_whisperx_output_path)
+
+
+class TranslationTrack(models.Model):
+    """
+    A second subtitle track (usually a translation) shown alongside the transcription.
+    Entries are stored with the timing of the transcription segments they belong to.
+    """
+
+    SOURCE_CHOICES = [
+        ('upload', 'Uploaded SRT/VTT'),
+        ('manual', 'Typed in the editor'),
+    ]
+
+    id = models.UUIDField(primary_key=True, default=uuid.uuid4, editable=False)
+    transcription = models.ForeignKey(
+        Transcription,
+        on_delete=models.CASCADE,
+        related_name='translation_tracks'
+    )
+
+    language = models.CharField(max_length=10)
+    label = models.CharField(max_length=100, blank=True)
+    source = models.CharField(max_length=10, choices=SOURCE_CHOICES, default='manual')
+
+    # List of {"start", "end", "text"} entries
+    segments = models.JSONField(default=list, blank=True)
+
+    created_date = models.DateTimeField(auto_now_add=True)
+    updated_date = models.DateTimeField(auto_now=True)
+
+    class Meta:
+        ordering = ['created_date']
+        unique_together = ['transcription', 'language']
+
+    def __str__(self):
+        return f"{self.display_label} track for {self.transcription.media_file.filename_original}"
+
+    @property
+    def display_label(self):
+        """Label shown in the player, falling back to the language code."""
+        return self.label or self.language.upper()
@@ -1,5 +1,5 @@
 from rest_framework import serializers
-from .models import Transcription
+from .models import Transcription, TranslationTrack
 from media_files.serializers import MediaFileSerializer
 
 
@@ -18,12 +18,12 @@ class TranscriptionSerializer(serializers.ModelSerializer):
             'id', 'media_file', 'completed_date', 'vtt_file_path', 'word_level_vtt_file_path',
             'srt_file_path', 'txt_file_path', 'raw_whisperx_output_path',
             'raw_whisperx_output', 'word_count', 'segment_count',
-            'speaker_count', 'has_vtt', 'has_word_level_vtt', 'has_srt', 'has_txt', 'has_raw_output'
+            'speaker_count', 'chapters', 'segments_version', 'has_vtt', 'has_word_level_vtt', 'has_srt', 'has_txt', 'has_raw_output'
         ]
         read_only_fields = [
             'id', 'completed_date', 'vtt_file_path', 'word_level_vtt_file_path', 'srt_file_path',
             'txt_file_path', 'raw_whisperx_output_path', 'raw_whisperx_output',
-            'word_count', 'segment_count', 'speaker_count'
+            'word_count', 'segment_count', 'speaker_count', 'chapters', 'segments_version'
         ]
 
 
@@ -41,3 +41,78 @@ class SubtitleFileSerializer(serializers.Serializer):
     filename = serializers.CharField()
     content = serializers.CharField()
     content_type = serializers.CharField()
+
+
+class TranslationTrackSerializer(serializers.ModelSerializer):
+    """Serializer for a second (translation) subtitle track."""
+
+    display_label = serializers.ReadOnlyField()
+
+    class Meta:
+        model = TranslationTrack
+        fields = [
+            'id', 'language', 'label', 'display_label', 'source',
+            'segments', 'created_date', 'updated_date'
+        ]
+        read_only_fields = ['id', 'source', 'created_date', 'updated_date']
+
+    def validate_language(self, value):
+        value = value.strip().lower()
+        if not value:
+            raise serializers.ValidationError("Language is required")
+        return value
+
+    def validate_segments(self, value):
+        if not isinstance(value, list):
+            raise serializers.ValidationError("Segments must be a list")
+
+        cleaned = []
+        for i, segment in enumerate(value):
+            if not isinstance(segment, dict) or not all(key in segment for key in ['start', 'end', 'text']):
+                raise serializers.ValidationError(f"Segment {i} missing required fields (start, end, text)")
+            try:
+                start = float(segment['start'])
+                end = float(segment['end'])
+            except (ValueError, TypeError):
+                raise serializers.ValidationError(f"Segment {i} has invalid timing values")
+            # Zero-length cues are valid in subtitle files, so only reject segments that end before they start
+            if start < 0 or end < start:
+                raise serializers.ValidationError(f"Segment {i} has invalid timing (start: {start}, end: {end})")
+
+            text = str(segment['text']).strip()
+            if text:
+                cleaned.append({'start': start, 'end': end, 'text': text})
+
+        return cleaned
+
+
+class ChapterListSerializer(serializers.Serializer):
+    """Serializer for saving the chapter list of a transcription."""
+
+    CHAPTER_SOURCES = ['start', 'silence', 'speaker', 'manual']
+    MAX_TITLE_LENGTH = 200
+
+    chapters = serializers.ListField(child=serializers.DictField(), allow_empty=False)
+
+    def validate_chapters(self, value):
+        cleaned = {}
+        for i, chapter in enumerate(value):
+            try:
+                start = float(chapter['start'])
+            except (KeyError, ValueError, TypeError):
+                raise serializers.ValidationError(f"Chapter {i} has an invalid start time")
+            if start < 0:
+                raise serializers.ValidationError(f"Chapter {i} starts before the beginning (start: {start})")
+
+            source = chapter.get('source', 'manual')
+            if source not in self.CHAPTER_SOURCES:
+                source = 'manual'
+
+            # Two chapters can't start at the same moment; the later one in the list wins
+            cleaned[round(start, 3)] = {
+                'start': start,
+                'title': str(chapter.get('title') or '').strip()[:self.MAX_TITLE_LENGTH],
+                'source': source,
+            }
+
+        return [cleaned[key] for key in sorted(cleaned)]
@@ -0,0 +1,223 @@
+import re
+
+
+class SubtitleParser:
+    """
+    Parser for uploaded WebVTT and SRT subtitle files, following the same rules as the
+    frontend parser (frontend/src/utils/subtitleParser.js). Problems are reported as
+    {'line', 'message'} instead of raised, and the cues that could be read are still returned.
+    """
+
+    FORMATS = ['vtt', 'srt']
+
+    # Hours are optional in WebVTT and take two or more digits; SRT always has them
+    TIMESTAMP_PATTERNS = {
+        'vtt': re.compile(r'(?:([0-9]{2,}):)?([0-9]{2}):([0-9]{2})\.([0-9]{3})'),
+        'srt': re.compile(r'([0-9]+):([0-9]{2}):([0-9]{2}),([0-9]{3})'),
+    }
+    TIMING_PATTERN = re.compile(r'(\S+)[ \t]+-->[ \t]+(\S+)(?:[ \t]+(.*))?')
+    SIGNATURE_PATTERN = re.compile(r'\ufeff?WEBVTT(?:[ \t\n\r]|$)')
+    TAG_PATTERN = re.compile(r'<[^>]*>')
+    ENTITY_PATTERN = re.compile(r'&[a-z]+;')
+
+    # Cue settings WebVTT defines; anything else is reported and ignored
+    CUE_SETTINGS = ['vertical', 'line', 'position', 'size', 'align', 'region']
+
+    # Blocks that may appear between cues in WebVTT and carry no cue
+    VTT_BLOCK_KEYWORDS = ['NOTE', 'STYLE', 'REGION']
+
+    ENTITIES = {
+        '&amp;': '&',
+        '&lt;': '<',
+        '&gt;': '>',
+        '&quot;': '"',
+        '&apos;': "'",
+        '&nbsp;': '\u00a0',
+        '&lrm;': '\u200e',
+        '&rlm;': '\u200f',
+    }
+
+    @staticmethod
+    def detect_format(content):
+        """'vtt' when the content has a WebVTT signature, otherwise 'srt'."""
+        return 'vtt' if SubtitleParser.SIGNATURE_PATTERN.match(content) else 'srt'
+
+    @staticmethod
+    def parse_timestamp(text, subtitle_format='vtt'):
+        """Seconds for a timestamp in the given format, or None when it is malformed."""
+        match = SubtitleParser.TIMESTAMP_PATTERNS[subtitle_format].fullmatch(text.strip())
+        if not match:
+            return None
+
+        hours, minutes, seconds, milliseconds = match.groups()
+        if int(minutes) > 59 or int(seconds) > 59:
+            return None
+        return int(hours or 0) * 3600 + int(minutes) * 60 + int(seconds) + int(milliseconds) / 1000
+
+    @staticmethod
+    def parse(content, subtitle_format=None):
+        """
+        Parse WebVTT or SRT content; the format is detected when not given.
+        Returns {'format', 'cues', 'errors'}, where cues are {'id', 'start', 'end', 'text'}.
+        Cue settings, NOTE/STYLE/REGION blocks and inline tags and timestamps are dropped from the text.
+        """
+        subtitle_format = subtitle_format or SubtitleParser.detect_format(content)
+        content = content.lstrip('\ufeff').replace('\r\n', '\n').replace('\r', '\n')
+        lines = content.split('\n')
+        cues = []
+        errors = []
+        position = 0
+
+        def is_blank(index):
+            return index >= len(lines) or not lines[index].strip()
+
+        def skip_block(index):
+            while not is_blank(index):
+                index += 1
+            return index
+
+        if subtitle_format == 'vtt':
+            if not re.match(r'WEBVTT(?:[ \t]|$)', lines[0]):
+                errors.append({'line': 1, 'message': 'Missing "WEBVTT" signature'})
+                return {'format': subtitle_format, 'cues': cues, 'errors': errors}
+            # The header runs until the first blank line
+            position = skip_block(position)
+
+        while True:
+            while position < len(lines) and is_blank(position):
+                position += 1
+            if position >= len(lines):
+                break
+
+            block_start = position
+            first_line = lines[position].strip()
+
+            if subtitle_format == 'vtt' and '-->' not in first_line:
+                keyword = next(
+                    (word for word in SubtitleParser.VTT_BLOCK_KEYWORDS
+                     if first_line == word or first_line.startswith((f'{word} ', f'{word}\t'))),
+                    None
+                )
+                if keyword:
+                    if keyword != 'NOTE' and cues:
+                        errors.append({'line': position + 1, 'message': f'{keyword} blocks must come before the first cue'})
+                    position = skip_block(position)
+                    continue
+
+            # An identifier line comes before the timing line unless the block starts with the timing
+            cue_id = ''
+            if '-->' not in first_line:
+                cue_id = first_line
+                position += 1
+                if is_blank(position) or '-->' not in lines[position]:
+                    errors.append({'line': block_start + 1, 'message': 'Expected a cue timing line'})
+                    position = skip_block(position)
+                    continue
+
+            timing_line_number = position + 1
+            timing = SubtitleParser._parse_timing_line(lines[position], subtitle_format, timing_line_number, errors)
+            position += 1
+
+            # Cue text runs until a blank line; in WebVTT a line with "-->" starts the next cue
+            text_lines = []
+            while not is_blank(position) and not (subtitle_format == 'vtt' and '-->' in lines[position]):
+                text_lines.append(lines[position])
+                position += 1
+            if not timing:
+                continue
+
+            start, end = timing
+            cues.append({
+                'id': cue_id,
+                'start': start,
+                'end': end,
+                'text': ' '.join(SubtitleParser._get_plain_text(line) for line in text_lines).strip(),
+            })
+
+        if subtitle_format == 'srt' and not cues and not errors and content.strip():
+            errors.append({'line': 1, 'message': 'No subtitle cues found'})
+
+        return {'format': subtitle_format, 'cues': cues, 'errors': errors}
+
+    @staticmethod
+    def _parse_timing_line(line, subtitle_format, line_number, errors):
+        """(start, end) of a "start --> end" line, or None after reporting what is wrong with it."""
+        match = SubtitleParser.TIMING_PATTERN.fullmatch(line.strip())
+        if not match:
+            errors.append({'line': line_number, 'message': f'Malformed cue timing "{line.strip()}"'})
+            return None
+
+        start_text, end_text, rest = match.groups()
+        start = SubtitleParser.parse_timestamp(start_text, subtitle_format)
+        end = SubtitleParser.parse_timestamp(end_text, subtitle_format)
+        if start is None or end is None:
+            errors.append({
+                'line': line_number,
+                'message': f'Malformed timestamp "{start_text if start is None else end_text}"',
+            })
+            return None
+        if end < start:
+            errors.append({'line': line_number, 'message': 'Cue ends before it starts'})
+            return None
+
+        # SRT may have display coordinates here, which are ignored
+        if subtitle_format == 'vtt':
+            for setting in (rest or '').split():
+                name, separator, value = setting.partition(':')
+                if not name or not separator or not value or name not in SubtitleParser.CUE_SETTINGS:
+                    errors.append({'line': line_number, 'message': f'Unknown cue setting "{setting}"'})
+
+        return start, end
+
+    @staticmethod
+    def _get_plain_text(line):
+        """Cue text without tags or inline timestamps, with entities decoded."""
+        text = SubtitleParser.TAG_PATTERN.sub('', line)
+        text = SubtitleParser.ENTITY_PATTERN.sub(
+            lambda match: SubtitleParser.ENTITIES.get(match.group(0), match.group(0)), text
+        )
+        return text.strip()
+
+
+class TranslationAligner:
+    """Attach subtitle cues to the transcription segments they overlap most."""
+
+    @staticmethod
+    def align(cues, segments):
+        """
+        Return one {'start', 'end', 'text'} entry per segment that received text,
+        using the segment timing so both tracks line up.
+        Cues that overlap no segment go to the nearest one.
+        """
+        if not segments:
+            return []
+
+        texts = [[] for _ in segments]
+
+        for cue in sorted(cues, key=lambda item: item['start']):
+            best_index = None
+            best_overlap = 0
+            for index, segment in enumerate(segments):
+                overlap = min(cue['end'], segment['end']) - max(cue['start'], segment['start'])
+                if overlap > best_overlap:
+                    best_index = index
+                    best_overlap = overlap
+
+            if best_index is None:
+                cue_middle = (cue['start'] + cue['end']) / 2
+                best_index = min(
+                    range(len(segments)),
+                    key=lambda index: abs((segments[index]['start'] + segments[index]['end']) / 2 - cue_middle)
+                )
+
+            texts[best_index].append(cue['text'])
+
+        return [
+            {
+                'start': float(segment['start']),
+                'end': float(segment['end']),
+                'text': ' '.join(segment_texts),
+            }
+            for segment, segment_texts in zip(segments, texts)
+            if segment_texts
+        ]
@@ -1,3 +1,208 @@
-from django.test import TestCase
+import os
+import shutil
+import tempfile
 
-# Create your tests here.
+from django.test import SimpleTestCase
+
+from .subtitle_parsers import SubtitleParser
+from .views import _replace_files, _write_whisperx_output
+
+
+class ReplaceFilesTests(SimpleTestCase):
+    def setUp(self):
+        self.directory = tempfile.mkdtemp()
+        self.addCleanup(shutil.rmtree, self.directory)
+        self.json_path = os.path.join(self.directory, 'output.json')
+        self.vtt_path = os.path.join(self.directory, 'subtitles.vtt')
+        self._write(self.json_path, 'old json')
+        self._write(self.vtt_path, 'old vtt')
+
+    def _write(self, path, text):
+        with open(path, 'w', encoding='utf-8') as f:
+            f.write(text)
+
+    def _read(self, path):
+        with open(path, encoding='utf-8') as f:
+            return f.read()
+
+    def test_replaces_every_file(self):
+        _replace_files([
+            (self.json_path, _write_whisperx_output),
+            (self.vtt_path, lambda output, path: self._write(path, 'new vtt')),
+        ], {'segments': []})
+
+        self.assertIn('"segments": []', self._read(self.json_path))
+        self.assertEqual(self._read(self.vtt_path), 'new vtt')
+        self.assertEqual(sorted(os.listdir(self.directory)), ['output.json', 'subtitles.vtt'])
+
+    def test_keeps_old_files_when_a_generator_fails(self):
+        def failing_generator(output, path):
+            self._write(path, 'partial')
+            raise ValueError('generator failed')
+
+        with self.assertRaises(ValueError):
+            _replace_files([
+                (self.json_path, _write_whisperx_output),
+                (self.vtt_path, failing_generator),
+            ], {'segments': []})
+
+        self.assertEqual(self._read(self.json_path), 'old json')
+        self.assertEqual(self._read(self.vtt_path), 'old vtt')
+        self.assertEqual(sorted(os.listdir(self.directory)), ['output.json', 'subtitles.vtt'])
+
+
+class SubtitleParserTimestampTests(SimpleTestCase):
+    def test_reads_webvtt_timestamps_with_and_without_hours(self):
+        self.assertEqual(SubtitleParser.parse_timestamp('01:02.500'), 62.5)
+        self.assertEqual(SubtitleParser.parse_timestamp('01:00:02.500'), 3602.5)
+        self.assertEqual(SubtitleParser.parse_timestamp('100:00:00.000'), 360000)
+
+    def test_reads_srt_timestamps(self):
+        self.assertAlmostEqual(SubtitleParser.parse_timestamp('01:02:03,004', 'srt'), 3723.004)
+
+    def test_rejects_malformed_timestamps(self):
+        for text, subtitle_format in [
+            ('1:02.500', 'vtt'),
+            ('00:01.5', 'vtt'),
+            ('00:60.000', 'vtt'),
+            ('00:00:60.000', 'vtt'),
+            ('00:00:01,000', 'vtt'),
+            ('00:00:01.000', 'srt'),
+        ]:
+            with self.subTest(text=text, format=subtitle_format):
+                self.assertIsNone(SubtitleParser.parse_timestamp(text, subtitle_format))
+
+
+class SubtitleParserTests(SimpleTestCase):
+    def test_reads_webvtt_cues(self):
+        content = (
+            '\ufeffWEBVTT - Lesson\r\n'
+            'Kind: captions\r\n'
+            '\r\n'
+            'STYLE\r\n'
+            '::cue { color: yellow; }\r\n'
+            '\r\n'
+            'NOTE a comment\r\n'
+            '\r\n'
+            'intro\r\n'
+            '00:01.000 --> 00:02.500 align:start position:10%\r\n'
+            '<v.loud Mary>Hello &amp; welcome</v>\r\n'
+            '\r\n'
+            '00:00:03.000 --> 00:00:05.000\r\n'
+            '<00:00:03.000>one <00:00:03.500><c.word-highlight>two</c>\r\n'
+            'three\r\n'
+        )
+
+        result = SubtitleParser.parse(content)
+
+        self.assertEqual(result['format'], 'vtt')
+        self.assertEqual(result['errors'], [])
+        self.assertEqual(result['cues'], [
+            {'id': 'intro', 'start': 1.0, 'end': 2.5, 'text': 'Hello & welcome'},
+            {'id': '', 'start': 3.0, 'end': 5.0, 'text': 'one two three'},
+        ])
+
+    def test_keeps_zero_length_cues(self):
+        result = SubtitleParser.parse('WEBVTT\n\n00:01.400 --> 00:01.400\na\n')
+
+        self.assertEqual(result['errors'], [])
+        self.assertEqual(result['cues'], [{'id': '', 'start': 1.4, 'end': 1.4, 'text': 'a'}])
+
+    def test_reports_bad_webvtt_cues_by_line(self):
+        content = '\n'.join([
+            'WEBVTT',
+            '',
+            'good',
+            '00:00:01.000 --> 00:00:02.000 bogus:1',
+            'Kept, with an unknown setting',
+            '',
+            'backwards',
+            '00:00:04.000 --> 00:00:03.000',
+            'Ends before it starts',
+            '',
+            '00:00:06,000 --> 00:00:07,000',
+            'SRT timestamps',
+            '',
+            'no timing',
+            'just text',
+            '',
+            '00:00:08.000 --> 00:00:09.000',
+            'Kept after the bad cues',
+            '',
+            'STYLE',
+            '::cue { color: red; }',
+        ])
+
+        result = SubtitleParser.parse(content)
+
+        self.assertEqual(
+            [cue['text'] for cue in result['cues']],
+            ['Kept, with an unknown setting', 'Kept after the bad cues']
+        )
+        self.assertEqual(result['errors'], [
+            {'line': 4, 'message': 'Unknown cue setting "bogus:1"'},
+            {'line': 8, 'message': 'Cue ends before it starts'},
+            {'line': 11, 'message': 'Malformed timestamp "00:00:06,000"'},
+            {'line': 14, 'message': 'Expected a cue timing line'},
+            {'line': 20, 'message': 'STYLE blocks must come before the first cue'},
+        ])
+
+    def test_requires_the_webvtt_signature(self):
+        result = SubtitleParser.parse('00:01.000 --> 00:02.000\nHi\n', 'vtt')
+
+        self.assertEqual(result['cues'], [])
+        self.assertEqual(result['errors'], [{'line': 1, 'message': 'Missing "WEBVTT" signature'}])
+
+    def test_reads_srt_cues(self):
+        content = (
+            '1\n'
+            '00:00:01,000 --> 00:00:02,500\n'
+            '<i>Hello</i> there,\n'
+            'second line\n'
+            '\n'
+            '2\n'
+            '00:00:03,000 --> 00:00:04,000 X1:100 X2:200 Y1:10 Y2:50\n'
+            '<font color="#ff0000">Red</font> &amp; bold\n'
+        )
+
+        result = SubtitleParser.parse(content)
+
+        self.assertEqual(result['format'], 'srt')
+        self.assertEqual(result['errors'], [])
+        self.assertEqual(result['cues'], [
+            {'id': '1', 'start': 1.0, 'end': 2.5, 'text': 'Hello there, second line'},
+            {'id': '2', 'start': 3.0, 'end': 4.0, 'text': 'Red & bold'},
+        ])
+
+    def test_reports_bad_srt_cues_by_line(self):
+        content = '\n'.join([
+            '1',
+            '00:00:01,000 --> 00:00:02,000',
+            'Kept',
+            '',
+            '2',
+            '00:00:03.000 --> 00:00:04.000',
+            'Dot in the timestamp',
+            '',
+            '3',
+            '00:00:05,000 -> 00:00:06,000',
+            'Broken arrow',
+            '',
+            '4',
+            '00:00:07,000 --> 00:00:08,000',
+            'Kept after the bad cues',
+        ])
+
+        result = SubtitleParser.parse(content)
+
+        self.assertEqual([cue['id'] for cue in result['cues']], ['1', '4'])
+        self.assertEqual(result['errors'], [
+            {'line': 6, 'message': 'Malformed timestamp "00:00:03.000"'},
+            {'line': 9, 'message': 'Expected a cue timing line'},
+        ])
+
+    def test_reports_text_without_cues(self):
+        result = SubtitleParser.parse('just some text\n')
+
+        self.assertEqual(result['cues'], [])
+        self.assertEqual(result['errors'], [{'line': 1, 'message': 'Expected a cue timing line'}])
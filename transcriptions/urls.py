@@ -10,6 +10,11 @@ urlpatterns = [
 
     # Transcription editing
     path('<uuid:file_id>/update/', views.update_transcription_segments, name='update_transcription_segments'),
+    path('<uuid:file_id>/chapters/', views.transcription_chapters, name='transcription_chapters'),
+
+    # Second subtitle track (translation)
+    path('<uuid:file_id>/translations/', views.translation_tracks_list, name='translation_tracks_list'),
+    path('<uuid:file_id>/translations/<uuid:track_id>/', views.translation_track_detail, name='translation_track_detail'),
 
     # Subtitle file downloads
     path('<uuid:file_id>/download/<str:file_type>/', views.download_subtitle_file, name='download_subtitle_file'),
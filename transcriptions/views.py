@@ -1,7 +1,9 @@
 import os
 import json
 import copy
+import shutil
 from pathlib import Path
+from django.db import transaction
 from django.shortcuts import get_object_or_404
 from django.http import FileResponse, Http404, HttpResponse
 from django.conf import settings
@@ -9,9 +11,16 @@ from rest_framework import status, permissions
 from rest_framework.decorators import api_view, permission_classes
 from rest_framework.response import Response
 from media_files.models import MediaFile
-from .models import Transcription
-from .serializers import TranscriptionSerializer, TranscriptionDetailSerializer
+from .models import Transcription, TranslationTrack
+from .serializers import (
+    TranscriptionSerializer, TranscriptionDetailSerializer, TranslationTrackSerializer,
+    ChapterListSerializer
+)
 from .subtitle_generators import VTTGenerator, WordLevelVTTGenerator, SRTGenerator, TXTGenerator
+from .subtitle_parsers import SubtitleParser, TranslationAligner
+
+# Largest subtitle file accepted for a translation track
+MAX_SUBTITLE_UPLOAD_SIZE = 2 * 1024 * 1024
 
 
 @api_view(['GET'])
@@ -163,6 +172,8 @@ def serve_subtitle_file(request, file_id, file_type):
             # Set headers for inline display
             response['Content-Disposition'] = 'inline'
             response['Access-Control-Allow-Origin'] = '*'  # For CORS
+            # The files are rewritten when the transcript is edited
+            response['Cache-Control'] = 'no-cache'
 
             return response
 
@@ -216,6 +227,8 @@ def transcription_status(request, file_id):
 def update_transcription_segments(request, file_id):
     """
     Update transcription segments with edited content and timing.
+    The `version` (segments_version) the edits are based on is required; if the transcription
+    was saved since then, nothing is written and a 409 with the current segments is returned.
     """
     print(f"=== UPDATE TRANSCRIPTION SEGMENTS CALLED ===")
     print(f"File ID: {file_id}")
@@ -265,87 +278,109 @@ def update_transcription_segments(request, file_id):
                 status=status.HTTP_400_BAD_REQUEST
             )
 
-    # Get the original WhisperX output
-    original_output = None
-    if transcription.raw_whisperx_output:
-        original_output = copy.deepcopy(transcription.raw_whisperx_output)
-    elif transcription.raw_whisperx_output_path:
-        try:
-            full_path = os.path.join(settings.MEDIA_ROOT, transcription.raw_whisperx_output_path)
-            with open(full_path, 'r', encoding='utf-8') as f:
-                original_output = json.load(f)
-        except (IOError, json.JSONDecodeError):
-            return Response(
-                {'error': 'Could not load original transcription data'},
-                status=status.HTTP_500_INTERNAL_SERVER_ERROR
-            )
-
-    if not original_output or 'segments' not in original_output:
+    # Edits must say which version they are based on, so a stale save can't overwrite a newer one
+    base_version = request.data.get('version')
+    if base_version is None:
         return Response(
-            {'error': 'Original transcription data not available'},
-            status=status.HTTP_500_INTERNAL_SERVER_ERROR
+            {'error': 'Missing version'},
+            status=status.HTTP_400_BAD_REQUEST
+        )
+    try:
+        base_version = int(base_version)
+    except (ValueError, TypeError):
+        return Response(
+            {'error': 'Invalid version'},
+            status=status.HTTP_400_BAD_REQUEST
         )
 
-    # Update the segments in the output
-    updated_output = copy.deepcopy(original_output)
-    updated_output['segments'] = []
-
-    for segment in updated_segments:
-        updated_segment = {
-            'start': float(segment['start']),
-            'end': float(segment['end']),
-            'text': segment['text'].strip()
-        }
-
-        # Preserve speaker information if available
-        if 'speaker' in segment:
-            updated_segment['speaker'] = segment['speaker']
+    # Lock the row so concurrent saves based on the same version are handled one after the other
+    with transaction.atomic():
+        transcription = Transcription.objects.select_for_update().get(pk=transcription.pk)
 
-        # Preserve words if available (for word-level timing)
-        if 'words' in segment:
-            updated_segment['words'] = segment['words']
+        if base_version != transcription.segments_version:
+            return Response(
+                {
+                    'error': 'The transcription was changed somewhere else since you started editing',
+                    'current_version': transcription.segments_version,
+                    'segments': _load_transcription_segments(transcription),
+                },
+                status=status.HTTP_409_CONFLICT
+            )
 
-        updated_output['segments'].append(updated_segment)
+        # Get the original WhisperX output
+        original_output = None
+        if transcription.raw_whisperx_output:
+            original_output = copy.deepcopy(transcription.raw_whisperx_output)
+        elif transcription.raw_whisperx_output_path:
+            try:
+                full_path = os.path.join(settings.MEDIA_ROOT, transcription.raw_whisperx_output_path)
+                with open(full_path, 'r', encoding='utf-8') as f:
+                    original_output = json.load(f)
+            except (IOError, json.JSONDecodeError):
+                return Response(
+                    {'error': 'Could not load original transcription data'},
+                    status=status.HTTP_500_INTERNAL_SERVER_ERROR
+                )
 
-    # Save the updated output
-    if transcription.raw_whisperx_output:
-        transcription.raw_whisperx_output = updated_output
-    else:
-        # Save to file
-        try:
-            full_path = os.path.join(settings.MEDIA_ROOT, transcription.raw_whisperx_output_path)
-            with open(full_path, 'w', encoding='utf-8') as f:
-                json.dump(updated_output, f, indent=2, ensure_ascii=False)
-        except IOError:
+        if not original_output or 'segments' not in original_output:
             return Response(
-                {'error': 'Could not save updated transcription data'},
+                {'error': 'Original transcription data not available'},
                 status=status.HTTP_500_INTERNAL_SERVER_ERROR
             )
 
-    # Regenerate subtitle files with updated content
-    try:
-        transcription_dir = Path(settings.MEDIA_ROOT) / 'transcriptions' / str(media_file.user.id) / str(media_file.id)
-        transcription_dir.mkdir(parents=True, exist_ok=True)
+        # Update the segments in the output
+        updated_output = copy.deepcopy(original_output)
+        updated_output['segments'] = []
+
+        for segment in updated_segments:
+            updated_segment = {
+                'start': float(segment['start']),
+                'end': float(segment['end']),
+                'text': segment['text'].strip()
+            }
+
+            # Preserve speaker information if available
+            if 'speaker' in segment:
+                updated_segment['speaker'] = segment['speaker']
 
-        # Regenerate VTT file
-        if transcription.vtt_file_path:
-            vtt_path = os.path.join(settings.MEDIA_ROOT, transcription.vtt_file_path)
-            VTTGenerator.generate(updated_output, vtt_path)
+            # Preserve words if available (for word-level timing)
+            if 'words' in segment:
+                updated_segment['words'] = segment['words']
 
-        # Regenerate word-level VTT file
-        if transcription.word_level_vtt_file_path:
-            word_vtt_path = os.path.join(settings.MEDIA_ROOT, transcription.word_level_vtt_file_path)
-            WordLevelVTTGenerator.generate(updated_output, word_vtt_path)
+            updated_output['segments'].append(updated_segment)
 
-        # Regenerate SRT file
-        if transcription.srt_file_path:
-            srt_path = os.path.join(settings.MEDIA_ROOT, transcription.srt_file_path)
-            SRTGenerator.generate(updated_output, srt_path)
+        # Every file is written next to its old version first and only swapped in once all of them
+        # were written, so a failure leaves the files and segments_version as they were
+        files_to_write = []
+        if transcription.raw_whisperx_output:
+            transcription.raw_whisperx_output = updated_output
+        else:
+            files_to_write.append((transcription.raw_whisperx_output_path, _write_whisperx_output))
+
+        generators = [
+            (transcription.vtt_file_path, VTTGenerator),
+            (transcription.word_level_vtt_file_path, WordLevelVTTGenerator),
+            (transcription.srt_file_path, SRTGenerator),
+            (transcription.txt_file_path, TXTGenerator),
+        ]
+        files_to_write.extend(
+            (relative_path, generator.generate) for relative_path, generator in generators if relative_path
+        )
 
-        # Regenerate TXT file
-        if transcription.txt_file_path:
-            txt_path = os.path.join(settings.MEDIA_ROOT, transcription.txt_file_path)
-            TXTGenerator.generate(updated_output, txt_path)
+        try:
+            transcription_dir = Path(settings.MEDIA_ROOT) / 'transcriptions' / str(media_file.user.id) / str(media_file.id)
+            transcription_dir.mkdir(parents=True, exist_ok=True)
+
+            _replace_files([
+                (os.path.join(settings.MEDIA_ROOT, relative_path), write)
+                for relative_path, write in files_to_write
+            ], updated_output)
+        except Exception as e:
+            transaction.set_rollback(True)
+            return Response(
+                {'error': f'Error regenerating subtitle files: {str(e)}'},
+                status=status.HTTP_500_INTERNAL_SERVER_ERROR
+            )
 
         # Update segment count
         transcription.segment_count = len(updated_segments)
@@ -354,16 +389,207 @@ def update_transcription_segments(request, file_id):
         total_words = sum(len(segment['text'].split()) for segment in updated_segments)
         transcription.word_count = total_words
 
+        transcription.segments_version += 1
         transcription.save()
 
         return Response({
             'message': 'Transcription updated successfully',
             'segment_count': transcription.segment_count,
-            'word_count': transcription.word_count
+            'word_count': transcription.word_count,
+            'segments_version': transcription.segments_version
         })
 
-    except Exception as e:
+
+def _write_whisperx_output(whisperx_output, output_path):
+    """Write WhisperX output as JSON, the way it is stored after transcription."""
+    with open(output_path, 'w', encoding='utf-8') as f:
+        json.dump(whisperx_output, f, indent=2, ensure_ascii=False)
+
+
+def _replace_files(files, whisperx_output):
+    """
+    Write each (path, write) pair, where write(whisperx_output, output_path) creates the file.
+    Everything is written to temporary files first; the originals are only replaced once all of
+    them were written, and are put back if replacing one fails. Errors are re-raised.
+    """
+    temp_paths = []
+    backup_paths = {}
+    try:
+        for path, write in files:
+            temp_path = f'{path}.tmp'
+            temp_paths.append(temp_path)
+            write(whisperx_output, temp_path)
+
+        for (path, _), temp_path in zip(files, temp_paths):
+            backup_path = None
+            if os.path.exists(path):
+                backup_path = f'{path}.bak'
+                shutil.copy2(path, backup_path)
+            backup_paths[path] = backup_path
+            os.replace(temp_path, path)
+    except Exception:
+        for path, backup_path in backup_paths.items():
+            if backup_path:
+                os.replace(backup_path, path)
+            elif os.path.exists(path):
+                os.remove(path)
+        for temp_path in temp_paths:
+            if os.path.exists(temp_path):
+                os.remove(temp_path)
+        raise
+
+    for backup_path in backup_paths.values():
+        if backup_path:
+            os.remove(backup_path)
+
+
+def _load_transcription_segments(transcription):
+    """Return the current transcription segments, or an empty list if unavailable."""
+    output = transcription.raw_whisperx_output
+    if not output and transcription.raw_whisperx_output_path:
+        try:
+            full_path = os.path.join(settings.MEDIA_ROOT, transcription.raw_whisperx_output_path)
+            with open(full_path, 'r', encoding='utf-8') as f:
+                output = json.load(f)
+        except (IOError, json.JSONDecodeError):
+            return []
+
+    if not isinstance(output, dict):
+        return []
+    return output.get('segments', [])
+
+
+@api_view(['GET', 'POST'])
+@permission_classes([permissions.AllowAny])  # Temporarily allow any for testing
+def translation_tracks_list(request, file_id):
+    """
+    List translation tracks for a media file, or add one.
+    POST either a subtitle `file` (SRT/VTT, aligned to the transcription segments)
+    or `segments` typed in the editor, together with a `language` code.
+    Adding a track for a language that already has one replaces it.
+    """
+    # For testing without authentication, get any media file with this ID
+    media_file = get_object_or_404(MediaFile, id=file_id)
+
+    try:
+        transcription = media_file.transcription
+    except Transcription.DoesNotExist:
         return Response(
-            {'error': f'Error regenerating subtitle files: {str(e)}'},
-            status=status.HTTP_500_INTERNAL_SERVER_ERROR
+            {'error': 'Transcription not found'},
+            status=status.HTTP_404_NOT_FOUND
         )
+
+    if request.method == 'GET':
+        serializer = TranslationTrackSerializer(transcription.translation_tracks.all(), many=True)
+        return Response(serializer.data)
+
+    data = {
+        'language': request.data.get('language', ''),
+        'label': request.data.get('label', ''),
+        'segments': request.data.get('segments', []),
+    }
+    source = 'manual'
+
+    subtitle_file = request.FILES.get('file')
+    if subtitle_file:
+        if subtitle_file.size > MAX_SUBTITLE_UPLOAD_SIZE:
+            return Response(
+                {'error': 'Subtitle file is too large (max 2 MB)'},
+                status=status.HTTP_400_BAD_REQUEST
+            )
+
+        try:
+            content = subtitle_file.read().decode('utf-8-sig')
+        except UnicodeDecodeError:
+            return Response(
+                {'error': 'Subtitle file must be UTF-8 encoded'},
+                status=status.HTTP_400_BAD_REQUEST
+            )
+
+        # Cues that could not be read are skipped and reported with their line numbers
+        parsed = SubtitleParser.parse(content)
+        parse_errors = parsed['errors']
+        cues = [cue for cue in parsed['cues'] if cue['text']]
+        if not cues:
+            return Response(
+                {
+                    'error': 'No subtitle cues found. Upload a WebVTT (.vtt) or SRT (.srt) file.',
+                    'errors': parse_errors,
+                },
+                status=status.HTTP_400_BAD_REQUEST
+            )
+
+        # Fall back to the cue timing when there are no segments to align to
+        segments = _load_transcription_segments(transcription)
+        data['segments'] = TranslationAligner.align(cues, segments) if segments else cues
+        source = 'upload'
+
+    serializer = TranslationTrackSerializer(data=data)
+    serializer.is_valid(raise_exception=True)
+
+    track, created = TranslationTrack.objects.update_or_create(
+        transcription=transcription,
+        language=serializer.validated_data['language'],
+        defaults={
+            'label': serializer.validated_data.get('label', ''),
+            'segments': serializer.validated_data.get('segments', []),
+            'source': source,
+        }
+    )
+
+    response_data = TranslationTrackSerializer(track).data
+    if subtitle_file:
+        response_data['errors'] = parse_errors
+
+    return Response(
+        response_data,
+        status=status.HTTP_201_CREATED if created else status.HTTP_200_OK
+    )
+
+
+@api_view(['GET', 'PUT', 'PATCH', 'DELETE'])
+@permission_classes([permissions.AllowAny])  # Temporarily allow any for testing
+def translation_track_detail(request, file_id, track_id):
+    """
+    Get, edit (label and segments) or delete a translation track.
+    """
+    track = get_object_or_404(
+        TranslationTrack,
+        id=track_id,
+        transcription__media_file_id=file_id
+    )
+
+    if request.method == 'GET':
+        return Response(TranslationTrackSerializer(track).data)
+
+    if request.method == 'DELETE':
+        track.delete()
+        return Response(status=status.HTTP_204_NO_CONTENT)
+
+    # The language identifies the track, so only the label and segments can change
+    data = {key: request.data[key] for key in ['label', 'segments'] if key in request.data}
+    serializer = TranslationTrackSerializer(track, data=data, partial=True)
+    serializer.is_valid(raise_exception=True)
+    serializer.save()
+    return Response(serializer.data)
+
+
+@api_view(['PUT', 'DELETE'])
+@permission_classes([permissions.AllowAny])  # Temporarily allow any for testing
+def transcription_chapters(request, file_id):
+    """
+    Save the edited chapter list, or delete it to go back to detected chapters.
+    """
+    transcription = get_object_or_404(Transcription, media_file_id=file_id)
+
+    if request.method == 'DELETE':
+        transcription.chapters = None
+        transcription.save(update_fields=['chapters'])
+        return Response(status=status.HTTP_204_NO_CONTENT)
+
+    serializer = ChapterListSerializer(data=request.data)
+    serializer.is_valid(raise_exception=True)
+
+    transcription.chapters = serializer.validated_data['chapters']
+    transcription.save(update_fields=['chapters'])
+    return Response({'chapters': transcription.chapters})